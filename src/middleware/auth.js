@@ -5,9 +5,24 @@ import { adminAuth } from "../config/firebaseAdmin.js";
  * - Middleware to verify Firebase ID token from Authorization header.
  * - Attaches decoded token and derived role to `req.user` for downstream use.
  * Why: Needed to protect routes and support role-based access.
- * Related: `roles.js` for role checks; expects `role` custom claim on token.
+ * Related: `roles.js` for role checks; expects `role` (and optional `orgId`) custom claims on token.
+ * Update: `verifyAuthToken` is exported so the STT WebSocket can authenticate upgrades.
  */
 
+// --- Token Verification (shared by HTTP middleware and the STT WebSocket) ---
+export async function verifyAuthToken(token) {
+  // Don't force revoked check to avoid unnecessary failures on fresh logins
+  const decoded = await adminAuth.verifyIdToken(token);
+
+  // Derive role from custom claim if present; default to "user"
+  const role = decoded.role || (decoded.claims && decoded.claims.role) || "user";
+
+  // Organization from custom claim; single-tenant installs fall back to "default"
+  const orgId = decoded.orgId || (decoded.claims && decoded.claims.orgId) || "default";
+
+  return { ...decoded, role, orgId };
+}
+
 // --- Authentication Middleware ---
 export async function requireAuth(req, res, next) {
   try {
@@ -17,17 +32,10 @@ export async function requireAuth(req, res, next) {
       return res.status(401).json({ error: "Missing bearer token" });
     }
 
-    // Don't force revoked check to avoid unnecessary failures on fresh logins
-    const decoded = await adminAuth.verifyIdToken(token);
-
-    // Derive role from custom claim if present; default to "user"
-    const role = decoded.role || (decoded.claims && decoded.claims.role) || "user";
-
     // Attach to request for downstream middleware/handlers
-    req.user = { ...decoded, role };
+    req.user = await verifyAuthToken(token);
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
   }
 }
-
@@ -1,19 +1,20 @@
 /**
  * Change Summary (MCP Context 7 Best Practices)
  * - Role authorization middleware factory.
- * - Ensures `req.user.role` matches the required role.
+ * - Ensures `req.user.role` is one of the allowed roles.
  * Why: Enforces protected admin/user routes.
  * Related: `auth.js` must run before this to populate `req.user`.
  */
 
-export function requireRole(requiredRole) {
+// requireRole("admin") or requireRole("admin", "content-admin") - any of the listed roles passes
+export function requireRole(...allowedRoles) {
   return function roleGuard(req, res, next) {
     // Ensure authentication middleware ran first
     if (!req.user) {
       return res.status(401).json({ error: "Unauthenticated" });
     }
 
-    if (req.user.role !== requiredRole) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ error: "Forbidden: insufficient role" });
     }
 
@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+
+// Schema for a DB match that produced (part of) a turn's response
+const matchedQuestionSchema = new mongoose.Schema({
+  originalQuery: String,
+  matchedQuestion: String,
+  category: String,
+  similarity: Number
+}, { _id: false });
+
+// Schema for a single utterance; customer turns also carry the assistant's suggestions
+const turnSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  speaker: {
+    type: String,
+    enum: ['rep', 'customer'],
+    default: 'customer'
+  },
+  transcript: {
+    type: String,
+    required: true
+  },
+  englishTranscript: String,
+  language: {
+    type: String,
+    default: "en-US"
+  },
+  responseText: {
+    type: String,
+    default: ""
+  },
+  // Which path produced responseText (rep turns have no suggestions)
+  source: {
+    type: String,
+    enum: ['database', 'gpt', 'support', 'fallback'],
+    required: function () {
+      return this.speaker !== 'rep';
+    }
+  },
+  matchedQuestions: [matchedQuestionSchema],
+  keyHighlights: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // { [field]: { quote, turnIndex, confidence } } - where each key highlight was said
+  highlightEvidence: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Change this turn made to the session highlights: { added, refined, retracted, version }
+  highlightsDiff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  sentimentData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  timings: {
+    extractMs: Number,
+    parallelMs: Number,
+    processingMs: Number,
+    ttsMs: Number,
+    totalMs: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Schema for one server-side audio recording of a call (audio lives in recording storage)
+const recordingSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['recording', 'completed', 'failed', 'purged']
+  },
+  storage: String, // Backend name, e.g. "local"
+  storageKey: String,
+  contentType: String,
+  encoding: String,
+  sampleRateHertz: Number,
+  channels: Number,
+  sizeBytes: Number,
+  durationMs: Number,
+  startedAt: Date,
+  endedAt: Date,
+  purgedAt: Date
+}, { _id: false });
+
+// Schema for the post-call summary (see callSummaryService)
+const callSummarySchema = new mongoose.Schema({
+  overview: String,
+  customerNeeds: [String],
+  objections: [{
+    _id: false,
+    objection: String,
+    handling: String,
+    resolved: Boolean
+  }],
+  budget: String,
+  timeline: String,
+  nextSteps: [{
+    _id: false,
+    action: String,
+    owner: String,
+    dueDate: String
+  }],
+  sentimentTrajectory: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  model: String,
+  generatedAt: Date,
+  generatedBy: String,
+  hubspot: {
+    syncedAt: Date,
+    contactId: String,
+    error: String,
+    syncJobId: String
+  }
+}, { _id: false });
+
+// Schema for the call's qualification against a framework (see qualificationService)
+const callQualificationSchema = new mongoose.Schema({
+  framework: String,
+  frameworkName: String,
+  // { [fieldKey]: { value, status, confidence, evidence: [{ quote, turnIndex }] } }
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  score: Number,
+  model: String,
+  extractedAt: Date,
+  // Turns covered by this extraction
+  turnCount: Number
+}, { _id: false, minimize: false });
+
+// Schema for the CRM timeline entries created for a finished call
+const crmActivitySchema = new mongoose.Schema({
+  provider: String,
+  contactId: String,
+  callId: String,
+  noteId: String,
+  loggedAt: Date,
+  error: String,
+  // CRM sync queue state when the write did not complete inline
+  syncStatus: { type: String, enum: ['succeeded', 'queued', 'dead_lettered'] },
+  syncJobId: String,
+  deadLetterId: String
+}, { _id: false });
+
+// Main schema for a live call between a rep and a customer
+const callSessionSchema = new mongoose.Schema({
+  // Organization of the rep who started the call (sessions from before this field belong to "default")
+  organizationId: {
+    type: String,
+    default: "default",
+    index: true
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  mode: {
+    type: String,
+    enum: ['sales', 'support'],
+    default: 'sales'
+  },
+  language: {
+    type: String,
+    default: "en-US"
+  },
+  voice: String,
+  customerEmail: String,
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  endedAt: Date,
+  turnCount: {
+    type: Number,
+    default: 0
+  },
+  turns: [turnSchema],
+  // One entry per recording run (a reconnect starts a new one), oldest first
+  recordings: [recordingSchema],
+  summary: callSummarySchema,
+  crmActivity: crmActivitySchema,
+  qualification: callQualificationSchema,
+  // Running key highlights across the call (see sessionHighlightsService):
+  // { fields: { [field]: { value, evidence, updatedAt } }, version, updatedAt }
+  highlightsState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Retention job looks up finished recordings by age
+callSessionSchema.index({ "recordings.status": 1, "recordings.endedAt": 1 });
+
+const CallSession = mongoose.model('CallSession', callSessionSchema);
+
+export default CallSession;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Qualification of a contact across calls: the best evidence per field from any call
+const contactQualificationSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    default: "default"
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  framework: {
+    type: String,
+    required: true
+  },
+  // { [fieldKey]: { value, status, confidence, evidence, sessionId, extractedAt } }
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  score: Number,
+  sessionIds: [String],
+  // CRM sync state of the latest score
+  crmSync: {
+    status: String,
+    syncedAt: Date,
+    jobId: String,
+    deadLetterId: String,
+    error: String
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  minimize: false
+});
+
+contactQualificationSchema.index({ organizationId: 1, email: 1, framework: 1 }, { unique: true });
+
+const ContactQualification = mongoose.model('ContactQualification', contactQualificationSchema);
+
+export default ContactQualification;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { attemptErrorSchema } from "./CrmSyncJob.js";
+
+// CRM write that failed permanently or ran out of retries; kept until replayed or discarded
+const crmDeadLetterSchema = new mongoose.Schema({
+  jobId: mongoose.Schema.Types.ObjectId,
+  organizationId: String,
+  operation: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  idempotencyKey: String,
+  attempts: Number,
+  attemptErrors: [attemptErrorSchema],
+  reason: {
+    type: String,
+    enum: ['non_retryable', 'max_attempts'],
+    required: true
+  },
+  createdBy: String,
+  failedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  replayedAt: Date,
+  replayedBy: String,
+  replayJobId: mongoose.Schema.Types.ObjectId
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+const CrmDeadLetter = mongoose.model('CrmDeadLetter', crmDeadLetterSchema);
+
+export default CrmDeadLetter;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Failure recorded for one attempt
+export const attemptErrorSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  message: String,
+  statusCode: Number
+}, { _id: false });
+
+// pending: waiting for its next attempt; processing: claimed by a worker; succeeded: written
+export const CRM_SYNC_JOB_STATUSES = ['pending', 'processing', 'succeeded'];
+
+// Outbound CRM write waiting for (re)delivery - see crmSyncQueue.js
+const crmSyncJobSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    default: "default"
+  },
+  operation: {
+    type: String,
+    enum: ['upsertContact', 'saveKeyHighlights', 'saveSentiment', 'saveCallSummary', 'logActivity', 'saveQualification', 'writeDeal'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Same key = same write; a repeated request returns the existing job instead of writing twice.
+  // Unique per organization (see the index below), so orgs can't see each other's jobs by key
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CRM_SYNC_JOB_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  completedAt: Date,
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  attemptErrors: [attemptErrorSchema],
+  createdBy: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+crmSyncJobSchema.index({ organizationId: 1, idempotencyKey: 1 }, { unique: true });
+// Worker picks due jobs in order
+crmSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+// Succeeded jobs only need to live long enough to dedupe retried requests
+crmSyncJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const CrmSyncJob = mongoose.model('CrmSyncJob', crmSyncJobSchema);
+
+export default CrmSyncJob;
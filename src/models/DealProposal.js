@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// Buying signal that led to the proposal, with the turn it came from
+const dealSignalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['budget', 'timeline', 'purchaseIntent'],
+    required: true
+  },
+  text: String,
+  turnIndex: Number
+}, { _id: false });
+
+// Deal properties as they will be written to HubSpot
+const proposedDealSchema = new mongoose.Schema({
+  dealname: String,
+  amount: Number,
+  currency: String, // Informational; HubSpot uses the portal's deal currency
+  closedate: String, // YYYY-MM-DD
+  pipeline: String,
+  dealstage: String
+}, { _id: false });
+
+// Main schema for a deal create/update waiting for the rep's review
+const dealProposalSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallSession',
+    index: true
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  organizationId: {
+    type: String,
+    index: true
+  },
+  contactEmail: {
+    type: String,
+    required: true
+  },
+  contactId: String,
+  action: {
+    type: String,
+    enum: ['create', 'update'],
+    required: true
+  },
+  existingDealId: String,
+  // Current HubSpot values for update proposals, so the rep can see what changes
+  currentValues: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  proposed: proposedDealSchema,
+  signals: [dealSignalSchema],
+  status: {
+    type: String,
+    // approving: claimed by an approval in progress; queued: the HubSpot write is waiting for a retry
+    enum: ['pending', 'approving', 'queued', 'approved', 'rejected', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  // Failed approvals so far; part of the CRM sync idempotency key, so a retry after a failure writes again
+  approvalAttempts: {
+    type: Number,
+    default: 0
+  },
+  hubspotDealId: String,
+  error: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+const DealProposal = mongoose.model('DealProposal', dealProposalSchema);
+
+export default DealProposal;
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// One saved set of key highlights for a contact (usually one per call)
+const keyHighlightEntrySchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    default: "default"
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Call the highlights were captured in (null for manual saves)
+  sessionId: {
+    type: String,
+    default: null
+  },
+  highlights: {
+    budget: String,
+    timeline: String,
+    objections: String,
+    importantInfo: String
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Client idempotency key of the save request, so a retried request adds no second entry
+  idempotencyKey: String,
+  createdBy: String
+});
+
+// Contact history, newest first
+keyHighlightEntrySchema.index({ organizationId: 1, email: 1, recordedAt: -1 });
+// Idempotency keys are client-chosen, so they only need to be unique within an organization
+keyHighlightEntrySchema.index(
+  { organizationId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: "string" } } }
+);
+
+const KeyHighlightEntry = mongoose.model('KeyHighlightEntry', keyHighlightEntrySchema);
+
+export default KeyHighlightEntry;
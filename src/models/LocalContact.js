@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Schema for a logged interaction (calls, notes) on a local CRM contact
+const contactActivitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['call', 'note'],
+    default: 'call'
+  },
+  title: String,
+  body: String,
+  transcript: String,
+  sessionId: String,
+  durationMs: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Contact record for organizations using the built-in CRM instead of HubSpot
+const localContactSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    default: "default"
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  firstname: String,
+  lastname: String,
+  phone: String,
+  company: String,
+  keyHighlights: {
+    budget: String,
+    timeline: String,
+    objections: String,
+    importantInfo: String
+  },
+  sentiment: {
+    color: String,
+    score: Number,
+    label: String
+  },
+  lastCallSummary: String,
+  qualification: {
+    framework: String,
+    frameworkName: String,
+    score: Number,
+    details: String,
+    updatedAt: Date
+  },
+  lastCallSentimentTrend: String,
+  activities: [contactActivitySchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// One contact per email within an organization
+localContactSchema.index({ organizationId: 1, email: 1 }, { unique: true });
+// Name/company search
+localContactSchema.index({ organizationId: 1, company: 1 });
+
+const LocalContact = mongoose.model('LocalContact', localContactSchema);
+
+export default LocalContact;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Boost values per phrase-hint source (Google accepts roughly 0-20)
+const speechBoostsSchema = new mongoose.Schema({
+  salesQA: Number,
+  crm: Number,
+  custom: Number,
+  client: Number
+}, { _id: false });
+
+// Speech recognition settings for an organization
+const speechSettingsSchema = new mongoose.Schema({
+  customVocabulary: {
+    type: [String],
+    default: []
+  },
+  boosts: {
+    type: speechBoostsSchema,
+    default: () => ({})
+  }
+}, { _id: false });
+
+// Where proposed deals land in HubSpot (ids of the org's pipeline and stages)
+const dealSettingsSchema = new mongoose.Schema({
+  pipeline: {
+    type: String,
+    default: "default"
+  },
+  // Stage for newly created deals
+  createStage: {
+    type: String,
+    default: "appointmentscheduled"
+  },
+  // Stage once the customer voiced explicit purchase intent
+  intentStage: {
+    type: String,
+    default: "decisionmakerboughtin"
+  },
+  currency: {
+    type: String,
+    default: "USD"
+  }
+}, { _id: false });
+
+// Main schema for per-organization settings
+const orgSettingsSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  speech: {
+    type: speechSettingsSchema,
+    default: () => ({})
+  },
+  deals: {
+    type: dealSettingsSchema,
+    default: () => ({})
+  },
+  // CRM provider ("hubspot" | "local"); unset uses the server default
+  crm: {
+    provider: String
+  },
+  // Qualification framework key ("bant", "meddic" or a custom framework); unset uses BANT
+  qualification: {
+    framework: String
+  },
+  // Sentiment provider ("google" | "lexicon") and traffic-light cut-offs; unset uses the server defaults
+  sentiment: {
+    provider: String,
+    positiveThreshold: { type: Number, min: -1, max: 1 },
+    negativeThreshold: { type: Number, min: -1, max: 1 }
+  },
+  updatedBy: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+const OrgSettings = mongoose.model('OrgSettings', orgSettingsSchema);
+
+export default OrgSettings;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// One criterion the extractor fills from the transcript
+const qualificationFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  // Tells the extractor what counts as evidence for this field
+  description: {
+    type: String,
+    default: ""
+  },
+  // Relative weight in the qualification score
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0.1,
+    max: 10
+  }
+}, { _id: false });
+
+// Custom qualification framework defined by an organization admin (BANT/MEDDIC are built in)
+const qualificationFrameworkSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    default: "default"
+  },
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  fields: {
+    type: [qualificationFieldSchema],
+    validate: [fields => fields.length > 0, "A framework needs at least one field"]
+  },
+  updatedBy: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+qualificationFrameworkSchema.index({ organizationId: 1, key: 1 }, { unique: true });
+
+const QualificationFramework = mongoose.model('QualificationFramework', qualificationFrameworkSchema);
+
+export default QualificationFramework;
@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+// Review workflow: draft -> in_review -> published (-> archived). Only published questions are
+// matched on live calls; questions without a status predate the workflow and count as published.
+export const QUESTION_STATUSES = ['draft', 'in_review', 'published', 'archived'];
+// Mongo condition on a question's status for live matching (null also matches a missing status)
+export const LIVE_STATUS_CONDITION = { $in: ['published', null] };
+// Condition for previews (authors testing unpublished answers): everything but archived
+export const PREVIEW_STATUS_CONDITION = { $ne: 'archived' };
+
 // Schema for individual answer options
 const answerSchema = new mongoose.Schema({
   option: {
@@ -9,18 +17,79 @@ const answerSchema = new mongoose.Schema({
   },
   text: {
     type: String,
-    required: true
+    required: true,
+    trim: true,
+    maxlength: 2000
   }
 });
 
+// At most one answer per option, and at least one answer per question
+function validateAnswers(answers) {
+  const options = answers.map(answer => answer.option);
+  return answers.length > 0 && new Set(options).size === options.length;
+}
+
+// Edit of a published question awaiting review; the published content stays live until approved
+const pendingChangeSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  answers: {
+    type: [answerSchema],
+    validate: {
+      validator: validateAnswers,
+      message: "A question needs at least one answer and at most one answer per option (A, B, C)"
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'in_review'],
+    default: 'draft'
+  },
+  updatedBy: String,
+  updatedAt: Date,
+  submittedBy: String,
+  submittedAt: Date,
+  reviewComment: String
+}, { _id: false });
+
 // Schema for individual questions
 const questionSchema = new mongoose.Schema({
   question: {
     type: String,
     required: true,
+    trim: true,
+    maxlength: 500,
     index: true // Add index for faster searching
   },
-  answers: [answerSchema]
+  answers: {
+    type: [answerSchema],
+    validate: {
+      validator: validateAnswers,
+      message: "A question needs at least one answer and at most one answer per option (A, B, C)"
+    }
+  },
+  status: {
+    type: String,
+    enum: QUESTION_STATUSES
+  },
+  pendingChange: {
+    type: pendingChangeSchema,
+    default: null
+  },
+  // UID of the admin who last edited the question (unset for imported questions)
+  updatedBy: String,
+  updatedAt: Date,
+  submittedBy: String,
+  submittedAt: Date,
+  // Content admin who approved or sent back the last submission
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewComment: String,
+  publishedAt: Date
 });
 
 // Main schema for sales Q&A categories
@@ -28,13 +97,18 @@ const salesQASchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
+    trim: true,
+    maxlength: 200,
     index: true
   },
   description: {
     type: String,
-    required: true
+    required: true,
+    trim: true,
+    maxlength: 1000
   },
-  questions: [questionSchema]
+  questions: [questionSchema],
+  updatedBy: String
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
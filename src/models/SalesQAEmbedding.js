@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Embedding of one sales Q&A question text (see salesQAEmbeddingService).
+// Keyed by provider, model and normalized text, so an edited question simply gets a new
+// entry and switching providers never mixes vectors; unused entries are pruned by the backfill script.
+const salesQAEmbeddingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  dimensions: Number,
+  text: String,
+  vector: {
+    type: [Number],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+salesQAEmbeddingSchema.index({ provider: 1, model: 1 });
+
+const SalesQAEmbedding = mongoose.model('SalesQAEmbedding', salesQAEmbeddingSchema);
+
+export default SalesQAEmbedding;
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One change to the sales Q&A knowledge base, with the state before and after it.
+// Question-scoped revisions hold question snapshots ({ _id, question, answers, status, pendingChange }); category-scoped
+// ones (category edits, imports) hold full category snapshots ({ category, description, questions }).
+const salesQARevisionSchema = new mongoose.Schema({
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Set for question-scoped revisions
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  scope: {
+    type: String,
+    enum: ['category', 'question'],
+    required: true
+  },
+  action: {
+    type: String,
+    // submit/approve/reject/archive/unarchive/discard: review workflow steps (salesQAAdminService)
+    enum: ['create', 'update', 'delete', 'import', 'rollback', 'submit', 'approve', 'reject', 'archive', 'unarchive', 'discard'],
+    required: true
+  },
+  // Category name / question text at the time, for listing
+  category: String,
+  question: String,
+  // null before a create and after a delete
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedBy: String,
+  // Revision a rollback restored
+  rolledBackTo: mongoose.Schema.Types.ObjectId
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// History of a category / question, newest first
+salesQARevisionSchema.index({ categoryId: 1, _id: -1 });
+salesQARevisionSchema.index({ questionId: 1, _id: -1 });
+
+const SalesQARevision = mongoose.model('SalesQARevision', salesQARevisionSchema);
+
+export default SalesQARevision;
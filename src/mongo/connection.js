@@ -28,3 +28,8 @@ export async function connectToDatabase() {
   }
 }
 
+// --- Connection State ---
+// Lets callers skip DB work in dummy mode instead of waiting on mongoose's command buffer
+export function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
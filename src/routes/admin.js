@@ -0,0 +1,475 @@
+import { Router } from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import { getOrgSettings, updateOrgSettings, DEFAULT_DEAL_SETTINGS } from "../services/orgSettingsService.js";
+import { CRM_PROVIDERS, isCrmProviderAvailable, getAvailableCrmProviders, getDefaultCrmProviderName } from "../services/crmProviderService.js";
+import { SENTIMENT_PROVIDERS, getSentimentSettings } from "../services/sentimentService.js";
+import {
+  listQualificationFrameworks,
+  getQualificationFramework,
+  getOrgQualificationFramework,
+  createQualificationFramework,
+  updateQualificationFramework,
+  deleteQualificationFramework
+} from "../services/qualificationService.js";
+import {
+  CRM_SYNC_OPERATIONS,
+  CRM_SYNC_JOB_STATUSES,
+  getCrmSyncStats,
+  listCrmSyncJobs,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter
+} from "../services/crmSyncQueue.js";
+
+/**
+ * Organization admin endpoints (scoped to the caller's `orgId` claim).
+ * - Speech vocabulary: custom phrase hints and per-source boosts used by the STT socket.
+ * - Deal settings: HubSpot pipeline and stages used for proposed deals.
+ * - CRM settings: which CRM provider (HubSpot or the built-in local CRM) the org uses; HubSpot
+ *   only for the organizations its portal belongs to (HUBSPOT_ORGANIZATIONS).
+ * - CRM sync: queued CRM writes and dead letters (failed writes) with replay.
+ * - Qualification: custom frameworks (BANT/MEDDIC are built in) and the org's active framework.
+ */
+
+const router = Router();
+
+router.use(requireAuth, requireRole("admin"));
+
+const BOOST_SOURCES = ["salesQA", "crm", "custom", "client"];
+// Google accepts boosts roughly in this range; higher values cause false positives
+const MIN_BOOST = 0;
+const MAX_BOOST = 20;
+const MAX_VOCABULARY_SIZE = 500;
+const MAX_PHRASE_LENGTH = 100;
+
+// --- Get the organization's speech vocabulary ---
+router.get("/vocabulary", async (req, res) => {
+  try {
+    const settings = await getOrgSettings(req.user.orgId);
+    const speech = settings.speech || {};
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      phrases: speech.customVocabulary || [],
+      boosts: speech.boosts || {}
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load vocabulary:', error);
+    return res.status(500).json({ error: "Failed to load vocabulary" });
+  }
+});
+
+// --- Replace the vocabulary and/or update boosts ---
+router.put("/vocabulary", async (req, res) => {
+  const { phrases, boosts } = req.body || {};
+  const fields = {};
+
+  if (phrases !== undefined) {
+    if (!Array.isArray(phrases) || phrases.some(p => typeof p !== "string")) {
+      return res.status(400).json({ error: "phrases must be an array of strings" });
+    }
+    const cleaned = [...new Set(phrases.map(p => p.trim()).filter(Boolean))];
+    if (cleaned.length > MAX_VOCABULARY_SIZE) {
+      return res.status(400).json({ error: `At most ${MAX_VOCABULARY_SIZE} phrases are allowed` });
+    }
+    if (cleaned.some(p => p.length > MAX_PHRASE_LENGTH)) {
+      return res.status(400).json({ error: `Phrases must be at most ${MAX_PHRASE_LENGTH} characters` });
+    }
+    fields["speech.customVocabulary"] = cleaned;
+  }
+
+  if (boosts !== undefined) {
+    if (!boosts || typeof boosts !== "object" || Array.isArray(boosts)) {
+      return res.status(400).json({ error: "boosts must be an object" });
+    }
+    for (const [source, value] of Object.entries(boosts)) {
+      if (!BOOST_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Unknown boost source: ${source}` });
+      }
+      if (value === null) {
+        // null resets the source to the server default
+        fields[`speech.boosts.${source}`] = null;
+        continue;
+      }
+      if (typeof value !== "number" || value < MIN_BOOST || value > MAX_BOOST) {
+        return res.status(400).json({ error: `Boost for ${source} must be a number between ${MIN_BOOST} and ${MAX_BOOST}` });
+      }
+      fields[`speech.boosts.${source}`] = value;
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: "Provide phrases and/or boosts" });
+  }
+
+  try {
+    const settings = await updateOrgSettings(req.user.orgId, fields, req.user.uid);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      phrases: settings.speech?.customVocabulary || [],
+      boosts: settings.speech?.boosts || {}
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update vocabulary:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update vocabulary"
+    });
+  }
+});
+
+// --- Deal settings (HubSpot pipeline/stage ids for proposed deals) ---
+router.get("/deal-settings", async (req, res) => {
+  try {
+    const settings = await getOrgSettings(req.user.orgId);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      deals: { ...DEFAULT_DEAL_SETTINGS, ...(settings.deals || {}) }
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load deal settings:', error);
+    return res.status(500).json({ error: "Failed to load deal settings" });
+  }
+});
+
+router.put("/deal-settings", async (req, res) => {
+  const fields = {};
+  for (const key of Object.keys(DEFAULT_DEAL_SETTINGS)) {
+    const value = req.body ? req.body[key] : undefined;
+    if (value === undefined) continue;
+    if (typeof value !== "string" || !value.trim()) {
+      return res.status(400).json({ error: `${key} must be a non-empty string` });
+    }
+    fields[`deals.${key}`] = value.trim();
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: `Provide at least one of: ${Object.keys(DEFAULT_DEAL_SETTINGS).join(", ")}` });
+  }
+
+  try {
+    const settings = await updateOrgSettings(req.user.orgId, fields, req.user.uid);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      deals: { ...DEFAULT_DEAL_SETTINGS, ...(settings.deals || {}) }
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update deal settings:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update deal settings"
+    });
+  }
+});
+
+// --- CRM provider selection ---
+router.get("/crm-settings", async (req, res) => {
+  try {
+    const settings = await getOrgSettings(req.user.orgId);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      provider: (settings.crm && settings.crm.provider) || getDefaultCrmProviderName(req.user.orgId),
+      isDefault: !(settings.crm && settings.crm.provider),
+      availableProviders: getAvailableCrmProviders(req.user.orgId)
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load CRM settings:', error);
+    return res.status(500).json({ error: "Failed to load CRM settings" });
+  }
+});
+
+// Body: { provider } - null resets to the server default
+router.put("/crm-settings", async (req, res) => {
+  const { provider } = req.body || {};
+  if (provider !== null && !CRM_PROVIDERS.includes(provider)) {
+    return res.status(400).json({ error: `provider must be one of: ${CRM_PROVIDERS.join(", ")} (or null)` });
+  }
+  if (provider !== null && !isCrmProviderAvailable(provider, req.user.orgId)) {
+    return res.status(403).json({ error: `The ${provider} CRM is not available to this organization` });
+  }
+
+  try {
+    const settings = await updateOrgSettings(req.user.orgId, { "crm.provider": provider }, req.user.uid);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      provider: (settings.crm && settings.crm.provider) || getDefaultCrmProviderName(req.user.orgId),
+      isDefault: !(settings.crm && settings.crm.provider)
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update CRM settings:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update CRM settings"
+    });
+  }
+});
+
+// --- Sentiment provider and traffic-light thresholds ---
+router.get("/sentiment-settings", async (req, res) => {
+  try {
+    const settings = await getSentimentSettings(req.user.orgId);
+    return res.json({
+      success: true,
+      organizationId: req.user.orgId,
+      ...settings,
+      availableProviders: SENTIMENT_PROVIDERS
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load sentiment settings:', error);
+    return res.status(500).json({ error: "Failed to load sentiment settings" });
+  }
+});
+
+// Body: { provider, positiveThreshold, negativeThreshold } - each optional; null resets to the server default
+router.put("/sentiment-settings", async (req, res) => {
+  const body = req.body || {};
+  const fields = {};
+
+  if (body.provider !== undefined) {
+    if (body.provider !== null && !SENTIMENT_PROVIDERS.includes(body.provider)) {
+      return res.status(400).json({ error: `provider must be one of: ${SENTIMENT_PROVIDERS.join(", ")} (or null)` });
+    }
+    fields["sentiment.provider"] = body.provider;
+  }
+  for (const key of ["positiveThreshold", "negativeThreshold"]) {
+    const value = body[key];
+    if (value === undefined) continue;
+    if (value !== null && (typeof value !== "number" || value < -1 || value > 1)) {
+      return res.status(400).json({ error: `${key} must be a number between -1 and 1 (or null)` });
+    }
+    fields[`sentiment.${key}`] = value;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: "Provide provider, positiveThreshold and/or negativeThreshold" });
+  }
+
+  try {
+    // Validate the thresholds that will be in effect, including stored and default ones
+    const current = await getSentimentSettings(req.user.orgId);
+    const positive = body.positiveThreshold === undefined ? current.positiveThreshold : body.positiveThreshold;
+    const negative = body.negativeThreshold === undefined ? current.negativeThreshold : body.negativeThreshold;
+    if (positive !== null && negative !== null && negative >= positive) {
+      return res.status(400).json({ error: "negativeThreshold must be lower than positiveThreshold" });
+    }
+
+    await updateOrgSettings(req.user.orgId, fields, req.user.uid);
+    const settings = await getSentimentSettings(req.user.orgId);
+    return res.json({ success: true, organizationId: req.user.orgId, ...settings });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update sentiment settings:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update sentiment settings"
+    });
+  }
+});
+
+// --- CRM sync queue: counts by status and open dead letters ---
+router.get("/crm-sync/stats", async (req, res) => {
+  try {
+    const stats = await getCrmSyncStats(req.user.orgId);
+    return res.json({ success: true, organizationId: req.user.orgId, ...stats });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load CRM sync stats:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to load CRM sync stats"
+    });
+  }
+});
+
+// Query: status, operation, limit
+router.get("/crm-sync/jobs", async (req, res) => {
+  const { status, operation } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  if (status && !CRM_SYNC_JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${CRM_SYNC_JOB_STATUSES.join(", ")}` });
+  }
+  if (operation && !CRM_SYNC_OPERATIONS.includes(operation)) {
+    return res.status(400).json({ error: `operation must be one of: ${CRM_SYNC_OPERATIONS.join(", ")}` });
+  }
+
+  try {
+    const jobs = await listCrmSyncJobs({ status, operation, organizationId: req.user.orgId, limit });
+    return res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to list CRM sync jobs:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to list CRM sync jobs"
+    });
+  }
+});
+
+// Query: operation, includeReplayed, limit
+router.get("/crm-sync/dead-letters", async (req, res) => {
+  const { operation } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  if (operation && !CRM_SYNC_OPERATIONS.includes(operation)) {
+    return res.status(400).json({ error: `operation must be one of: ${CRM_SYNC_OPERATIONS.join(", ")}` });
+  }
+
+  try {
+    const deadLetters = await listDeadLetters({
+      operation,
+      includeReplayed: req.query.includeReplayed === "true",
+      organizationId: req.user.orgId,
+      limit
+    });
+    return res.json({ success: true, deadLetters });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to list CRM dead letters:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to list CRM dead letters"
+    });
+  }
+});
+
+// Dead letters of other organizations are reported as not found
+async function findOrgDeadLetter(req) {
+  const deadLetter = await getDeadLetter(req.params.id);
+  return deadLetter && deadLetter.organizationId === req.user.orgId ? deadLetter : null;
+}
+
+router.get("/crm-sync/dead-letters/:id", async (req, res) => {
+  try {
+    const deadLetter = await findOrgDeadLetter(req);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    return res.json({ success: true, deadLetter });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load CRM dead letter:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to load CRM dead letter"
+    });
+  }
+});
+
+// Body: { payload } - optional corrected payload; otherwise the original write is retried
+router.post("/crm-sync/dead-letters/:id/replay", async (req, res) => {
+  const { payload } = req.body || {};
+  if (payload !== undefined && (payload === null || typeof payload !== "object" || Array.isArray(payload))) {
+    return res.status(400).json({ error: "payload must be an object" });
+  }
+
+  try {
+    const deadLetter = await findOrgDeadLetter(req);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    const outcome = await replayDeadLetter(deadLetter, { payload, replayedBy: req.user.uid });
+    return res.status(outcome.status === "dead_lettered" ? 502 : 200).json({
+      success: outcome.status !== "dead_lettered",
+      status: outcome.status,
+      jobId: outcome.jobId || null,
+      ...(outcome.deadLetterId ? { deadLetterId: outcome.deadLetterId } : {}),
+      ...(outcome.error ? { error: outcome.error } : {})
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to replay CRM dead letter:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to replay CRM dead letter"
+    });
+  }
+});
+
+router.delete("/crm-sync/dead-letters/:id", async (req, res) => {
+  try {
+    const deadLetter = await findOrgDeadLetter(req);
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    await discardDeadLetter(deadLetter.id);
+    return res.json({ success: true, deleted: deadLetter.id });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to discard CRM dead letter:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to discard CRM dead letter"
+    });
+  }
+});
+
+// --- Qualification frameworks (built-in and the org's custom ones) ---
+router.get("/qualification-frameworks", async (req, res) => {
+  try {
+    const [frameworks, active] = await Promise.all([
+      listQualificationFrameworks(req.user.orgId),
+      getOrgQualificationFramework(req.user.orgId)
+    ]);
+    return res.json({ success: true, organizationId: req.user.orgId, activeFramework: active.key, frameworks });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to list qualification frameworks:', error);
+    return res.status(500).json({ error: "Failed to list qualification frameworks" });
+  }
+});
+
+// Body: { key, name, description, fields: [{ key, label, description, weight }] }
+router.post("/qualification-frameworks", async (req, res) => {
+  try {
+    const framework = await createQualificationFramework(req.user.orgId, req.body, req.user.uid);
+    return res.status(201).json({ success: true, framework });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to create qualification framework:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to create qualification framework"
+    });
+  }
+});
+
+// Body: { name, description, fields } - replaces the framework definition
+router.put("/qualification-frameworks/:key", async (req, res) => {
+  try {
+    const framework = await updateQualificationFramework(req.user.orgId, req.params.key, req.body, req.user.uid);
+    if (!framework) {
+      return res.status(404).json({ error: "Qualification framework not found" });
+    }
+    return res.json({ success: true, framework });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update qualification framework:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update qualification framework"
+    });
+  }
+});
+
+router.delete("/qualification-frameworks/:key", async (req, res) => {
+  try {
+    const deleted = await deleteQualificationFramework(req.user.orgId, req.params.key);
+    if (!deleted) {
+      return res.status(404).json({ error: "Qualification framework not found" });
+    }
+    return res.json({ success: true, deleted: req.params.key });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to delete qualification framework:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to delete qualification framework"
+    });
+  }
+});
+
+// Body: { framework } - framework key; null resets to BANT
+router.put("/qualification-settings", async (req, res) => {
+  const { framework } = req.body || {};
+  if (framework !== null && typeof framework !== "string") {
+    return res.status(400).json({ error: "framework must be a framework key (or null)" });
+  }
+
+  try {
+    if (framework !== null && !(await getQualificationFramework(req.user.orgId, framework))) {
+      return res.status(400).json({ error: `Unknown qualification framework: ${framework}` });
+    }
+    await updateOrgSettings(req.user.orgId, { "qualification.framework": framework }, req.user.uid);
+    const active = await getOrgQualificationFramework(req.user.orgId);
+    return res.json({ success: true, organizationId: req.user.orgId, activeFramework: active.key });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to update qualification settings:', error);
+    return res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Failed to update qualification settings"
+    });
+  }
+});
+
+export default router;
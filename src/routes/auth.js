@@ -1,7 +1,7 @@
 import { Router } from "express";
 import { adminAuth } from "../config/firebaseAdmin.js";
 import { sendVerificationEmail } from "../config/emailService.js";
-import { upsertHubspotContact } from "../services/hubspotService.js";
+import { syncCrmWrite } from "../services/crmSyncQueue.js";
 
 /**
  * Change Summary (MCP Context 7 Best Practices)
@@ -363,24 +363,37 @@ router.post("/update-profile", async (req, res) => {
       });
     }
 
-    // Sync to HubSpot (non-blocking)
+    // Sync to the CRM; failures are queued for retry or dead-lettered, never dropped
+    let crmSync;
     try {
-      const hubspotData = {
-        name: companyName ? companyName.trim() : currentName,
-        email: currentEmail,
-        phoneNumber: phoneNumber ? phoneNumber.trim() : currentPhone,
-        companyName: companyName ? companyName.trim() : currentCompany
+      const outcome = await syncCrmWrite({
+        organizationId: decoded.orgId || "default",
+        operation: "upsertContact",
+        payload: {
+          name: companyName ? companyName.trim() : currentName,
+          email: currentEmail,
+          phoneNumber: phoneNumber ? phoneNumber.trim() : currentPhone,
+          companyName: companyName ? companyName.trim() : currentCompany
+        },
+        idempotencyKey: req.get("Idempotency-Key") || null,
+        createdBy: decoded.uid
+      });
+      crmSync = {
+        status: outcome.status,
+        ...(outcome.jobId ? { jobId: outcome.jobId } : {}),
+        ...(outcome.deadLetterId ? { deadLetterId: outcome.deadLetterId } : {})
       };
-
-      await upsertHubspotContact(hubspotData);
-    } catch (hubspotError) {
-      // Don't fail the request if HubSpot sync fails
+    } catch (crmError) {
+      // Only reachable without a database (no queue); the profile update itself succeeded
+      console.error('🔄 BACKEND: Profile CRM sync failed:', crmError.message);
+      crmSync = { status: "failed", error: crmError.message };
     }
 
     // Return success response
     const responseData = { 
       success: true, 
-      message: "Profile updated successfully"
+      message: "Profile updated successfully",
+      crmSync
     };
 
     if (phoneNumber) {
@@ -0,0 +1,333 @@
+import { Router } from "express";
+import multer from "multer";
+import mongoose from "mongoose";
+import { requireAuth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
+import {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  addQuestion,
+  updateQuestion,
+  deleteQuestion,
+  setAnswer,
+  deleteAnswer,
+  transitionQuestion,
+  listReviewQueue,
+  rollbackCategory,
+  rollbackQuestion
+} from "../services/salesQAAdminService.js";
+import { listCategoryRevisions, listQuestionRevisions } from "../services/salesQARevisionService.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import { parseSalesQAImport, importSalesQA, exportSalesQA } from "../services/salesQAImportService.js";
+
+/**
+ * Sales Q&A knowledge base editing (admins and content admins).
+ * - Categories: list, get, create (optionally with questions), rename/describe, delete.
+ * - Questions: add, update text and/or answers, delete.
+ * - Answers: set or delete a single A/B/C answer.
+ * - Review: new questions and edits of published ones are drafts until submitted and approved
+ *   by a content admin; only published questions are matched on calls (test drafts with
+ *   `preview` on /api/voice/pipeline). Imports are reviewed too unless a content admin
+ *   publishes them. Changes that take effect without review (renaming, re-describing or
+ *   deleting categories, deleting or archiving questions, rollbacks) are for content admins.
+ * - Import/export: JSON or CSV files, merged by category + question with a diff and dry run.
+ * - History: every change is a revision; categories and questions can be rolled back to one.
+ * Published changes take effect immediately (saved questions are embedded for semantic matching;
+ * matcher caches, vector index and phrase hints are refreshed).
+ */
+
+const router = Router();
+
+router.use(requireAuth, requireRole("admin", "content-admin"));
+
+// Import files are larger than the JSON body limit - they come in as multipart uploads
+const MAX_IMPORT_FILE_BYTES = 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_BYTES } });
+
+// Upload errors (too large, unexpected field) are the client's
+function uploadImportFile(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}
+
+const isTrue = (value) => value === true || value === "true" || value === "1";
+
+function sendError(res, error, fallbackMessage) {
+  console.error(`🔄 BACKEND: ${fallbackMessage}:`, error.message);
+  return res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {})
+  });
+}
+
+// --- Categories ---
+router.get("/categories", async (req, res) => {
+  try {
+    const categories = await listCategories();
+    return res.json({
+      success: true,
+      totalCategories: categories.length,
+      totalQuestions: categories.reduce((total, category) => total + category.questions.length, 0),
+      categories
+    });
+  } catch (error) {
+    return sendError(res, error, "Failed to list sales Q&A categories");
+  }
+});
+
+router.get("/categories/:categoryId", async (req, res) => {
+  try {
+    const category = await getCategory(req.params.categoryId);
+    return res.json({ success: true, category });
+  } catch (error) {
+    return sendError(res, error, "Failed to load sales Q&A category");
+  }
+});
+
+// Body: { category, description, questions?: [{ question, answers }] }
+router.post("/categories", async (req, res) => {
+  try {
+    const category = await createCategory(req.body, req.user.uid);
+    return res.status(201).json({ success: true, category });
+  } catch (error) {
+    return sendError(res, error, "Failed to create sales Q&A category");
+  }
+});
+
+// Category edits and deletes take effect without review, so they are for content admins
+// Body: { category?, description? }
+router.put("/categories/:categoryId", requireRole("content-admin"), async (req, res) => {
+  try {
+    const category = await updateCategory(req.params.categoryId, req.body, req.user.uid);
+    return res.json({ success: true, category });
+  } catch (error) {
+    return sendError(res, error, "Failed to update sales Q&A category");
+  }
+});
+
+router.delete("/categories/:categoryId", requireRole("content-admin"), async (req, res) => {
+  try {
+    const result = await deleteCategory(req.params.categoryId, req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, "Failed to delete sales Q&A category");
+  }
+});
+
+// --- Questions ---
+
+// Body: { question, answers: [{ option, text }] or { A, B, C } }
+router.post("/categories/:categoryId/questions", async (req, res) => {
+  try {
+    const question = await addQuestion(req.params.categoryId, req.body, req.user.uid);
+    return res.status(201).json({ success: true, question });
+  } catch (error) {
+    return sendError(res, error, "Failed to add sales Q&A question");
+  }
+});
+
+// Body: { question?, answers? } - answers replace all existing answers
+router.put("/categories/:categoryId/questions/:questionId", async (req, res) => {
+  try {
+    const question = await updateQuestion(req.params.categoryId, req.params.questionId, req.body, req.user.uid);
+    return res.json({ success: true, question });
+  } catch (error) {
+    return sendError(res, error, "Failed to update sales Q&A question");
+  }
+});
+
+// Deletes take effect without review (content admins)
+router.delete("/categories/:categoryId/questions/:questionId", requireRole("content-admin"), async (req, res) => {
+  try {
+    const result = await deleteQuestion(req.params.categoryId, req.params.questionId, req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, "Failed to delete sales Q&A question");
+  }
+});
+
+// --- Answers ---
+
+// Body: { text }
+router.put("/categories/:categoryId/questions/:questionId/answers/:option", async (req, res) => {
+  try {
+    const question = await setAnswer(req.params.categoryId, req.params.questionId, req.params.option, req.body?.text, req.user.uid);
+    return res.json({ success: true, question });
+  } catch (error) {
+    return sendError(res, error, "Failed to save sales Q&A answer");
+  }
+});
+
+router.delete("/categories/:categoryId/questions/:questionId/answers/:option", async (req, res) => {
+  try {
+    const question = await deleteAnswer(req.params.categoryId, req.params.questionId, req.params.option, req.user.uid);
+    return res.json({ success: true, question });
+  } catch (error) {
+    return sendError(res, error, "Failed to delete sales Q&A answer");
+  }
+});
+
+// --- Review workflow ---
+
+// Submitted questions and edits waiting for approval, oldest first
+router.get("/review-queue", async (req, res) => {
+  try {
+    const queue = await listReviewQueue();
+    return res.json({ success: true, count: queue.length, queue });
+  } catch (error) {
+    return sendError(res, error, "Failed to load sales Q&A review queue");
+  }
+});
+
+function workflowRoute(action, fallbackMessage) {
+  return async (req, res) => {
+    try {
+      const question = await transitionQuestion(req.params.categoryId, req.params.questionId, action, req.user.uid, {
+        comment: req.body?.comment
+      });
+      return res.json({ success: true, question });
+    } catch (error) {
+      return sendError(res, error, fallbackMessage);
+    }
+  };
+}
+
+const questionPath = "/categories/:categoryId/questions/:questionId";
+
+router.post(`${questionPath}/submit`, workflowRoute("submit", "Failed to submit sales Q&A question for review"));
+// Body: { comment? }
+router.post(`${questionPath}/approve`, requireRole("content-admin"), workflowRoute("approve", "Failed to approve sales Q&A question"));
+// Body: { comment } - why the question goes back to draft
+router.post(`${questionPath}/reject`, requireRole("content-admin"), workflowRoute("reject", "Failed to reject sales Q&A question"));
+// Archiving takes a question off live calls without review
+router.post(`${questionPath}/archive`, requireRole("content-admin"), workflowRoute("archive", "Failed to archive sales Q&A question"));
+router.post(`${questionPath}/unarchive`, workflowRoute("unarchive", "Failed to unarchive sales Q&A question"));
+// Drops the unpublished edit of a published question
+router.delete(`${questionPath}/pending`, workflowRoute("discard", "Failed to discard sales Q&A question changes"));
+
+// --- Revision history and rollback ---
+
+const MAX_HISTORY_LIMIT = 200;
+
+function historyLimit(req) {
+  const limit = parseInt(req.query.limit, 10);
+  return limit > 0 ? Math.min(limit, MAX_HISTORY_LIMIT) : 50;
+}
+
+function validateHistoryRequest(req, res) {
+  if (!isDatabaseConnected()) {
+    res.status(503).json({ error: "Sales Q&A history requires a database connection" });
+    return false;
+  }
+  const ids = [req.params.categoryId, req.params.questionId].filter(Boolean);
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    res.status(404).json({ error: "Not found" });
+    return false;
+  }
+  return true;
+}
+
+// Also works for deleted categories, so they can be restored
+router.get("/categories/:categoryId/history", async (req, res) => {
+  if (!validateHistoryRequest(req, res)) return;
+  try {
+    const revisions = await listCategoryRevisions(req.params.categoryId, { limit: historyLimit(req) });
+    return res.json({ success: true, categoryId: req.params.categoryId, revisions });
+  } catch (error) {
+    return sendError(res, error, "Failed to load sales Q&A category history");
+  }
+});
+
+router.get("/categories/:categoryId/questions/:questionId/history", async (req, res) => {
+  if (!validateHistoryRequest(req, res)) return;
+  try {
+    const revisions = await listQuestionRevisions(req.params.categoryId, req.params.questionId, { limit: historyLimit(req) });
+    return res.json({ success: true, categoryId: req.params.categoryId, questionId: req.params.questionId, revisions });
+  } catch (error) {
+    return sendError(res, error, "Failed to load sales Q&A question history");
+  }
+});
+
+// Rollbacks restore content without review, so they are for content admins
+// Body: { revisionId } - restores the category as it was right after that revision
+router.post("/categories/:categoryId/rollback", requireRole("content-admin"), async (req, res) => {
+  if (!req.body?.revisionId) {
+    return res.status(400).json({ error: "revisionId is required" });
+  }
+  try {
+    const result = await rollbackCategory(req.params.categoryId, req.body.revisionId, req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, "Failed to roll back sales Q&A category");
+  }
+});
+
+// Body: { revisionId } - restores the question as it was right after that revision
+router.post("/categories/:categoryId/questions/:questionId/rollback", requireRole("content-admin"), async (req, res) => {
+  if (!req.body?.revisionId) {
+    return res.status(400).json({ error: "revisionId is required" });
+  }
+  try {
+    const result = await rollbackQuestion(req.params.categoryId, req.params.questionId, req.body.revisionId, req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, "Failed to roll back sales Q&A question");
+  }
+});
+
+// --- Import / export ---
+
+// ?format=json|csv - downloads the whole knowledge base
+router.get("/export", async (req, res) => {
+  try {
+    const exported = await exportSalesQA(req.query.format || "json");
+    res.set("Content-Type", exported.contentType);
+    res.set("Content-Disposition", `attachment; filename="${exported.filename}"`);
+    return res.send(exported.content);
+  } catch (error) {
+    return sendError(res, error, "Failed to export sales Q&A");
+  }
+});
+
+// Multipart "file" (.json or .csv), or a JSON body with the categories for small imports.
+// ?format=json|csv (default: from the file name), ?dryRun=true to only get the diff,
+// ?prune=true to also delete questions and categories missing from the import,
+// ?status=published (content admins) to publish new questions, overwrite live content and
+// restore the question statuses in the file instead of going through review.
+// Only content admins may import changes that take effect without review (pruning, archiving
+// published questions, category descriptions): others get a 403 listing them (dry runs still work)
+router.post("/import", uploadImportFile, async (req, res) => {
+  const status = req.query.status || "draft";
+  if (status === "published" && req.user.role !== "content-admin") {
+    return res.status(403).json({ error: "Only content admins can publish an import" });
+  }
+  try {
+    let parsed;
+    if (req.file) {
+      const isCsv = /\.csv$/i.test(req.file.originalname || "") || /csv/i.test(req.file.mimetype || "");
+      parsed = parseSalesQAImport(req.file.buffer.toString("utf8"), req.query.format || (isCsv ? "csv" : "json"));
+    } else {
+      parsed = parseSalesQAImport(req.body, "json");
+    }
+
+    const result = await importSalesQA(parsed, {
+      dryRun: isTrue(req.query.dryRun),
+      prune: isTrue(req.query.prune),
+      status,
+      allowLiveChanges: req.user.role === "content-admin",
+      updatedBy: req.user.uid
+    });
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    return sendError(res, error, "Failed to import sales Q&A");
+  }
+});
+
+export default router;
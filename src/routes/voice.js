@@ -8,11 +8,49 @@ import { TranslationServiceClient } from "@google-cloud/translate";
 import OpenAI from "openai";
 import fs from "fs";
 import salesQAService from "../services/salesQAService.js";
-import { extractUserQuestion, detectKeyHighlights } from "../services/keyHighlightsService.js";
-import { extractCustomerInfoFromTranscript } from "../services/crmService.js";
-import { getContactByEmail, upsertHubspotContact, createCustomProperties, updateContactWithKeyHighlights, updateContactWithSentiment, getKeyHighlightsByEmail } from "../services/hubspotService.js";
+import {
+  extractUserQuestion,
+  detectKeyHighlightsWithEvidence,
+  verifyKeyHighlights,
+  withEvidenceTurnIndex,
+  KEY_HIGHLIGHTS_JSON_SHAPE,
+  KEY_HIGHLIGHTS_EVIDENCE_RULES
+} from "../services/keyHighlightsService.js";
+import { extractCustomerInfoFromTranscript, flagLowConfidenceFields } from "../services/crmService.js";
+import { getContactByEmail, searchContacts, createCustomProperties } from "../services/hubspotService.js";
+import { getCrmProvider, isCrmProviderAvailable } from "../services/crmProviderService.js";
+import { syncCrmWrite } from "../services/crmSyncQueue.js";
+import {
+  cleanHighlights,
+  mergeKeyHighlightHistory,
+  toFlatHighlights,
+  recordKeyHighlights,
+  getKeyHighlightsHistory
+} from "../services/keyHighlightsHistoryService.js";
+import {
+  computeHighlightOperations,
+  applySessionHighlightOperations,
+  emptyHighlightsState,
+  toFlatState,
+  isEmptyDiff
+} from "../services/sessionHighlightsService.js";
 import { analyzeSentiment } from "../services/sentimentService.js";
-import { Client as Hubspot } from "@hubspot/api-client";
+import { toSentimentPoint, detectSentimentTrend, detectSentimentAlert, buildSentimentTimeline } from "../services/sentimentTimelineService.js";
+import { buildSpeechContexts, clearPhraseHintsCache } from "../services/phraseHintsService.js";
+import { getRecordingStorage } from "../services/recordingStorage.js";
+import { generateCallSummary, formatSummaryText, formatTranscript } from "../services/callSummaryService.js";
+import { logCallToCrm } from "../services/callActivityService.js";
+import {
+  qualifySession,
+  qualifyCallForContact,
+  getContactQualification,
+  getQualificationFramework,
+  getOrgQualificationFramework
+} from "../services/qualificationService.js";
+import { proposeDealForSession, canAccessProposal, getDealProposal, listDealProposals, approveDealProposal, rejectDealProposal } from "../services/dealService.js";
+import { createCallSession, getCallSession, canAccessSession, getConversationHistory, appendTurn, updateTurn } from "../services/callSessionService.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireRole } from "../middleware/roles.js";
 
 // --- Helper function to parse multiple questions from user input ---
 function parseMultipleQuestions(userInput) {
@@ -125,9 +163,81 @@ function extractJSONFromResponse(text) {
   }
 }
 
+// --- Helper function to read the (possibly incomplete) "response" string from streamed JSON ---
+// GPT streams the combined JSON object, so the suggestion text is still JSON-escaped while it arrives
+function extractPartialResponseField(text) {
+  const match = text.match(/"response"\s*:\s*"/);
+  if (!match) return "";
+
+  const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+  let decoded = "";
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') break; // End of the string value
+    if (char !== "\\") {
+      decoded += char;
+      continue;
+    }
+
+    // Escape sequence - stop if it is split across chunks, it completes on the next one
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = text.substring(i + 2, i + 6);
+      if (hex.length < 4) break;
+      decoded += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      decoded += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+  return decoded;
+}
+
+// --- Helper to emit Response A/B/C once each one is complete ---
+// A section is complete when the next "Response X:" label appears, or when the text is final
+function createResponseSectionTracker(emitEvent) {
+  const emitted = new Set();
+
+  return {
+    update(text, isFinal) {
+      if (!text) return;
+      const labels = [...text.matchAll(/Response\s+([ABC])\s*:/gi)];
+      const parts = { A: [], B: [], C: [] };
+
+      labels.forEach((label, i) => {
+        const hasNext = i + 1 < labels.length;
+        if (!hasNext && !isFinal) return; // Still being written
+        const start = label.index + label[0].length;
+        const end = hasNext ? labels[i + 1].index : text.length;
+        parts[label[1].toUpperCase()].push(text.substring(start, end).trim());
+      });
+
+      for (const option of ["A", "B", "C"]) {
+        if (emitted.has(option) || parts[option].length === 0) continue;
+        // Only emit a label once every occurrence of it is complete (DB replies may hold several Q&As)
+        const totalOccurrences = labels.filter(l => l[1].toUpperCase() === option).length;
+        if (parts[option].length < totalOccurrences) continue;
+        emitted.add(option);
+        emitEvent(`response.${option}`, { option, text: parts[option].join("\n\n") });
+      }
+    }
+  };
+}
+
+// Max time streaming consumers wait for background highlights/sentiment before the final event
+const BACKGROUND_EVENTS_MAX_WAIT_MS = 5000;
+// Max time any pipeline reply waits for the session highlights diff (it is stored either way)
+const HIGHLIGHTS_DIFF_MAX_WAIT_MS = 3000;
+// Roles that may run the pipeline in preview mode (unpublished sales Q&A, see routes/salesQA.js)
+const SALES_QA_PREVIEW_ROLES = ["admin", "content-admin"];
+
 // --- Helper function for combined GPT call (response + key highlights) ---
 // Streaming GPT function that triggers TTS early when Response A is detected
-async function getGPTResponseWithKeyHighlightsStreaming(systemPrompt, userPrompt, model, maxTokens, temperature, customerQuery, onEarlyResponse, ttsClient, voice, language) {
+// onResponseDelta(delta, responseSoFar) receives the decoded suggestion text as it streams
+// highlightSourceTexts: what the customer said (original + translation) to check highlight quotes against
+async function getGPTResponseWithKeyHighlightsStreaming(systemPrompt, userPrompt, model, maxTokens, temperature, customerQuery, onEarlyResponse, ttsClient, voice, language, onResponseDelta = null, highlightSourceTexts = null) {
   return new Promise(async (resolve, reject) => {
     try {
       // Add key highlights extraction instruction to system prompt
@@ -136,12 +246,7 @@ async function getGPTResponseWithKeyHighlightsStreaming(systemPrompt, userPrompt
 CRITICAL: You must return your response as a valid JSON object with the following EXACT structure (no additional text, only valid JSON):
 {
   "response": "Your sales responses in A, B, C format (e.g., 'Response A: ...\\nResponse B: ...\\nResponse C: ...')",
-  "keyHighlights": {
-    "budget": "budget information explicitly mentioned by customer" or null,
-    "timeline": "timeline information explicitly mentioned by customer" or null,
-    "objections": "customer objections or concerns explicitly mentioned" or null,
-    "importantInfo": "other important information explicitly mentioned" or null
-  }
+  "keyHighlights": ${KEY_HIGHLIGHTS_JSON_SHAPE}
 }
 
 IMPORTANT for key highlights: 
@@ -149,6 +254,7 @@ IMPORTANT for key highlights:
 - Return null for fields where no relevant information is found
 - Keep extracted text concise but meaningful
 - Do NOT make assumptions or add information not mentioned
+${KEY_HIGHLIGHTS_EVIDENCE_RULES}
 - The "response" field must contain your sales responses in the exact format: "Response A: ...\\nResponse B: ...\\nResponse C: ..."
 - Return ONLY the JSON object, no additional text or markdown formatting`;
 
@@ -156,6 +262,7 @@ IMPORTANT for key highlights:
       let earlyTtsTriggered = false;
       let responseAStartIndex = -1;
       let responseAText = "";
+      let streamedResponseText = "";
       const MIN_WORDS_FOR_EARLY_TTS = 25; // Minimum words to trigger early TTS
 
       const stream = await openai.chat.completions.create({
@@ -164,7 +271,7 @@ IMPORTANT for key highlights:
           { role: "system", content: enhancedSystemPrompt },
           { role: "user", content: userPrompt }
         ],
-        max_tokens: maxTokens + 150,
+        max_tokens: maxTokens + 250,
         temperature: temperature,
         stream: true,
       });
@@ -174,6 +281,16 @@ IMPORTANT for key highlights:
         if (content) {
           streamedText += content;
 
+          // Forward newly decoded suggestion text to streaming consumers
+          if (onResponseDelta) {
+            const responseSoFar = extractPartialResponseField(streamedText);
+            if (responseSoFar.length > streamedResponseText.length) {
+              const delta = responseSoFar.substring(streamedResponseText.length);
+              streamedResponseText = responseSoFar;
+              onResponseDelta(delta, responseSoFar);
+            }
+          }
+
           // Check if we've found "Response A:" and haven't triggered early TTS yet
           if (!earlyTtsTriggered) {
             const lowerText = streamedText.toLowerCase();
@@ -258,17 +375,13 @@ IMPORTANT for key highlights:
       
       if (result && result.response) {
         const responseText = result.response;
-        const keyHighlights = result.keyHighlights || {};
-        
-        const filteredHighlights = Object.fromEntries(
-          Object.entries(keyHighlights).filter(([key, value]) => 
-            value !== null && value !== undefined && String(value).trim() !== ''
-          )
-        );
+        // Only highlights whose quote is in the customer's words survive
+        const { keyHighlights, highlightEvidence } = verifyKeyHighlights(result.keyHighlights, highlightSourceTexts || [customerQuery]);
 
         resolve({
           responseText,
-          keyHighlights: filteredHighlights,
+          keyHighlights,
+          highlightEvidence,
           earlyTtsTriggered
         });
       } else {
@@ -281,7 +394,7 @@ IMPORTANT for key highlights:
   });
 }
 
-async function getGPTResponseWithKeyHighlights(systemPrompt, userPrompt, model, maxTokens, temperature, customerQuery) {
+async function getGPTResponseWithKeyHighlights(systemPrompt, userPrompt, model, maxTokens, temperature, customerQuery, highlightSourceTexts = null) {
   try {
     // Add key highlights extraction instruction to system prompt
     const enhancedSystemPrompt = `${systemPrompt}
@@ -289,12 +402,7 @@ async function getGPTResponseWithKeyHighlights(systemPrompt, userPrompt, model,
 CRITICAL: You must return your response as a valid JSON object with the following EXACT structure (no additional text, only valid JSON):
 {
   "response": "Your sales responses in A, B, C format (e.g., 'Response A: ...\\nResponse B: ...\\nResponse C: ...')",
-  "keyHighlights": {
-    "budget": "budget information explicitly mentioned by customer" or null,
-    "timeline": "timeline information explicitly mentioned by customer" or null,
-    "objections": "customer objections or concerns explicitly mentioned" or null,
-    "importantInfo": "other important information explicitly mentioned" or null
-  }
+  "keyHighlights": ${KEY_HIGHLIGHTS_JSON_SHAPE}
 }
 
 IMPORTANT for key highlights: 
@@ -302,6 +410,7 @@ IMPORTANT for key highlights:
 - Return null for fields where no relevant information is found
 - Keep extracted text concise but meaningful
 - Do NOT make assumptions or add information not mentioned
+${KEY_HIGHLIGHTS_EVIDENCE_RULES}
 - The "response" field must contain your sales responses in the exact format: "Response A: ...\\nResponse B: ...\\nResponse C: ..."
 - Return ONLY the JSON object, no additional text or markdown formatting`;
 
@@ -311,7 +420,7 @@ IMPORTANT for key highlights:
         { role: "system", content: enhancedSystemPrompt },
         { role: "user", content: userPrompt }
       ],
-      max_tokens: maxTokens + 150, // Extra tokens for JSON structure and key highlights
+      max_tokens: maxTokens + 250, // Extra tokens for JSON structure and key highlights (with quotes)
       temperature: temperature,
     });
 
@@ -321,18 +430,13 @@ IMPORTANT for key highlights:
     if (result && result.response) {
       // Successfully parsed JSON with response field
       const responseText = result.response;
-      const keyHighlights = result.keyHighlights || {};
-      
-      // Filter out null/empty values from key highlights
-      const filteredHighlights = Object.fromEntries(
-        Object.entries(keyHighlights).filter(([key, value]) => 
-          value !== null && value !== undefined && String(value).trim() !== ''
-        )
-      );
+      // Only highlights whose quote is in the customer's words survive
+      const { keyHighlights, highlightEvidence } = verifyKeyHighlights(result.keyHighlights, highlightSourceTexts || [customerQuery]);
 
       return {
         responseText,
-        keyHighlights: filteredHighlights
+        keyHighlights,
+        highlightEvidence
       };
     } else {
       // Failed to parse JSON - return empty response
@@ -530,6 +634,11 @@ router.get("/config", (req, res) => {
     notes: "Real Google Cloud TTS voices and supported languages.",
   });
 });
+
+// --- Authentication ---
+// Everything below triggers Google/OpenAI/HubSpot calls, so require a Firebase ID token
+router.use(requireAuth);
+
 // --- Sales Q&A Statistics ---
 router.get("/salesqa/stats", async (req, res) => {
   try {
@@ -552,9 +661,10 @@ router.get("/salesqa/stats", async (req, res) => {
 });
 
 // --- Clear Sales Q&A Cache ---
-router.post("/salesqa/clear-cache", async (req, res) => {
+router.post("/salesqa/clear-cache", requireRole("admin"), async (req, res) => {
   try {
     salesQAService.clearAllCache();
+    clearPhraseHintsCache();
     return res.json({
       message: "Cache cleared successfully",
       success: true
@@ -564,6 +674,83 @@ router.post("/salesqa/clear-cache", async (req, res) => {
   }
 });
 
+// --- Deal proposal review ---
+
+// List proposals (own, or the organization's for admins); ?status=pending|queued|approved|rejected|failed|all, ?sessionId=
+router.get("/crm/deal-proposals", async (req, res) => {
+  try {
+    const status = req.query.status === "all" ? null : (req.query.status || "pending");
+    const proposals = await listDealProposals({ user: req.user, status, sessionId: req.query.sessionId || null });
+    return res.json({ success: true, proposals });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to list deal proposals" });
+  }
+});
+
+router.get("/crm/deal-proposals/:id", async (req, res) => {
+  try {
+    const proposal = await getDealProposal(req.params.id);
+    if (!proposal || !canAccessProposal(proposal, req.user)) {
+      return res.status(404).json({ error: "Deal proposal not found" });
+    }
+    return res.json({ success: true, proposal });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to fetch deal proposal" });
+  }
+});
+
+// Approve and write to HubSpot; body may adjust { dealname, amount, closedate, dealstage }.
+// 202 when HubSpot is unavailable and the write is queued (the proposal becomes approved or failed
+// once the sync worker finishes it); approving again reports its state
+router.post("/crm/deal-proposals/:id/approve", async (req, res) => {
+  try {
+    const proposal = await getDealProposal(req.params.id);
+    if (!proposal || !canAccessProposal(proposal, req.user)) {
+      return res.status(404).json({ error: "Deal proposal not found" });
+    }
+
+    const updated = await approveDealProposal(proposal, req.user, req.body || {});
+    if (updated.status === "queued") {
+      return res.status(202).json({ success: true, queued: true, proposal: updated, message: updated.error });
+    }
+    if (updated.status === "failed") {
+      return res.status(502).json({ error: `Failed to write deal to HubSpot: ${updated.error}`, proposal: updated });
+    }
+    return res.json({ success: true, proposal: updated, dealId: updated.hubspotDealId });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to approve deal proposal:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to approve deal proposal" });
+  }
+});
+
+router.post("/crm/deal-proposals/:id/reject", async (req, res) => {
+  try {
+    const proposal = await getDealProposal(req.params.id);
+    if (!proposal || !canAccessProposal(proposal, req.user)) {
+      return res.status(404).json({ error: "Deal proposal not found" });
+    }
+
+    const updated = await rejectDealProposal(proposal, req.user);
+    return res.json({ success: true, proposal: updated });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to reject deal proposal" });
+  }
+});
+
+// --- Phrase hints the STT socket would use (for checking vocabulary/boost setup) ---
+router.get("/speech-hints", async (req, res) => {
+  try {
+    const speechContexts = await buildSpeechContexts({
+      organizationId: req.user.orgId,
+      contactEmail: req.query.contactEmail || null
+    });
+    return res.json({ success: true, speechContexts });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to build phrase hints:', error);
+    return res.status(500).json({ error: "Failed to build phrase hints" });
+  }
+});
+
 // --- Step 3: TTS (Real Google Cloud Text-to-Speech) ---
 router.post("/tts", async (req, res) => {
   const { text, language = "en-US" } = req.body || {};
@@ -626,14 +813,488 @@ router.post("/tts", async (req, res) => {
   }
 });
 
-// --- Combined Pipeline (Real APIs) ---
-router.post("/pipeline", upload.none(), async (req, res) => {
+// --- Call Sessions ---
+
+// Start a new call session so turns are persisted server-side
+router.post("/sessions", async (req, res) => {
+  try {
+    const { mode = "sales", language = "en-US", voice, customerEmail } = req.body || {};
+    const session = await createCallSession({
+      organizationId: req.user.orgId,
+      userId: req.user.uid,
+      mode,
+      language,
+      voice: voice ? getVoiceForLanguage(voice, language) : null,
+      customerEmail
+    });
+
+    return res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      session
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to create call session" });
+  }
+});
+
+// Get a call session with all of its turns (used to resume after a refresh)
+router.get("/sessions/:id", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    return res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to fetch call session" });
+  }
+});
+
+// --- Post-call summary ---
+/**
+ * Body: { store = true, pushToHubspot = false, email }
+ * - store: save the summary on the session (replaces a previous one)
+ * - pushToHubspot: write it to the contact in the org's CRM (HubSpot: `last_call_summary`
+ *   property); the contact is looked up by `email` or the session's customerEmail
+ */
+router.post("/sessions/:id/summary", async (req, res) => {
+  const { store = true, pushToHubspot = false, email } = req.body || {};
+
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    const summary = await generateCallSummary(session, { organizationId: req.user.orgId });
+    summary.generatedBy = req.user.uid;
+
+    const contactEmail = email || session.customerEmail;
+    let hubspot = null;
+    if (pushToHubspot) {
+      if (!contactEmail) {
+        hubspot = { pushed: false, error: "No contact email for this session" };
+      } else {
+        try {
+          const crm = await getCrmProvider(req.user.orgId);
+          const outcome = await syncCrmWrite({
+            organizationId: req.user.orgId,
+            operation: "saveCallSummary",
+            payload: {
+              email: contactEmail,
+              summaryText: formatSummaryText(summary),
+              sentimentTrend: summary.sentimentTrajectory.trend !== "unknown" ? summary.sentimentTrajectory.trend : null
+            },
+            idempotencyKey: getIdempotencyKey(req),
+            createdBy: req.user.uid
+          });
+          if (outcome.status === "queued") {
+            hubspot = { pushed: false, queued: true, provider: crm.name, jobId: outcome.jobId };
+          } else if (outcome.status === "dead_lettered") {
+            hubspot = { pushed: false, provider: crm.name, error: outcome.error || "CRM rejected the update", deadLetterId: outcome.deadLetterId };
+          } else {
+            hubspot = outcome.result
+              ? { pushed: true, provider: crm.name, contactId: outcome.result.contactId }
+              : { pushed: false, provider: crm.name, error: `Contact not found in ${crm.label}` };
+          }
+        } catch (hubspotError) {
+          console.error('🔄 BACKEND: Failed to push call summary to CRM:', hubspotError.message);
+          hubspot = { pushed: false, error: hubspotError.message };
+        }
+      }
+      summary.hubspot = hubspot.pushed
+        ? { syncedAt: new Date(), contactId: hubspot.contactId }
+        : hubspot.queued ? { error: "Queued for retry", syncJobId: hubspot.jobId } : { error: hubspot.error };
+    }
+
+    if (store) {
+      session.summary = summary;
+      if (email && !session.customerEmail) session.customerEmail = email;
+      await session.save();
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      summary,
+      stored: !!store,
+      ...(hubspot ? { hubspot } : {})
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to generate call summary:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to generate call summary" });
+  }
+});
+
+// --- End a call and log it to the CRM timeline ---
+/**
+ * Body: { email, logToCrm = true, summarize = true, force = false, proposeDeal = true }
+ * - Marks the session completed (idempotent)
+ * - summarize: generate and store a summary first when the session has none
+ * - logToCrm: create HubSpot Call + Note engagements on the contact; a call is only
+ *   logged once unless `force` is set
+ * - proposeDeal: turn buying signals into a deal proposal for the rep to review
+ * - qualify: score the call against the org's qualification framework and update the contact's score
+ */
+router.post("/sessions/:id/end", async (req, res) => {
+  const { email, logToCrm = true, summarize = true, force = false, proposeDeal = true, qualify = true } = req.body || {};
+
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    if (session.status !== "completed") {
+      session.status = "completed";
+      session.endedAt = new Date();
+    }
+    if (email && !session.customerEmail) {
+      session.customerEmail = email;
+    }
+
+    if (summarize && !session.summary && session.turns.length > 0) {
+      try {
+        session.summary = { ...(await generateCallSummary(session, { organizationId: req.user.orgId })), generatedBy: req.user.uid };
+      } catch (summaryError) {
+        // The call is still logged, just without the summary sections
+        console.error('🔄 BACKEND: Failed to summarize call on end:', summaryError.message);
+      }
+    }
+
+    let crmActivity = session.crmActivity || null;
+    // A queued write counts as logged: the sync worker delivers it
+    const alreadyLogged = !!(crmActivity && (crmActivity.callId || crmActivity.syncStatus === "queued"));
+    if (logToCrm && session.turns.length > 0 && (!alreadyLogged || force)) {
+      try {
+        const result = await logCallToCrm(session, {
+          email,
+          organizationId: req.user.orgId,
+          // Forced re-logs are new activities, not retries of the first one
+          idempotencyKey: force ? `logActivity:${session.id}:${Date.now()}` : null,
+          createdBy: req.user.uid
+        });
+        const sync = { syncStatus: result.syncStatus, syncJobId: result.syncJobId, deadLetterId: result.deadLetterId };
+        crmActivity = result.logged
+          ? { provider: result.provider, contactId: result.contactId, callId: result.callId, noteId: result.noteId, loggedAt: new Date(), error: result.error, ...sync }
+          : { provider: result.provider, error: result.error, ...sync };
+      } catch (crmError) {
+        console.error('🔄 BACKEND: Failed to log call to CRM:', crmError.message);
+        crmActivity = { error: crmError.message };
+      }
+      session.crmActivity = crmActivity;
+    }
+
+    await session.save();
+
+    let dealProposal = null;
+    if (proposeDeal && session.customerEmail) {
+      try {
+        dealProposal = await proposeDealForSession(session, { userId: req.user.uid, organizationId: req.user.orgId });
+      } catch (dealError) {
+        console.error('🔄 BACKEND: Failed to propose deal on end:', dealError.message);
+      }
+    }
+
+    let qualification = null;
+    if (qualify && session.turns.length > 0) {
+      try {
+        qualification = await qualifyCallForContact(session, {
+          organizationId: req.user.orgId,
+          syncToCrm: logToCrm,
+          createdBy: req.user.uid
+        });
+      } catch (qualificationError) {
+        console.error('🔄 BACKEND: Failed to qualify call on end:', qualificationError.message);
+      }
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      status: session.status,
+      summary: session.summary || null,
+      crmActivity: crmActivity || null,
+      dealProposal,
+      qualification
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to end call session:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to end call session" });
+  }
+});
+
+// --- Propose a deal create/update from the call's buying signals (body: { email }) ---
+router.post("/sessions/:id/deal-proposal", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    const proposal = await proposeDealForSession(session, {
+      email: (req.body && req.body.email) || null,
+      userId: req.user.uid,
+      organizationId: req.user.orgId
+    });
+
+    return res.json({
+      success: true,
+      proposal,
+      ...(proposal ? {} : { message: "No buying signals or deal changes found in this call" })
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to propose deal:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to propose deal" });
+  }
+});
+
+// --- Qualify the call against a framework and update the contact's qualification ---
+/**
+ * Body: { framework, email, syncToCrm = true }
+ * - framework: "bant", "meddic" or a custom framework key (default: the org's framework)
+ * - email: contact to fold the result into (defaults to the session's customerEmail)
+ * - syncToCrm: push the contact's score and field breakdown to the CRM
+ */
+router.post("/sessions/:id/qualification", async (req, res) => {
+  const { framework = null, email = null, syncToCrm = true } = req.body || {};
+
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+    if (email && !session.customerEmail) {
+      session.customerEmail = email;
+    }
+
+    const result = await qualifyCallForContact(session, {
+      organizationId: req.user.orgId,
+      framework,
+      email,
+      syncToCrm,
+      createdBy: req.user.uid
+    });
+
+    return res.json({ success: true, sessionId: session.id, ...result });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to qualify call:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to qualify call" });
+  }
+});
+
+// --- Sentiment timeline of a call (per customer turn, rolling average, trend and alerts) ---
+router.get("/sessions/:id/sentiment", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    const windowSize = parseInt(req.query.window, 10);
+    const timeline = buildSentimentTimeline(session.turns, windowSize > 1 ? { windowSize: Math.min(windowSize, 20) } : {});
+    return res.json({ success: true, sessionId: session.id, ...timeline });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load sentiment timeline:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to load sentiment timeline" });
+  }
+});
+
+// --- Running key highlights of a call (current values, evidence and version) ---
+router.get("/sessions/:id/highlights", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    const state = session.highlightsState || emptyHighlightsState();
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      keyHighlights: toFlatState(state),
+      fields: state.fields,
+      version: state.version,
+      updatedAt: state.updatedAt,
+      // Per-turn changes, oldest first
+      changes: session.turns
+        .filter(turn => turn.highlightsDiff && !isEmptyDiff(turn.highlightsDiff))
+        .map(turn => ({ turnIndex: turn.index, ...turn.highlightsDiff }))
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load session highlights:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to load session highlights" });
+  }
+});
+
+// --- Call transcript (JSON turns, or plain text with ?format=text) ---
+router.get("/sessions/:id/transcript", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    if (req.query.format === "text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.send(formatTranscript(session.turns, Infinity));
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      status: session.status,
+      turns: session.turns.map(turn => ({
+        index: turn.index,
+        speaker: turn.speaker,
+        transcript: turn.transcript,
+        englishTranscript: turn.englishTranscript,
+        language: turn.language,
+        createdAt: turn.createdAt
+      }))
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to fetch transcript" });
+  }
+});
+
+// --- Download or stream a call recording (supports HTTP Range for seeking) ---
+// ?index= picks a recording run (0 = first; default: the latest)
+router.get("/sessions/:id/recording", async (req, res) => {
+  try {
+    const session = await getCallSession(req.params.id);
+    if (!session || !canAccessSession(session, req.user)) {
+      return res.status(404).json({ error: "Call session not found" });
+    }
+
+    const recordings = session.recordings || [];
+    const recording = req.query.index !== undefined
+      ? recordings[parseInt(req.query.index, 10)]
+      : recordings[recordings.length - 1];
+    if (!recording || !recording.storageKey || recording.status === "purged") {
+      return res.status(404).json({ error: "No recording available for this session" });
+    }
+
+    const storage = getRecordingStorage(recording.storage);
+    const stats = await storage.stat(recording.storageKey);
+    if (!stats) {
+      return res.status(404).json({ error: "Recording file not found" });
+    }
+
+    const size = stats.sizeBytes;
+    let start = 0;
+    let end = size - 1;
+    let status = 200;
+
+    const rangeHeader = req.headers.range;
+    if (rangeHeader) {
+      const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader);
+      if (match && (match[1] || match[2])) {
+        if (match[1]) {
+          start = parseInt(match[1], 10);
+          end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        } else {
+          // Suffix range: the last N bytes
+          start = Math.max(size - parseInt(match[2], 10), 0);
+        }
+      }
+      if (!match || start > end || start >= size) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).json({ error: "Requested range not satisfiable" });
+      }
+      status = 206;
+      res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+    }
+
+    res.status(status);
+    res.setHeader("Content-Type", recording.contentType || "application/octet-stream");
+    res.setHeader("Content-Length", end - start + 1);
+    res.setHeader("Accept-Ranges", "bytes");
+    if (req.query.download === "true") {
+      const fileName = recording.storageKey.split("/").pop();
+      res.setHeader("Content-Disposition", `attachment; filename="call-${session._id}-${fileName}"`);
+    }
+
+    if (size === 0) {
+      return res.end();
+    }
+
+    const reader = storage.createReader(recording.storageKey, { start, end });
+    reader.on("error", (error) => {
+      console.error('🔄 BACKEND: Failed to stream recording:', error.message);
+      res.destroy(error);
+    });
+    reader.pipe(res);
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to fetch recording:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to fetch recording" });
+  }
+});
+
+// --- Combined Pipeline Core (Real APIs) ---
+/**
+ * Run the sales/support pipeline for one customer utterance.
+ * Shared by the JSON endpoint, the SSE stream and the STT WebSocket.
+ * @param {Object} params - { transcript, mode, language, voice, conversationHistory, sessionId, speaker, qualify }
+ *   speaker: "rep" | "customer" (default). Rep utterances are recorded on the session but
+ *   never produce suggestions, sentiment or key highlights.
+ *   qualify: re-score the session against the org's qualification framework after this turn
+ *   (sales mode with a session only); the result is returned as `qualification`
+ *   With a session (sales mode) the session's running highlights are updated incrementally and
+ *   returned as `sessionHighlights` plus `highlightsDiff` ({ added, refined, retracted, version })
+ *   Sentiment comes with `sentimentTrend` over the last customer turns and a `sentimentAlert`
+ *   when the customer turned red or sentiment dropped sharply (also emitted as "sentiment.alert")
+ *   preview: admins/content admins test draft and in-review sales Q&A answers (and pending edits
+ *   of published ones) against a spoken query; no session, returned with `previewMatches`
+ * @param {Object} options - { user, emit(event, data) } - `user` is the authenticated caller;
+ *   `emit` receives progress events as they become available
+ * @returns {Promise<Object>} - Final pipeline payload (same shape as the /pipeline JSON reply)
+ */
+export async function runVoicePipeline(params = {}, { user = null, emit = null } = {}) {
   const pipelineStartTime = Date.now();
+  const emitEvent = (event, data) => {
+    if (!emit) return;
+    try {
+      emit(event, data);
+    } catch (emitError) {
+      console.error('🔄 BACKEND: Pipeline event handler error:', emitError.message);
+    }
+  };
+  const sections = createResponseSectionTracker(emitEvent);
+
   try {
-    let { mode = "sales", language = "en-US", conversationHistory = [] } = req.body || {};
-    const voice = getVoiceForLanguage(req.body?.voice || DEFAULT_VOICE, language);
+    let { mode = "sales", language = "en-US", conversationHistory = [], sessionId = null, speaker = "customer" } = params;
+    const qualify = params.qualify === true || params.qualify === "true";
+    const preview = params.preview === true || params.preview === "true";
+    if (preview && !SALES_QA_PREVIEW_ROLES.includes(user?.role)) {
+      const forbidden = new Error("Preview requires an admin or content-admin role");
+      forbidden.statusCode = 403;
+      throw forbidden;
+    }
+    if (preview && sessionId) {
+      const invalid = new Error("Preview runs can't be recorded on a call session");
+      invalid.statusCode = 400;
+      throw invalid;
+    }
+    const voice = getVoiceForLanguage(params.voice || DEFAULT_VOICE, language);
     console.log(`🔄 BACKEND: Pipeline started at ${new Date().toISOString()}`);
     
+    // With a session, history comes from the database instead of the client
+    let session = null;
+    if (sessionId) {
+      session = await getCallSession(sessionId);
+      if (!session || !canAccessSession(session, user)) {
+        const notFound = new Error("Call session not found");
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+      conversationHistory = getConversationHistory(session);
+    }
     
     // Ensure conversationHistory is an array
     if (!Array.isArray(conversationHistory)) {
@@ -743,18 +1404,48 @@ router.post("/pipeline", upload.none(), async (req, res) => {
 
     // ==========================================================
     // === TRANSCRIPT SECTION (Use provided live transcript from WebSocket STT) ===
-    transcript = req.body?.transcript || "";
+    transcript = params.transcript || "";
     
     if (transcript && transcript.trim()) {
     } else {
-        return res.status(200).json({
+        return {
           transcript: "",
           responseText: "",
           audioUrl: null,
           keyHighlights: {},
         message: "No transcript provided",
           meta: { mode, voice, language }
-      });
+      };
+    }
+
+    // --- REP UTTERANCE: keep it in the session transcript, but only customer turns drive the assistant ---
+    if (speaker === "rep") {
+      let repTurnIndex = null;
+      if (session) {
+        try {
+          repTurnIndex = await appendTurn(session.id, { speaker: "rep", transcript, language });
+        } catch (sessionError) {
+          console.error('🔄 BACKEND: Failed to store rep turn:', sessionError.message);
+        }
+      }
+      return {
+        transcript,
+        responseText: "",
+        audioUrl: null,
+        keyHighlights: {},
+        highlightEvidence: {},
+        sessionHighlights: session ? toFlatState(session.highlightsState) : null,
+        highlightsDiff: null,
+        sentimentData: null,
+        sentimentTrend: null,
+        sentimentAlert: null,
+        speaker: "rep",
+        sessionId: session ? session.id : null,
+        turnIndex: repTurnIndex,
+        message: "Rep utterance - no suggestions generated",
+        meta: { mode, voice, language },
+        success: true
+      };
     }
 
     // ==========================================================
@@ -791,11 +1482,32 @@ router.post("/pipeline", upload.none(), async (req, res) => {
     // OPTIMIZATION: NO TIMEOUT - Start GPT immediately, DB search runs in background
     // If DB finds match, use it; otherwise use GPT response
     const parallelStartTime = Date.now();
-    const sentimentPromise = analyzeSentiment(isGerman ? englishTranscript : transcript).catch(err => {
+    const sentimentPromise = analyzeSentiment(isGerman ? englishTranscript : transcript, {
+      organizationId: user?.orgId || "default",
+      language: isGerman ? "en-US" : language
+    }).catch(err => {
       console.error('🔄 BACKEND: Sentiment analysis error:', err.message);
       return null;
     });
-    const dbSearchPromise = mode === "sales" ? salesQAService.findMultipleMatchingQuestions(questions) : Promise.resolve([]);
+    let resolvedSentiment = null;
+    // Trend and alert against the customer's earlier turns of this session
+    const previousSentimentPoints = session ? session.turns.map(toSentimentPoint).filter(Boolean) : [];
+    let sentimentTrend = null;
+    let sentimentAlert = null;
+    sentimentPromise.then(s => {
+      if (!s) return;
+      resolvedSentiment = s;
+      const point = toSentimentPoint({ speaker: "customer", sentimentData: s });
+      if (point) {
+        sentimentTrend = detectSentimentTrend([...previousSentimentPoints, point]);
+        sentimentAlert = detectSentimentAlert(previousSentimentPoints, point);
+      }
+      emitEvent("sentiment", { sentimentData: s, sentimentTrend });
+      if (sentimentAlert) {
+        emitEvent("sentiment.alert", { alert: sentimentAlert, sessionId: session ? session.id : null });
+      }
+    });
+    const dbSearchPromise = mode === "sales" ? salesQAService.findMultipleMatchingQuestions(questions, { preview }) : Promise.resolve([]);
     
     // Start both promises but DON'T WAIT - GPT starts immediately
     // DB search will complete in background and we'll check it later if needed
@@ -824,8 +1536,31 @@ router.post("/pipeline", upload.none(), async (req, res) => {
     // --- GPT (with combined key highlights for sales mode) ---
     // OPTIMIZATION: Start GPT IMMEDIATELY without waiting for DB
     let keyHighlights = {};
+    let highlightEvidence = {}; // Quote + confidence per highlight (see keyHighlightsService)
     let useDbResponse = false;
     let dbResponseText = "";
+    let responseSource = null; // database | gpt | support | fallback (stored on the session turn)
+    let backgroundHighlightsPromise = null; // Late key highlights, patched onto the session turn
+
+    // Highlights are only kept when their quote is in what the customer said (either language)
+    const highlightSourceTexts = [...new Set([extractUserQuestion(originalTranscript), englishUserQuestion])];
+    const detectHighlights = (userQuestionForHighlights) =>
+      detectKeyHighlightsWithEvidence(userQuestionForHighlights, conversationHistory, { sourceTexts: highlightSourceTexts });
+    const applyHighlights = (result) => {
+      if (!result || Object.keys(result.keyHighlights || {}).length === 0) return false;
+      keyHighlights = result.keyHighlights;
+      highlightEvidence = result.highlightEvidence || {};
+      emitEvent("highlights", { keyHighlights, highlightEvidence });
+      return true;
+    };
+
+    // Session highlights: work out how this turn changes them while the reply is generated
+    const highlightOperationsPromise = session && mode === "sales"
+      ? computeHighlightOperations(session.highlightsState, extractUserQuestion(originalTranscript), { sourceTexts: highlightSourceTexts }).catch(err => {
+        console.error('🔄 BACKEND: Session highlights update error:', err.message);
+        return null;
+      })
+      : null;
     
     try {
       // Wait for DB search to complete (max 1 second) - prioritize database matches
@@ -845,6 +1580,7 @@ router.post("/pipeline", upload.none(), async (req, res) => {
         if (matchedQuestions.length > 0) {
           console.log(`✅ BACKEND: Using database response (found ${matchedQuestions.length} match(es) immediately)`);
           useDbResponse = true;
+          responseSource = "database";
           
           // Use database responses directly for faster response
           let englishResponseText = matchedQuestions.map((match, index) => {
@@ -871,6 +1607,7 @@ router.post("/pipeline", upload.none(), async (req, res) => {
           }
           
           responseText = dbResponseText;
+          sections.update(responseText, true);
           
           // Generate TTS immediately for database response (no 25-word check needed)
           // Database responses are short, so generate TTS right away
@@ -882,6 +1619,7 @@ router.post("/pipeline", upload.none(), async (req, res) => {
             });
             if (audioUrl) {
               console.log(`⚡ BACKEND: Database response TTS generated in ${Date.now() - dbTtsStartTime}ms`);
+              emitEvent("audio.ready", { audioUrl, early: false });
             }
           } catch (ttsErr) {
             console.error('🔄 BACKEND: Database response TTS generation failed:', ttsErr.message);
@@ -889,12 +1627,12 @@ router.post("/pipeline", upload.none(), async (req, res) => {
           
           // Run key highlights extraction in parallel (non-blocking)
           const userQuestionForHighlights = isGerman ? extractUserQuestion(originalTranscript) : englishUserQuestion;
-          detectKeyHighlights(userQuestionForHighlights, conversationHistory).then(h => {
-            if (h && Object.keys(h).length > 0) {
-              keyHighlights = h;
-            }
+          backgroundHighlightsPromise = detectHighlights(userQuestionForHighlights).then(h => {
+            applyHighlights(h);
+            return h;
           }).catch(err => {
             console.error('🔄 BACKEND: Key highlights extraction error:', err.message);
+            return null;
           });
         } else {
           // No DB match found immediately - start GPT streaming immediately
@@ -932,6 +1670,13 @@ router.post("/pipeline", upload.none(), async (req, res) => {
             const onEarlyTTS = (audioUrl) => {
               earlyTtsAudioUrl = audioUrl;
               console.log(`⚡ BACKEND: Early TTS audio ready!`);
+              emitEvent("audio.ready", { audioUrl, early: true });
+            };
+
+            // Callback for streamed tokens - forwards decoded response text
+            const onResponseDelta = (delta, responseSoFar) => {
+              emitEvent("response.delta", { text: delta });
+              sections.update(responseSoFar, false);
             };
             
             const result = await getGPTResponseWithKeyHighlightsStreaming(
@@ -944,11 +1689,15 @@ router.post("/pipeline", upload.none(), async (req, res) => {
               onEarlyTTS,
               ttsClient,
               voice,
-              language
+              language,
+              onResponseDelta,
+              highlightSourceTexts
             );
             console.log(`⏱️ BACKEND: GPT call (minimal context, streaming) time: ${Date.now() - gptStartTime}ms`);
             responseText = result.responseText; // GPT response is already in German if language is German (handled by addLanguageInstruction)
-            keyHighlights = result.keyHighlights || {};
+            responseSource = "gpt";
+            sections.update(responseText, true);
+            applyHighlights(result);
             
             // Use early TTS audio if available
             if (earlyTtsAudioUrl) {
@@ -961,12 +1710,12 @@ router.post("/pipeline", upload.none(), async (req, res) => {
             const userQuestionForHighlights = isGerman ? extractUserQuestion(originalTranscript) : englishUserQuestion;
             if (!keyHighlights || Object.keys(keyHighlights).length === 0) {
               // Run in background, don't wait
-              detectKeyHighlights(userQuestionForHighlights, conversationHistory).then(h => {
-                if (h && Object.keys(h).length > 0) {
-                  keyHighlights = h;
-                }
+              backgroundHighlightsPromise = detectHighlights(userQuestionForHighlights).then(h => {
+                applyHighlights(h);
+                return h;
               }).catch(err => {
                 console.error('🔄 BACKEND: Separate key highlights extraction error:', err.message);
+                return null;
               });
             }
           } catch (gptError) {
@@ -974,10 +1723,9 @@ router.post("/pipeline", upload.none(), async (req, res) => {
             // If GPT fails, try to extract key highlights separately
             const userQuestionForHighlights = isGerman ? extractUserQuestion(originalTranscript) : englishUserQuestion;
             try {
-              keyHighlights = await detectKeyHighlights(userQuestionForHighlights, conversationHistory);
+              applyHighlights(await detectHighlights(userQuestionForHighlights));
             } catch (extractError) {
               console.error('🔄 BACKEND: Separate extraction also failed:', extractError.message);
-              keyHighlights = {};
             }
             throw gptError; // Re-throw to be handled by outer catch
           }
@@ -1006,10 +1754,13 @@ router.post("/pipeline", upload.none(), async (req, res) => {
         console.log(`⏱️ BACKEND: GPT call (support mode) time: ${Date.now() - gptStartTime}ms`);
 
         responseText = completion.choices[0].message.content;
+        responseSource = "support";
+        emitEvent("response.delta", { text: responseText });
       }
 
     } catch (gptError) {
       console.error('🔄 BACKEND: GPT error:', gptError.message);
+      responseSource = "fallback";
       
       // Check for quota exceeded error
       if (gptError.status === 429 || gptError.code === 'insufficient_quota') {
@@ -1027,7 +1778,7 @@ Response C: I understand your concern. Let's explore the best solution for you.`
       const userQuestionForHighlights = isGerman ? extractUserQuestion(originalTranscript) : englishUserQuestion;
       if (!keyHighlights || Object.keys(keyHighlights).length === 0) {
         try {
-          keyHighlights = await detectKeyHighlights(userQuestionForHighlights, conversationHistory);
+          applyHighlights(await detectHighlights(userQuestionForHighlights));
         } catch (extractError) {
           console.error('🔄 BACKEND: Outer catch - key highlights extraction failed:', extractError.message);
           // keyHighlights remains as {} or whatever was set before
@@ -1086,6 +1837,7 @@ Response C: I understand your concern. Let's explore the best solution for you.`
           });
           if (audioUrl) {
             console.log(`⏱️ BACKEND: Normal TTS generation time: ${Date.now() - ttsStartTime}ms`);
+            emitEvent("audio.ready", { audioUrl, early: false });
           }
         }
       }
@@ -1099,23 +1851,219 @@ Response C: I understand your concern. Let's explore the best solution for you.`
     console.log(`✅ BACKEND: Total pipeline time: ${totalTime}ms`);
     console.log(`📊 BACKEND: Breakdown - Extract: ${extractTime}ms, Parallel ops: ${parallelTime}ms, GPT/Processing: ${processingTime}ms, TTS: ${ttsTime}ms`);
 
-    return res.json({
+    // --- SESSION PERSISTENCE: record the turn (audit trail + history for the next turn) ---
+    let turnIndex = null;
+    let qualificationPromise = null; // Re-scored qualification including this turn
+    let latestQualification = null;
+    let highlightsUpdatePromise = null; // Session highlights diff for this turn
+    let highlightsDiff = null;
+    let sessionHighlights = session ? toFlatState(session.highlightsState) : null;
+    if (session) {
+      try {
+        turnIndex = await appendTurn(session.id, {
+          speaker: "customer",
+          transcript,
+          englishTranscript: isGerman ? englishTranscript : undefined,
+          language,
+          responseText,
+          source: responseSource || "fallback",
+          matchedQuestions: useDbResponse ? matchedQuestions.map(m => ({
+            originalQuery: m.originalQuery,
+            matchedQuestion: m.matchedQuestion,
+            category: m.category,
+            similarity: m.similarity
+          })) : [],
+          keyHighlights,
+          sentimentData,
+          timings: { extractMs: extractTime, parallelMs: parallelTime, processingMs: processingTime, ttsMs: ttsTime, totalMs: totalTime }
+        });
+
+        if (highlightOperationsPromise) {
+          highlightsUpdatePromise = highlightOperationsPromise.then(async operations => {
+            const result = await applySessionHighlightOperations(session.id, operations || [], { turnIndex });
+            highlightsDiff = result.diff;
+            sessionHighlights = toFlatState(result.state);
+            if (!isEmptyDiff(result.diff)) {
+              emitEvent("highlights.diff", { highlightsDiff, sessionHighlights });
+              await updateTurn(session.id, turnIndex, { highlightsDiff: result.diff });
+            }
+            return result;
+          }).catch(err => {
+            console.error('🔄 BACKEND: Failed to store session highlights:', err.message);
+            return null;
+          });
+        }
+
+        // Evidence carries the turn index, which is only known once the turn is stored
+        if (Object.keys(highlightEvidence).length > 0) {
+          updateTurn(session.id, turnIndex, { highlightEvidence: withEvidenceTurnIndex(highlightEvidence, turnIndex) }).catch(err => {
+            console.error('🔄 BACKEND: Failed to store highlight evidence:', err.message);
+          });
+        }
+
+        // Highlights and sentiment may still be running - patch them in when they land
+        if (backgroundHighlightsPromise) {
+          backgroundHighlightsPromise.then(h => {
+            if (h && Object.keys(h.keyHighlights || {}).length > 0) {
+              return updateTurn(session.id, turnIndex, {
+                keyHighlights: h.keyHighlights,
+                highlightEvidence: withEvidenceTurnIndex(h.highlightEvidence, turnIndex)
+              });
+            }
+          }).catch(err => {
+            console.error('🔄 BACKEND: Failed to store late key highlights:', err.message);
+          });
+        }
+        if (!sentimentData) {
+          sentimentPromise.then(s => {
+            if (s) {
+              return updateTurn(session.id, turnIndex, { sentimentData: s });
+            }
+          }).catch(err => {
+            console.error('🔄 BACKEND: Failed to store late sentiment:', err.message);
+          });
+        }
+
+        if (qualify && mode === "sales") {
+          const turnsWithCurrent = [...session.turns, { index: turnIndex, speaker: "customer", transcript, englishTranscript: isGerman ? englishTranscript : undefined }];
+          qualificationPromise = qualifySession(session, { organizationId: user?.orgId || "default", turns: turnsWithCurrent }).then(q => {
+            latestQualification = q;
+            emitEvent("qualification", { qualification: q });
+            return q;
+          }).catch(err => {
+            console.error('🔄 BACKEND: Qualification error:', err.message);
+            return null;
+          });
+        }
+      } catch (sessionError) {
+        console.error('🔄 BACKEND: Failed to store session turn:', sessionError.message);
+      }
+    }
+
+    // Every reply carries the session highlights diff when it lands in time
+    if (highlightsUpdatePromise) {
+      await Promise.race([
+        highlightsUpdatePromise,
+        new Promise(resolve => setTimeout(resolve, HIGHLIGHTS_DIFF_MAX_WAIT_MS))
+      ]);
+    }
+
+    // Streaming consumers get late highlights/sentiment before the final event (bounded wait)
+    if (emit) {
+      await Promise.race([
+        Promise.allSettled([backgroundHighlightsPromise, sentimentPromise, qualificationPromise]),
+        new Promise(resolve => setTimeout(resolve, BACKGROUND_EVENTS_MAX_WAIT_MS))
+      ]);
+      sentimentData = sentimentData || resolvedSentiment;
+    }
+
+    return {
       transcript,
       responseText,
       audioUrl,
       keyHighlights,
+      highlightEvidence: turnIndex !== null ? withEvidenceTurnIndex(highlightEvidence, turnIndex) : highlightEvidence,
+      // Session-wide highlights and what this turn changed (sessions only; diff null if still pending)
+      sessionHighlights,
+      highlightsDiff,
       sentimentData,
+      // Trend over the last customer turns and an alert when sentiment turned red / dropped sharply
+      // (null while sentiment is still pending)
+      sentimentTrend,
+      sentimentAlert: sentimentAlert ? { ...sentimentAlert, turnIndex } : null,
+      // Latest score; without streaming this is the previous turn's until the new one lands
+      qualification: latestQualification || (session && session.qualification) || null,
+      speaker: "customer",
+      sessionId: session ? session.id : null,
+      turnIndex,
+      // Preview runs: every sales Q&A match with its review status (unpublished: not live yet)
+      ...(preview ? {
+        preview: true,
+        previewMatches: matchedQuestions.map(m => ({
+          originalQuery: m.originalQuery,
+          matchedQuestion: m.matchedQuestion,
+          category: m.category,
+          similarity: m.similarity,
+          status: m.status,
+          unpublished: m.preview
+        }))
+      } : {}),
       meta: { mode, voice, language },
       success: true
-    });
+    };
   } catch (error) {
     console.error('🔄 BACKEND: Pipeline fatal error:', error.message);
-    return res.status(500).json({ error: "Voice pipeline failed" });
+    throw error;
+  }
+}
+
+// --- Combined Pipeline (Real APIs) ---
+// preview=true (admins/content admins): match unpublished sales Q&A too, see runVoicePipeline
+router.post("/pipeline", upload.none(), async (req, res) => {
+  try {
+    const result = await runVoicePipeline(req.body || {}, { user: req.user });
+    return res.json(result);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Voice pipeline failed" });
+  }
+});
+
+// --- Streaming Pipeline (Server-Sent Events) ---
+// Same input as /pipeline. Emits response.delta, response.A/B/C, audio.ready,
+// highlights, highlights.diff, sentiment, sentiment.alert and qualification events as they become available, then a final "done".
+// POST-based, so clients read it with fetch() streaming rather than EventSource.
+router.post("/pipeline/stream", upload.none(), async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // Disable proxy buffering (nginx/Render)
+  });
+  res.flushHeaders();
+
+  let clientClosed = false;
+  res.on("close", () => {
+    clientClosed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await runVoicePipeline(req.body || {}, { user: req.user, emit: sendEvent });
+    sendEvent("done", result);
+  } catch (error) {
+    sendEvent("error", { error: error.statusCode ? error.message : "Voice pipeline failed" });
   }
+  res.end();
 });
 
 // --- CRM API Endpoints ---
 
+// Clients may send an Idempotency-Key header so a retried request never writes twice
+function getIdempotencyKey(req) {
+  return req.get("Idempotency-Key") || (req.body && req.body.idempotencyKey) || null;
+}
+
+// Response for CRM writes that did not complete inline (see crmSyncQueue)
+function sendPendingCrmSync(res, outcome) {
+  if (outcome.status === "queued") {
+    return res.status(202).json({
+      success: true,
+      queued: true,
+      jobId: outcome.jobId,
+      message: "CRM is unavailable right now; the update is queued and will be retried"
+    });
+  }
+  return res.status(502).json({
+    success: false,
+    error: `CRM rejected the update${outcome.error ? `: ${outcome.error}` : ""}`,
+    deadLetterId: outcome.deadLetterId
+  });
+}
+
 // Get customer data by email
 router.get("/crm/customer/:email", async (req, res) => {
   try {
@@ -1124,7 +2072,8 @@ router.get("/crm/customer/:email", async (req, res) => {
       return res.status(400).json({ error: "Email parameter is required" });
     }
 
-    const contact = await getContactByEmail(email);
+    const crm = await getCrmProvider(req.user.orgId);
+    const contact = await crm.findContactByEmail(email);
     if (!contact) {
       return res.json({
         success: true,
@@ -1133,29 +2082,32 @@ router.get("/crm/customer/:email", async (req, res) => {
       });
     }
 
-    // Extract key information from HubSpot contact
     const customerData = {
       id: contact.id,
-      name: contact.properties.firstname || contact.properties.lastname
-        ? `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim()
-        : null,
-      email: contact.properties.email,
-      phone: contact.properties.phone,
-      company: contact.properties.company,
-      lastUpdated: contact.updatedAt || contact.createdAt,
-      hubspotData: true // Flag to indicate this data comes from HubSpot
+      name: contact.name,
+      email: contact.email,
+      phone: contact.phone,
+      company: contact.company,
+      lastUpdated: contact.lastUpdated,
+      provider: crm.name,
+      hubspotData: crm.name === "hubspot" // Kept for older frontends
     };
 
+    // Contact memory across calls (providers that keep activities locally)
+    if (typeof crm.getActivities === "function") {
+      customerData.recentActivities = await crm.getActivities(email, 5);
+    }
+
     return res.json({
       success: true,
       customerData
     });
   } catch (error) {
-    return res.status(500).json({ error: "Failed to fetch customer data" });
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to fetch customer data" });
   }
 });
 
-// Create or update customer in HubSpot
+// Create or update customer in the organization's CRM
 router.post("/crm/customer", async (req, res) => {
   try {
     const { name, email, phoneNumber, companyName } = req.body;
@@ -1164,8 +2116,8 @@ router.post("/crm/customer", async (req, res) => {
       return res.status(400).json({ error: "Email is required" });
     }
 
-    // Create or update basic contact info
-    const contactResponse = await upsertHubspotContact({
+    const crm = await getCrmProvider(req.user.orgId);
+    const contact = await crm.upsertContact({
       name,
       email,
       phoneNumber,
@@ -1175,10 +2127,11 @@ router.post("/crm/customer", async (req, res) => {
     return res.json({
       success: true,
       message: "Customer data updated successfully",
-      contactId: contactResponse.id
+      contactId: contact.id,
+      provider: crm.name
     });
   } catch (error) {
-    return res.status(500).json({ error: "Failed to update customer data" });
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to update customer data" });
   }
 });
 
@@ -1191,163 +2144,48 @@ router.post("/crm/search-customer", async (req, res) => {
       return res.status(400).json({ error: "Name or company is required" });
     }
 
-    const token = process.env.HUBSPOT_TOKEN || process.env.VITE_HUBSPOT_TOKEN;
-    if (!token) {
-      return res.json({
-        success: true,
-        customers: [],
-        message: "HubSpot not configured - please set HUBSPOT_TOKEN environment variable"
-      });
-    }
-
-    const hubspotClient = new Hubspot({ accessToken: token });
-
-    // Search by name first
-    let searchResults = [];
-    if (name) {
-      try {
-        // Split name into parts for better search
-        const nameParts = name.trim().split(' ');
-        const filters = [];
-
-        // Search by firstname
-        if (nameParts[0]) {
-          filters.push({
-            propertyName: "firstname",
-            operator: "CONTAINS_TOKEN",
-            value: nameParts[0]
-          });
-        }
-
-        // Search by lastname if available
-        if (nameParts[1]) {
-          filters.push({
-            propertyName: "lastname",
-            operator: "CONTAINS_TOKEN",
-            value: nameParts[1]
-          });
-        }
-
-        const nameSearch = await hubspotClient.crm.contacts.searchApi.doSearch({
-          filterGroups: [{
-            filters: filters
-          }],
-          properties: ["firstname", "lastname", "email", "phone", "company"],
-          limit: 10
+    const crm = await getCrmProvider(req.user.orgId);
+    let customers = [];
+    try {
+      customers = await crm.searchContacts({ name, company });
+    } catch (searchError) {
+      if (searchError.code === 'ENOTFOUND' || searchError.message.includes('getaddrinfo ENOTFOUND')) {
+        return res.json({
+          success: true,
+          customers: [],
+          message: `Network connectivity issue - cannot reach ${crm.label}`
         });
-
-        if (nameSearch.results && nameSearch.results.length > 0) {
-          searchResults = nameSearch.results.map(contact => ({
-            id: contact.id,
-            name: contact.properties.firstname || contact.properties.lastname
-              ? `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim()
-              : null,
-            email: contact.properties.email,
-            phone: contact.properties.phone,
-            company: contact.properties.company,
-            lastUpdated: contact.updatedAt || contact.createdAt
-          }));
-        }
-      } catch (nameError) {
-        if (nameError.code === 'ENOTFOUND' || nameError.message.includes('getaddrinfo ENOTFOUND')) {
-          return res.json({
-            success: true,
-            customers: [],
-            message: "Network connectivity issue - cannot reach HubSpot API"
-          });
-        }
       }
-    }
-
-    // If no results by name, try combined search (name + company)
-    if (searchResults.length === 0 && name && company) {
-      try {
-        const combinedSearch = await hubspotClient.crm.contacts.searchApi.doSearch({
-          filterGroups: [{
-            filters: [
-              {
-                propertyName: "firstname",
-                operator: "CONTAINS_TOKEN",
-                value: name.split(' ')[0] || name
-              },
-              {
-                propertyName: "company",
-                operator: "CONTAINS_TOKEN",
-                value: company
-              }
-            ]
-          }],
-          properties: ["firstname", "lastname", "email", "phone", "company"],
-          limit: 10
+      if (searchError.message.includes("HUBSPOT_TOKEN missing")) {
+        return res.json({
+          success: true,
+          customers: [],
+          message: "HubSpot not configured - please set HUBSPOT_TOKEN environment variable"
         });
-
-        if (combinedSearch.results && combinedSearch.results.length > 0) {
-          searchResults = combinedSearch.results.map(contact => ({
-            id: contact.id,
-            name: contact.properties.firstname || contact.properties.lastname
-              ? `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim()
-              : null,
-            email: contact.properties.email,
-            phone: contact.properties.phone,
-            company: contact.properties.company,
-            lastUpdated: contact.updatedAt || contact.createdAt
-          }));
-        }
-      } catch (combinedError) {
-      }
-    }
-
-    // If still no results, search by company only
-    if (searchResults.length === 0 && company) {
-      try {
-        const companySearch = await hubspotClient.crm.contacts.searchApi.doSearch({
-          filterGroups: [{
-            filters: [{
-              propertyName: "company",
-              operator: "CONTAINS_TOKEN",
-              value: company
-            }]
-          }],
-          properties: ["firstname", "lastname", "email", "phone", "company"],
-          limit: 10
-        });
-
-        if (companySearch.results && companySearch.results.length > 0) {
-          searchResults = companySearch.results.map(contact => ({
-            id: contact.id,
-            name: contact.properties.firstname || contact.properties.lastname
-              ? `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim()
-              : null,
-            email: contact.properties.email,
-            phone: contact.properties.phone,
-            company: contact.properties.company,
-            lastUpdated: contact.updatedAt || contact.createdAt
-          }));
-        }
-      } catch (companyError) {
-        if (companyError.code === 'ENOTFOUND' || companyError.message.includes('getaddrinfo ENOTFOUND')) {
-          return res.json({
-            success: true,
-            customers: [],
-            message: "Network connectivity issue - cannot reach HubSpot API"
-          });
-        }
       }
+      throw searchError;
     }
 
     return res.json({
       success: true,
-      customers: searchResults
+      customers: customers.map(({ id, name: contactName, email, phone, company: contactCompany, lastUpdated }) => ({
+        id,
+        name: contactName,
+        email,
+        phone,
+        company: contactCompany,
+        lastUpdated
+      }))
     });
   } catch (error) {
-    return res.status(500).json({ error: "Failed to search customer" });
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to search customer" });
   }
 });
 
 // Extract customer information from conversation
 router.post("/crm/extract-customer-info", async (req, res) => {
   try {
-    const { transcript, conversationHistory = [] } = req.body;
+    const { transcript, conversationHistory = [], lowConfidenceSpans = [] } = req.body;
 
     if (!transcript) {
       return res.status(400).json({ error: "Transcript is required" });
@@ -1356,9 +2194,13 @@ router.post("/crm/extract-customer-info", async (req, res) => {
     // Use the CRM service to extract customer info
     const extractedData = await extractCustomerInfoFromTranscript(transcript, conversationHistory);
 
+    // Flag email/phone values the rep should double-check (from STT word confidence)
+    const needsReview = flagLowConfidenceFields(extractedData, lowConfidenceSpans);
+
     return res.json({
       success: true,
-      extractedData
+      extractedData,
+      needsReview
     });
   } catch (error) {
     return res.status(500).json({ error: "Failed to extract customer information" });
@@ -1375,19 +2217,28 @@ router.post("/crm/extract-key-highlights", async (req, res) => {
     }
 
     const userQuestion = extractUserQuestion(transcript);
-    const keyHighlights = await detectKeyHighlights(userQuestion, conversationHistory);
+    const { keyHighlights, highlightEvidence } = await detectKeyHighlightsWithEvidence(userQuestion, conversationHistory);
 
     return res.json({
       success: true,
-      keyHighlights
+      keyHighlights,
+      highlightEvidence
     });
   } catch (error) {
     return res.status(500).json({ error: "Failed to extract key highlights" });
   }
 });
 
+// These endpoints call the shared HubSpot portal directly, so only its organizations may use them
+function requireHubspotOrganization(req, res, next) {
+  if (!isCrmProviderAvailable("hubspot", req.user.orgId)) {
+    return res.status(403).json({ error: "HubSpot is not available to this organization" });
+  }
+  next();
+}
+
 // Debug endpoint to test HubSpot search with specific email
-router.post("/crm/debug-hubspot-search", async (req, res) => {
+router.post("/crm/debug-hubspot-search", requireRole("admin"), requireHubspotOrganization, async (req, res) => {
   try {
     const { email, name, company } = req.body;
 
@@ -1408,38 +2259,10 @@ router.post("/crm/debug-hubspot-search", async (req, res) => {
     // Try name/company search if email search failed
     if (!foundCustomer && (name || company)) {
       try {
-        const token = process.env.HUBSPOT_TOKEN || process.env.VITE_HUBSPOT_TOKEN;
-        if (token) {
-          const hubspotClient = new Hubspot({ accessToken: token });
-
-          const filters = [];
-          if (name) {
-            filters.push({
-              propertyName: "firstname",
-              operator: "CONTAINS_TOKEN",
-              value: name
-            });
-          }
-          if (company) {
-            filters.push({
-              propertyName: "company",
-              operator: "CONTAINS_TOKEN",
-              value: company
-            });
-          }
-
-          if (filters.length > 0) {
-            const searchResult = await hubspotClient.crm.contacts.searchApi.doSearch({
-              filterGroups: [{ filters }],
-              properties: ["email", "firstname", "lastname", "phone", "company"],
-              limit: 5,
-            });
-
-            if (searchResult.results && searchResult.results.length > 0) {
-              foundCustomer = searchResult.results[0];
-              searchMethod = "name/company";
-            }
-          }
+        const results = await searchContacts({ name, company });
+        if (results.length > 0) {
+          foundCustomer = results[0];
+          searchMethod = "name/company";
         }
       } catch (error) {
       }
@@ -1475,7 +2298,7 @@ router.post("/crm/debug-hubspot-search", async (req, res) => {
 });
 
 // Create custom properties in HubSpot
-router.post("/crm/create-custom-properties", async (req, res) => {
+router.post("/crm/create-custom-properties", requireRole("admin"), requireHubspotOrganization, async (req, res) => {
   try {
 
     await createCustomProperties();
@@ -1489,7 +2312,45 @@ router.post("/crm/create-custom-properties", async (req, res) => {
   }
 });
 
-// Get key highlights from HubSpot contact by email
+// --- Qualification of a contact across calls (query: framework, default the org's framework) ---
+router.get("/crm/qualification/:email", async (req, res) => {
+  try {
+    const framework = req.query.framework
+      ? await getQualificationFramework(req.user.orgId, req.query.framework)
+      : await getOrgQualificationFramework(req.user.orgId);
+    if (!framework) {
+      return res.status(400).json({ error: `Unknown qualification framework: ${req.query.framework}` });
+    }
+
+    const qualification = await getContactQualification(req.user.orgId, req.params.email, framework.key);
+    return res.json({
+      success: true,
+      framework,
+      qualification: qualification
+        ? {
+          score: qualification.score,
+          fields: qualification.fields,
+          sessionIds: qualification.sessionIds,
+          crmSync: qualification.crmSync || null,
+          updatedAt: qualification.updatedAt
+        }
+        : null,
+      ...(qualification ? {} : { message: "No qualification recorded for this customer" })
+    });
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load contact qualification:', error);
+    return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to load contact qualification" });
+  }
+});
+
+// --- Key highlights for a contact: full per-call history plus the merged current view ---
+/**
+ * Query: limit (history entries returned, default 50)
+ * - keyHighlights: current view as flat strings (same shape as before)
+ * - current: merged view; budget/timeline carry the values they revised in `previous`
+ * - history: saved entries, newest first; source is "database", the CRM's log, or
+ *   "legacy" when only pre-history highlight properties exist
+ */
 router.get("/crm/key-highlights/:email", async (req, res) => {
   try {
     const { email } = req.params;
@@ -1497,46 +2358,89 @@ router.get("/crm/key-highlights/:email", async (req, res) => {
     if (!email) {
       return res.status(400).json({ error: "Email parameter is required" });
     }
-
-    const keyHighlights = await getKeyHighlightsByEmail(email);
-
-    if (!keyHighlights) {
-      return res.json({
-        success: true,
-        keyHighlights: {},
-        message: "No key highlights found for this customer"
-      });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const crm = await getCrmProvider(req.user.orgId);
+    let history = await getKeyHighlightsHistory(req.user.orgId, email);
+    let historySource = "database";
+    if ((!history || history.length === 0) && crm.getKeyHighlightsHistory) {
+      history = await crm.getKeyHighlightsHistory(email);
+      historySource = crm.name;
+    }
+    if (!history || history.length === 0) {
+      // Highlights saved before history was kept
+      const legacy = await crm.getKeyHighlights(email);
+      history = legacy ? [{ highlights: legacy, recordedAt: null, sessionId: null }] : [];
+      historySource = "legacy";
     }
 
+    const current = mergeKeyHighlightHistory(history);
+    const keyHighlights = toFlatHighlights(current);
+
     return res.json({
       success: true,
-      keyHighlights
+      keyHighlights,
+      current,
+      history: history.slice(0, limit).map(entry => ({
+        highlights: cleanHighlights(entry.highlights),
+        recordedAt: entry.recordedAt || null,
+        sessionId: entry.sessionId || null
+      })),
+      historyCount: history.length,
+      historySource,
+      ...(Object.keys(keyHighlights).length === 0 ? { message: "No key highlights found for this customer" } : {})
     });
   } catch (error) {
     return res.status(500).json({ 
-      error: "Failed to fetch key highlights from HubSpot",
+      error: "Failed to fetch key highlights from CRM",
       details: error.message 
     });
   }
 });
 
-// Save key highlights to HubSpot contact
+// Save key highlights to the contact (body: { email, keyHighlights, sessionId })
+// Each save is added to the contact's history; the CRM keeps the merged current view
 router.post("/crm/save-key-highlights", async (req, res) => {
   try {
-    const { email, keyHighlights } = req.body;
+    const { email, keyHighlights, sessionId = null } = req.body;
 
     if (!email) {
       return res.status(400).json({ error: "Email is required" });
     }
 
-    if (!keyHighlights || Object.keys(keyHighlights).length === 0) {
+    if (!keyHighlights || Object.keys(cleanHighlights(keyHighlights)).length === 0) {
       return res.status(400).json({ error: "Key highlights data is required" });
     }
 
-    // Update the contact with key highlights
-    const result = await updateContactWithKeyHighlights(email, keyHighlights);
+    const idempotencyKey = getIdempotencyKey(req);
+    const recordedAt = new Date();
+    // History first: the local CRM derives the contact's current view from it
+    const entry = await recordKeyHighlights({
+      organizationId: req.user.orgId,
+      email,
+      highlights: keyHighlights,
+      sessionId,
+      recordedAt,
+      idempotencyKey,
+      createdBy: req.user.uid
+    });
+    const outcome = await syncCrmWrite({
+      organizationId: req.user.orgId,
+      operation: "saveKeyHighlights",
+      payload: {
+        email,
+        keyHighlights: cleanHighlights(keyHighlights),
+        sessionId,
+        recordedAt: entry ? entry.recordedAt : recordedAt
+      },
+      idempotencyKey,
+      createdBy: req.user.uid
+    });
+    if (outcome.status !== "succeeded") {
+      return sendPendingCrmSync(res, outcome);
+    }
 
-    if (!result) {
+    if (!outcome.result) {
       return res.json({
         success: false,
         message: "No contact found with this email or no highlights to save"
@@ -1545,19 +2449,20 @@ router.post("/crm/save-key-highlights", async (req, res) => {
 
     return res.json({
       success: true,
-      message: "Key highlights saved successfully to HubSpot",
-      contactId: result.id,
+      message: "Key highlights saved successfully to CRM",
+      contactId: outcome.result.contactId,
       email: email
     });
   } catch (error) {
-    return res.status(500).json({ 
-      error: "Failed to save key highlights to HubSpot",
+    // 409: the idempotency key was already used for another CRM write
+    return res.status(error.statusCode === 409 ? 409 : 500).json({ 
+      error: "Failed to save key highlights to CRM",
       details: error.message 
     });
   }
 });
 
-// Save light sentiment to HubSpot contact
+// Save light sentiment to the contact
 router.post("/crm/save-sentiment", async (req, res) => {
   try {
     const { email, sentimentData } = req.body;
@@ -1570,10 +2475,18 @@ router.post("/crm/save-sentiment", async (req, res) => {
       return res.status(400).json({ error: "Sentiment data with color is required" });
     }
 
-    // Update the contact with sentiment
-    const result = await updateContactWithSentiment(email, sentimentData);
+    const outcome = await syncCrmWrite({
+      organizationId: req.user.orgId,
+      operation: "saveSentiment",
+      payload: { email, sentimentData },
+      idempotencyKey: getIdempotencyKey(req),
+      createdBy: req.user.uid
+    });
+    if (outcome.status !== "succeeded") {
+      return sendPendingCrmSync(res, outcome);
+    }
 
-    if (!result) {
+    if (!outcome.result) {
       return res.json({
         success: false,
         message: "No contact found with this email or no sentiment to save"
@@ -1582,19 +2495,19 @@ router.post("/crm/save-sentiment", async (req, res) => {
 
     return res.json({
       success: true,
-      message: "Sentiment saved successfully to HubSpot",
-      contactId: result.id,
+      message: "Sentiment saved successfully to CRM",
+      contactId: outcome.result.contactId,
       email: email
     });
   } catch (error) {
     
     // Provide more helpful error messages
-    let errorMessage = error.message || "Failed to save sentiment to HubSpot";
+    let errorMessage = error.message || "Failed to save sentiment to CRM";
     if (error.details?.statusCode === 400) {
       errorMessage += ". This may be because the custom sentiment properties (light_sentiment, sentiment_score, sentiment_label) don't exist in HubSpot. Please ensure these properties are created first.";
     }
     
-    return res.status(500).json({ 
+    return res.status(error.statusCode === 409 ? 409 : 500).json({ 
       error: errorMessage,
       details: error.message,
       statusCode: error.details?.statusCode || error.statusCode
@@ -0,0 +1,356 @@
+import { WebSocketServer } from "ws";
+import { speechClient, runVoicePipeline } from "./voice.js";
+import { verifyAuthToken } from "../middleware/auth.js";
+import { createRotatingRecognizeStream, buildSpeakerConfig, resolveSpeaker, getWordDetails, findLowConfidenceSpans } from "../services/sttStreamService.js";
+import { buildSpeechContexts } from "../services/phraseHintsService.js";
+import { getCallSession, canAccessSession } from "../services/callSessionService.js";
+import { startRecording } from "../services/recordingService.js";
+
+/**
+ * Streaming STT over WebSocket (`/ws/voice/stt`).
+ * Auth: Firebase ID token via `token` query param, or a first text message
+ *   `{ "type": "auth", "token": "..." }` sent within AUTH_TIMEOUT_MS. Audio is
+ *   only forwarded to Google once the token is verified; audio sent meanwhile is held
+ *   (up to MAX_EARLY_AUDIO_BYTES) and forwarded when the stream is ready.
+ * Query params: language, encoding, sampleRateHertz, hints (JSON array), lowConfidenceThreshold
+ * Phrase hints: besides the client `hints`, SalesQA terms, the contact's name/company
+ *   (contactEmail) and the organization's custom vocabulary are added automatically,
+ *   each with its own boost; autoHints=false limits recognition to the client hints.
+ * Transcript events: { transcript, isFinal, stability, resultEndMs, words[], lowConfidenceSpans[] }
+ *   words carry startMs/endMs (call timeline) and confidence; confidence and the
+ *   low-confidence spans are only populated on final results.
+ * Auto-respond (opt-in): autoRespond=true, mode, voice, sessionId, qualify
+ *   Each final transcript runs the voice pipeline server-side and its events
+ *   (response.delta, response.A/B/C, audio.ready, highlights, highlights.diff, sentiment, sentiment.alert, qualification) are
+ *   pushed back on the same socket, bracketed by pipeline.started / pipeline.done.
+ * Speakers (opt-in): diarization=true [repSpeakerTag=1], or channels=2 [repChannel=1]
+ *   when rep and customer are on separate channels. Transcript events then carry
+ *   `speaker: "rep" | "customer"` and auto-respond only answers customer turns.
+ * Recording (opt-in): record=true with a sessionId stores the incoming audio on the
+ *   server (see recordingService); download it via GET /api/voice/sessions/:id/recording
+ *   (each reconnect with record=true adds a recording run; ?index= picks one).
+ * Long calls: the Google stream is rotated before its duration limit; the client
+ *   receives `stream.rotated` and keeps sending audio on the same socket.
+ */
+
+// Turns of local history kept per socket when no sessionId is given
+const LOCAL_HISTORY_LIMIT = 5;
+
+// Time allowed for the `auth` message when no token is passed in the query
+const AUTH_TIMEOUT_MS = 10000;
+
+// Application close code for failed authentication (4000-4999 are app-defined)
+const CLOSE_UNAUTHORIZED = 4401;
+
+// Audio held while the token is verified and phrase hints are built (~10s of 48kHz stereo LINEAR16)
+const MAX_EARLY_AUDIO_BYTES = 2 * 1024 * 1024;
+// Standard close code for data the server won't take ("message too big")
+const CLOSE_TOO_BIG = 1009;
+
+function sendJSON(ws, payload) {
+  try {
+    ws.send(JSON.stringify(payload));
+  } catch (_) {}
+}
+
+function rejectUnauthorized(ws, message) {
+  sendJSON(ws, { type: "error", message });
+  try {
+    ws.close(CLOSE_UNAUTHORIZED, "Unauthorized");
+  } catch (_) {}
+}
+
+// Hold messages from connection time until recognition starts, so the start of the call isn't lost
+function holdEarlyMessages(ws) {
+  const messages = [];
+  let bytes = 0;
+  const hold = (message, isBinary) => {
+    bytes += message.length;
+    if (bytes > MAX_EARLY_AUDIO_BYTES) {
+      ws.off("message", hold);
+      sendJSON(ws, { type: "error", message: "Too much audio before the stream was ready" });
+      try {
+        ws.close(CLOSE_TOO_BIG, "Too much early audio");
+      } catch (_) {}
+      return;
+    }
+    messages.push([message, isBinary]);
+  };
+  ws.on("message", hold);
+
+  // Stop holding and return the held messages in arrival order
+  return () => {
+    ws.off("message", hold);
+    return messages.splice(0);
+  };
+}
+
+export function attachVoiceSttSocket(server) {
+  const wss = new WebSocketServer({ server, path: "/ws/voice/stt" });
+
+  wss.on("connection", async (ws, req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const queryToken = url.searchParams.get("token");
+    const releaseEarlyMessages = holdEarlyMessages(ws);
+
+    // --- Token in query: verify before accepting anything else ---
+    if (queryToken) {
+      try {
+        const user = await verifyAuthToken(queryToken);
+        startRecognition(ws, url, user, releaseEarlyMessages);
+      } catch (_) {
+        rejectUnauthorized(ws, "Invalid or expired token");
+      }
+      return;
+    }
+
+    // --- Otherwise the first message must be { type: "auth", token } ---
+    const authTimer = setTimeout(() => {
+      rejectUnauthorized(ws, "Authentication timed out");
+    }, AUTH_TIMEOUT_MS);
+
+    // (added after holdEarlyMessages' listener, so the auth message is held too; it's ignored on replay)
+    ws.once("message", async (message, isBinary) => {
+      clearTimeout(authTimer);
+      try {
+        const payload = isBinary ? null : JSON.parse(message.toString());
+        if (!payload || payload.type !== "auth" || !payload.token) {
+          return rejectUnauthorized(ws, "First message must be an auth message");
+        }
+        const user = await verifyAuthToken(payload.token);
+        startRecognition(ws, url, user, releaseEarlyMessages);
+      } catch (_) {
+        rejectUnauthorized(ws, "Invalid or expired token");
+      }
+    });
+
+    ws.once("close", () => clearTimeout(authTimer));
+  });
+
+  return wss;
+}
+
+// --- Per-connection recognition, started once the caller is authenticated ---
+// releaseEarlyMessages: from holdEarlyMessages; messages keep being held while phrase hints are built
+async function startRecognition(ws, url, user, releaseEarlyMessages) {
+  if (ws.readyState !== ws.OPEN) {
+    releaseEarlyMessages();
+    return;
+  }
+
+  try {
+    const language = url.searchParams.get("language") || "en-US";
+    const encoding = (url.searchParams.get("encoding") || "WEBM_OPUS").toUpperCase();
+    const sampleRateHertz = parseInt(url.searchParams.get("sampleRateHertz") || "48000", 10);
+
+    // --- Auto-respond options ---
+    const autoRespond = url.searchParams.get("autoRespond") === "true";
+    const pipelineOptions = {
+      mode: url.searchParams.get("mode") || "sales",
+      voice: url.searchParams.get("voice") || undefined,
+      sessionId: url.searchParams.get("sessionId") || null,
+      qualify: url.searchParams.get("qualify") === "true",
+      language
+    };
+
+    // --- Speaker separation options ---
+    const channels = parseInt(url.searchParams.get("channels") || "1", 10);
+    const { config: speakerConfig, speakerOptions } = buildSpeakerConfig({
+      diarization: url.searchParams.get("diarization") === "true",
+      channels,
+      repSpeakerTag: parseInt(url.searchParams.get("repSpeakerTag") || "1", 10),
+      repChannel: parseInt(url.searchParams.get("repChannel") || "1", 10)
+    });
+
+    const lowConfidenceParam = parseFloat(url.searchParams.get("lowConfidenceThreshold"));
+    const lowConfidenceThreshold = Number.isFinite(lowConfidenceParam) ? lowConfidenceParam : undefined;
+
+    const hintsParam = url.searchParams.get("hints");
+    let clientHints = [];
+
+    if (hintsParam) {
+      try {
+        const hints = JSON.parse(hintsParam);
+        if (Array.isArray(hints)) {
+          clientHints = hints;
+        }
+      } catch (_) {}
+    }
+
+    // --- Phrase hints: client hints plus SalesQA, CRM contact and org vocabulary ---
+    const autoHints = url.searchParams.get("autoHints") !== "false";
+    const speechContexts = await buildSpeechContexts({
+      organizationId: user.orgId,
+      contactEmail: url.searchParams.get("contactEmail"),
+      clientHints,
+      autoHints
+    }).catch(err => {
+      console.error('🔄 BACKEND: Failed to build phrase hints:', err.message);
+      return clientHints.length > 0 ? [{ phrases: clientHints, boost: 16.0 }] : [];
+    });
+
+    // --- Optional server-side recording, keyed by call session ---
+    let recorder = null;
+    if (url.searchParams.get("record") === "true") {
+      try {
+        const session = pipelineOptions.sessionId ? await getCallSession(pipelineOptions.sessionId) : null;
+        if (!session || !canAccessSession(session, user)) {
+          sendJSON(ws, { type: "recording.error", message: "Recording requires a valid sessionId" });
+        } else {
+          recorder = await startRecording({ sessionId: session._id, encoding, sampleRateHertz, channels });
+        }
+      } catch (err) {
+        console.error('🔄 BACKEND: Failed to start recording:', err.message);
+        sendJSON(ws, { type: "recording.error", message: err.statusCode ? err.message : "Failed to start recording" });
+      }
+    }
+
+    if (ws.readyState !== ws.OPEN) {
+      releaseEarlyMessages();
+      if (recorder) recorder.finish();
+      return;
+    }
+
+    const request = {
+      config: {
+        encoding,
+        sampleRateHertz,
+        languageCode: language,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        enableWordConfidence: true,
+        model: "latest_long",
+        useEnhanced: true,
+        ...speakerConfig,
+        ...(speechContexts.length > 0 ? { speechContexts } : {}),
+      },
+      interimResults: true,
+      singleUtterance: false,
+    };
+
+    // --- Auto-respond queue: one pipeline run at a time, in utterance order ---
+    let pipelineQueue = Promise.resolve();
+    let utteranceCount = 0;
+    const localHistory = [];
+
+    // Rep utterances are only recorded on the session (same queue keeps turn order)
+    const recordRepUtterance = (transcript) => {
+      if (!pipelineOptions.sessionId) return;
+      pipelineQueue = pipelineQueue.then(() =>
+        runVoicePipeline({ ...pipelineOptions, transcript, speaker: "rep" }, { user })
+          .catch(err => console.error('🔄 BACKEND: Failed to record rep utterance:', err.message))
+      );
+    };
+
+    const respondToUtterance = (transcript) => {
+      const utteranceId = ++utteranceCount;
+      pipelineQueue = pipelineQueue.then(async () => {
+        if (ws.readyState !== ws.OPEN) return;
+        sendJSON(ws, { type: "pipeline.started", utteranceId, transcript });
+
+        try {
+          const result = await runVoicePipeline(
+            {
+              ...pipelineOptions,
+              transcript,
+              speaker: "customer",
+              conversationHistory: pipelineOptions.sessionId ? [] : localHistory
+            },
+            { user, emit: (event, data) => sendJSON(ws, { type: event, utteranceId, ...data }) }
+          );
+
+          if (!pipelineOptions.sessionId && result.responseText) {
+            localHistory.push({ userInput: transcript, predatorResponse: result.responseText });
+            if (localHistory.length > LOCAL_HISTORY_LIMIT) localHistory.shift();
+          }
+          sendJSON(ws, { type: "pipeline.done", utteranceId, result });
+        } catch (err) {
+          sendJSON(ws, {
+            type: "pipeline.error",
+            utteranceId,
+            message: err.statusCode ? err.message : "Voice pipeline failed"
+          });
+        }
+      });
+    };
+
+    const recognizeStream = createRotatingRecognizeStream({
+      speechClient,
+      request,
+      onError: (err) => {
+        sendJSON(ws, { type: "error", message: err.message });
+        try {
+          ws.close();
+        } catch (_) {}
+      },
+      onRotated: ({ streamIndex, reason, replayedMs }) => {
+        sendJSON(ws, { type: "stream.rotated", streamIndex, reason, replayedMs });
+      },
+      onResult: (result, { isFinal, resultEndMs, streamOffsetMs }) => {
+        const alt = (result.alternatives && result.alternatives[0]) || {};
+        const transcript = alt.transcript || "";
+        const speaker = resolveSpeaker(result, speakerOptions);
+        const words = getWordDetails(result, streamOffsetMs);
+
+        sendJSON(ws, {
+          type: "transcript",
+          transcript,
+          isFinal,
+          ...(speaker ? { speaker } : {}),
+          stability: typeof result.stability === "number" ? result.stability : null,
+          confidence: isFinal && typeof alt.confidence === "number" ? alt.confidence : null,
+          resultEndMs,
+          words,
+          lowConfidenceSpans: isFinal ? findLowConfidenceSpans(words, lowConfidenceThreshold) : []
+        });
+
+        if (autoRespond && isFinal && transcript.trim()) {
+          // Without speaker separation every utterance is treated as the customer's
+          if (speaker === "rep") {
+            recordRepUtterance(transcript.trim());
+          } else {
+            respondToUtterance(transcript.trim());
+          }
+        }
+      }
+    });
+
+    // Stream ready to receive audio
+    sendJSON(ws, { type: "ready", autoRespond, recording: !!recorder });
+
+    const handleMessage = (message, isBinary) => {
+      if (isBinary) {
+        recognizeStream.write(message);
+        if (recorder) recorder.write(message);
+      } else {
+        try {
+          const payload = JSON.parse(message.toString());
+          if (payload && payload.type === "end") {
+            recognizeStream.end();
+            if (recorder) recorder.finish();
+          }
+        } catch (_) {}
+      }
+    };
+
+    for (const [message, isBinary] of releaseEarlyMessages()) {
+      handleMessage(message, isBinary);
+    }
+    ws.on("message", handleMessage);
+
+    ws.on("close", () => {
+      try {
+        recognizeStream.end();
+      } catch (_) {}
+      if (recorder) recorder.finish();
+    });
+  } catch (err) {
+    releaseEarlyMessages();
+    sendJSON(ws, { type: "error", message: err.message });
+    try {
+      ws.close();
+    } catch (_) {}
+  }
+}
+
+export default attachVoiceSttSocket;
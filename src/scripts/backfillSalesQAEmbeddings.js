@@ -0,0 +1,46 @@
+
+import { connectToDatabase } from '../mongo/connection.js';
+import { getDefaultEmbeddingProviderName } from '../services/embeddingService.js';
+import { backfillSalesQAEmbeddings } from '../services/salesQAEmbeddingService.js';
+
+/**
+ * Compute the embeddings semantic sales Q&A matching needs for every stored question.
+ * Edits through the admin API and imports embed their questions already; run this after
+ * enabling embeddings on an existing knowledge base or switching providers.
+ *
+ * Usage: node src/scripts/backfillSalesQAEmbeddings.js [--provider openai|local] [--prune]
+ *   --provider  embedding provider (default: EMBEDDING_PROVIDER, else openai with an API key, else local)
+ *   --prune     also delete this provider's vectors of questions that no longer exist
+ */
+function parseArgs(argv) {
+  const providerIndex = argv.indexOf('--provider');
+  return {
+    provider: providerIndex >= 0 && argv[providerIndex + 1] ? argv[providerIndex + 1] : getDefaultEmbeddingProviderName(),
+    prune: argv.includes('--prune')
+  };
+}
+
+async function backfillEmbeddings(options = parseArgs(process.argv.slice(2))) {
+  try {
+
+    // Connect to MongoDB
+    await connectToDatabase();
+
+    const result = await backfillSalesQAEmbeddings(options);
+    console.log(`Embeddings (${result.provider}/${result.model}): ${result.texts} question texts, ` +
+      `${result.embedded} newly embedded, ${result.texts - result.embedded} already stored` +
+      (options.prune ? `, ${result.pruned} unused deleted` : ''));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Sales Q&A embedding backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run backfill if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillEmbeddings();
+}
+
+export default backfillEmbeddings;
@@ -1,45 +1,84 @@
+
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { connectToDatabase } from '../mongo/connection.js';
 import SalesQA from '../models/SalesQA.js';
+import { parseSalesQAImport, importSalesQA } from '../services/salesQAImportService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-async function migrateSalesQAData() {
+/**
+ * Import sales Q&A into MongoDB without wiping existing data.
+ * Questions are merged by category + question; edits made through the admin API survive
+ * unless the file changes the same question.
+ *
+ * Usage: node src/scripts/migrateSalesQA.js [--file path.json|path.csv] [--dry-run] [--prune] [--draft]
+ *   --file     import file (default: src/salesQA/salesQA.json); .csv files use the CSV format
+ *   --dry-run  only print what would change
+ *   --prune    also delete questions and categories that are not in the file
+ *   --draft    review the import like admin edits (new questions are drafts, changes pending);
+ *              by default it is published, so bootstrapping a database gives live answers
+ */
+function parseArgs(argv) {
+  const fileIndex = argv.indexOf('--file');
+  return {
+    file: fileIndex >= 0 && argv[fileIndex + 1] ? path.resolve(argv[fileIndex + 1]) : path.join(__dirname, '../salesQA/salesQA.json'),
+    dryRun: argv.includes('--dry-run'),
+    prune: argv.includes('--prune'),
+    draft: argv.includes('--draft')
+  };
+}
+
+async function migrateSalesQAData(options = parseArgs(process.argv.slice(2))) {
   try {
-    
+
     // Connect to MongoDB
     await connectToDatabase();
-    
-    // Read the salesQA.json file
-    const salesQAPath = path.join(__dirname, '../salesQA/salesQA.json');
-    const salesQAData = JSON.parse(fs.readFileSync(salesQAPath, 'utf8'));
-
-    // Clear existing data (optional - remove this if you want to keep existing data)
-    const existingCount = await SalesQA.countDocuments();
-    if (existingCount > 0) {
-      await SalesQA.deleteMany({});
+
+    // Read and validate the import file
+    const format = path.extname(options.file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const parsed = parseSalesQAImport(fs.readFileSync(options.file, 'utf8'), format);
+    for (const warning of parsed.warnings) {
+      console.log(`⚠️ ${warning.at}: ${warning.warning}`);
     }
-    
-    // Insert data into MongoDB
-    const insertedData = await SalesQA.insertMany(salesQAData);
-    
-    // Create text index for better search performance
-    await SalesQA.collection.createIndex({
-      "questions.question": "text",
-      "category": "text",
-      "description": "text"
+
+    const result = await importSalesQA(parsed, {
+      dryRun: options.dryRun,
+      prune: options.prune,
+      status: options.draft ? 'draft' : 'published',
+      // Ops run this with database access, so pruning and archiving need no content admin
+      allowLiveChanges: true,
+      updatedBy: 'migrateSalesQA'
     });
-    
-    // Get total questions count
-    const totalQuestions = salesQAData.reduce((total, category) => {
-      return total + category.questions.length;
-    }, 0);
+    const { summary } = result;
+    console.log(`${options.dryRun ? 'Dry run - would apply' : 'Applied'}: ` +
+      `${summary.categoriesAdded} categories added, ${summary.categoriesChanged} changed, ` +
+      `${summary.questionsAdded} questions added, ${summary.questionsChanged} changed, ${summary.questionsUnchanged} unchanged`);
+    if (options.draft) {
+      console.log('Imported for review: new questions are drafts and changes are pending until a content admin approves them');
+    }
+    if (summary.questionsRemoved > 0) {
+      console.log(`${summary.questionsRemoved} stored questions (${summary.categoriesRemoved} categories) are not in the file` +
+        (options.prune ? (options.dryRun ? ' and would be deleted' : ' and were deleted') : ' (kept; use --prune to delete them)'));
+    }
+
+    if (!options.dryRun) {
+      // Create text index for better search performance
+      await SalesQA.collection.createIndex({
+        "questions.question": "text",
+        "category": "text",
+        "description": "text"
+      });
+    }
 
     process.exit(0);
   } catch (error) {
+    console.error('Sales Q&A import failed:', error.message);
+    for (const detail of error.details || []) {
+      console.error(`  ${detail.at}: ${detail.error}`);
+    }
     process.exit(1);
   }
 }
@@ -50,4 +89,3 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 export default migrateSalesQAData;
-
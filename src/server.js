@@ -1,12 +1,16 @@
 import express from "express";
 import http from "http";
-import { WebSocketServer } from "ws";
 import cors from "cors";
 import dotenv from "dotenv";
 import protectedRoutes from "./routes/protected.js";
 import authRoutes from "./routes/auth.js";
 import { connectToDatabase } from "./mongo/connection.js";
-import voiceRoutes, { speechClient } from "./routes/voice.js";
+import voiceRoutes from "./routes/voice.js";
+import adminRoutes from "./routes/admin.js";
+import salesQARoutes from "./routes/salesQA.js";
+import { attachVoiceSttSocket } from "./routes/voiceSocket.js";
+import { startRecordingRetentionJob } from "./services/recordingService.js";
+import { startCrmSyncWorker } from "./services/crmSyncQueue.js";
 import dns from "dns";
 
 dns.setDefaultResultOrder("ipv4first");
@@ -50,6 +54,8 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/protected", protectedRoutes);
 app.use("/api/voice", voiceRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/salesqa", salesQARoutes);
 
 // --- Error Handler ---
 app.use((err, req, res, next) => {
@@ -64,101 +70,14 @@ const PORT = process.env.PORT || 7000;
 // Attempt DB connect (safe no-op if missing). Start server regardless.
 await connectToDatabase();
 
-// --- WebSocket for Streaming STT ---
-const wss = new WebSocketServer({ server, path: "/ws/voice/stt" });
-
-wss.on("connection", (ws, req) => {
-  try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const language = url.searchParams.get("language") || "en-US";
-    const encoding = (url.searchParams.get("encoding") || "WEBM_OPUS").toUpperCase();
-    const sampleRateHertz = parseInt(url.searchParams.get("sampleRateHertz") || "48000", 10);
-
-    const hintsParam = url.searchParams.get("hints");
-    let speechContexts = [];
-
-    if (hintsParam) {
-      try {
-        const hints = JSON.parse(hintsParam);
-        if (Array.isArray(hints) && hints.length > 0) {
-          speechContexts = [{ phrases: hints, boost: 16.0 }];
-        }
-      } catch (_) {}
-    }
-
-
-    const request = {
-      config: {
-        encoding,
-        sampleRateHertz,
-        languageCode: language,
-        enableAutomaticPunctuation: true,
-        enableWordTimeOffsets: true,
-        enableWordConfidence: true,
-        model: "latest_long",
-        useEnhanced: true,
-        ...(speechContexts.length > 0 ? { speechContexts } : {}),
-      },
-      interimResults: true,
-      singleUtterance: false,
-    };
-
-    const recognizeStream = speechClient
-      .streamingRecognize(request)
-      .on("error", (err) => {
-        try {
-          ws.send(JSON.stringify({ type: "error", message: err.message }));
-        } catch (_) {}
-        try {
-          ws.close();
-        } catch (_) {}
-      })
-      .on("data", (data) => {
-        const results = data.results || [];
-        if (results.length === 0) return;
+// --- Purge call recordings past their retention period ---
+startRecordingRetentionJob();
 
-        const result = results[0];
-        const alt = (result.alternatives && result.alternatives[0]) || {};
-        const transcript = alt.transcript || "";
-        const isFinal = !!result.isFinal;
+// --- Retry queued CRM writes ---
+startCrmSyncWorker();
 
-        try {
-          ws.send(JSON.stringify({ type: "transcript", transcript, isFinal }));
-        } catch (_) {}
-      });
-
-    // Stream ready to receive audio
-    try {
-      ws.send(JSON.stringify({ type: "ready" }));
-    } catch (_) {}
-
-    ws.on("message", (message, isBinary) => {
-      if (isBinary) {
-        recognizeStream.write(message);
-      } else {
-        try {
-          const payload = JSON.parse(message.toString());
-          if (payload && payload.type === "end") {
-            recognizeStream.end();
-          }
-        } catch (_) {}
-      }
-    });
-
-    ws.on("close", () => {
-      try {
-        recognizeStream.end();
-      } catch (_) {}
-    });
-  } catch (err) {
-    try {
-      ws.send(JSON.stringify({ type: "error", message: err.message }));
-    } catch (_) {}
-    try {
-      ws.close();
-    } catch (_) {}
-  }
-});
+// --- WebSocket for Streaming STT ---
+attachVoiceSttSocket(server);
 
 server.listen(PORT, () => {
   console.log(`🚀 Selltron server running on port ${PORT}`);
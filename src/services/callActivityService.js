@@ -0,0 +1,159 @@
+import { getCrmProvider } from "./crmProviderService.js";
+import { syncCrmWrite } from "./crmSyncQueue.js";
+import { collectKeyHighlights, buildSentimentTrajectory, formatTranscript } from "./callSummaryService.js";
+
+/**
+ * Logs finished call sessions to the CRM timeline (via the org's CRM provider):
+ * - a call activity with the summary, key highlights, sentiment trajectory and (with
+ *   TRANSCRIPT_URL_TEMPLATE set) a link to the transcript in the frontend
+ * - the full transcript (HubSpot: a Note engagement)
+ * Both are attached to the session's contact, so every call shows up in the contact's history
+ * instead of overwriting the flat `budget_info` / `light_sentiment` properties.
+ */
+
+const HIGHLIGHT_LABELS = {
+  budget: "Budget",
+  timeline: "Timeline",
+  objections: "Objections",
+  importantInfo: "Important info"
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlList(items) {
+  return `<ul>${items.map(item => `<li>${item}</li>`).join("")}</ul>`;
+}
+
+// Where reps can read the transcript: a frontend page that handles sign-in, configured with
+// TRANSCRIPT_URL_TEMPLATE (e.g. "https://app.example.com/calls/{sessionId}"). The transcript API
+// route needs a bearer token, so without a template there is no link (the transcript note still is).
+export function buildTranscriptUrl(sessionId) {
+  const template = process.env.TRANSCRIPT_URL_TEMPLATE;
+  if (!template) {
+    return null;
+  }
+  return template.replace("{sessionId}", encodeURIComponent(sessionId));
+}
+
+// --- HTML body for the Call engagement ---
+export function buildCallEngagementBody(session, sentimentTrajectory) {
+  const summary = session.summary || null;
+  const sections = [];
+
+  if (summary && summary.overview) {
+    sections.push(`<p>${escapeHtml(summary.overview)}</p>`);
+  }
+  if (summary && summary.customerNeeds && summary.customerNeeds.length > 0) {
+    sections.push(`<p><strong>Customer needs</strong></p>${htmlList(summary.customerNeeds.map(escapeHtml))}`);
+  }
+  if (summary && summary.objections && summary.objections.length > 0) {
+    sections.push(`<p><strong>Objections</strong></p>${htmlList(summary.objections.map(o =>
+      `${escapeHtml(o.objection)}${o.handling ? ` &rarr; ${escapeHtml(o.handling)}` : ""} (${o.resolved ? "resolved" : "open"})`
+    ))}`);
+  }
+  if (summary && summary.nextSteps && summary.nextSteps.length > 0) {
+    sections.push(`<p><strong>Next steps</strong></p>${htmlList(summary.nextSteps.map(step =>
+      `${escapeHtml(step.action)}${step.owner ? ` [${step.owner}]` : ""}${step.dueDate ? ` (${escapeHtml(step.dueDate)})` : ""}`
+    ))}`);
+  }
+
+  const highlights = collectKeyHighlights(session.turns);
+  const highlightItems = Object.entries(HIGHLIGHT_LABELS)
+    .filter(([field]) => highlights[field].length > 0)
+    .map(([field, label]) => `<strong>${label}:</strong> ${highlights[field].map(escapeHtml).join("; ")}`);
+  if (highlightItems.length > 0) {
+    sections.push(`<p><strong>Key highlights</strong></p>${htmlList(highlightItems)}`);
+  }
+
+  if (sentimentTrajectory && sentimentTrajectory.trend !== "unknown") {
+    const colors = sentimentTrajectory.points.map(point => point.color).join(" → ");
+    sections.push(`<p><strong>Sentiment:</strong> ${sentimentTrajectory.trend} (start ${sentimentTrajectory.start}, end ${sentimentTrajectory.end}, average ${sentimentTrajectory.average})<br>${colors}</p>`);
+  }
+
+  const transcriptUrl = buildTranscriptUrl(session.id);
+  if (transcriptUrl) {
+    sections.push(`<p><a href="${escapeHtml(transcriptUrl)}">Full transcript</a></p>`);
+  }
+
+  return sections.join("\n");
+}
+
+// --- HTML body for the transcript Note ---
+export function buildTranscriptNoteBody(session) {
+  const lines = formatTranscript(session.turns, Infinity).split("\n").map(escapeHtml);
+  return `<p><strong>Call transcript</strong> (${session.turns.length} turns)</p><p>${lines.join("<br>")}</p>`;
+}
+
+/**
+ * Log a call session as an activity on the contact in the organization's CRM.
+ * The write goes through the CRM sync queue, so an unavailable CRM queues it for retry.
+ * @param {Object} session - CallSession document (should be completed)
+ * @param {Object} options - { email (defaults to session.customerEmail), organizationId,
+ *   idempotencyKey (defaults to one activity per session), createdBy }
+ * @returns {Promise<Object>} - { logged, provider, contactId, callId, noteId, error?, syncStatus, syncJobId?, deadLetterId? }
+ */
+export async function logCallToCrm(session, { email = null, organizationId = "default", idempotencyKey = null, createdBy = null } = {}) {
+  const contactEmail = email || session.customerEmail;
+  if (!contactEmail) {
+    return { logged: false, error: "No contact email for this session" };
+  }
+
+  const crm = await getCrmProvider(organizationId);
+  const sentimentTrajectory = session.summary?.sentimentTrajectory || await buildSentimentTrajectory(session.turns, { organizationId });
+  const startedAt = session.createdAt || new Date();
+  const endedAt = session.endedAt || new Date();
+
+  const outcome = await syncCrmWrite({
+    organizationId,
+    operation: "logActivity",
+    payload: {
+      email: contactEmail,
+      activity: {
+        title: `${session.mode === "support" ? "Support" : "Sales"} call (${session.turns.length} turns)`,
+        body: buildCallEngagementBody(session, sentimentTrajectory),
+        transcript: buildTranscriptNoteBody(session),
+        timestamp: startedAt,
+        durationMs: endedAt - startedAt,
+        sessionId: session.id
+      }
+    },
+    idempotencyKey: idempotencyKey || `logActivity:${session.id}`,
+    createdBy
+  });
+  const sync = {
+    syncStatus: outcome.status,
+    ...(outcome.jobId ? { syncJobId: outcome.jobId } : {}),
+    ...(outcome.deadLetterId ? { deadLetterId: outcome.deadLetterId } : {})
+  };
+
+  if (outcome.status !== "succeeded") {
+    return { logged: false, provider: crm.name, error: outcome.error, ...sync };
+  }
+  const activity = outcome.result;
+  if (!activity) {
+    return { logged: false, provider: crm.name, error: `Contact not found in ${crm.label}`, ...sync };
+  }
+
+  return {
+    logged: true,
+    provider: crm.name,
+    contactId: activity.contactId,
+    callId: activity.activityId,
+    noteId: activity.noteId || null,
+    ...(activity.error ? { error: activity.error } : {}),
+    ...sync
+  };
+}
+
+export default {
+  buildTranscriptUrl,
+  buildCallEngagementBody,
+  buildTranscriptNoteBody,
+  logCallToCrm
+};
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import CallSession from "../models/CallSession.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+// Number of previous turns the pipeline feeds back to GPT as context
+export const HISTORY_TURN_LIMIT = 5;
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    const error = new Error("Call sessions require a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+// --- Create a new call session ---
+export async function createCallSession({ organizationId = "default", userId = null, mode = "sales", language = "en-US", voice = null, customerEmail = null } = {}) {
+  ensureDatabase();
+  return CallSession.create({ organizationId, userId, mode, language, voice, customerEmail });
+}
+
+// --- Load a call session (returns null for unknown or malformed ids) ---
+export async function getCallSession(sessionId) {
+  ensureDatabase();
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return CallSession.findById(sessionId);
+}
+
+// --- Access check: never across organizations; reps only see their own calls, admins their org's ---
+export function canAccessSession(session, user) {
+  if (!session || !user) return false;
+  if ((session.organizationId || "default") !== (user.orgId || "default")) return false;
+  if (user.role === "admin") return true;
+  // Sessions without an owner are only visible to admins
+  return Boolean(session.userId) && session.userId === user.uid;
+}
+
+// --- Build pipeline conversation history from stored customer turns ---
+// Same shape the frontend used to post: { userInput, predatorResponse }
+export function getConversationHistory(session, limit = HISTORY_TURN_LIMIT) {
+  if (!session || !Array.isArray(session.turns)) {
+    return [];
+  }
+  const customerTurns = session.turns.filter(turn => turn.speaker !== "rep");
+  return customerTurns.slice(-limit).map(turn => ({
+    userInput: turn.transcript,
+    predatorResponse: turn.responseText
+  }));
+}
+
+// --- Append a turn and return its index ---
+export async function appendTurn(sessionId, turn) {
+  ensureDatabase();
+  // Reserve the index atomically so concurrent utterances never share one
+  const session = await CallSession.findOneAndUpdate(
+    { _id: sessionId },
+    { $inc: { turnCount: 1 } },
+    { new: true, projection: { turnCount: 1 } }
+  );
+  if (!session) {
+    throw new Error("Call session not found");
+  }
+
+  // Concurrent appends can land in either order: keep the turns sorted by index in the same update
+  const index = session.turnCount - 1;
+  await CallSession.updateOne(
+    { _id: sessionId },
+    { $push: { turns: { $each: [{ ...turn, index }], $sort: { index: 1 } } } },
+    { runValidators: true }
+  );
+  return index;
+}
+
+// --- Patch fields on an existing turn (e.g. highlights that arrive after the reply) ---
+export async function updateTurn(sessionId, index, fields) {
+  ensureDatabase();
+  const update = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    update[`turns.$.${key}`] = value;
+  }
+  if (Object.keys(update).length === 0) {
+    return null;
+  }
+  return CallSession.updateOne({ _id: sessionId, "turns.index": index }, { $set: update });
+}
+
+export default {
+  HISTORY_TURN_LIMIT,
+  createCallSession,
+  getCallSession,
+  canAccessSession,
+  getConversationHistory,
+  appendTurn,
+  updateTurn
+};
@@ -0,0 +1,244 @@
+import OpenAI from "openai";
+import { analyzeSentiment } from "./sentimentService.js";
+
+// Initialize OpenAI client
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const SUMMARY_MODEL = "gpt-4o-mini";
+// Long calls keep their most recent part; the opening is usually small talk
+const MAX_TRANSCRIPT_CHARS = 24000;
+// Score change between the start and end of a call that counts as a trend
+const SENTIMENT_TREND_DELTA = 0.2;
+
+// --- Helper to render stored turns as a speaker-labelled transcript (keeps the end when truncating) ---
+export function formatTranscript(turns, maxChars = MAX_TRANSCRIPT_CHARS) {
+  const lines = (turns || [])
+    .filter(turn => turn.transcript && turn.transcript.trim())
+    .map(turn => `[${turn.index}] ${turn.speaker === "rep" ? "Rep" : "Customer"}: ${(turn.englishTranscript || turn.transcript).trim()}`);
+
+  let transcript = lines.join("\n");
+  if (transcript.length > maxChars) {
+    transcript = "...\n" + transcript.slice(-maxChars);
+  }
+  return transcript;
+}
+
+// Case, punctuation and spacing don't matter when checking a quote against the transcript
+const normalizeForQuote = (text) => String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+/**
+ * Find a quote in the transcript, so extracted evidence can't be invented.
+ * @param {string} quote - Text the model cited
+ * @param {Array} turns - Stored session turns
+ * @param {number|null} turnIndex - Turn the model attributed the quote to (checked first)
+ * @returns {Object|null} - { quote, turnIndex } with the verified turn, or null when not found
+ */
+export function findQuoteInTurns(quote, turns, turnIndex = null) {
+  const needle = normalizeForQuote(quote);
+  if (needle.length < 3) return null;
+
+  const candidates = [...(turns || [])].sort((a, b) => (a.index === turnIndex ? -1 : b.index === turnIndex ? 1 : 0));
+  for (const turn of candidates) {
+    const texts = [turn.transcript, turn.englishTranscript].filter(Boolean).map(normalizeForQuote);
+    if (texts.some(text => text.includes(needle))) {
+      return { quote: String(quote).trim(), turnIndex: turn.index };
+    }
+  }
+  return null;
+}
+
+// --- Helper to collect budget/timeline mentions from the per-turn key highlights ---
+export function collectKeyHighlights(turns) {
+  const collected = { budget: [], timeline: [], objections: [], importantInfo: [] };
+  for (const turn of turns || []) {
+    const highlights = turn.keyHighlights || {};
+    for (const field of Object.keys(collected)) {
+      const value = highlights[field];
+      if (typeof value === "string" && value.trim() && !collected[field].includes(value.trim())) {
+        collected[field].push(value.trim());
+      }
+    }
+  }
+  return collected;
+}
+
+/**
+ * Sentiment trajectory across the customer's turns.
+ * Uses the analyzeSentiment result stored on each turn; turns without one are analyzed now.
+ * @param {Array} turns - Stored session turns
+ * @param {Object} options - { organizationId } whose sentiment provider analyzes missing turns
+ * @returns {Promise<Object>} - { points: [{ turnIndex, score, magnitude, color }], start, end, average, trend }
+ *   trend: "improving" | "declining" | "stable" | "unknown"
+ */
+export async function buildSentimentTrajectory(turns, { organizationId = "default" } = {}) {
+  const customerTurns = (turns || []).filter(turn => turn.speaker !== "rep" && turn.transcript);
+
+  const points = [];
+  for (const turn of customerTurns) {
+    let sentiment = turn.sentimentData;
+    if (!sentiment || typeof sentiment.score !== "number") {
+      sentiment = await analyzeSentiment(turn.transcript, { organizationId, language: turn.language });
+    }
+    if (sentiment.error) continue;
+    points.push({
+      turnIndex: turn.index,
+      score: sentiment.score,
+      magnitude: sentiment.magnitude,
+      color: sentiment.color
+    });
+  }
+
+  if (points.length === 0) {
+    return { points, start: null, end: null, average: null, trend: "unknown" };
+  }
+
+  // Compare the first and last third of the call so one outlier turn doesn't decide the trend
+  const windowSize = Math.max(1, Math.floor(points.length / 3));
+  const mean = (list) => list.reduce((sum, p) => sum + p.score, 0) / list.length;
+  const start = mean(points.slice(0, windowSize));
+  const end = mean(points.slice(-windowSize));
+  const average = mean(points);
+
+  let trend = "stable";
+  if (points.length < 2) {
+    trend = "unknown";
+  } else if (end - start >= SENTIMENT_TREND_DELTA) {
+    trend = "improving";
+  } else if (start - end >= SENTIMENT_TREND_DELTA) {
+    trend = "declining";
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return { points, start: round(start), end: round(end), average: round(average), trend };
+}
+
+/**
+ * Generate a structured post-call summary from a call session's turns.
+ * @param {Object} session - CallSession document
+ * @param {Object} options - { organizationId } of the caller (sentiment provider)
+ * @returns {Promise<Object>} - { overview, customerNeeds, objections, budget, timeline, nextSteps, sentimentTrajectory, model, generatedAt }
+ */
+export async function generateCallSummary(session, { organizationId = "default" } = {}) {
+  const turns = session.turns || [];
+  const transcript = formatTranscript(turns);
+  if (!transcript) {
+    const error = new Error("Call session has no turns to summarize");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const highlights = collectKeyHighlights(turns);
+
+  const summaryPrompt = `Summarize the following ${session.mode || "sales"} call between a sales rep and a customer. Return ONLY a JSON object with these exact fields:
+
+{
+  "overview": "2-3 sentence summary of the call",
+  "customerNeeds": ["need or goal the customer expressed", ...],
+  "objections": [{ "objection": "what the customer objected to", "handling": "how the rep responded", "resolved": true or false }],
+  "budget": "budget discussed" or null,
+  "timeline": "timeline discussed" or null,
+  "nextSteps": [{ "action": "agreed next step", "owner": "rep" or "customer", "dueDate": "when, as said in the call" or null }]
+}
+
+IMPORTANT:
+- Only include information that is explicitly in the transcript
+- "nextSteps" are only steps both sides agreed on; use an empty array if none were agreed
+- If an objection was not answered, set "handling" to null and "resolved" to false
+- Use the key highlights below for budget and timeline when they match the transcript
+
+Key highlights detected during the call:
+Budget: ${highlights.budget.join("; ") || "none"}
+Timeline: ${highlights.timeline.join("; ") || "none"}
+Objections: ${highlights.objections.join("; ") || "none"}
+
+Transcript:
+${transcript}`;
+
+  const [completion, sentimentTrajectory] = await Promise.all([
+    openai.chat.completions.create({
+      model: SUMMARY_MODEL,
+      messages: [
+        { role: "system", content: "You are a sales call analyst. Summarize calls factually and return valid JSON." },
+        { role: "user", content: summaryPrompt }
+      ],
+      response_format: { type: "json_object" },
+      max_tokens: 800,
+      temperature: 0.2,
+    }),
+    buildSentimentTrajectory(turns, { organizationId })
+  ]);
+
+  let rawData;
+  try {
+    rawData = JSON.parse(completion.choices[0].message.content);
+  } catch (parseError) {
+    const error = new Error("Summary response was not valid JSON");
+    error.statusCode = 502;
+    throw error;
+  }
+
+  const asString = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+  const asList = (value) => (Array.isArray(value) ? value : []);
+
+  return {
+    overview: asString(rawData.overview) || "",
+    customerNeeds: asList(rawData.customerNeeds).map(asString).filter(Boolean),
+    objections: asList(rawData.objections)
+      .filter(item => item && asString(item.objection))
+      .map(item => ({
+        objection: asString(item.objection),
+        handling: asString(item.handling),
+        resolved: item.resolved === true
+      })),
+    budget: asString(rawData.budget) || highlights.budget[highlights.budget.length - 1] || null,
+    timeline: asString(rawData.timeline) || highlights.timeline[highlights.timeline.length - 1] || null,
+    nextSteps: asList(rawData.nextSteps)
+      .filter(item => item && asString(item.action))
+      .map(item => ({
+        action: asString(item.action),
+        owner: item.owner === "rep" || item.owner === "customer" ? item.owner : null,
+        dueDate: asString(item.dueDate)
+      })),
+    sentimentTrajectory,
+    model: SUMMARY_MODEL,
+    generatedAt: new Date()
+  };
+}
+
+// --- Plain-text rendering of a summary (CRM notes, emails) ---
+export function formatSummaryText(summary) {
+  const lines = [];
+  if (summary.overview) lines.push(summary.overview, "");
+  if (summary.customerNeeds?.length) {
+    lines.push("Customer needs:", ...summary.customerNeeds.map(need => `- ${need}`), "");
+  }
+  if (summary.objections?.length) {
+    lines.push("Objections:", ...summary.objections.map(o =>
+      `- ${o.objection}${o.handling ? ` -> ${o.handling}` : ""} (${o.resolved ? "resolved" : "open"})`
+    ), "");
+  }
+  if (summary.budget) lines.push(`Budget: ${summary.budget}`);
+  if (summary.timeline) lines.push(`Timeline: ${summary.timeline}`);
+  if (summary.budget || summary.timeline) lines.push("");
+  if (summary.nextSteps?.length) {
+    lines.push("Next steps:", ...summary.nextSteps.map(step =>
+      `- ${step.action}${step.owner ? ` [${step.owner}]` : ""}${step.dueDate ? ` (${step.dueDate})` : ""}`
+    ), "");
+  }
+  const trajectory = summary.sentimentTrajectory;
+  if (trajectory && trajectory.trend !== "unknown") {
+    lines.push(`Sentiment: ${trajectory.trend} (start ${trajectory.start}, end ${trajectory.end})`);
+  }
+  return lines.join("\n").trim();
+}
+
+export default {
+  formatTranscript,
+  findQuoteInTurns,
+  collectKeyHighlights,
+  buildSentimentTrajectory,
+  generateCallSummary,
+  formatSummaryText
+};
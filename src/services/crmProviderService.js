@@ -0,0 +1,94 @@
+import { createHubspotCrmProvider } from "./hubspotCrmProvider.js";
+import { createLocalCrmProvider } from "./localCrmProvider.js";
+import { getOrgSettings } from "./orgSettingsService.js";
+
+/**
+ * CRM provider layer, selected per organization (OrgSettings.crm.provider).
+ *
+ * Provider interface (all methods async; "email" identifies the contact):
+ * - findContactByEmail(email) -> contact | null
+ * - searchContacts({ name, company }) -> contact[]
+ * - upsertContact({ name, email, phoneNumber, companyName }) -> contact
+ * - getKeyHighlights(email) -> { budget, timeline, objections, importantInfo } | null
+ * - saveKeyHighlights(email, keyHighlights, { recordedAt, sessionId }) -> { contactId } | null (null: no such contact)
+ *     appends to the contact's highlight history; the stored highlights become the merged current view
+ * - saveSentiment(email, sentimentData) -> { contactId } | null
+ * - saveCallSummary(email, summaryText, sentimentTrend) -> { contactId } | null
+ * - saveQualification(email, { framework, frameworkName, score, details }) -> { contactId } | null
+ * - logActivity(email, { title, body, transcript, timestamp, durationMs, sessionId })
+ *     -> { contactId, activityId, noteId?, error? } | null
+ * Optional: getActivities(email, limit) -> activity[]
+ * Optional: writeDeal({ action: "create" | "update", contactId, dealId, properties }) -> { dealId }
+ *   (deal proposals; see dealService)
+ * Optional: getKeyHighlightsHistory(email) -> [{ highlights, recordedAt, sessionId }] (CRM-side history
+ *   for deployments without a database; see keyHighlightsHistoryService)
+ *
+ * Contacts share one shape: { id, name, firstname, lastname, email, phone, company, lastUpdated, provider }
+ *
+ * The HubSpot provider uses the one portal of HUBSPOT_TOKEN, so it is only available to the
+ * organizations that portal belongs to (HUBSPOT_ORGANIZATIONS, comma-separated ids; "default" for
+ * users without an org). Every other organization uses the local CRM, whatever its settings say.
+ */
+
+export const CRM_PROVIDERS = ["hubspot", "local"];
+
+const providerFactories = {
+  hubspot: () => createHubspotCrmProvider(),
+  local: (organizationId) => createLocalCrmProvider(organizationId)
+};
+
+export function getHubspotOrganizations() {
+  return (process.env.HUBSPOT_ORGANIZATIONS || "").split(",").map(id => id.trim()).filter(Boolean);
+}
+
+// Whether an organization may use a provider (HubSpot only for the orgs that own the portal)
+export function isCrmProviderAvailable(name, organizationId = "default") {
+  return name !== "hubspot" || getHubspotOrganizations().includes(organizationId);
+}
+
+// Providers an organization can choose from
+export function getAvailableCrmProviders(organizationId = "default") {
+  return CRM_PROVIDERS.filter(name => isCrmProviderAvailable(name, organizationId));
+}
+
+// Without an org setting: CRM_PROVIDER, else HubSpot when it's configured, else the local CRM
+// (the local CRM for organizations that can't use the chosen provider)
+export function getDefaultCrmProviderName(organizationId = "default") {
+  const name = process.env.CRM_PROVIDER
+    || (process.env.HUBSPOT_TOKEN || process.env.VITE_HUBSPOT_TOKEN ? "hubspot" : "local");
+  return isCrmProviderAvailable(name, organizationId) ? name : "local";
+}
+
+export function registerCrmProvider(name, factory) {
+  providerFactories[name] = factory;
+  if (!CRM_PROVIDERS.includes(name)) CRM_PROVIDERS.push(name);
+}
+
+/**
+ * Get the CRM provider for an organization
+ * @param {string} organizationId
+ * @returns {Promise<Object>} - Provider implementing the interface above
+ */
+export async function getCrmProvider(organizationId = "default") {
+  const settings = await getOrgSettings(organizationId);
+  let name = (settings.crm && settings.crm.provider) || getDefaultCrmProviderName(organizationId);
+  if (!isCrmProviderAvailable(name, organizationId)) {
+    console.error(`🔄 BACKEND: CRM provider ${name} is not available to organization ${organizationId}, using the local CRM`);
+    name = "local";
+  }
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown CRM provider: ${name}`);
+  }
+  return factory(organizationId);
+}
+
+export default {
+  CRM_PROVIDERS,
+  getHubspotOrganizations,
+  isCrmProviderAvailable,
+  getAvailableCrmProviders,
+  getDefaultCrmProviderName,
+  registerCrmProvider,
+  getCrmProvider
+};
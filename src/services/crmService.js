@@ -189,7 +189,34 @@ Extract only personal contact information (email, name, phone, company) mentione
   }
 }
 
+// --- Helper function to flag extracted contact fields that came from low-confidence audio ---
+// `lowConfidenceSpans` are the spans sent with final transcript events on /ws/voice/stt
+export function flagLowConfidenceFields(extractedData, lowConfidenceSpans = []) {
+  const needsReview = { email: false, phone: false };
+  if (!extractedData || !Array.isArray(lowConfidenceSpans) || lowConfidenceSpans.length === 0) {
+    return needsReview;
+  }
+
+  const digitsOf = (value) => String(value || "").replace(/\D/g, "");
+  const phoneDigits = digitsOf(extractedData.phone);
+  const emailUser = extractedData.email ? extractedData.email.split("@")[0] : "";
+
+  for (const span of lowConfidenceSpans) {
+    const spanText = String(span.text || "").toLowerCase().replace(/\s+/g, "");
+    if (extractedData.email && (span.kind === "email" || (emailUser && spanText.includes(emailUser)))) {
+      needsReview.email = true;
+    }
+    const spanDigits = digitsOf(span.text);
+    if (phoneDigits && (span.kind === "phone" || (spanDigits.length >= 3 && phoneDigits.includes(spanDigits)))) {
+      needsReview.phone = true;
+    }
+  }
+
+  return needsReview;
+}
+
 export default {
-  extractCustomerInfoFromTranscript
+  extractCustomerInfoFromTranscript,
+  flagLowConfidenceFields
 };
 
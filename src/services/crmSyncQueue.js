@@ -0,0 +1,421 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import CrmSyncJob, { CRM_SYNC_JOB_STATUSES } from "../models/CrmSyncJob.js";
+import CrmDeadLetter from "../models/CrmDeadLetter.js";
+import { getCrmProvider } from "./crmProviderService.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+/**
+ * Persistent outbound queue for CRM writes.
+ * - Routes call `syncCrmWrite`: the write is attempted inline once; if the CRM is rate
+ *   limiting (429), failing (5xx) or unreachable, the job stays queued and the worker
+ *   retries it with exponential backoff.
+ * - Non-retryable errors (4xx) and jobs that run out of attempts move to the
+ *   dead-letter collection, where admins can inspect and replay them.
+ * - Idempotency keys make repeated requests return the existing job instead of writing twice.
+ * - Services that track a write's result register a handler (onCrmSyncSettled) that runs once
+ *   the job succeeds or is dead-lettered, inline or in the worker.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.CRM_SYNC_MAX_ATTEMPTS || "8", 10);
+const BASE_BACKOFF_MS = parseInt(process.env.CRM_SYNC_BASE_BACKOFF_MS || "5000", 10);
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = parseInt(process.env.CRM_SYNC_INTERVAL_MS || "5000", 10);
+const WORKER_BATCH_SIZE = 20;
+// A job still "processing" after this long belongs to a crashed worker
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ECONNABORTED"];
+
+// --- Operations: job operation -> provider call ---
+const OPERATIONS = {
+  upsertContact: (crm, payload) => crm.upsertContact(payload),
+  saveKeyHighlights: (crm, { email, keyHighlights, recordedAt, sessionId }) => crm.saveKeyHighlights(email, keyHighlights, {
+    recordedAt: recordedAt ? new Date(recordedAt) : new Date(),
+    sessionId: sessionId || null
+  }),
+  saveSentiment: (crm, { email, sentimentData }) => crm.saveSentiment(email, sentimentData),
+  saveCallSummary: (crm, { email, summaryText, sentimentTrend }) => crm.saveCallSummary(email, summaryText, sentimentTrend),
+  saveQualification: (crm, { email, qualification }) => crm.saveQualification(email, qualification),
+  logActivity: (crm, { email, activity }) => crm.logActivity(email, {
+    ...activity,
+    timestamp: activity.timestamp ? new Date(activity.timestamp) : new Date()
+  }),
+  writeDeal: (crm, payload) => {
+    if (!crm.writeDeal) {
+      const error = new Error(`Deals are not supported by the ${crm.label}`);
+      error.statusCode = 422;
+      throw error;
+    }
+    return crm.writeDeal(payload);
+  }
+};
+
+export const CRM_SYNC_OPERATIONS = Object.keys(OPERATIONS);
+export { CRM_SYNC_JOB_STATUSES };
+
+// --- Settle handlers: operation -> [handler(job, outcome)] ---
+const settledHandlers = new Map();
+
+/**
+ * Run a handler whenever a job of an operation succeeds or is dead-lettered.
+ * Handler errors are logged; the job's outcome stands.
+ * @param {string} operation
+ * @param {Function} handler - async (job, { status: "succeeded" | "dead_lettered", result?, error? })
+ */
+export function onCrmSyncSettled(operation, handler) {
+  if (!settledHandlers.has(operation)) settledHandlers.set(operation, []);
+  settledHandlers.get(operation).push(handler);
+}
+
+async function notifySettled(job, outcome) {
+  for (const handler of settledHandlers.get(job.operation) || []) {
+    try {
+      await handler(job, outcome);
+    } catch (error) {
+      console.error(`🔄 BACKEND: CRM sync ${job.operation} settle handler failed:`, error.message);
+    }
+  }
+}
+
+async function executeOperation(organizationId, operation, payload) {
+  const run = OPERATIONS[operation];
+  if (!run) {
+    throw new Error(`Unknown CRM sync operation: ${operation}`);
+  }
+  const crm = await getCrmProvider(organizationId);
+  return run(crm, payload);
+}
+
+const isHttpStatus = (value) => typeof value === "number" && value >= 100 && value <= 599;
+
+// HubSpot client errors (ApiException: code + body/headers) carry the HTTP status in `code`;
+// other code paths use `statusCode`. Other numeric codes (e.g. Mongo's 11000) are not HTTP statuses.
+export function getErrorStatus(error) {
+  if (isHttpStatus(error.statusCode)) return error.statusCode;
+  if (error.response && isHttpStatus(error.response.status)) return error.response.status;
+  if (error.details && isHttpStatus(error.details.statusCode)) return error.details.statusCode;
+  if (isHttpStatus(error.code) && (error.body !== undefined || error.headers !== undefined)) return error.code;
+  // hubspotService wraps some client errors
+  if (error.originalError) return getErrorStatus(error.originalError);
+  return null;
+}
+
+export function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429 || (status !== null && status >= 500)) return true;
+  if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+  if (error.originalError && isRetryableError(error.originalError)) return true;
+  return /ENOTFOUND|ECONNRESET|ETIMEDOUT|socket hang up/i.test(error.message || "");
+}
+
+// Exponential backoff with jitter; honours Retry-After on 429s
+export function getBackoffMs(attempts, error = null) {
+  const headers = error && (error.headers || (error.originalError && error.originalError.headers));
+  const retryAfter = headers && (headers["retry-after"] || headers["Retry-After"]);
+  if (retryAfter && Number.isFinite(Number(retryAfter))) {
+    return Math.min(Number(retryAfter) * 1000, MAX_BACKOFF_MS);
+  }
+  const exponential = Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+  return Math.round(exponential * (0.75 + Math.random() * 0.5));
+}
+
+function toAttemptError(error) {
+  return {
+    at: new Date(),
+    message: (error.body && error.body.message) || error.message || "Unknown error",
+    statusCode: getErrorStatus(error) || undefined
+  };
+}
+
+async function moveToDeadLetter(job, reason) {
+  const deadLetter = await CrmDeadLetter.create({
+    jobId: job._id,
+    organizationId: job.organizationId,
+    operation: job.operation,
+    payload: job.payload,
+    idempotencyKey: job.idempotencyKey,
+    attempts: job.attempts,
+    attemptErrors: job.attemptErrors,
+    reason,
+    createdBy: job.createdBy
+  });
+  // Frees the idempotency key so a replay can reuse it
+  await CrmSyncJob.deleteOne({ _id: job._id });
+  console.error(`🔄 BACKEND: CRM sync job ${job.operation} dead-lettered (${reason}):`, job.attemptErrors.at(-1)?.message);
+  return deadLetter;
+}
+
+/**
+ * Run one attempt of a claimed job, record the outcome and notify settle handlers.
+ * @returns {Promise<Object>} - { status: "succeeded" | "queued" | "dead_lettered", job, result?, deadLetter?, error? }
+ */
+async function attemptJob(job) {
+  const outcome = await runJobAttempt(job);
+  if (outcome.status !== "queued") {
+    await notifySettled(job, {
+      status: outcome.status,
+      result: outcome.result,
+      ...(outcome.error ? { error: toAttemptError(outcome.error).message } : {})
+    });
+  }
+  return outcome;
+}
+
+async function runJobAttempt(job) {
+  job.attempts += 1;
+  try {
+    const result = await executeOperation(job.organizationId, job.operation, job.payload);
+    job.status = "succeeded";
+    job.result = result === undefined ? null : result;
+    job.completedAt = new Date();
+    job.lockedAt = undefined;
+    await job.save();
+    return { status: "succeeded", job, result: job.result };
+  } catch (error) {
+    job.attemptErrors.push(toAttemptError(error));
+
+    if (!isRetryableError(error)) {
+      return { status: "dead_lettered", job, deadLetter: await moveToDeadLetter(job, "non_retryable"), error };
+    }
+    if (job.attempts >= MAX_ATTEMPTS) {
+      return { status: "dead_lettered", job, deadLetter: await moveToDeadLetter(job, "max_attempts"), error };
+    }
+
+    job.status = "pending";
+    job.nextAttemptAt = new Date(Date.now() + getBackoffMs(job.attempts, error));
+    job.lockedAt = undefined;
+    await job.save();
+    return { status: "queued", job, error };
+  }
+}
+
+/**
+ * Queue a CRM write without attempting it now.
+ * @param {Object} options - { organizationId, operation, payload, idempotencyKey, createdBy }
+ * @returns {Promise<{ job: Object, duplicate: boolean }>}
+ */
+export async function enqueueCrmSync({ organizationId = "default", operation, payload, idempotencyKey = null, createdBy = null, status = "pending" }) {
+  if (!OPERATIONS[operation]) {
+    throw new Error(`Unknown CRM sync operation: ${operation}`);
+  }
+  const key = idempotencyKey || crypto.randomUUID();
+
+  try {
+    const job = await CrmSyncJob.create({
+      organizationId,
+      operation,
+      payload,
+      idempotencyKey: key,
+      status,
+      lockedAt: status === "processing" ? new Date() : undefined,
+      createdBy
+    });
+    return { job, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      const job = await CrmSyncJob.findOne({ organizationId, idempotencyKey: key });
+      if (job && job.operation !== operation) {
+        const conflict = new Error("Idempotency key was already used for a different CRM operation");
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      return { job, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write to the org's CRM now, queueing the write for retries if the CRM is unavailable.
+ * Without a database the write is attempted once and errors are thrown to the caller.
+ * @param {Object} options - { organizationId, operation, payload, idempotencyKey, createdBy }
+ * @returns {Promise<Object>} - { status: "succeeded" | "queued" | "dead_lettered", result?, jobId?, deadLetterId?, error?, duplicate? }
+ *   duplicate: the idempotency key was already used; the earlier job's state is returned
+ */
+export async function syncCrmWrite({ organizationId = "default", operation, payload, idempotencyKey = null, createdBy = null }) {
+  if (!isDatabaseConnected()) {
+    const result = await executeOperation(organizationId, operation, payload);
+    return { status: "succeeded", result };
+  }
+
+  const { job, duplicate } = await enqueueCrmSync({
+    organizationId, operation, payload, idempotencyKey, createdBy, status: "processing"
+  });
+
+  if (duplicate) {
+    if (!job) {
+      // The original attempt was dead-lettered and its job removed
+      const deadLetter = await CrmDeadLetter.findOne({ organizationId, operation, idempotencyKey }).sort({ failedAt: -1 });
+      return { status: "dead_lettered", deadLetterId: deadLetter ? deadLetter.id : null, duplicate: true };
+    }
+    return {
+      status: job.status === "succeeded" ? "succeeded" : "queued",
+      result: job.result,
+      jobId: job.id,
+      duplicate: true
+    };
+  }
+
+  const outcome = await attemptJob(job);
+  return {
+    status: outcome.status,
+    result: outcome.result,
+    jobId: job.id,
+    ...(outcome.deadLetter ? { deadLetterId: outcome.deadLetter.id } : {}),
+    ...(outcome.error ? { error: toAttemptError(outcome.error).message } : {})
+  };
+}
+
+// --- Worker ---
+
+// Claim and run due jobs; returns the number of jobs attempted
+export async function processDueCrmSyncJobs(limit = WORKER_BATCH_SIZE) {
+  if (!isDatabaseConnected()) return 0;
+
+  // Recover jobs left "processing" by a crashed or restarted worker
+  await CrmSyncJob.updateMany(
+    { status: "processing", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: "pending", nextAttemptAt: new Date() }, $unset: { lockedAt: "" } }
+  );
+
+  let processed = 0;
+  while (processed < limit) {
+    const job = await CrmSyncJob.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: "processing", lockedAt: new Date() } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!job) break;
+    await attemptJob(job);
+    processed++;
+  }
+  return processed;
+}
+
+export function startCrmSyncWorker() {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueCrmSyncJobs();
+    } catch (error) {
+      console.error('🔄 BACKEND: CRM sync worker failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, WORKER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+// --- Admin: inspection and replay ---
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    const error = new Error("The CRM sync queue requires a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+export async function getCrmSyncStats(organizationId = null) {
+  ensureDatabase();
+  const filter = organizationId ? { organizationId } : {};
+  const [byStatus, deadLetters] = await Promise.all([
+    CrmSyncJob.aggregate([{ $match: filter }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    CrmDeadLetter.countDocuments({ ...filter, replayedAt: { $exists: false } })
+  ]);
+  const jobs = Object.fromEntries(byStatus.map(entry => [entry._id, entry.count]));
+  return { jobs, deadLetters };
+}
+
+export async function listCrmSyncJobs({ status = null, operation = null, organizationId = null, limit = 50 } = {}) {
+  ensureDatabase();
+  const filter = {};
+  if (status) filter.status = status;
+  if (operation) filter.operation = operation;
+  if (organizationId) filter.organizationId = organizationId;
+  return CrmSyncJob.find(filter).sort({ nextAttemptAt: 1 }).limit(limit).lean();
+}
+
+export async function listDeadLetters({ includeReplayed = false, operation = null, organizationId = null, limit = 50 } = {}) {
+  ensureDatabase();
+  const filter = {};
+  if (!includeReplayed) filter.replayedAt = { $exists: false };
+  if (operation) filter.operation = operation;
+  if (organizationId) filter.organizationId = organizationId;
+  return CrmDeadLetter.find(filter).sort({ failedAt: -1 }).limit(limit).lean();
+}
+
+export async function getDeadLetter(deadLetterId) {
+  ensureDatabase();
+  if (!mongoose.isValidObjectId(deadLetterId)) return null;
+  return CrmDeadLetter.findById(deadLetterId);
+}
+
+/**
+ * Replay a dead-lettered write as a new job (optionally with a corrected payload).
+ * @returns {Promise<Object>} - Outcome of the inline attempt (see syncCrmWrite)
+ */
+export async function replayDeadLetter(deadLetter, { payload = null, replayedBy = null } = {}) {
+  if (deadLetter.replayedAt) {
+    const error = new Error("Dead letter was already replayed");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Mark first so two admins can't replay the same write twice
+  const claimed = await CrmDeadLetter.findOneAndUpdate(
+    { _id: deadLetter._id, replayedAt: { $exists: false } },
+    { $set: { replayedAt: new Date(), replayedBy } },
+    { new: true }
+  );
+  if (!claimed) {
+    const error = new Error("Dead letter was already replayed");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const outcome = await syncCrmWrite({
+    organizationId: deadLetter.organizationId,
+    operation: deadLetter.operation,
+    payload: payload || deadLetter.payload,
+    // A corrected payload is a different write; the original one keeps its key
+    idempotencyKey: payload ? null : deadLetter.idempotencyKey,
+    createdBy: replayedBy
+  });
+
+  if (outcome.jobId) {
+    await CrmDeadLetter.updateOne({ _id: deadLetter._id }, { $set: { replayJobId: outcome.jobId } });
+  }
+  return outcome;
+}
+
+export async function discardDeadLetter(deadLetterId) {
+  ensureDatabase();
+  if (!mongoose.isValidObjectId(deadLetterId)) return null;
+  return CrmDeadLetter.findByIdAndDelete(deadLetterId);
+}
+
+export default {
+  CRM_SYNC_OPERATIONS,
+  CRM_SYNC_JOB_STATUSES,
+  onCrmSyncSettled,
+  getErrorStatus,
+  isRetryableError,
+  getBackoffMs,
+  enqueueCrmSync,
+  syncCrmWrite,
+  processDueCrmSyncJobs,
+  startCrmSyncWorker,
+  getCrmSyncStats,
+  listCrmSyncJobs,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  discardDeadLetter
+};
@@ -0,0 +1,544 @@
+import mongoose from "mongoose";
+import DealProposal from "../models/DealProposal.js";
+import { getContactByEmail, findOpenDealForContact } from "./hubspotService.js";
+import { getOrgSettings, DEFAULT_DEAL_SETTINGS } from "./orgSettingsService.js";
+import { getCrmProvider } from "./crmProviderService.js";
+import { syncCrmWrite, onCrmSyncSettled } from "./crmSyncQueue.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+/**
+ * Deal proposals from buying signals (budget, timeline, explicit purchase intent).
+ * Nothing is written to HubSpot until the rep approves a proposal; the proposal
+ * records whether it creates a new deal or updates the contact's open deal.
+ * Approval claims the proposal before writing and goes through the CRM sync queue with a
+ * key derived from the proposal, so concurrent or repeated approvals write the deal once.
+ * A queued write settles its proposal when the sync worker finishes it (approved or failed).
+ * Deals are HubSpot-only; organizations on the local CRM get a 422.
+ */
+
+const MULTIPLIERS = {
+  k: 1e3, thousand: 1e3, grand: 1e3,
+  m: 1e6, mm: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9
+};
+
+const CURRENCIES = [
+  { code: "USD", pattern: /\$|\busd\b|\bdollars?\b/i },
+  { code: "EUR", pattern: /€|\beur\b|\beuros?\b/i },
+  { code: "GBP", pattern: /£|\bgbp\b|\bpounds?\b/i }
+];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+  "august", "september", "october", "november", "december"];
+// Month names that are also common words ("we may need it"): only dates with a day or year count
+const AMBIGUOUS_MONTHS = ["may", "march"];
+// [day] month [day][, year]: "15 May", "May 15th", "March 2027", "june"
+const MONTH_DATE_PATTERN = new RegExp(
+  `(?:\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?)?\\b(${MONTHS.join("|")})\\b(?:\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b)?(?:,?\\s+(\\d{4})\\b)?`,
+  "g"
+);
+
+// Phrases where the customer commits to buying (checked on customer turns only)
+const PURCHASE_INTENT_PATTERNS = [
+  /\b(ready|want|going|like) to (buy|sign|purchase|order|move forward|go ahead)\b/i,
+  /\blet'?s (do it|go ahead|move forward|get started|sign)\b/i,
+  /\bsend (me |us |over )?(the |a )?(contract|agreement|quote|proposal|invoice|order form)\b/i,
+  /\bwe('ll| will) take it\b/i,
+  /\b(sign|signing) (the |a )?(contract|agreement|deal)\b/i
+];
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    const error = new Error("Deal proposals require a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+// --- Parsing helpers ---
+
+// Things a budget is counted in ("10 seats") and priced per ("$30 per user per month")
+const SEAT_UNITS = "users?|seats?|licen[cs]es?|reps?|agents?|people|persons?|employees|heads?";
+// Multiplier to a yearly amount
+const PERIOD_UNITS = { month: 12, mo: 12, year: 1, yr: 1, annum: 1 };
+const PERIODS = Object.keys(PERIOD_UNITS).join("|");
+const CURRENCY_WORDS = "usd|eur|gbp|dollars?|euros?|pounds?";
+
+const CURRENCY_BEFORE_PATTERN = /[$€£]\s*$/;
+const CURRENCY_AFTER_PATTERN = new RegExp(`^\\s*(?:${CURRENCY_WORDS})\\b`);
+const SEAT_COUNT_PATTERN = new RegExp(`^\\s*(?:${SEAT_UNITS})\\b`);
+// "$30 per user per month", "€20/seat", "£5 each"
+const RATE_PATTERN = new RegExp(`^(?:\\s*(?:${CURRENCY_WORDS}))?(?:\\s*(?:(?:per|a|an|/)\\s*(?:${SEAT_UNITS}|${PERIODS})|each)\\b)+`);
+const PER_SEAT_PATTERN = new RegExp(`\\b(?:${SEAT_UNITS}|each)\\b`);
+const PERIOD_PATTERN = new RegExp(`\\b(${PERIODS})\\b`);
+// "10 users at $30"
+const AFTER_SEAT_COUNT_PATTERN = new RegExp(`\\d\\s*(?:${SEAT_UNITS})\\s+(?:at|for|@)\\s*[$€£]?\\s*$`);
+const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+
+/**
+ * Parse a deal amount from free-text budget info, e.g. "$50k", "around 1.5 million euros",
+ * "between 40 and 60 thousand", "10 users at $30 per month". Ranges resolve to the upper bound;
+ * per-seat prices are multiplied by the seat count and monthly prices are annualized.
+ * @returns {{ amount: number, currency: string|null }|null}
+ */
+export function parseBudgetAmount(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const normalized = text.toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, "$1") // 50,000 -> 50000
+    .replace(/(\d)\.(?=\d{3}\b(?!\.\d))/g, "$1"); // 50.000 -> 50000 (European grouping)
+
+  const matches = [...normalized.matchAll(/(\d+(?:\.\d+)?)\s*(k|mm|m|bn|b|thousand|grand|million|billion)?\b/g)].map(match => {
+    const before = normalized.slice(0, match.index);
+    const after = normalized.slice(match.index + match[0].length);
+    return {
+      value: parseFloat(match[1]),
+      digits: match[1],
+      multiplier: match[2] || null,
+      hasCurrency: CURRENCY_BEFORE_PATTERN.test(before) || CURRENCY_AFTER_PATTERN.test(after),
+      seatCount: SEAT_COUNT_PATTERN.test(after),
+      rate: (after.match(RATE_PATTERN) || [""])[0],
+      afterSeatCount: AFTER_SEAT_COUNT_PATTERN.test(before)
+    };
+  });
+
+  const seats = matches.find(match => match.seatCount);
+  // Bare years ("in 2027") are dates, not money
+  const amounts = matches.filter(match =>
+    !match.seatCount && (match.multiplier || match.hasCurrency || !YEAR_PATTERN.test(match.digits)));
+  if (amounts.length === 0) return null;
+
+  // "40 to 60k": a trailing multiplier applies to the whole range
+  const lastMultiplier = [...amounts].reverse().find(match => match.multiplier);
+  const values = [];
+  for (const match of amounts) {
+    const multiplier = match.multiplier || (lastMultiplier && match.value < 1000 ? lastMultiplier.multiplier : null);
+    let value = multiplier ? match.value * MULTIPLIERS[multiplier] : match.value;
+
+    const perSeat = PER_SEAT_PATTERN.test(match.rate) || match.afterSeatCount;
+    if (perSeat) {
+      // A per-seat price without a seat count says nothing about the deal size
+      if (!seats) continue;
+      value *= seats.value;
+    }
+    const period = match.rate.match(PERIOD_PATTERN);
+    if (period) value *= PERIOD_UNITS[period[1]];
+
+    values.push({ value, explicit: !!match.multiplier || perSeat || !!period });
+  }
+
+  // Small bare numbers are usually seats, years or months rather than money
+  const candidates = values.filter(entry => entry.explicit || entry.value >= 100 || /[$€£]/.test(normalized));
+  if (candidates.length === 0) return null;
+
+  const currency = CURRENCIES.find(entry => entry.pattern.test(text));
+  return {
+    amount: Math.round(Math.max(...candidates.map(entry => entry.value))),
+    currency: currency ? currency.code : null
+  };
+}
+
+function endOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse an expected close date from free-text timeline info, e.g. "next quarter",
+ * "in 3 months", "by June", "May 15", "March 2027", "Q3 2027", "end of the year", "2027-01-15".
+ * @param {string} text
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {string|null} - YYYY-MM-DD
+ */
+export function parseCloseDate(text, now = new Date()) {
+  if (!text || typeof text !== "string") return null;
+  const lower = text.toLowerCase();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  const iso = lower.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  if (/\b(asap|as soon as possible|immediately|right away)\b/.test(lower)) {
+    return toDateString(new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000));
+  }
+
+  const relative = lower.match(/\b(?:in|within|next)\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s+(day|week|month|year)s?\b/);
+  if (relative) {
+    const count = NUMBER_WORDS[relative[1]] || parseInt(relative[1], 10);
+    const date = new Date(now.getTime());
+    if (relative[2] === "day") date.setUTCDate(date.getUTCDate() + count);
+    if (relative[2] === "week") date.setUTCDate(date.getUTCDate() + count * 7);
+    if (relative[2] === "month") date.setUTCMonth(date.getUTCMonth() + count);
+    if (relative[2] === "year") date.setUTCFullYear(date.getUTCFullYear() + count);
+    return toDateString(date);
+  }
+
+  const quarter = lower.match(/\bq([1-4])(?:\s*(\d{4}))?\b/);
+  if (quarter) {
+    const quarterIndex = parseInt(quarter[1], 10) - 1;
+    let quarterYear = quarter[2] ? parseInt(quarter[2], 10) : year;
+    if (!quarter[2] && quarterIndex * 3 + 2 < month) quarterYear += 1; // Quarter already over
+    return toDateString(endOfMonth(quarterYear, quarterIndex * 3 + 2));
+  }
+
+  if (/\bnext week\b/.test(lower)) return toDateString(new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000));
+  if (/\bnext month\b/.test(lower)) return toDateString(endOfMonth(year, month + 1));
+  if (/\bnext quarter\b/.test(lower)) return toDateString(endOfMonth(year, Math.floor(month / 3) * 3 + 5));
+  if (/\bnext year\b/.test(lower)) return toDateString(endOfMonth(year + 1, 11));
+  if (/\b(end of|this) (the )?month\b/.test(lower)) return toDateString(endOfMonth(year, month));
+  if (/\b(end of|this) (the )?quarter\b/.test(lower)) return toDateString(endOfMonth(year, Math.floor(month / 3) * 3 + 2));
+  if (/\b(end of|this) (the )?year\b/.test(lower)) return toDateString(endOfMonth(year, 11));
+
+  for (const [, dayBefore, monthName, dayAfter, yearText] of lower.matchAll(MONTH_DATE_PATTERN)) {
+    const day = parseInt(dayBefore || dayAfter, 10) || null;
+    if (!day && !yearText && AMBIGUOUS_MONTHS.includes(monthName)) continue;
+    const monthIndex = MONTHS.indexOf(monthName);
+    let monthYear = yearText ? parseInt(yearText, 10) : year;
+    if (!day) {
+      if (!yearText && monthIndex < month) monthYear += 1;
+      return toDateString(endOfMonth(monthYear, monthIndex));
+    }
+    if (day > endOfMonth(monthYear, monthIndex).getUTCDate()) continue;
+    if (!yearText && Date.UTC(monthYear, monthIndex, day) < Date.UTC(year, month, now.getUTCDate())) monthYear += 1;
+    return toDateString(new Date(Date.UTC(monthYear, monthIndex, day)));
+  }
+
+  return null;
+}
+
+// --- Signal detection ---
+
+/**
+ * Collect buying signals from a call session's turns (latest mention wins).
+ * @returns {Array<{ type, text, turnIndex }>}
+ */
+export function detectBuyingSignals(session) {
+  const signals = {};
+  for (const turn of session.turns || []) {
+    if (turn.speaker === "rep") continue;
+    const highlights = turn.keyHighlights || {};
+    if (typeof highlights.budget === "string" && highlights.budget.trim()) {
+      signals.budget = { type: "budget", text: highlights.budget.trim(), turnIndex: turn.index };
+    }
+    if (typeof highlights.timeline === "string" && highlights.timeline.trim()) {
+      signals.timeline = { type: "timeline", text: highlights.timeline.trim(), turnIndex: turn.index };
+    }
+    const transcript = turn.englishTranscript || turn.transcript || "";
+    if (PURCHASE_INTENT_PATTERNS.some(pattern => pattern.test(transcript))) {
+      signals.purchaseIntent = { type: "purchaseIntent", text: transcript.trim(), turnIndex: turn.index };
+    }
+  }
+
+  // The post-call summary consolidates budget/timeline across turns
+  if (!signals.budget && session.summary?.budget) {
+    signals.budget = { type: "budget", text: session.summary.budget };
+  }
+  if (!signals.timeline && session.summary?.timeline) {
+    signals.timeline = { type: "timeline", text: session.summary.timeline };
+  }
+
+  return Object.values(signals);
+}
+
+// --- Proposals ---
+
+/**
+ * Propose a deal create/update for a call session's contact.
+ * Replaces the session's previous pending proposal, if any.
+ * @param {Object} session - CallSession document
+ * @param {Object} options - { email, userId, organizationId }
+ * @returns {Promise<Object|null>} - DealProposal, or null when the call has no usable signals
+ */
+export async function proposeDealForSession(session, { email = null, userId = null, organizationId = "default" } = {}) {
+  ensureDatabase();
+
+  const contactEmail = email || session.customerEmail;
+  if (!contactEmail) {
+    const error = new Error("A contact email is required to propose a deal");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const crm = await getCrmProvider(organizationId);
+  if (crm.name !== "hubspot") {
+    const error = new Error(`Deals are not supported by the ${crm.label}`);
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const signals = detectBuyingSignals(session);
+  if (signals.length === 0) {
+    return null;
+  }
+
+  const contact = await getContactByEmail(contactEmail);
+  if (!contact) {
+    const error = new Error("Contact not found in HubSpot");
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const settings = await getOrgSettings(organizationId);
+  const dealSettings = { ...DEFAULT_DEAL_SETTINGS, ...(settings.deals || {}) };
+
+  const budgetSignal = signals.find(signal => signal.type === "budget");
+  const timelineSignal = signals.find(signal => signal.type === "timeline");
+  const hasPurchaseIntent = signals.some(signal => signal.type === "purchaseIntent");
+  const budget = budgetSignal ? parseBudgetAmount(budgetSignal.text) : null;
+  const closedate = timelineSignal ? parseCloseDate(timelineSignal.text) : null;
+
+  const existingDeal = await findOpenDealForContact(contact.id, dealSettings.pipeline);
+
+  let proposed;
+  if (existingDeal) {
+    // Only propose fields that actually change
+    const current = existingDeal.properties;
+    proposed = {};
+    if (budget && Number(current.amount) !== budget.amount) {
+      proposed.amount = budget.amount;
+      proposed.currency = budget.currency || dealSettings.currency;
+    }
+    if (closedate && (current.closedate || "").slice(0, 10) !== closedate) {
+      proposed.closedate = closedate;
+    }
+    if (hasPurchaseIntent && current.dealstage !== dealSettings.intentStage) {
+      proposed.dealstage = dealSettings.intentStage;
+    }
+    if (Object.keys(proposed).length === 0) {
+      return null;
+    }
+  } else {
+    const props = contact.properties || {};
+    const contactName = props.company || `${props.firstname || ""} ${props.lastname || ""}`.trim() || contactEmail;
+    proposed = {
+      dealname: `${contactName} - ${session.mode === "support" ? "Support" : "Sales"} opportunity`,
+      pipeline: dealSettings.pipeline,
+      dealstage: hasPurchaseIntent ? dealSettings.intentStage : dealSettings.createStage,
+      ...(budget ? { amount: budget.amount, currency: budget.currency || dealSettings.currency } : {}),
+      ...(closedate ? { closedate } : {})
+    };
+  }
+
+  const fields = {
+    userId,
+    organizationId,
+    contactEmail,
+    contactId: contact.id,
+    action: existingDeal ? "update" : "create",
+    existingDealId: existingDeal ? existingDeal.id : null,
+    currentValues: existingDeal ? existingDeal.properties : null,
+    proposed,
+    signals
+  };
+
+  return DealProposal.findOneAndUpdate(
+    { sessionId: session._id, status: "pending" },
+    { $set: fields },
+    { new: true, upsert: true, runValidators: true }
+  );
+}
+
+// --- Ownership check: reps review their own proposals, admins review their organization's ---
+export function canAccessProposal(proposal, user) {
+  if (!proposal || !user) return false;
+  if ((proposal.organizationId || "default") !== (user.orgId || "default")) return false;
+  if (user.role === "admin") return true;
+  return Boolean(proposal.userId) && proposal.userId === user.uid;
+}
+
+export async function getDealProposal(proposalId) {
+  ensureDatabase();
+  if (!proposalId || !mongoose.isValidObjectId(proposalId)) {
+    return null;
+  }
+  return DealProposal.findById(proposalId);
+}
+
+export async function listDealProposals({ user, status = "pending", sessionId = null, limit = 50 }) {
+  ensureDatabase();
+  const filter = { organizationId: user.orgId || "default" };
+  if (status) filter.status = status;
+  if (sessionId && mongoose.isValidObjectId(sessionId)) filter.sessionId = sessionId;
+  if (user.role !== "admin") filter.userId = user.uid;
+  return DealProposal.find(filter).sort({ createdAt: -1 }).limit(limit);
+}
+
+// Fields the rep may adjust while approving
+const EDITABLE_FIELDS = ["dealname", "amount", "closedate", "dealstage"];
+// Statuses an approval can start from: new, failed (retry) and queued (check on the queued write)
+const APPROVABLE_STATUSES = ["pending", "failed", "queued"];
+// An approval still "approving" after this long crashed mid-write; its key makes a retry safe
+const STALE_APPROVAL_MS = 5 * 60 * 1000;
+
+// Queue key of a proposal's HubSpot write; a new key only after a failed write
+function dealWriteKey(proposal) {
+  return `deal-proposal:${proposal.id}:${proposal.approvalAttempts || 0}`;
+}
+
+/**
+ * Approve a proposal and write it to HubSpot.
+ * Approving a queued proposal reports the queued write's current state (overrides are ignored).
+ * @param {Object} proposal - DealProposal document (pending, failed for a retry, or queued)
+ * @param {Object} user - Reviewer
+ * @param {Object} overrides - Optional edits to the proposed fields
+ * @returns {Promise<Object>} - Updated proposal (status approved, queued or failed)
+ */
+export async function approveDealProposal(proposal, user, overrides = {}) {
+  ensureDatabase();
+  if (!APPROVABLE_STATUSES.includes(proposal.status)) {
+    const error = new Error(`Proposal is already ${proposal.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const proposed = { ...proposal.proposed.toObject() };
+  if (proposal.status !== "queued") {
+    for (const field of EDITABLE_FIELDS) {
+      if (overrides[field] !== undefined) {
+        proposed[field] = overrides[field];
+      }
+    }
+  }
+  if (proposed.amount !== undefined && proposed.amount !== null && !Number.isFinite(Number(proposed.amount))) {
+    const error = new Error("amount must be a number");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (proposed.closedate && !/^\d{4}-\d{2}-\d{2}$/.test(proposed.closedate)) {
+    const error = new Error("closedate must be YYYY-MM-DD");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Claim the proposal so a concurrent approval can't write the deal a second time
+  const claimed = await DealProposal.findOneAndUpdate(
+    {
+      _id: proposal._id,
+      $or: [
+        { status: { $in: APPROVABLE_STATUSES } },
+        { status: "approving", updatedAt: { $lt: new Date(Date.now() - STALE_APPROVAL_MS) } }
+      ]
+    },
+    { $set: { status: "approving", proposed, reviewedBy: user.uid, reviewedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+  if (!claimed) {
+    const current = await DealProposal.findById(proposal._id, { status: 1 });
+    const error = new Error(`Proposal is already ${current ? current.status : "gone"}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const properties = {};
+  if (proposed.dealname) properties.dealname = proposed.dealname;
+  if (proposed.amount !== undefined && proposed.amount !== null) properties.amount = String(proposed.amount);
+  if (proposed.closedate) properties.closedate = new Date(`${proposed.closedate}T00:00:00Z`).toISOString();
+  if (proposed.pipeline) properties.pipeline = proposed.pipeline;
+  if (proposed.dealstage) properties.dealstage = proposed.dealstage;
+
+  let outcome;
+  try {
+    outcome = await syncCrmWrite({
+      organizationId: claimed.organizationId || "default",
+      operation: "writeDeal",
+      payload: {
+        proposalId: claimed.id,
+        action: claimed.action,
+        contactId: claimed.contactId,
+        dealId: claimed.existingDealId,
+        properties
+      },
+      idempotencyKey: dealWriteKey(claimed),
+      createdBy: user.uid
+    });
+  } catch (syncError) {
+    // The write may or may not have happened: keep the key so a retry finds the earlier job
+    outcome = { status: "error", error: syncError.message };
+  }
+
+  if (outcome.status === "succeeded") {
+    claimed.status = "approved";
+    claimed.hubspotDealId = outcome.result?.dealId;
+    claimed.error = undefined;
+  } else if (outcome.status === "queued") {
+    claimed.status = "queued";
+    claimed.error = "HubSpot is unavailable right now; the deal write is queued and will be retried";
+  } else {
+    console.error('🔄 BACKEND: Failed to write deal to HubSpot:', outcome.error);
+    claimed.status = "failed";
+    if (outcome.status === "dead_lettered") {
+      claimed.approvalAttempts = (claimed.approvalAttempts || 0) + 1;
+    }
+    claimed.error = outcome.error || "HubSpot rejected the deal write";
+  }
+
+  await claimed.save();
+  return claimed;
+}
+
+export async function rejectDealProposal(proposal, user) {
+  ensureDatabase();
+  // Claimed like approvals, so a proposal that is being approved can't be rejected meanwhile
+  const rejected = await DealProposal.findOneAndUpdate(
+    { _id: proposal._id, status: "pending" },
+    { $set: { status: "rejected", reviewedBy: user.uid, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!rejected) {
+    const current = await DealProposal.findById(proposal._id, { status: 1 });
+    const error = new Error(`Proposal is already ${current ? current.status : "gone"}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  return rejected;
+}
+
+/**
+ * Settle a proposal whose deal write finished in the CRM sync queue: a queued write that
+ * succeeds approves it (so does a replayed dead letter of a failed one), a queued write that
+ * is dead-lettered fails it. Approvals settle their own inline attempts.
+ * @param {Object} job - CrmSyncJob of a writeDeal
+ * @param {Object} outcome - { status: "succeeded" | "dead_lettered", result?, error? }
+ */
+export async function settleDealWrite(job, outcome) {
+  const proposalId = job.payload && job.payload.proposalId;
+  if (!proposalId || !mongoose.isValidObjectId(proposalId)) return null;
+
+  if (outcome.status === "succeeded") {
+    return DealProposal.findOneAndUpdate(
+      { _id: proposalId, status: { $in: ["queued", "failed"] } },
+      { $set: { status: "approved", hubspotDealId: outcome.result?.dealId }, $unset: { error: "" } },
+      { new: true }
+    );
+  }
+  console.error('🔄 BACKEND: Queued deal write to HubSpot failed:', outcome.error);
+  return DealProposal.findOneAndUpdate(
+    { _id: proposalId, status: "queued" },
+    { $set: { status: "failed", error: outcome.error || "HubSpot rejected the deal write" }, $inc: { approvalAttempts: 1 } },
+    { new: true }
+  );
+}
+
+onCrmSyncSettled("writeDeal", settleDealWrite);
+
+export default {
+  parseBudgetAmount,
+  parseCloseDate,
+  detectBuyingSignals,
+  proposeDealForSession,
+  canAccessProposal,
+  getDealProposal,
+  listDealProposals,
+  approveDealProposal,
+  rejectDealProposal,
+  settleDealWrite
+};
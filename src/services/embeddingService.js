@@ -0,0 +1,89 @@
+import { createOpenAIEmbeddingProvider } from "./openaiEmbeddingProvider.js";
+import { createLocalEmbeddingProvider } from "./localEmbeddingProvider.js";
+
+/**
+ * Text embeddings with pluggable providers, used for semantic sales Q&A matching.
+ * The provider is chosen for the whole deployment (EMBEDDING_PROVIDER): vectors of
+ * different providers/models can't be compared, so stored embeddings are keyed by both.
+ *
+ * Provider interface:
+ * - name, model, dimensions
+ * - minSimilarity: cosine below which a question is not considered related
+ * - embed(texts) -> [vector] in input order (async)
+ */
+
+export const EMBEDDING_PROVIDERS = ["openai", "local"];
+
+const providerFactories = {
+  openai: () => createOpenAIEmbeddingProvider(),
+  local: () => createLocalEmbeddingProvider()
+};
+const providers = new Map();
+
+// OpenAI when a key is configured, the local hashing provider otherwise
+export function getDefaultEmbeddingProviderName() {
+  if (process.env.EMBEDDING_PROVIDER) return process.env.EMBEDDING_PROVIDER;
+  return process.env.OPENAI_API_KEY ? "openai" : "local";
+}
+
+export function registerEmbeddingProvider(name, factory) {
+  providerFactories[name] = factory;
+  providers.delete(name);
+  if (!EMBEDDING_PROVIDERS.includes(name)) EMBEDDING_PROVIDERS.push(name);
+}
+
+export function getEmbeddingProvider(name = getDefaultEmbeddingProviderName()) {
+  if (!providers.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+// --- Vector math ---
+
+// Unit-length copy as Float32Array, so cosine similarity is a dot product
+export function normalizeVector(vector) {
+  const result = Float32Array.from(vector || []);
+  let norm = 0;
+  for (const value of result) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= norm;
+  }
+  return result;
+}
+
+// Cosine similarity of two unit-length vectors of the same length
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Embed texts with a provider
+ * @returns {Promise<Array<Float32Array>>} - Unit-length vectors in input order
+ */
+export async function embedTexts(texts, provider = getEmbeddingProvider()) {
+  if (texts.length === 0) return [];
+  const vectors = await provider.embed(texts);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`Embedding provider ${provider.name} returned ${vectors?.length ?? 0} vectors for ${texts.length} texts`);
+  }
+  return vectors.map(normalizeVector);
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  getDefaultEmbeddingProviderName,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  normalizeVector,
+  cosineSimilarity,
+  embedTexts
+};
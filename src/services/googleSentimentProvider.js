@@ -0,0 +1,42 @@
+import language from '@google-cloud/language';
+
+// Created on first use so environments without Google credentials can still load the module
+let languageClient = null;
+
+function getLanguageClient() {
+  if (!languageClient) {
+    languageClient = new language.LanguageServiceClient();
+  }
+  return languageClient;
+}
+
+/**
+ * Sentiment provider backed by the Google Cloud Natural Language API.
+ * Implements the sentimentService provider interface.
+ */
+export function createGoogleSentimentProvider() {
+  return {
+    name: "google",
+
+    async analyze(text) {
+      const document = {
+        content: text,
+        type: 'PLAIN_TEXT',
+      };
+      let result;
+      try {
+        [result] = await getLanguageClient().analyzeSentiment({ document });
+      } catch (error) {
+        // A client that failed to authenticate stays broken - start over on the next call
+        languageClient = null;
+        throw error;
+      }
+      const sentiment = result.documentSentiment;
+      return { score: sentiment.score, magnitude: sentiment.magnitude };
+    }
+  };
+}
+
+export default {
+  createGoogleSentimentProvider
+};
@@ -0,0 +1,148 @@
+import {
+  getContactByEmail,
+  upsertHubspotContact,
+  searchContacts,
+  getKeyHighlightsByEmail,
+  getKeyHighlightsLogByEmail,
+  updateContactWithKeyHighlights,
+  updateContactWithSentiment,
+  updateContactWithCallSummary,
+  updateContactWithQualification,
+  createCallEngagement,
+  createNoteEngagement,
+  createDealForContact,
+  updateDeal
+} from "./hubspotService.js";
+import {
+  cleanHighlights,
+  mergeKeyHighlightHistory,
+  toFlatHighlights,
+  formatHighlightsLogLine,
+  parseHighlightsLog,
+  appendHighlightsLog
+} from "./keyHighlightsHistoryService.js";
+
+/**
+ * HubSpot implementation of the CRM provider interface (see crmProviderService.js).
+ * Thin adapter over hubspotService: maps HubSpot contacts to the common contact shape.
+ */
+
+function toContact(contact) {
+  if (!contact) return null;
+  const props = contact.properties || {};
+  return {
+    id: contact.id,
+    name: props.firstname || props.lastname
+      ? `${props.firstname || ''} ${props.lastname || ''}`.trim()
+      : null,
+    firstname: props.firstname || null,
+    lastname: props.lastname || null,
+    email: props.email || null,
+    phone: props.phone || null,
+    company: props.company || null,
+    lastUpdated: contact.updatedAt || contact.createdAt || null,
+    provider: "hubspot"
+  };
+}
+
+export function createHubspotCrmProvider() {
+  return {
+    name: "hubspot",
+    label: "HubSpot",
+
+    async findContactByEmail(email) {
+      return toContact(await getContactByEmail(email));
+    },
+
+    async searchContacts({ name, company }) {
+      return (await searchContacts({ name, company })).map(toContact);
+    },
+
+    async upsertContact({ name, email, phoneNumber, companyName }) {
+      const response = await upsertHubspotContact({ name, email, phoneNumber, companyName });
+      return toContact(response);
+    },
+
+    async getKeyHighlights(email) {
+      return getKeyHighlightsByEmail(email);
+    },
+
+    // Appends to the contact's key_highlights_log and stores the merged current view
+    async saveKeyHighlights(email, keyHighlights, { recordedAt = new Date(), sessionId = null } = {}) {
+      const highlights = cleanHighlights(keyHighlights);
+      if (Object.keys(highlights).length === 0) return null;
+
+      const existing = await getKeyHighlightsLogByEmail(email);
+      if (!existing) return null;
+
+      let log = existing.log;
+      // Highlights saved before the log existed are kept as an undated first entry
+      if (!log && Object.keys(cleanHighlights(existing.keyHighlights)).length > 0) {
+        log = formatHighlightsLogLine({ highlights: existing.keyHighlights });
+      }
+      log = appendHighlightsLog(log, formatHighlightsLogLine({ highlights, recordedAt, sessionId }));
+
+      const current = toFlatHighlights(mergeKeyHighlightHistory(parseHighlightsLog(log)));
+      const response = await updateContactWithKeyHighlights(email, current, log);
+      return response ? { contactId: response.id } : null;
+    },
+
+    // History entries from the contact's key_highlights_log, newest first
+    async getKeyHighlightsHistory(email) {
+      const existing = await getKeyHighlightsLogByEmail(email);
+      if (!existing) return [];
+      return parseHighlightsLog(existing.log).reverse();
+    },
+
+    async saveSentiment(email, sentimentData) {
+      const response = await updateContactWithSentiment(email, sentimentData);
+      return response ? { contactId: response.id } : null;
+    },
+
+    async saveCallSummary(email, summaryText, sentimentTrend = null) {
+      const response = await updateContactWithCallSummary(email, summaryText, sentimentTrend);
+      return response ? { contactId: response.id } : null;
+    },
+
+    async saveQualification(email, qualification) {
+      const response = await updateContactWithQualification(email, qualification);
+      return response ? { contactId: response.id } : null;
+    },
+
+    // Call engagement plus a transcript note on the contact timeline
+    async logActivity(email, { title, body, transcript, timestamp, durationMs }) {
+      const contact = await getContactByEmail(email);
+      if (!contact) return null;
+
+      const call = await createCallEngagement({ contactId: contact.id, title, body, timestamp, durationMs });
+
+      // The call is already on the timeline; a failed transcript note is reported, not fatal
+      let note = null;
+      let noteError = null;
+      if (transcript) {
+        try {
+          note = await createNoteEngagement({ contactId: contact.id, body: transcript, timestamp });
+        } catch (error) {
+          console.error('🔄 BACKEND: Failed to create transcript note:', error.message);
+          noteError = error.message;
+        }
+      }
+
+      return {
+        contactId: contact.id,
+        activityId: call.id,
+        noteId: note ? note.id : null,
+        ...(noteError ? { error: noteError } : {})
+      };
+    },
+
+    async writeDeal({ action, contactId, dealId, properties }) {
+      const deal = action === "update"
+        ? await updateDeal(dealId, properties)
+        : await createDealForContact(contactId, properties);
+      return { dealId: deal.id };
+    }
+  };
+}
+
+export default createHubspotCrmProvider;
@@ -1,4 +1,5 @@
 import { Client as Hubspot } from "@hubspot/api-client";
+import { getErrorStatus } from "./crmSyncQueue.js";
 
 function getHubspotToken() {
   const token = process.env.HUBSPOT_TOKEN || process.env.VITE_HUBSPOT_TOKEN;
@@ -40,6 +41,17 @@ const CUSTOM_PROPERTIES = [
   }
 ];
 
+// Appended per-call history of key highlights (the properties above hold the merged current view)
+const KEY_HIGHLIGHTS_LOG_PROPERTIES = [
+  {
+    name: "key_highlights_log",
+    label: "Key Highlights Log",
+    type: "string",
+    fieldType: "textarea",
+    description: "Timestamped key highlights from each call, oldest entries dropped when full"
+  }
+];
+
 // Custom properties configuration for light sentiment
 const SENTIMENT_PROPERTIES = [
   {
@@ -65,6 +77,67 @@ const SENTIMENT_PROPERTIES = [
   }
 ];
 
+// Custom properties configuration for post-call summaries
+const CALL_SUMMARY_PROPERTIES = [
+  {
+    name: "last_call_summary",
+    label: "Last Call Summary",
+    type: "string",
+    fieldType: "textarea",
+    description: "Structured summary of the most recent call (needs, objections, next steps)"
+  },
+  {
+    name: "last_call_sentiment_trend",
+    label: "Last Call Sentiment Trend",
+    type: "string",
+    fieldType: "text",
+    description: "Sentiment trajectory of the most recent call (improving/stable/declining)"
+  }
+];
+
+// Custom properties configuration for lead qualification (BANT/MEDDIC/custom frameworks)
+const QUALIFICATION_PROPERTIES = [
+  {
+    name: "qualification_framework",
+    label: "Qualification Framework",
+    type: "string",
+    fieldType: "text",
+    description: "Framework the qualification score is based on (e.g. BANT, MEDDIC)"
+  },
+  {
+    name: "qualification_score",
+    label: "Qualification Score",
+    type: "number",
+    fieldType: "number",
+    description: "Lead qualification score from 0 to 100 across all calls"
+  },
+  {
+    name: "qualification_details",
+    label: "Qualification Details",
+    type: "string",
+    fieldType: "textarea",
+    description: "Per-field qualification status captured from calls"
+  }
+];
+
+// Create a list of contact properties, ignoring ones that already exist
+async function ensureContactProperties(hubspotClient, properties) {
+  for (const prop of properties) {
+    try {
+      await hubspotClient.crm.properties.coreApi.create("contacts", {
+        name: prop.name,
+        label: prop.label,
+        type: prop.type,
+        fieldType: prop.fieldType,
+        description: prop.description,
+        groupName: "contactinformation"
+      });
+    } catch (error) {
+      // 409 / "already exists" means the property is already there, which is fine
+    }
+  }
+}
+
 // Function to create custom properties in HubSpot
 export async function createCustomProperties() {
   const token = getHubspotToken();
@@ -111,6 +184,11 @@ export async function createCustomProperties() {
       }
     }
   }
+
+  // Create call summary and key highlights log properties
+  await ensureContactProperties(hubspotClient, CALL_SUMMARY_PROPERTIES);
+  await ensureContactProperties(hubspotClient, KEY_HIGHLIGHTS_LOG_PROPERTIES);
+  await ensureContactProperties(hubspotClient, QUALIFICATION_PROPERTIES);
 }
 
 function toHubspotProps({ name, email, phoneNumber, companyName }) {
@@ -179,6 +257,57 @@ export async function getContactByEmail(email) {
   }
 }
 
+// Search contacts by name and/or company: name first, then name + company, then company only
+export async function searchContacts({ name, company }) {
+  const token = getHubspotToken();
+  const hubspotClient = new Hubspot({ accessToken: token });
+  const properties = ["firstname", "lastname", "email", "phone", "company"];
+
+  const search = async (filters) => {
+    const result = await hubspotClient.crm.contacts.searchApi.doSearch({
+      filterGroups: [{ filters }],
+      properties,
+      limit: 10
+    });
+    return result.results || [];
+  };
+
+  const attempts = [];
+  if (name) {
+    // Split name into parts for better search
+    const nameParts = name.trim().split(' ');
+    const filters = [{ propertyName: "firstname", operator: "CONTAINS_TOKEN", value: nameParts[0] }];
+    if (nameParts[1]) {
+      filters.push({ propertyName: "lastname", operator: "CONTAINS_TOKEN", value: nameParts[1] });
+    }
+    attempts.push(filters);
+  }
+  if (name && company) {
+    attempts.push([
+      { propertyName: "firstname", operator: "CONTAINS_TOKEN", value: name.split(' ')[0] || name },
+      { propertyName: "company", operator: "CONTAINS_TOKEN", value: company }
+    ]);
+  }
+  if (company) {
+    attempts.push([{ propertyName: "company", operator: "CONTAINS_TOKEN", value: company }]);
+  }
+
+  for (const filters of attempts) {
+    try {
+      const results = await search(filters);
+      if (results.length > 0) {
+        return results;
+      }
+    } catch (error) {
+      // Network problems won't fix themselves on the next attempt
+      if (error.code === 'ENOTFOUND' || error.message?.includes('getaddrinfo ENOTFOUND')) {
+        throw error;
+      }
+    }
+  }
+  return [];
+}
+
 // Function to get key highlights from HubSpot contact by email
 export async function getKeyHighlightsByEmail(email) {
   if (!email) {
@@ -246,8 +375,55 @@ export async function getKeyHighlightsByEmail(email) {
   }
 }
 
-// Function to update HubSpot contact with key highlights
-export async function updateContactWithKeyHighlights(email, keyHighlights) {
+/**
+ * Key highlights log and current highlight properties of a contact
+ * @returns {Promise<Object|null>} - { contactId, log, keyHighlights } or null when the contact doesn't exist
+ */
+export async function getKeyHighlightsLogByEmail(email) {
+  if (!email) {
+    throw new Error("Email is required to get the key highlights log");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  let contact;
+  try {
+    contact = await hubspotClient.crm.contacts.searchApi.doSearch({
+      filterGroups: [{ filters: [{ propertyName: "email", operator: "EQ", value: email }] }],
+      properties: ["email", "budget_info", "timeline_info", "objections_info", "important_info", "key_highlights_log"],
+      limit: 1,
+    });
+  } catch (error) {
+    // If contact not found, return null
+    if (getErrorStatus(error) === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!contact.results || contact.results.length === 0) {
+    return null;
+  }
+  const properties = contact.results[0].properties || {};
+  return {
+    contactId: contact.results[0].id,
+    log: properties.key_highlights_log || "",
+    keyHighlights: {
+      budget: properties.budget_info || null,
+      timeline: properties.timeline_info || null,
+      objections: properties.objections_info || null,
+      importantInfo: properties.important_info || null
+    }
+  };
+}
+
+/**
+ * Update the key highlight properties of a contact
+ * @param {string} email - Contact email
+ * @param {Object} keyHighlights - { budget, timeline, objections, importantInfo } (merged current view)
+ * @param {string|null} log - Full key highlights log to store alongside, if any
+ * @returns {Promise<Object|null>} - Updated contact, or null when the contact doesn't exist
+ */
+export async function updateContactWithKeyHighlights(email, keyHighlights, log = null) {
   if (!email) {
     throw new Error("Email is required to update key highlights");
   }
@@ -259,45 +435,50 @@ export async function updateContactWithKeyHighlights(email, keyHighlights) {
   const token = getHubspotToken();
   const hubspotClient = new Hubspot({ accessToken: token });
 
-  try {
-    // First, find the contact by email - only update existing contacts
-    const existingContact = await getContactByEmail(email);
-    
-    if (!existingContact) {
-      return null;
-    }
+  // First, find the contact by email - only update existing contacts
+  const existingContact = await getContactByEmail(email);
+  if (!existingContact) {
+    return null;
+  }
 
-    // Prepare properties to update
-    const propertiesToUpdate = {};
-    
-    // Map key highlights to HubSpot custom properties
-    if (keyHighlights.budget) {
-      propertiesToUpdate.budget_info = keyHighlights.budget;
-    }
-    if (keyHighlights.timeline) {
-      propertiesToUpdate.timeline_info = keyHighlights.timeline;
-    }
-    if (keyHighlights.objections) {
-      propertiesToUpdate.objections_info = keyHighlights.objections;
-    }
-    if (keyHighlights.importantInfo) {
-      propertiesToUpdate.important_info = keyHighlights.importantInfo;
-    }
+  // Map key highlights to HubSpot custom properties
+  const propertiesToUpdate = {};
+  if (keyHighlights.budget) {
+    propertiesToUpdate.budget_info = keyHighlights.budget;
+  }
+  if (keyHighlights.timeline) {
+    propertiesToUpdate.timeline_info = keyHighlights.timeline;
+  }
+  if (keyHighlights.objections) {
+    propertiesToUpdate.objections_info = keyHighlights.objections;
+  }
+  if (keyHighlights.importantInfo) {
+    propertiesToUpdate.important_info = keyHighlights.importantInfo;
+  }
+  if (log !== null) {
+    propertiesToUpdate.key_highlights_log = log;
+  }
 
-    // Only update if there are properties to update
-    if (Object.keys(propertiesToUpdate).length === 0) {
-      return null;
-    }
+  // Only update if there are properties to update
+  if (Object.keys(propertiesToUpdate).length === 0) {
+    return null;
+  }
 
-    // Update the contact with key highlights
-    const response = await hubspotClient.crm.contacts.basicApi.update(
+  try {
+    return await hubspotClient.crm.contacts.basicApi.update(
       existingContact.id,
       { properties: propertiesToUpdate }
     );
-
-    return response;
-  } catch (error) {
-    throw error;
+  } catch (updateError) {
+    // Missing custom properties: create them once and retry
+    if (getErrorStatus(updateError) === 400 && updateError.body?.message?.toLowerCase().includes('property')) {
+      await ensureContactProperties(hubspotClient, [...CUSTOM_PROPERTIES, ...KEY_HIGHLIGHTS_LOG_PROPERTIES]);
+      return hubspotClient.crm.contacts.basicApi.update(
+        existingContact.id,
+        { properties: propertiesToUpdate }
+      );
+    }
+    throw updateError;
   }
 }
 
@@ -428,3 +609,211 @@ export async function updateContactWithSentiment(email, sentimentData) {
   }
 }
 
+// Function to update HubSpot contact with the latest call summary
+export async function updateContactWithCallSummary(email, summaryText, sentimentTrend = null) {
+  if (!email) {
+    throw new Error("Email is required to update call summary");
+  }
+
+  if (!summaryText) {
+    return null;
+  }
+
+  const token = getHubspotToken();
+  const hubspotClient = new Hubspot({ accessToken: token });
+
+  // Only update existing contacts
+  const existingContact = await getContactByEmail(email);
+  if (!existingContact) {
+    return null;
+  }
+
+  const propertiesToUpdate = { last_call_summary: summaryText };
+  if (sentimentTrend) {
+    propertiesToUpdate.last_call_sentiment_trend = sentimentTrend;
+  }
+
+  try {
+    return await hubspotClient.crm.contacts.basicApi.update(
+      existingContact.id,
+      { properties: propertiesToUpdate }
+    );
+  } catch (updateError) {
+    // Missing custom properties: create them once and retry
+    if (getErrorStatus(updateError) === 400 && updateError.body?.message?.toLowerCase().includes('property')) {
+      await ensureContactProperties(hubspotClient, CALL_SUMMARY_PROPERTIES);
+      return hubspotClient.crm.contacts.basicApi.update(
+        existingContact.id,
+        { properties: propertiesToUpdate }
+      );
+    }
+    throw updateError;
+  }
+}
+
+/**
+ * Update HubSpot contact with its qualification score
+ * @param {string} email - Contact email
+ * @param {Object} qualification - { frameworkName, score, details }
+ * @returns {Promise<Object|null>} - Updated contact, or null when the contact doesn't exist
+ */
+export async function updateContactWithQualification(email, { frameworkName, score, details }) {
+  if (!email) {
+    throw new Error("Email is required to update qualification");
+  }
+
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  // Only update existing contacts
+  const existingContact = await getContactByEmail(email);
+  if (!existingContact) {
+    return null;
+  }
+
+  const propertiesToUpdate = {
+    qualification_framework: frameworkName,
+    qualification_score: String(score),
+    qualification_details: details || ""
+  };
+
+  try {
+    return await hubspotClient.crm.contacts.basicApi.update(
+      existingContact.id,
+      { properties: propertiesToUpdate }
+    );
+  } catch (updateError) {
+    // Missing custom properties: create them once and retry
+    if (getErrorStatus(updateError) === 400 && updateError.body?.message?.toLowerCase().includes('property')) {
+      await ensureContactProperties(hubspotClient, QUALIFICATION_PROPERTIES);
+      return hubspotClient.crm.contacts.basicApi.update(
+        existingContact.id,
+        { properties: propertiesToUpdate }
+      );
+    }
+    throw updateError;
+  }
+}
+
+// --- Engagements (contact timeline) ---
+
+// HubSpot-defined association type ids
+const CALL_TO_CONTACT_ASSOCIATION = 194;
+const NOTE_TO_CONTACT_ASSOCIATION = 202;
+// HubSpot rejects rich-text properties above this length
+const ENGAGEMENT_BODY_MAX_LENGTH = 65000;
+
+function contactAssociation(contactId, associationTypeId) {
+  return [{
+    to: { id: contactId },
+    types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId }]
+  }];
+}
+
+/**
+ * Log a completed call on a contact's timeline
+ * @param {Object} call - { contactId, title, body (HTML), timestamp, durationMs }
+ * @returns {Promise<Object>} - Created call object
+ */
+export async function createCallEngagement({ contactId, title, body, timestamp = new Date(), durationMs = null }) {
+  if (!contactId) {
+    throw new Error("contactId is required to log a call");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  const properties = {
+    hs_timestamp: new Date(timestamp).toISOString(),
+    hs_call_title: title,
+    hs_call_body: (body || "").slice(0, ENGAGEMENT_BODY_MAX_LENGTH),
+    hs_call_status: "COMPLETED",
+    hs_call_direction: "OUTBOUND"
+  };
+  if (durationMs) properties.hs_call_duration = String(Math.round(durationMs));
+
+  return hubspotClient.crm.objects.calls.basicApi.create({
+    properties,
+    associations: contactAssociation(contactId, CALL_TO_CONTACT_ASSOCIATION)
+  });
+}
+
+/**
+ * Add a note to a contact's timeline
+ * @param {Object} note - { contactId, body (HTML), timestamp }
+ * @returns {Promise<Object>} - Created note object
+ */
+export async function createNoteEngagement({ contactId, body, timestamp = new Date() }) {
+  if (!contactId) {
+    throw new Error("contactId is required to create a note");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  return hubspotClient.crm.objects.notes.basicApi.create({
+    properties: {
+      hs_timestamp: new Date(timestamp).toISOString(),
+      hs_note_body: (body || "").slice(0, ENGAGEMENT_BODY_MAX_LENGTH)
+    },
+    associations: contactAssociation(contactId, NOTE_TO_CONTACT_ASSOCIATION)
+  });
+}
+
+// --- Deals ---
+
+// HubSpot-defined association type id for deal -> contact
+const DEAL_TO_CONTACT_ASSOCIATION = 3;
+const DEAL_PROPERTIES = ["dealname", "amount", "closedate", "pipeline", "dealstage", "hs_is_closed"];
+
+/**
+ * Find the most recently updated open deal associated with a contact
+ * @param {string} contactId - HubSpot contact id
+ * @param {string} pipeline - Only consider deals in this pipeline (optional)
+ * @returns {Promise<Object|null>} - Deal object or null
+ */
+export async function findOpenDealForContact(contactId, pipeline = null) {
+  if (!contactId) {
+    throw new Error("contactId is required to look up deals");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  const associations = await hubspotClient.crm.associations.v4.basicApi.getPage("contacts", contactId, "deals", undefined, 100);
+  const dealIds = (associations.results || []).map(result => String(result.toObjectId));
+  if (dealIds.length === 0) {
+    return null;
+  }
+
+  const deals = await hubspotClient.crm.deals.batchApi.read({
+    inputs: dealIds.map(id => ({ id })),
+    properties: DEAL_PROPERTIES,
+    propertiesWithHistory: []
+  });
+
+  const openDeals = (deals.results || [])
+    .filter(deal => deal.properties.hs_is_closed !== "true")
+    .filter(deal => !pipeline || deal.properties.pipeline === pipeline)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  return openDeals[0] || null;
+}
+
+// Create a deal associated with a contact
+export async function createDealForContact(contactId, properties) {
+  if (!contactId) {
+    throw new Error("contactId is required to create a deal");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+
+  return hubspotClient.crm.deals.basicApi.create({
+    properties,
+    associations: [{
+      to: { id: contactId },
+      types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: DEAL_TO_CONTACT_ASSOCIATION }]
+    }]
+  });
+}
+
+// Update properties on an existing deal
+export async function updateDeal(dealId, properties) {
+  if (!dealId) {
+    throw new Error("dealId is required to update a deal");
+  }
+  const hubspotClient = new Hubspot({ accessToken: getHubspotToken() });
+  return hubspotClient.crm.deals.basicApi.update(dealId, { properties });
+}
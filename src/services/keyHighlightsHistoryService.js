@@ -0,0 +1,220 @@
+import KeyHighlightEntry from "../models/KeyHighlightEntry.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+/**
+ * Key highlights history: every save is kept as a timestamped entry instead of
+ * overwriting the previous call's highlights.
+ * - Mongo keeps the full history per contact (KeyHighlightEntry)
+ * - CRMs without our database (HubSpot) keep an appended, size-bounded text log
+ * - The "current view" merges the history: budget and timeline are revised by the
+ *   latest mention (older values are kept as `previous`), objections and other
+ *   important info accumulate across calls
+ */
+
+export const HIGHLIGHT_FIELDS = ["budget", "timeline", "objections", "importantInfo"];
+// Revised by later calls (latest wins)
+const SINGLE_VALUE_FIELDS = ["budget", "timeline"];
+
+const HIGHLIGHT_LABELS = {
+  budget: "Budget",
+  timeline: "Timeline",
+  objections: "Objections",
+  importantInfo: "Important info"
+};
+
+// HubSpot text properties hold 65536 characters; keep the log well below that
+const MAX_LOG_CHARS = parseInt(process.env.KEY_HIGHLIGHTS_LOG_MAX_CHARS || "20000", 10);
+const MAX_MERGE_ENTRIES = 500;
+const LOG_SEPARATOR = " | ";
+// Log lines for highlights saved before history existed have no timestamp
+const UNDATED_MARKER = "earlier";
+
+// Keep only non-empty string highlight fields
+export function cleanHighlights(highlights) {
+  const cleaned = {};
+  for (const field of HIGHLIGHT_FIELDS) {
+    const value = highlights && highlights[field];
+    if (typeof value === "string" && value.trim()) {
+      cleaned[field] = value.trim();
+    }
+  }
+  return cleaned;
+}
+
+const normalizeValue = (value) => value.toLowerCase().replace(/\s+/g, " ").trim();
+const toTime = (date) => (date ? new Date(date).getTime() : 0);
+
+/**
+ * Merge history entries into the current view of a contact's highlights.
+ * @param {Array} entries - [{ highlights, recordedAt, sessionId }] in any order
+ * @returns {Object} - {
+ *   budget / timeline: { value, recordedAt, sessionId, previous: [{ value, recordedAt, sessionId }] } | null,
+ *   objections / importantInfo: [{ value, firstRecordedAt, lastRecordedAt, sessionIds }]
+ * }
+ */
+export function mergeKeyHighlightHistory(entries) {
+  const ordered = [...(entries || [])].sort((a, b) => toTime(a.recordedAt) - toTime(b.recordedAt));
+  const current = { budget: null, timeline: null, objections: [], importantInfo: [] };
+
+  for (const entry of ordered) {
+    const highlights = cleanHighlights(entry.highlights);
+    const recordedAt = entry.recordedAt || null;
+    const sessionId = entry.sessionId || null;
+
+    for (const [field, value] of Object.entries(highlights)) {
+      if (SINGLE_VALUE_FIELDS.includes(field)) {
+        const latest = current[field];
+        if (latest && normalizeValue(latest.value) === normalizeValue(value)) {
+          // Repeated, not revised: keep the first mention
+          continue;
+        }
+        const previous = latest
+          ? [{ value: latest.value, recordedAt: latest.recordedAt, sessionId: latest.sessionId }, ...latest.previous]
+          : [];
+        current[field] = { value, recordedAt, sessionId, previous };
+        continue;
+      }
+
+      const existing = current[field].find(item => normalizeValue(item.value) === normalizeValue(value));
+      if (existing) {
+        existing.lastRecordedAt = recordedAt;
+        if (sessionId && !existing.sessionIds.includes(sessionId)) existing.sessionIds.push(sessionId);
+      } else {
+        current[field].push({
+          value,
+          firstRecordedAt: recordedAt,
+          lastRecordedAt: recordedAt,
+          sessionIds: sessionId ? [sessionId] : []
+        });
+      }
+    }
+  }
+
+  // Most recently mentioned first
+  for (const field of HIGHLIGHT_FIELDS.filter(f => !SINGLE_VALUE_FIELDS.includes(f))) {
+    current[field].sort((a, b) => toTime(b.lastRecordedAt) - toTime(a.lastRecordedAt));
+  }
+  return current;
+}
+
+// Current view as the flat { budget, timeline, objections, importantInfo } strings CRMs store
+export function toFlatHighlights(current) {
+  const flat = {};
+  for (const field of SINGLE_VALUE_FIELDS) {
+    if (current[field]) flat[field] = current[field].value;
+  }
+  for (const field of HIGHLIGHT_FIELDS.filter(f => !SINGLE_VALUE_FIELDS.includes(f))) {
+    if (current[field].length > 0) flat[field] = current[field].map(item => item.value).join("; ");
+  }
+  return flat;
+}
+
+// --- Text log (CRM property) ---
+
+const sanitizeLogValue = (value) => value.replace(/\s*\|\s*/g, " / ").replace(/\s+/g, " ").trim();
+
+// "2026-03-02T10:15:00.000Z | session 65e... | Budget: 50k | Objections: price"
+export function formatHighlightsLogLine({ highlights, recordedAt = null, sessionId = null }) {
+  const parts = [recordedAt ? new Date(recordedAt).toISOString() : UNDATED_MARKER];
+  if (sessionId) parts.push(`session ${sessionId}`);
+  for (const [field, value] of Object.entries(cleanHighlights(highlights))) {
+    parts.push(`${HIGHLIGHT_LABELS[field]}: ${sanitizeLogValue(value)}`);
+  }
+  return parts.join(LOG_SEPARATOR);
+}
+
+// Parse a log back into history entries (lines that don't parse are skipped)
+export function parseHighlightsLog(log) {
+  const labelToField = Object.fromEntries(Object.entries(HIGHLIGHT_LABELS).map(([field, label]) => [label, field]));
+  const entries = [];
+
+  for (const line of (log || "").split("\n")) {
+    const [datePart, ...parts] = line.trim().split(LOG_SEPARATOR);
+    if (!datePart) continue;
+    const recordedAt = datePart === UNDATED_MARKER ? null : new Date(datePart);
+    if (recordedAt && isNaN(recordedAt.getTime())) continue;
+
+    const entry = { recordedAt, sessionId: null, highlights: {} };
+    for (const part of parts) {
+      if (part.startsWith("session ")) {
+        entry.sessionId = part.slice("session ".length).trim();
+        continue;
+      }
+      const separatorIndex = part.indexOf(": ");
+      const field = separatorIndex > 0 ? labelToField[part.slice(0, separatorIndex)] : null;
+      if (field) entry.highlights[field] = part.slice(separatorIndex + 2);
+    }
+    if (Object.keys(entry.highlights).length > 0) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Append a line to a text log, dropping the oldest lines to stay within maxChars.
+ * A line identical to the last one is not appended twice (retried writes).
+ */
+export function appendHighlightsLog(log, line, maxChars = MAX_LOG_CHARS) {
+  const lines = (log || "").split("\n").filter(Boolean);
+  if (lines[lines.length - 1] !== line) lines.push(line);
+
+  let length = lines.join("\n").length;
+  while (lines.length > 1 && length > maxChars) {
+    length -= lines.shift().length + 1;
+  }
+  return lines.join("\n");
+}
+
+// --- Mongo history ---
+
+const byContact = (organizationId, email) => ({ organizationId, email: String(email).toLowerCase().trim() });
+
+/**
+ * Store a set of highlights as a history entry (no-op without a database).
+ * A repeated idempotency key returns the entry stored the first time.
+ * @returns {Promise<Object|null>} - Saved entry, or null when nothing was stored
+ */
+export async function recordKeyHighlights({ organizationId = "default", email, highlights, sessionId = null, recordedAt = new Date(), idempotencyKey = null, createdBy = null }) {
+  const cleaned = cleanHighlights(highlights);
+  if (!email || Object.keys(cleaned).length === 0 || !isDatabaseConnected()) {
+    return null;
+  }
+  try {
+    return await KeyHighlightEntry.create({
+      ...byContact(organizationId, email),
+      sessionId,
+      highlights: cleaned,
+      recordedAt,
+      idempotencyKey: idempotencyKey || undefined,
+      createdBy
+    });
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      return KeyHighlightEntry.findOne({ organizationId, idempotencyKey });
+    }
+    throw error;
+  }
+}
+
+/**
+ * History entries for a contact, newest first.
+ * @returns {Promise<Array|null>} - Entries, or null without a database
+ */
+export async function getKeyHighlightsHistory(organizationId, email, { limit = MAX_MERGE_ENTRIES } = {}) {
+  if (!isDatabaseConnected()) return null;
+  return KeyHighlightEntry.find(byContact(organizationId, email))
+    .sort({ recordedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export default {
+  HIGHLIGHT_FIELDS,
+  cleanHighlights,
+  mergeKeyHighlightHistory,
+  toFlatHighlights,
+  formatHighlightsLogLine,
+  parseHighlightsLog,
+  appendHighlightsLog,
+  recordKeyHighlights,
+  getKeyHighlightsHistory
+};
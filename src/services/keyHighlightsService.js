@@ -1,4 +1,5 @@
 import OpenAI from "openai";
+import { findQuoteInTurns } from "./callSummaryService.js";
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -20,24 +21,89 @@ export function extractUserQuestion(transcript) {
   return transcript;
 }
 
-// --- Helper function to detect key highlights from customer query ---
-export async function detectKeyHighlights(customerQuery, conversationHistory = []) {
+// --- Evidence for key highlights ---
+// Every highlight must quote the customer; highlights whose quote isn't in what the customer
+// said are dropped, so a hallucinated budget never reaches the CRM.
+
+export const HIGHLIGHT_FIELDS = ["budget", "timeline", "objections", "importantInfo"];
+// Highlights the model itself is less sure about than this are dropped too
+export const MIN_HIGHLIGHT_CONFIDENCE = parseFloat(process.env.KEY_HIGHLIGHT_MIN_CONFIDENCE || "0.3");
+
+// JSON shape for prompts that ask for highlights (also used by the combined response+highlights call)
+export const KEY_HIGHLIGHTS_JSON_SHAPE = `{
+    "budget": { "value": "budget information mentioned", "quote": "exact customer words it comes from", "confidence": 0.0-1.0 } or null,
+    "timeline": { "value": "timeline information mentioned", "quote": "...", "confidence": 0.0-1.0 } or null,
+    "objections": { "value": "customer objections or concerns mentioned", "quote": "...", "confidence": 0.0-1.0 } or null,
+    "importantInfo": { "value": "other important information mentioned", "quote": "...", "confidence": 0.0-1.0 } or null
+  }`;
+
+export const KEY_HIGHLIGHTS_EVIDENCE_RULES = `- "quote" must be copied word for word from the customer's words (same language); a highlight without a quote is discarded
+- "confidence" is how certain you are that the customer actually stated this`;
+
+/**
+ * Keep only highlights whose quote appears in the customer's words.
+ * @param {Object} rawHighlights - Model output: { field: { value, quote, confidence } | null }
+ * @param {Array<string>} sourceTexts - What the customer said (e.g. original and translated transcript)
+ * @param {Object} options - { turnIndex } of the utterance, when already known
+ * @returns {Object} - { keyHighlights: { field: value }, highlightEvidence: { field: { quote, turnIndex, confidence } }, dropped: [field] }
+ */
+export function verifyKeyHighlights(rawHighlights, sourceTexts, { turnIndex = null } = {}) {
+  const sourceTurns = (sourceTexts || []).filter(Boolean).map(text => ({ index: turnIndex, transcript: text }));
+  const keyHighlights = {};
+  const highlightEvidence = {};
+  const dropped = [];
+
+  for (const field of HIGHLIGHT_FIELDS) {
+    const raw = rawHighlights ? rawHighlights[field] : null;
+    if (raw === null || raw === undefined) continue;
+
+    const value = typeof raw === "string" ? raw : raw.value;
+    if (typeof value !== "string" || !value.trim()) continue;
+
+    const confidence = typeof raw.confidence === "number" ? Math.min(1, Math.max(0, raw.confidence)) : null;
+    const evidence = typeof raw.quote === "string" ? findQuoteInTurns(raw.quote, sourceTurns, turnIndex) : null;
+    if (!evidence || (confidence !== null && confidence < MIN_HIGHLIGHT_CONFIDENCE)) {
+      dropped.push(field);
+      continue;
+    }
+
+    keyHighlights[field] = value.trim();
+    highlightEvidence[field] = { quote: evidence.quote, turnIndex, confidence };
+  }
+
+  if (dropped.length > 0) {
+    console.log(`🔄 BACKEND: Dropped unsupported key highlights: ${dropped.join(", ")}`);
+  }
+  return { keyHighlights, highlightEvidence, dropped };
+}
+
+// Set the turn index on evidence extracted before the turn was stored
+export function withEvidenceTurnIndex(highlightEvidence, turnIndex) {
+  return Object.fromEntries(
+    Object.entries(highlightEvidence || {}).map(([field, evidence]) => [field, { ...evidence, turnIndex }])
+  );
+}
+
+/**
+ * Detect key highlights in a customer query, each with its evidence quote.
+ * @param {string} customerQuery - What the customer said
+ * @param {Array} conversationHistory - Previous turns (unused by the prompt, kept for callers)
+ * @param {Object} options - { sourceTexts (defaults to [customerQuery]), turnIndex }
+ * @returns {Promise<Object>} - { keyHighlights, highlightEvidence } (empty objects on failure)
+ */
+export async function detectKeyHighlightsWithEvidence(customerQuery, conversationHistory = [], { sourceTexts = null, turnIndex = null } = {}) {
   try {
 
     const highlightsPrompt = `Analyze the following customer conversation and extract key highlights. Return ONLY a JSON object with these exact fields:
 
-{
-  "budget": "budget information mentioned" or null,
-  "timeline": "timeline information mentioned" or null,
-  "objections": "customer objections or concerns mentioned" or null,
-  "importantInfo": "other important information mentioned" or null
-}
+${KEY_HIGHLIGHTS_JSON_SHAPE}
 
 IMPORTANT: 
 - Only extract information that is explicitly mentioned by the customer
 - Return null for fields where no relevant information is found
 - Keep extracted text concise but meaningful
 - Do NOT make assumptions or add information not mentioned
+${KEY_HIGHLIGHTS_EVIDENCE_RULES}
 
 Customer query: "${customerQuery}"
 
@@ -49,30 +115,17 @@ Extract only the key highlights mentioned by the customer in this specific query
         { role: "system", content: "You are a key highlights extraction assistant. Extract only factual information mentioned by customers and return valid JSON." },
         { role: "user", content: highlightsPrompt }
       ],
-      max_tokens: 300,
+      response_format: { type: "json_object" },
+      max_tokens: 400,
       temperature: 0.1,
     });
 
-    let keyHighlights;
     try {
       const rawData = JSON.parse(completion.choices[0].message.content);
-
-      // Clean up the data and filter out null values
-      keyHighlights = {
-        budget: rawData.budget || null,
-        timeline: rawData.timeline || null,
-        objections: rawData.objections || null,
-        importantInfo: rawData.importantInfo || null
-      };
-
-      // Remove null values to keep only meaningful highlights
-      const filteredHighlights = Object.fromEntries(
-        Object.entries(keyHighlights).filter(([key, value]) => value !== null && value.trim() !== '')
-      );
-
-      return filteredHighlights;
+      const { keyHighlights, highlightEvidence } = verifyKeyHighlights(rawData, sourceTexts || [customerQuery], { turnIndex });
+      return { keyHighlights, highlightEvidence };
     } catch (parseError) {
-      return {};
+      return { keyHighlights: {}, highlightEvidence: {} };
     }
   } catch (error) {
     
@@ -80,12 +133,21 @@ Extract only the key highlights mentioned by the customer in this specific query
     if (error.status === 429 || error.code === 'insufficient_quota') {
     }
     
-    return {};
+    return { keyHighlights: {}, highlightEvidence: {} };
   }
 }
 
+// --- Helper function to detect key highlights from customer query (verified values only) ---
+export async function detectKeyHighlights(customerQuery, conversationHistory = []) {
+  const { keyHighlights } = await detectKeyHighlightsWithEvidence(customerQuery, conversationHistory);
+  return keyHighlights;
+}
+
 export default {
   extractUserQuestion,
+  verifyKeyHighlights,
+  withEvidenceTurnIndex,
+  detectKeyHighlightsWithEvidence,
   detectKeyHighlights
 };
 
@@ -0,0 +1,132 @@
+/**
+ * Local lexicon-based sentiment provider (no external API).
+ * Used as the fallback when the configured provider fails and for dev/test setups
+ * without Google credentials. Word lists are tuned to sales conversations and cover
+ * English and German; negations ("not", "kein") flip and intensifiers ("very", "sehr")
+ * strengthen the next sentiment word.
+ */
+
+// Word scores from -3 (very negative) to 3 (very positive)
+const LEXICONS = {
+  en: {
+    excellent: 3, amazing: 3, awesome: 3, fantastic: 3, perfect: 3, love: 3, wonderful: 3, outstanding: 3,
+    great: 2, good: 2, like: 1, nice: 2, happy: 2, glad: 2, interested: 2, interesting: 2, impressive: 2,
+    impressed: 2, excited: 2, helpful: 2, useful: 2, valuable: 2, convinced: 2, best: 2, thanks: 1,
+    thank: 1, agree: 1, fair: 1, easy: 1, clear: 1, fine: 1, works: 1, affordable: 1, reasonable: 1,
+    sure: 1, definitely: 1, deal: 1,
+    terrible: -3, awful: -3, hate: -3, horrible: -3, useless: -3, worst: -3, unacceptable: -3,
+    bad: -2, expensive: -2, disappointed: -2, disappointing: -2, frustrated: -2, frustrating: -2,
+    annoying: -2, annoyed: -2, unhappy: -2, angry: -2, broken: -2, worse: -2, cancel: -2, overpriced: -2,
+    problem: -1, problems: -1, issue: -1, issues: -1, worried: -1, concern: -1, concerns: -1,
+    concerned: -1, difficult: -1, complicated: -1, confusing: -1, slow: -1, wrong: -1, unfortunately: -1,
+    risky: -1, doubt: -1, doubts: -1, unsure: -1, hesitant: -1
+  },
+  de: {
+    hervorragend: 3, ausgezeichnet: 3, perfekt: 3, fantastisch: 3, genial: 3, großartig: 3, wunderbar: 3,
+    gut: 2, super: 2, toll: 2, klasse: 2, prima: 2, interessant: 2, interessiert: 2, spannend: 2,
+    beeindruckend: 2, beeindruckt: 2, hilfreich: 2, nützlich: 2, überzeugt: 2, froh: 2, freue: 2,
+    bestens: 2, danke: 1, gerne: 1, gern: 1, einverstanden: 1, passt: 1, fair: 1, einfach: 1, klar: 1,
+    günstig: 1, preiswert: 1, sicher: 1,
+    schrecklich: -3, furchtbar: -3, katastrophal: -3, nutzlos: -3, inakzeptabel: -3, hasse: -3,
+    schlecht: -2, teuer: -2, enttäuscht: -2, enttäuschend: -2, frustriert: -2, ärgerlich: -2,
+    verärgert: -2, unzufrieden: -2, nervig: -2, kaputt: -2, schlimm: -2, schlimmer: -2, kündigen: -2,
+    überteuert: -2,
+    problem: -1, probleme: -1, schwierig: -1, kompliziert: -1, verwirrend: -1, langsam: -1, falsch: -1,
+    leider: -1, sorge: -1, sorgen: -1, bedenken: -1, zweifel: -1, riskant: -1, unklar: -1, schade: -1,
+    unsicher: -1, zögerlich: -1
+  }
+};
+
+const NEGATIONS = {
+  en: ["not", "no", "never", "don't", "dont", "doesn't", "doesnt", "isn't", "isnt", "wasn't", "aren't",
+    "can't", "cant", "won't", "wont", "didn't", "didnt", "hardly", "without"],
+  de: ["nicht", "kein", "keine", "keinen", "keinem", "keiner", "nie", "niemals", "ohne", "kaum"]
+};
+
+const INTENSIFIERS = {
+  en: ["very", "really", "extremely", "so", "too", "totally", "absolutely", "super", "highly"],
+  de: ["sehr", "echt", "wirklich", "extrem", "total", "ziemlich", "zu", "besonders", "äußerst", "absolut"]
+};
+
+const INTENSIFIER_FACTOR = 1.5;
+// A negation or intensifier applies to a sentiment word within this many following words
+const MODIFIER_REACH = 3;
+// Normalization constant that maps the summed word scores into -1..1 (as in VADER)
+const NORMALIZATION_ALPHA = 15;
+
+// "de-DE" -> "de"; unknown or missing languages use all word lists
+function resolveLanguages(language) {
+  const code = String(language || "").toLowerCase().split("-")[0];
+  return LEXICONS[code] ? [code] : Object.keys(LEXICONS);
+}
+
+/**
+ * Score a text with the word lists (pure).
+ * @param {string} text
+ * @param {Object} options - { language } e.g. "de-DE"; without it English and German are combined
+ * @returns {Object} - { score: -1..1, magnitude: >= 0, matchedWords }
+ */
+export function scoreTextWithLexicon(text, { language = null } = {}) {
+  const languages = resolveLanguages(language);
+  const lexicon = Object.assign({}, ...languages.map(code => LEXICONS[code]));
+  const negations = new Set(languages.flatMap(code => NEGATIONS[code]));
+  const intensifiers = new Set(languages.flatMap(code => INTENSIFIERS[code]));
+
+  const words = String(text || "").toLowerCase().replace(/[’`]/g, "'").match(/[\p{L}']+/gu) || [];
+  let sum = 0;
+  let magnitude = 0;
+  let matchedWords = 0;
+  let negatedFor = 0;
+  let intensifiedFor = 0;
+
+  for (const word of words) {
+    if (negations.has(word)) {
+      negatedFor = MODIFIER_REACH;
+      continue;
+    }
+    if (intensifiers.has(word) && lexicon[word] === undefined) {
+      intensifiedFor = MODIFIER_REACH;
+      continue;
+    }
+
+    let value = lexicon[word];
+    if (value !== undefined) {
+      if (intensifiedFor > 0) value *= INTENSIFIER_FACTOR;
+      // Negated praise is clearly negative; negated criticism ("not bad") only mildly positive
+      if (negatedFor > 0) value = value > 0 ? -value : -value / 2;
+      sum += value;
+      magnitude += Math.abs(value);
+      matchedWords++;
+      negatedFor = 0;
+      intensifiedFor = 0;
+      continue;
+    }
+    negatedFor = Math.max(0, negatedFor - 1);
+    intensifiedFor = Math.max(0, intensifiedFor - 1);
+  }
+
+  const score = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+  const round = (number) => Math.round(number * 1000) / 1000;
+  // Magnitude roughly on Google's scale: total emotional strength, not normalized by length
+  return { score: round(score), magnitude: round(magnitude / 3), matchedWords };
+}
+
+/**
+ * Sentiment provider using the local word lists.
+ * Implements the sentimentService provider interface.
+ */
+export function createLexiconSentimentProvider() {
+  return {
+    name: "lexicon",
+
+    async analyze(text, { language = null } = {}) {
+      const { score, magnitude } = scoreTextWithLexicon(text, { language });
+      return { score, magnitude };
+    }
+  };
+}
+
+export default {
+  scoreTextWithLexicon,
+  createLexiconSentimentProvider
+};
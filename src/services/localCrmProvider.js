@@ -0,0 +1,186 @@
+import LocalContact from "../models/LocalContact.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import {
+  cleanHighlights,
+  mergeKeyHighlightHistory,
+  toFlatHighlights,
+  getKeyHighlightsHistory
+} from "./keyHighlightsHistoryService.js";
+
+/**
+ * Built-in Mongo-backed implementation of the CRM provider interface (see crmProviderService.js).
+ * Gives organizations without HubSpot contact memory across calls; contacts are
+ * scoped per organization.
+ */
+
+// Logged activities kept per contact (oldest are dropped)
+const MAX_ACTIVITIES_PER_CONTACT = 200;
+const SEARCH_LIMIT = 10;
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    const error = new Error("The local CRM requires a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toContact(contact) {
+  if (!contact) return null;
+  return {
+    id: String(contact._id),
+    name: contact.firstname || contact.lastname
+      ? `${contact.firstname || ''} ${contact.lastname || ''}`.trim()
+      : null,
+    firstname: contact.firstname || null,
+    lastname: contact.lastname || null,
+    email: contact.email,
+    phone: contact.phone || null,
+    company: contact.company || null,
+    lastUpdated: contact.updatedAt || contact.createdAt || null,
+    provider: "local"
+  };
+}
+
+export function createLocalCrmProvider(organizationId = "default") {
+  const byEmail = (email) => ({ organizationId, email: String(email).toLowerCase().trim() });
+
+  // Update an existing contact only (same behaviour as the HubSpot provider)
+  const updateExisting = async (email, update) => {
+    ensureDatabase();
+    const contact = await LocalContact.findOneAndUpdate(byEmail(email), update, { new: true, projection: { _id: 1 } });
+    return contact ? { contactId: String(contact._id) } : null;
+  };
+
+  return {
+    name: "local",
+    label: "local CRM",
+
+    async findContactByEmail(email) {
+      ensureDatabase();
+      return toContact(await LocalContact.findOne(byEmail(email), { activities: 0 }).lean());
+    },
+
+    async searchContacts({ name, company }) {
+      ensureDatabase();
+      const conditions = [];
+      if (name) {
+        const [first, last] = name.trim().split(/\s+/);
+        const nameCondition = { firstname: new RegExp(`^${escapeRegex(first)}`, "i") };
+        if (last) nameCondition.lastname = new RegExp(`^${escapeRegex(last)}`, "i");
+        conditions.push(nameCondition);
+      }
+      if (company) {
+        conditions.push({ company: new RegExp(escapeRegex(company.trim()), "i") });
+      }
+      if (conditions.length === 0) return [];
+
+      const contacts = await LocalContact.find({ organizationId, $or: conditions }, { activities: 0 })
+        .sort({ updatedAt: -1 })
+        .limit(SEARCH_LIMIT)
+        .lean();
+      return contacts.map(toContact);
+    },
+
+    async upsertContact({ name, email, phoneNumber, companyName }) {
+      ensureDatabase();
+      if (!email) {
+        throw new Error("Email is required to upsert a contact");
+      }
+      const fields = {};
+      if (name) {
+        const [firstname, ...rest] = name.trim().split(/\s+/);
+        fields.firstname = firstname;
+        if (rest.length > 0) fields.lastname = rest.join(" ");
+      }
+      if (phoneNumber) fields.phone = phoneNumber;
+      if (companyName) fields.company = companyName;
+
+      const contact = await LocalContact.findOneAndUpdate(
+        byEmail(email),
+        { $set: fields },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, projection: { activities: 0 } }
+      ).lean();
+      return toContact(contact);
+    },
+
+    async getKeyHighlights(email) {
+      ensureDatabase();
+      const contact = await LocalContact.findOne(byEmail(email), { keyHighlights: 1 }).lean();
+      const highlights = Object.fromEntries(
+        Object.entries((contact && contact.keyHighlights) || {}).filter(([, value]) => value)
+      );
+      return Object.keys(highlights).length > 0 ? highlights : null;
+    },
+
+    // The history itself lives in KeyHighlightEntry (recorded before the CRM write);
+    // the contact keeps the merged current view
+    async saveKeyHighlights(email, keyHighlights) {
+      const highlights = cleanHighlights(keyHighlights);
+      if (Object.keys(highlights).length === 0) return null;
+
+      const history = await getKeyHighlightsHistory(organizationId, email);
+      const current = history && history.length > 0
+        ? toFlatHighlights(mergeKeyHighlightHistory(history))
+        : highlights;
+      return updateExisting(email, { $set: { keyHighlights: current } });
+    },
+
+    async saveSentiment(email, sentimentData) {
+      if (!sentimentData || !sentimentData.color) return null;
+      return updateExisting(email, {
+        $set: {
+          sentiment: {
+            color: sentimentData.color,
+            score: sentimentData.score,
+            label: sentimentData.sentiment
+          }
+        }
+      });
+    },
+
+    async saveCallSummary(email, summaryText, sentimentTrend = null) {
+      if (!summaryText) return null;
+      return updateExisting(email, {
+        $set: { lastCallSummary: summaryText, lastCallSentimentTrend: sentimentTrend }
+      });
+    },
+
+    async saveQualification(email, { framework, frameworkName, score, details }) {
+      return updateExisting(email, {
+        $set: { qualification: { framework, frameworkName, score, details, updatedAt: new Date() } }
+      });
+    },
+
+    // Most recent activities first (optional provider method)
+    async getActivities(email, limit = 20) {
+      ensureDatabase();
+      const contact = await LocalContact.findOne(byEmail(email), { activities: { $slice: -limit } }).lean();
+      return contact ? [...(contact.activities || [])].reverse() : [];
+    },
+
+    async logActivity(email, { title, body, transcript, timestamp, durationMs, sessionId }) {
+      ensureDatabase();
+      const contact = await LocalContact.findOneAndUpdate(
+        byEmail(email),
+        {
+          $push: {
+            activities: {
+              $each: [{ type: "call", title, body, transcript, timestamp, durationMs, sessionId }],
+              $slice: -MAX_ACTIVITIES_PER_CONTACT
+            }
+          }
+        },
+        { new: true, projection: { _id: 1, activities: { $slice: -1 } } }
+      );
+      if (!contact) return null;
+      return { contactId: String(contact._id), activityId: String(contact.activities[0]._id) };
+    }
+  };
+}
+
+export default createLocalCrmProvider;
@@ -0,0 +1,124 @@
+/**
+ * Local embedding provider (no external API).
+ * Feature hashing of words, word stems, word pairs and character trigrams into a fixed-size
+ * vector. It captures shared vocabulary only: inflections of a word share its stem
+ * ("competitors" / "competitor", "Preise" / "Preis"), but synonyms ("cost" / "price") score
+ * nothing. Deterministic and free, which makes it the provider for tests and dev setups
+ * without an OpenAI key.
+ */
+
+const DEFAULT_DIMENSIONS = 512;
+
+// Feature weights: stems carry the meaning, exact words and word pairs add to it,
+// trigrams catch typos and related word forms the stemmer misses ("compete" / "competitor")
+const STEM_WEIGHT = 1;
+const WORD_WEIGHT = 0.5;
+const WORD_PAIR_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.6;
+
+// Inflection endings (English and German), longest first
+const SUFFIXES = ["ations", "ation", "ings", "ing", "ies", "ers", "er", "es", "en", "ed", "s", "e", "n"];
+// Shorter stems are mostly different words ("news" / "new")
+const MIN_STEM_LENGTH = 4;
+
+// Words that say nothing about what a question is about (English and German)
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "if", "of", "to", "in", "on", "at", "for", "with", "by", "from",
+  "is", "are", "was", "were", "be", "been", "am", "do", "does", "did", "i", "me", "my", "we", "our", "you",
+  "your", "it", "its", "this", "that", "these", "those", "what", "how", "why", "can", "could", "would",
+  "will", "should", "who", "which", "where", "when", "so", "than", "then", "there", "about", "just", "really", "what's", "i'm", "know",
+  "der", "die", "das", "ein", "eine", "einen", "und", "oder", "aber", "wenn", "von", "zu", "im", "in",
+  "auf", "für", "mit", "ist", "sind", "war", "ich", "mir", "mich", "wir", "uns", "sie", "ihr", "ihre",
+  "es", "was", "wie", "warum", "wer", "welche", "welcher", "wo", "wann", "kann", "können", "würde", "soll", "so", "als", "dann", "da"
+]);
+
+// 32-bit FNV-1a hash with a final avalanche (MurmurHash3 fmix32) - plain FNV-1a spreads
+// short features like "w:ist" poorly over the low bits used as the vector index
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Crude stemmer: strips up to two inflection endings, so the forms of a word share a feature
+ * ("competitors" -> "competitor", "Preise" -> "prei" <- "Preis"). Not a linguistic stem.
+ */
+export function stemWord(word) {
+  let stem = word;
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = SUFFIXES.find(ending => stem.endsWith(ending) && stem.length - ending.length >= MIN_STEM_LENGTH);
+    if (!suffix) break;
+    stem = suffix === "ies" ? `${stem.slice(0, -3)}y` : stem.slice(0, -suffix.length);
+  }
+  return stem;
+}
+
+export function tokenizeForEmbedding(text) {
+  // Contractions stay one token ("won't", "what's")
+  return String(text || "").toLowerCase().normalize("NFKC").replace(/’/g, "'").match(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) || [];
+}
+
+/**
+ * Embed one text (pure)
+ * @returns {Array<number>} - Unit-length vector (all zeros for text without content words)
+ */
+export function embedTextLocally(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const add = (feature, weight) => {
+    const hash = hashFeature(feature);
+    // The high bit picks the sign so colliding features tend to cancel out instead of adding up
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  const words = tokenizeForEmbedding(text).filter(word => word.length > 1 && !STOPWORDS.has(word));
+  words.forEach((word, index) => {
+    add(`s:${stemWord(word)}`, STEM_WEIGHT);
+    add(`w:${word}`, WORD_WEIGHT);
+    if (index > 0) {
+      add(`p:${words[index - 1]} ${word}`, WORD_PAIR_WEIGHT);
+    }
+    const padded = `#${word}#`;
+    const trigramCount = Math.max(1, padded.length - 2);
+    for (let i = 0; i < padded.length - 2; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT / Math.sqrt(trigramCount));
+    }
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Embedding provider for embeddingService.
+ * @param {Object} options - { dimensions }
+ */
+export function createLocalEmbeddingProvider({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  return {
+    name: "local",
+    // Bump when the features change: stored vectors are keyed by provider and model
+    model: "hashing-v2",
+    dimensions,
+    // Lexical overlap only: questions sharing a single word already reach 0.4-0.5
+    minSimilarity: 0.6,
+
+    async embed(texts) {
+      return texts.map(text => embedTextLocally(text, dimensions));
+    }
+  };
+}
+
+export default {
+  stemWord,
+  tokenizeForEmbedding,
+  embedTextLocally,
+  createLocalEmbeddingProvider
+};
@@ -0,0 +1,52 @@
+import OpenAI from "openai";
+
+/**
+ * Embedding provider backed by the OpenAI embeddings API.
+ * Implements the embeddingService provider interface.
+ */
+
+// Created on first use so scripts and the local provider work without an OpenAI key
+let openai = null;
+
+function getOpenAIClient() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return openai;
+}
+
+const DEFAULT_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+// text-embedding-3 models can shorten their vectors; 512 keeps the in-memory index small
+const DEFAULT_DIMENSIONS = parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS || "512", 10);
+// Inputs per request
+const BATCH_SIZE = 100;
+
+export function createOpenAIEmbeddingProvider({ model = DEFAULT_MODEL, dimensions = DEFAULT_DIMENSIONS } = {}) {
+  return {
+    name: "openai",
+    model,
+    dimensions,
+    // Unrelated questions typically score below 0.3, paraphrases above 0.5
+    minSimilarity: 0.45,
+
+    async embed(texts) {
+      const vectors = [];
+      for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+        const response = await getOpenAIClient().embeddings.create({
+          model,
+          input: texts.slice(start, start + BATCH_SIZE),
+          dimensions
+        });
+        const batch = [...response.data].sort((a, b) => a.index - b.index);
+        vectors.push(...batch.map(item => item.embedding));
+      }
+      return vectors;
+    }
+  };
+}
+
+export default {
+  createOpenAIEmbeddingProvider
+};
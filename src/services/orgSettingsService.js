@@ -0,0 +1,93 @@
+import OrgSettings from "../models/OrgSettings.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+// Settings are read on hot paths (socket setup, pipeline) - keep them briefly in memory
+const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+const settingsCache = new Map();
+
+export const DEFAULT_DEAL_SETTINGS = {
+  pipeline: "default",
+  createStage: "appointmentscheduled",
+  intentStage: "decisionmakerboughtin",
+  currency: "USD"
+};
+
+function defaultSettings(organizationId) {
+  return {
+    organizationId,
+    speech: { customVocabulary: [], boosts: {} },
+    deals: { ...DEFAULT_DEAL_SETTINGS }
+  };
+}
+
+// --- Get settings for an organization (defaults when none are stored or in dummy mode) ---
+export async function getOrgSettings(organizationId = "default") {
+  const cached = settingsCache.get(organizationId);
+  if (cached && (Date.now() - cached.timestamp) < SETTINGS_CACHE_TTL_MS) {
+    return cached.settings;
+  }
+
+  if (!isDatabaseConnected()) {
+    return defaultSettings(organizationId);
+  }
+
+  try {
+    const stored = await OrgSettings.findOne({ organizationId }).lean();
+    const settings = stored || defaultSettings(organizationId);
+    settingsCache.set(organizationId, { settings, timestamp: Date.now() });
+    return settings;
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to load org settings:', error.message);
+    return defaultSettings(organizationId);
+  }
+}
+
+/**
+ * Update settings for an organization
+ * @param {string} organizationId
+ * @param {Object} fields - Dotted paths to set, e.g. { "speech.customVocabulary": [...] };
+ *   null values unset the path (back to the default)
+ * @param {string} updatedBy - UID of the admin making the change
+ * @returns {Promise<Object>} - Updated settings document
+ */
+export async function updateOrgSettings(organizationId, fields, updatedBy = null) {
+  if (!isDatabaseConnected()) {
+    const error = new Error("Organization settings require a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const $set = { updatedBy };
+  const $unset = {};
+  for (const [path, value] of Object.entries(fields || {})) {
+    if (value === null) {
+      $unset[path] = "";
+    } else {
+      $set[path] = value;
+    }
+  }
+
+  const updated = await OrgSettings.findOneAndUpdate(
+    { organizationId },
+    Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  settingsCache.delete(organizationId);
+  return updated;
+}
+
+export function clearOrgSettingsCache(organizationId = null) {
+  if (organizationId) {
+    settingsCache.delete(organizationId);
+  } else {
+    settingsCache.clear();
+  }
+}
+
+export default {
+  DEFAULT_DEAL_SETTINGS,
+  getOrgSettings,
+  updateOrgSettings,
+  clearOrgSettingsCache
+};
@@ -0,0 +1,172 @@
+import SalesQA from "../models/SalesQA.js";
+import salesQAService from "./salesQAService.js";
+import { getCrmProvider } from "./crmProviderService.js";
+import { getOrgSettings } from "./orgSettingsService.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+/**
+ * Builds Google STT `speechContexts` (phrase hints) automatically from:
+ * - salesQA: product names, acronyms and key terms from SalesQA questions
+ * - crm: the current contact's name and company (org's CRM provider)
+ * - custom: the organization's vocabulary list (admin API)
+ * - client: hints passed by the frontend (`hints` query param)
+ * Each source becomes its own speech context so it can carry its own boost.
+ */
+
+// Default boost per source; organizations can override them via OrgSettings.speech.boosts
+export const DEFAULT_BOOSTS = {
+  salesQA: parseFloat(process.env.STT_BOOST_SALESQA || "8"),
+  crm: parseFloat(process.env.STT_BOOST_CRM || "15"),
+  custom: parseFloat(process.env.STT_BOOST_CUSTOM || "12"),
+  client: parseFloat(process.env.STT_BOOST_CLIENT || "16")
+};
+
+// Google caps phrases at 100 characters; keep each source bounded as well
+const MAX_PHRASE_LENGTH = 100;
+const MAX_PHRASES_PER_SOURCE = { salesQA: 300, crm: 20, custom: 500, client: 200 };
+
+// Socket setup waits for hints, so slow sources are skipped rather than awaited
+const SOURCE_TIMEOUT_MS = 1500;
+
+// SalesQA terms only change when the knowledge base is edited
+const SALESQA_TERMS_CACHE_TTL_MS = 10 * 60 * 1000;
+const MIN_KEY_TERM_FREQUENCY = 3;
+const MIN_KEY_TERM_LENGTH = 8;
+
+let salesQATermsCache = null;
+
+function withTimeout(promise, fallback) {
+  return Promise.race([
+    promise.catch(() => fallback),
+    new Promise(resolve => setTimeout(() => resolve(fallback), SOURCE_TIMEOUT_MS))
+  ]);
+}
+
+function cleanPhrases(phrases, limit) {
+  const seen = new Set();
+  const cleaned = [];
+  for (const phrase of phrases || []) {
+    if (typeof phrase !== "string") continue;
+    const trimmed = phrase.trim().replace(/\s+/g, " ");
+    const key = trimmed.toLowerCase();
+    if (!trimmed || trimmed.length > MAX_PHRASE_LENGTH || seen.has(key)) continue;
+    seen.add(key);
+    cleaned.push(trimmed);
+    if (cleaned.length >= limit) break;
+  }
+  return cleaned;
+}
+
+/**
+ * Extract product names, acronyms and frequent domain terms from question texts
+ * @param {Array<string>} texts - SalesQA questions
+ * @returns {Array<string>} - Terms ordered by frequency
+ */
+export function extractKeyTerms(texts) {
+  const properNouns = new Map();
+  const keyTerms = new Map();
+  const bump = (map, term) => map.set(term, (map.get(term) || 0) + 1);
+
+  for (const text of texts) {
+    if (typeof text !== "string") continue;
+
+    // Capitalized sequences not at the start of the sentence (e.g. "ROI", "Fortune 500", "GDPR")
+    for (const match of text.matchAll(/(?<!^)\b[A-Z][\w-]*(?:\s+[A-Z0-9][\w-]*)*/g)) {
+      if (!salesQAService.isCommonWord(match[0])) bump(properNouns, match[0]);
+    }
+
+    // Longer, meaningful words and hyphenated terms (e.g. "onboarding", "follow-ups")
+    for (const word of text.toLowerCase().match(/[a-z][a-z-]*[a-z](?![\w'])/g) || []) {
+      if ((word.length >= MIN_KEY_TERM_LENGTH || word.includes("-")) && !salesQAService.isCommonWord(word)) {
+        bump(keyTerms, word);
+      }
+    }
+  }
+
+  const byFrequency = (map, minFrequency = 1) => [...map.entries()]
+    .filter(([, count]) => count >= minFrequency)
+    .sort((a, b) => b[1] - a[1])
+    .map(([term]) => term);
+
+  return [...byFrequency(properNouns), ...byFrequency(keyTerms, MIN_KEY_TERM_FREQUENCY)];
+}
+
+// --- SalesQA source (cached) ---
+async function getSalesQATerms() {
+  if (salesQATermsCache && (Date.now() - salesQATermsCache.timestamp) < SALESQA_TERMS_CACHE_TTL_MS) {
+    return salesQATermsCache.terms;
+  }
+  if (!isDatabaseConnected()) {
+    return [];
+  }
+
+  // Only published questions (no status = published) - drafts may never go live
+  const categories = await SalesQA.find({}, { "questions.question": 1, "questions.status": 1 }).lean();
+  const questions = categories.flatMap(category => (category.questions || [])
+    .filter(q => !q.status || q.status === "published")
+    .map(q => q.question));
+  const terms = extractKeyTerms(questions);
+
+  salesQATermsCache = { terms, timestamp: Date.now() };
+  return terms;
+}
+
+// --- CRM source: current contact's name and company ---
+async function getContactPhrases(contactEmail, organizationId) {
+  if (!contactEmail) return [];
+  const crm = await getCrmProvider(organizationId);
+  const contact = await crm.findContactByEmail(contactEmail);
+  if (!contact) return [];
+
+  return [contact.name, contact.firstname, contact.lastname, contact.company].filter(Boolean);
+}
+
+/**
+ * Build speech contexts for a streaming recognition request
+ * @param {Object} options
+ * @param {string} options.organizationId - Caller's organization (custom vocabulary + boosts)
+ * @param {string} options.contactEmail - Current contact, for CRM name/company hints
+ * @param {Array<string>} options.clientHints - Hints sent by the frontend
+ * @param {boolean} options.autoHints - false to only use the client hints
+ * @returns {Promise<Array<{ phrases: string[], boost: number }>>}
+ */
+export async function buildSpeechContexts({ organizationId = "default", contactEmail = null, clientHints = [], autoHints = true } = {}) {
+  const settings = await getOrgSettings(organizationId);
+  const speechSettings = settings.speech || {};
+  const boosts = { ...DEFAULT_BOOSTS };
+  for (const [source, value] of Object.entries(speechSettings.boosts || {})) {
+    if (typeof value === "number") boosts[source] = value;
+  }
+
+  const sources = { client: clientHints };
+  if (autoHints) {
+    const [salesQATerms, contactPhrases] = await Promise.all([
+      withTimeout(getSalesQATerms(), []),
+      withTimeout(getContactPhrases(contactEmail, organizationId), [])
+    ]);
+    sources.crm = contactPhrases;
+    sources.custom = speechSettings.customVocabulary || [];
+    sources.salesQA = salesQATerms;
+  }
+
+  const speechContexts = [];
+  for (const [source, phrases] of Object.entries(sources)) {
+    const cleaned = cleanPhrases(phrases, MAX_PHRASES_PER_SOURCE[source]);
+    if (cleaned.length > 0) {
+      speechContexts.push({ phrases: cleaned, boost: boosts[source] });
+    }
+  }
+  return speechContexts;
+}
+
+// --- Invalidate SalesQA terms after knowledge base edits ---
+export function clearPhraseHintsCache() {
+  salesQATermsCache = null;
+}
+
+export default {
+  DEFAULT_BOOSTS,
+  extractKeyTerms,
+  buildSpeechContexts,
+  clearPhraseHintsCache
+};
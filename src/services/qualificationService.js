@@ -0,0 +1,514 @@
+import OpenAI from "openai";
+import QualificationFramework from "../models/QualificationFramework.js";
+import ContactQualification from "../models/ContactQualification.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import { getOrgSettings } from "./orgSettingsService.js";
+import { formatTranscript, findQuoteInTurns } from "./callSummaryService.js";
+import { syncCrmWrite } from "./crmSyncQueue.js";
+
+/**
+ * Lead qualification against a framework (BANT and MEDDIC built in, custom ones per organization).
+ * - The extractor fills every framework field from the call transcript, with evidence quotes;
+ *   quotes that aren't in the transcript are dropped, and a field without evidence can't be "confirmed"
+ * - The score (0-100) is the weighted share of confirmed (full credit) and partial (half credit) fields
+ * - Per contact, each field keeps the strongest evidence from any call, so a contact's
+ *   qualification builds up over several calls
+ */
+
+// Initialize OpenAI client
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const QUALIFICATION_MODEL = "gpt-4o-mini";
+export const DEFAULT_FRAMEWORK = "bant";
+export const FIELD_STATUSES = ["confirmed", "partial", "missing"];
+const STATUS_CREDIT = { confirmed: 1, partial: 0.5, missing: 0 };
+const MAX_EVIDENCE_PER_FIELD = 3;
+const MAX_FIELDS = 20;
+const FRAMEWORK_KEY_PATTERN = /^[a-z][a-z0-9_-]{1,39}$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+// --- Built-in frameworks ---
+export const BUILT_IN_FRAMEWORKS = {
+  bant: {
+    key: "bant",
+    name: "BANT",
+    description: "Budget, Authority, Need, Timeline",
+    fields: [
+      { key: "budget", label: "Budget", description: "Budget allocated or discussed for the purchase, including amounts", weight: 1 },
+      { key: "authority", label: "Authority", description: "Who makes or signs off on the purchase decision", weight: 1 },
+      { key: "need", label: "Need", description: "The business problem or need the customer wants solved", weight: 1 },
+      { key: "timeline", label: "Timeline", description: "When the customer intends to buy, decide or go live", weight: 1 }
+    ]
+  },
+  meddic: {
+    key: "meddic",
+    name: "MEDDIC",
+    description: "Metrics, Economic buyer, Decision criteria, Decision process, Identify pain, Champion",
+    fields: [
+      { key: "metrics", label: "Metrics", description: "Quantifiable outcomes the customer expects (savings, time, revenue)", weight: 1 },
+      { key: "economicBuyer", label: "Economic buyer", description: "The person with final budget authority", weight: 1 },
+      { key: "decisionCriteria", label: "Decision criteria", description: "How the customer will compare and judge solutions", weight: 1 },
+      { key: "decisionProcess", label: "Decision process", description: "Steps, approvals and people involved before signing", weight: 1 },
+      { key: "identifyPain", label: "Identify pain", description: "The pain or problem driving the purchase and its impact", weight: 1 },
+      { key: "champion", label: "Champion", description: "Someone inside the customer's company actively selling for us", weight: 1 }
+    ]
+  }
+};
+
+function toFrameworkView(framework, builtIn = false) {
+  return {
+    key: framework.key,
+    name: framework.name,
+    description: framework.description || "",
+    fields: framework.fields.map(({ key, label, description, weight }) => ({ key, label, description: description || "", weight: weight ?? 1 })),
+    builtIn
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// --- Frameworks ---
+
+export async function listQualificationFrameworks(organizationId = "default") {
+  const builtIns = Object.values(BUILT_IN_FRAMEWORKS).map(framework => toFrameworkView(framework, true));
+  if (!isDatabaseConnected()) return builtIns;
+  const custom = await QualificationFramework.find({ organizationId }).sort({ name: 1 }).lean();
+  return [...builtIns, ...custom.map(framework => toFrameworkView(framework))];
+}
+
+export async function getQualificationFramework(organizationId, key) {
+  if (BUILT_IN_FRAMEWORKS[key]) return toFrameworkView(BUILT_IN_FRAMEWORKS[key], true);
+  if (!key || !isDatabaseConnected()) return null;
+  const custom = await QualificationFramework.findOne({ organizationId, key }).lean();
+  return custom ? toFrameworkView(custom) : null;
+}
+
+// The organization's configured framework (BANT when unset or when the configured one was removed)
+export async function getOrgQualificationFramework(organizationId = "default") {
+  const settings = await getOrgSettings(organizationId);
+  const key = (settings.qualification && settings.qualification.framework) || DEFAULT_FRAMEWORK;
+  return (await getQualificationFramework(organizationId, key)) || toFrameworkView(BUILT_IN_FRAMEWORKS[DEFAULT_FRAMEWORK], true);
+}
+
+/**
+ * Validate and normalize a custom framework definition.
+ * @param {Object} definition - { key, name, description, fields: [{ key, label, description, weight }] }
+ * @param {Object} options - { requireKey } (false when the key comes from the URL)
+ * @returns {Object} - Normalized definition; throws a 400 error when invalid
+ */
+export function normalizeFrameworkDefinition(definition, { requireKey = true } = {}) {
+  const { key, name, description = "", fields } = definition || {};
+  const normalized = {};
+
+  if (requireKey) {
+    if (typeof key !== "string" || !FRAMEWORK_KEY_PATTERN.test(key)) {
+      throw validationError("key must be 2-40 lowercase letters, digits, '-' or '_' and start with a letter");
+    }
+    if (BUILT_IN_FRAMEWORKS[key]) {
+      throw validationError(`"${key}" is a built-in framework`);
+    }
+    normalized.key = key;
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw validationError("name is required");
+  }
+  if (typeof description !== "string") {
+    throw validationError("description must be a string");
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+    throw validationError(`fields must be an array of 1-${MAX_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+  normalized.fields = fields.map((field, index) => {
+    if (!field || typeof field.key !== "string" || !FIELD_KEY_PATTERN.test(field.key)) {
+      throw validationError(`fields[${index}].key must be letters, digits or '_' and start with a letter`);
+    }
+    if (seen.has(field.key)) {
+      throw validationError(`Duplicate field key: ${field.key}`);
+    }
+    seen.add(field.key);
+    if (typeof field.label !== "string" || !field.label.trim()) {
+      throw validationError(`fields[${index}].label is required`);
+    }
+    if (field.description !== undefined && typeof field.description !== "string") {
+      throw validationError(`fields[${index}].description must be a string`);
+    }
+    const weight = field.weight === undefined ? 1 : field.weight;
+    if (typeof weight !== "number" || weight < 0.1 || weight > 10) {
+      throw validationError(`fields[${index}].weight must be a number between 0.1 and 10`);
+    }
+    return { key: field.key, label: field.label.trim(), description: (field.description || "").trim(), weight };
+  });
+
+  normalized.name = name.trim();
+  normalized.description = description.trim();
+  return normalized;
+}
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    const error = new Error("Custom qualification frameworks require a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+export async function createQualificationFramework(organizationId, definition, updatedBy = null) {
+  ensureDatabase();
+  const normalized = normalizeFrameworkDefinition(definition);
+  try {
+    const created = await QualificationFramework.create({ organizationId, ...normalized, updatedBy });
+    return toFrameworkView(created);
+  } catch (error) {
+    if (error.code === 11000) {
+      const conflict = new Error(`Framework "${normalized.key}" already exists`);
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+export async function updateQualificationFramework(organizationId, key, definition, updatedBy = null) {
+  ensureDatabase();
+  if (BUILT_IN_FRAMEWORKS[key]) {
+    throw validationError("Built-in frameworks can't be changed");
+  }
+  const normalized = normalizeFrameworkDefinition(definition, { requireKey: false });
+  const updated = await QualificationFramework.findOneAndUpdate(
+    { organizationId, key },
+    { $set: { ...normalized, updatedBy } },
+    { new: true, runValidators: true }
+  ).lean();
+  return updated ? toFrameworkView(updated) : null;
+}
+
+export async function deleteQualificationFramework(organizationId, key) {
+  ensureDatabase();
+  if (BUILT_IN_FRAMEWORKS[key]) {
+    throw validationError("Built-in frameworks can't be deleted");
+  }
+  const settings = await getOrgSettings(organizationId);
+  if (settings.qualification && settings.qualification.framework === key) {
+    const error = new Error("Framework is the organization's active framework; select another one first");
+    error.statusCode = 409;
+    throw error;
+  }
+  const result = await QualificationFramework.deleteOne({ organizationId, key });
+  return result.deletedCount > 0;
+}
+
+// --- Extraction and scoring ---
+
+/**
+ * Weighted qualification score.
+ * @param {Object} framework - Framework view
+ * @param {Object} fields - { [fieldKey]: { status } }
+ * @returns {number} - 0-100
+ */
+export function scoreQualification(framework, fields) {
+  let totalWeight = 0;
+  let earned = 0;
+  for (const field of framework.fields) {
+    const weight = field.weight ?? 1;
+    totalWeight += weight;
+    earned += weight * (STATUS_CREDIT[fields?.[field.key]?.status] || 0);
+  }
+  return totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0;
+}
+
+// Clamp one model-returned field to the stored shape, keeping only verifiable evidence
+function normalizeExtractedField(raw, turns) {
+  const evidence = [];
+  for (const item of Array.isArray(raw?.evidence) ? raw.evidence : []) {
+    const quote = typeof item === "string" ? item : item?.quote;
+    const turnIndex = typeof item?.turnIndex === "number" ? item.turnIndex : null;
+    const verified = quote ? findQuoteInTurns(quote, turns, turnIndex) : null;
+    if (verified && !evidence.some(e => e.quote === verified.quote)) {
+      evidence.push(verified);
+    }
+  }
+
+  const value = typeof raw?.value === "string" && raw.value.trim() ? raw.value.trim() : null;
+  let status = FIELD_STATUSES.includes(raw?.status) ? raw.status : (value ? "partial" : "missing");
+  if (!value) {
+    status = "missing";
+  } else if (status === "confirmed" && evidence.length === 0) {
+    // Unsupported by the transcript: keep the value, but don't count it as confirmed
+    status = "partial";
+  }
+  const confidence = typeof raw?.confidence === "number" ? Math.min(1, Math.max(0, raw.confidence)) : null;
+
+  return {
+    value,
+    status,
+    confidence: status === "missing" ? 0 : confidence,
+    evidence: evidence.slice(0, MAX_EVIDENCE_PER_FIELD)
+  };
+}
+
+/**
+ * Fill a framework's fields from a call transcript.
+ * @param {Object} framework - Framework view
+ * @param {Array} turns - Stored session turns
+ * @returns {Promise<Object>} - { framework, frameworkName, fields, score, model, extractedAt, turnCount }
+ */
+export async function extractQualification(framework, turns) {
+  const transcript = formatTranscript(turns);
+  if (!transcript) {
+    const error = new Error("Call session has no turns to qualify");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const fieldList = framework.fields
+    .map(field => `- "${field.key}" (${field.label}): ${field.description || field.label}`)
+    .join("\n");
+
+  const prompt = `Qualify the customer in the following sales call using the ${framework.name} framework. Return ONLY a JSON object of this shape:
+
+{
+  "fields": {
+    "<field key>": {
+      "value": "what the transcript says about this field" or null,
+      "status": "confirmed" | "partial" | "missing",
+      "confidence": number between 0 and 1,
+      "evidence": [{ "quote": "exact words from the transcript", "turnIndex": number }]
+    }
+  }
+}
+
+Fields:
+${fieldList}
+
+IMPORTANT:
+- Include every field key listed above
+- "confirmed": the transcript clearly answers the field; "partial": hinted at or incomplete; "missing": not discussed
+- Evidence quotes must be copied word for word from a single transcript line; turnIndex is the number in [brackets]
+- Only use information from the transcript; do not guess
+
+Transcript:
+${transcript}`;
+
+  const completion = await openai.chat.completions.create({
+    model: QUALIFICATION_MODEL,
+    messages: [
+      { role: "system", content: "You are a sales qualification analyst. Fill qualification frameworks strictly from call transcripts and return valid JSON." },
+      { role: "user", content: prompt }
+    ],
+    response_format: { type: "json_object" },
+    max_tokens: 1200,
+    temperature: 0.1,
+  });
+
+  let rawData;
+  try {
+    rawData = JSON.parse(completion.choices[0].message.content);
+  } catch (parseError) {
+    const error = new Error("Qualification response was not valid JSON");
+    error.statusCode = 502;
+    throw error;
+  }
+
+  const rawFields = rawData && typeof rawData.fields === "object" ? rawData.fields : {};
+  const fields = {};
+  for (const field of framework.fields) {
+    fields[field.key] = normalizeExtractedField(rawFields[field.key], turns);
+  }
+
+  return {
+    framework: framework.key,
+    frameworkName: framework.name,
+    fields,
+    score: scoreQualification(framework, fields),
+    model: QUALIFICATION_MODEL,
+    extractedAt: new Date(),
+    turnCount: (turns || []).length
+  };
+}
+
+/**
+ * Qualify a call session and store the result on it.
+ * @param {Object} session - CallSession document
+ * @param {Object} options - { organizationId, framework (key; defaults to the org's framework), turns, store }
+ *   turns: use these instead of session.turns (e.g. including a turn that was just appended)
+ * @returns {Promise<Object>} - The session's qualification
+ */
+export async function qualifySession(session, { organizationId = "default", framework = null, turns = null, store = true } = {}) {
+  const definition = framework
+    ? await getQualificationFramework(organizationId, framework)
+    : await getOrgQualificationFramework(organizationId);
+  if (!definition) {
+    const error = new Error(`Unknown qualification framework: ${framework}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const qualification = await extractQualification(definition, turns || session.turns);
+  if (store) {
+    session.qualification = qualification;
+    await session.save();
+  }
+  return qualification;
+}
+
+// --- Per-contact qualification ---
+
+const fieldStrength = (field) => STATUS_CREDIT[field?.status] || 0;
+
+/**
+ * Merge a call's qualification into a contact's fields: a field is replaced when the call has
+ * stronger evidence (confirmed > partial > missing) or equally strong, newer evidence.
+ */
+export function mergeContactQualificationFields(framework, contactFields, callQualification, sessionId = null) {
+  const merged = {};
+  for (const field of framework.fields) {
+    const existing = contactFields?.[field.key];
+    const incoming = callQualification.fields?.[field.key];
+    if (incoming && incoming.status !== "missing" && fieldStrength(incoming) >= fieldStrength(existing)) {
+      merged[field.key] = { ...incoming, sessionId, extractedAt: callQualification.extractedAt };
+    } else {
+      merged[field.key] = existing || { value: null, status: "missing", confidence: 0, evidence: [] };
+    }
+  }
+  return merged;
+}
+
+const byContact = (organizationId, email) => ({ organizationId, email: String(email).toLowerCase().trim() });
+
+/**
+ * Fold a call's qualification into the contact's qualification (no-op without a database).
+ * @returns {Promise<Object|null>} - ContactQualification document
+ */
+export async function updateContactQualification({ organizationId = "default", email, qualification, sessionId = null }) {
+  if (!email || !isDatabaseConnected()) return null;
+  const framework = await getQualificationFramework(organizationId, qualification.framework);
+  if (!framework) return null;
+
+  const filter = { ...byContact(organizationId, email), framework: framework.key };
+  const existing = await ContactQualification.findOne(filter).lean();
+  const fields = mergeContactQualificationFields(framework, existing && existing.fields, qualification, sessionId);
+  const sessionIds = [...new Set([...(existing?.sessionIds || []), ...(sessionId ? [String(sessionId)] : [])])];
+
+  return ContactQualification.findOneAndUpdate(
+    filter,
+    { $set: { fields, score: scoreQualification(framework, fields), sessionIds } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+export async function getContactQualification(organizationId, email, frameworkKey = null) {
+  if (!isDatabaseConnected()) return null;
+  const framework = frameworkKey || (await getOrgQualificationFramework(organizationId)).key;
+  return ContactQualification.findOne({ ...byContact(organizationId, email), framework }).lean();
+}
+
+// --- CRM sync ---
+
+// Plain-text field breakdown for the CRM ("Budget: 50k (confirmed)")
+export function formatQualificationText(framework, fields) {
+  return framework.fields.map(field => {
+    const entry = fields?.[field.key];
+    if (!entry || entry.status === "missing") return `${field.label}: missing`;
+    return `${field.label}: ${entry.value} (${entry.status})`;
+  }).join("\n");
+}
+
+/**
+ * Push a contact's qualification score and breakdown to the org's CRM (via the sync queue).
+ * @returns {Promise<Object>} - { status, jobId?, deadLetterId?, contactId?, error? }
+ */
+export async function syncContactQualification(contactQualification, { organizationId = "default", createdBy = null } = {}) {
+  const framework = await getQualificationFramework(organizationId, contactQualification.framework);
+  if (!framework) {
+    return { status: "skipped", error: "Qualification framework no longer exists" };
+  }
+
+  const outcome = await syncCrmWrite({
+    organizationId,
+    operation: "saveQualification",
+    payload: {
+      email: contactQualification.email,
+      qualification: {
+        framework: framework.key,
+        frameworkName: framework.name,
+        score: contactQualification.score,
+        details: formatQualificationText(framework, contactQualification.fields)
+      }
+    },
+    createdBy
+  });
+
+  const crmSync = {
+    status: outcome.status === "succeeded" && !outcome.result ? "contact_not_found" : outcome.status,
+    ...(outcome.status === "succeeded" && outcome.result ? { syncedAt: new Date() } : {}),
+    ...(outcome.jobId ? { jobId: outcome.jobId } : {}),
+    ...(outcome.deadLetterId ? { deadLetterId: outcome.deadLetterId } : {}),
+    ...(outcome.error ? { error: outcome.error } : {})
+  };
+  if (contactQualification._id && isDatabaseConnected()) {
+    await ContactQualification.updateOne({ _id: contactQualification._id }, { $set: { crmSync } });
+  }
+  return { ...crmSync, ...(outcome.result ? { contactId: outcome.result.contactId } : {}) };
+}
+
+/**
+ * Qualify a call, fold it into the contact's qualification and push the contact score to the CRM.
+ * @param {Object} session - CallSession document
+ * @param {Object} options - { organizationId, framework, email (defaults to session.customerEmail), syncToCrm, createdBy }
+ * @returns {Promise<Object>} - { qualification, contact: { score, fields, sessionIds } | null, crmSync | null }
+ */
+export async function qualifyCallForContact(session, { organizationId = "default", framework = null, email = null, syncToCrm = true, createdBy = null } = {}) {
+  const qualification = await qualifySession(session, { organizationId, framework });
+  const contactEmail = email || session.customerEmail;
+
+  const contactQualification = contactEmail
+    ? await updateContactQualification({ organizationId, email: contactEmail, qualification, sessionId: session.id })
+    : null;
+
+  let crmSync = null;
+  if (syncToCrm && contactQualification) {
+    try {
+      crmSync = await syncContactQualification(contactQualification, { organizationId, createdBy });
+    } catch (syncError) {
+      console.error('🔄 BACKEND: Failed to sync qualification to CRM:', syncError.message);
+      crmSync = { status: "failed", error: syncError.message };
+    }
+  }
+
+  return {
+    qualification,
+    contact: contactQualification
+      ? { email: contactQualification.email, score: contactQualification.score, fields: contactQualification.fields, sessionIds: contactQualification.sessionIds }
+      : null,
+    crmSync
+  };
+}
+
+export default {
+  BUILT_IN_FRAMEWORKS,
+  DEFAULT_FRAMEWORK,
+  listQualificationFrameworks,
+  getQualificationFramework,
+  getOrgQualificationFramework,
+  normalizeFrameworkDefinition,
+  createQualificationFramework,
+  updateQualificationFramework,
+  deleteQualificationFramework,
+  scoreQualification,
+  extractQualification,
+  qualifySession,
+  mergeContactQualificationFields,
+  updateContactQualification,
+  getContactQualification,
+  formatQualificationText,
+  syncContactQualification,
+  qualifyCallForContact
+};
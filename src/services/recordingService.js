@@ -0,0 +1,163 @@
+import CallSession from "../models/CallSession.js";
+import { getRecordingStorage } from "./recordingStorage.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+
+// Recordings older than this are purged; 0 disables the retention job
+export const RECORDING_RETENTION_DAYS = parseFloat(process.env.RECORDING_RETENTION_DAYS || "30");
+const RETENTION_CHECK_INTERVAL_MS = parseInt(process.env.RECORDING_RETENTION_CHECK_MS || String(60 * 60 * 1000), 10);
+
+// Stored as received from the socket - container formats play directly, raw PCM needs its parameters
+const RECORDING_FORMATS = {
+  WEBM_OPUS: { extension: "webm", contentType: "audio/webm" },
+  OGG_OPUS: { extension: "ogg", contentType: "audio/ogg" },
+  LINEAR16: { extension: "pcm", contentType: "audio/L16" },
+  MULAW: { extension: "ulaw", contentType: "audio/basic" },
+  FLAC: { extension: "flac", contentType: "audio/flac" }
+};
+
+function getRecordingFormat(encoding, sampleRateHertz, channels) {
+  const format = RECORDING_FORMATS[encoding] || { extension: "bin", contentType: "application/octet-stream" };
+  if (encoding === "LINEAR16") {
+    return { ...format, contentType: `audio/L16; rate=${sampleRateHertz}; channels=${channels}` };
+  }
+  return format;
+}
+
+/**
+ * Start recording a call's incoming audio.
+ * @param {Object} options - { sessionId, encoding, sampleRateHertz, channels }
+ * @returns {Promise<{ write(chunk), finish(): Promise<void> }>}
+ */
+export async function startRecording({ sessionId, encoding = "WEBM_OPUS", sampleRateHertz = 48000, channels = 1 }) {
+  const storage = getRecordingStorage();
+  const format = getRecordingFormat(encoding, sampleRateHertz, channels);
+  const startedAt = new Date();
+  // One file per recording run, so a reconnect never overwrites earlier audio
+  const storageKey = `${sessionId}/${startedAt.getTime()}.${format.extension}`;
+
+  await CallSession.updateOne({ _id: sessionId }, {
+    $push: {
+      recordings: {
+        status: "recording",
+        storage: storage.name,
+        storageKey,
+        contentType: format.contentType,
+        encoding,
+        sampleRateHertz,
+        channels,
+        sizeBytes: 0,
+        startedAt
+      }
+    }
+  });
+
+  const writer = storage.createWriter(storageKey);
+  let finished = null;
+
+  return {
+    write(chunk) {
+      if (!finished) writer.write(chunk);
+    },
+
+    // Idempotent: both the `end` message and the socket close finish the recording
+    finish() {
+      if (!finished) {
+        finished = writer.end()
+          .then(({ sizeBytes }) => CallSession.updateOne(
+            { _id: sessionId, "recordings.storageKey": storageKey },
+            {
+              $set: {
+                "recordings.$.status": "completed",
+                "recordings.$.sizeBytes": sizeBytes,
+                "recordings.$.endedAt": new Date(),
+                "recordings.$.durationMs": Date.now() - startedAt.getTime()
+              }
+            }
+          ))
+          .catch(error => {
+            console.error('🔄 BACKEND: Failed to finish recording:', error.message);
+            return CallSession.updateOne(
+              { _id: sessionId, "recordings.storageKey": storageKey },
+              { $set: { "recordings.$.status": "failed", "recordings.$.endedAt": new Date() } }
+            ).catch(() => {});
+          });
+      }
+      return finished;
+    }
+  };
+}
+
+// Finished recordings that ended before the cutoff, and runs still "recording" since before it
+// (the server stopped before the recording was finished)
+function isExpiredRecording(recording, cutoff) {
+  if (["completed", "failed"].includes(recording.status)) return recording.endedAt < cutoff;
+  return recording.status === "recording" && recording.startedAt < cutoff;
+}
+
+/**
+ * Delete recordings that ended more than `retentionDays` ago.
+ * The session keeps their metadata with status "purged" so the call history stays intact.
+ * @returns {Promise<number>} - Number of purged recordings
+ */
+export async function purgeExpiredRecordings(retentionDays = RECORDING_RETENTION_DAYS) {
+  if (!isDatabaseConnected() || !(retentionDays > 0)) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const sessions = await CallSession.find(
+    {
+      recordings: {
+        $elemMatch: {
+          $or: [
+            { status: { $in: ["completed", "failed"] }, endedAt: { $lt: cutoff } },
+            { status: "recording", startedAt: { $lt: cutoff } }
+          ]
+        }
+      }
+    },
+    { recordings: 1 }
+  ).lean();
+
+  let purged = 0;
+  for (const session of sessions) {
+    for (const recording of session.recordings.filter(entry => isExpiredRecording(entry, cutoff))) {
+      try {
+        await getRecordingStorage(recording.storage).remove(recording.storageKey);
+        await CallSession.updateOne(
+          { _id: session._id, "recordings.storageKey": recording.storageKey },
+          { $set: { "recordings.$.status": "purged", "recordings.$.purgedAt": new Date() } }
+        );
+        purged++;
+      } catch (error) {
+        console.error(`🔄 BACKEND: Failed to purge recording ${recording.storageKey}:`, error.message);
+      }
+    }
+  }
+  return purged;
+}
+
+// --- Periodic retention job (started by the server) ---
+export function startRecordingRetentionJob() {
+  if (!(RECORDING_RETENTION_DAYS > 0)) {
+    return null;
+  }
+
+  const run = () => purgeExpiredRecordings()
+    .then(count => {
+      if (count > 0) console.log(`🗑️ Purged ${count} expired call recording(s)`);
+    })
+    .catch(error => console.error('🔄 BACKEND: Recording retention job failed:', error.message));
+
+  run();
+  const timer = setInterval(run, RETENTION_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+export default {
+  RECORDING_RETENTION_DAYS,
+  startRecording,
+  purgeExpiredRecordings,
+  startRecordingRetentionJob
+};
@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Pluggable storage for call recordings.
+ * A backend implements:
+ * - createWriter(key) -> { write(chunk), end(): Promise<{ sizeBytes }> }
+ * - stat(key) -> Promise<{ sizeBytes } | null>
+ * - createReader(key, { start, end }) -> Readable stream (byte range inclusive)
+ * - remove(key) -> Promise<void> (no-op when the key does not exist)
+ * Backends are selected with RECORDING_STORAGE (default "local"); an S3-compatible
+ * backend can be added with registerRecordingBackend without touching callers.
+ */
+
+const DEFAULT_RECORDING_DIR = path.resolve(process.cwd(), "recordings");
+
+// --- Local disk backend ---
+function createLocalBackend({ baseDir = process.env.RECORDING_DIR || DEFAULT_RECORDING_DIR } = {}) {
+  // Keys are generated by the server, but never let one escape the base directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Invalid recording key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    createWriter(key) {
+      const filePath = resolveKey(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const stream = fs.createWriteStream(filePath);
+      let sizeBytes = 0;
+      let failed = null;
+      stream.on("error", (err) => {
+        failed = err;
+        console.error('🔄 BACKEND: Recording write failed:', err.message);
+      });
+
+      return {
+        write(chunk) {
+          if (failed) return;
+          sizeBytes += chunk.length;
+          stream.write(chunk);
+        },
+        end() {
+          return new Promise((resolve, reject) => {
+            if (failed) return reject(failed);
+            stream.end(() => resolve({ sizeBytes }));
+          });
+        }
+      };
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { sizeBytes: stats.size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    createReader(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), { start, end });
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    }
+  };
+}
+
+// --- Backend registry ---
+const backendFactories = {
+  local: createLocalBackend
+};
+const backendInstances = new Map();
+
+export function registerRecordingBackend(name, factory) {
+  backendFactories[name] = factory;
+  backendInstances.delete(name);
+}
+
+/**
+ * Get a storage backend by name (defaults to RECORDING_STORAGE or "local").
+ * Recordings remember the backend they were written to, so reads and purges
+ * keep working after the configured backend changes.
+ */
+export function getRecordingStorage(name = process.env.RECORDING_STORAGE || "local") {
+  if (!backendInstances.has(name)) {
+    const factory = backendFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown recording storage backend: ${name}`);
+    }
+    backendInstances.set(name, factory());
+  }
+  return backendInstances.get(name);
+}
+
+export default {
+  registerRecordingBackend,
+  getRecordingStorage
+};
@@ -0,0 +1,670 @@
+import mongoose from "mongoose";
+import SalesQA from "../models/SalesQA.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import salesQAService from "./salesQAService.js";
+import { clearPhraseHintsCache } from "./phraseHintsService.js";
+import { embedSalesQAQuestions, invalidateSalesQAVectorIndex } from "./salesQAEmbeddingService.js";
+import {
+  snapshotQuestion,
+  snapshotCategory,
+  undoRevision,
+  matchesRevision,
+  questionStateAfter,
+  recordSalesQARevision,
+  getSalesQARevision,
+  listRevisionsSince
+} from "./salesQARevisionService.js";
+
+/**
+ * Editing the sales Q&A knowledge base (categories, questions and their A/B/C answers).
+ * Every change clears the matcher cache in SalesQAService, the vector index and the SalesQA
+ * phrase hints, so the next pipeline run and STT socket see the edit (saved questions are
+ * embedded right away, see salesQAEmbeddingService), and is recorded as a revision
+ * (salesQARevisionService) that categories and questions can be rolled back to.
+ *
+ * Questions go through a review workflow (see transitionQuestion): new questions start as
+ * drafts and are only matched on live calls once a content admin has published them. Edits
+ * of a published question are kept as its pendingChange until approved, so the reviewed
+ * answers stay live meanwhile. Imports are reviewed the same way unless a content admin
+ * publishes them (see salesQAImportService). Changes that take effect right away are for content
+ * admins (the routes enforce that): renaming, re-describing and deleting categories, deleting and
+ * archiving questions, and rollbacks.
+ */
+
+export const ANSWER_OPTIONS = ["A", "B", "C"];
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    throw httpError("Editing the sales Q&A requires a database connection", 503);
+  }
+}
+
+// --- Input validation (throws 400) ---
+
+function requireText(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw httpError(`${field} must be a non-empty string`, 400);
+  }
+  return value.trim();
+}
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Validate answers: [{ option, text }] or { A: "...", B: "..." }
+ * @returns {Array} - [{ option, text }] sorted by option
+ */
+export function normalizeAnswers(answers) {
+  const list = Array.isArray(answers)
+    ? answers
+    : Object.entries(answers || {}).map(([option, text]) => ({ option, text }));
+
+  const seen = new Set();
+  const normalized = list.map(answer => {
+    const option = String(answer?.option || "").toUpperCase();
+    if (!ANSWER_OPTIONS.includes(option)) {
+      throw httpError(`Answer option must be one of: ${ANSWER_OPTIONS.join(", ")}`, 400);
+    }
+    if (seen.has(option)) {
+      throw httpError(`Duplicate answer option ${option}`, 400);
+    }
+    seen.add(option);
+    return { option, text: requireText(answer.text, `Answer ${option} text`) };
+  });
+
+  if (normalized.length === 0) {
+    throw httpError("A question needs at least one answer", 400);
+  }
+  return normalized.sort((a, b) => a.option.localeCompare(b.option));
+}
+
+export function normalizeQuestionInput(input) {
+  return {
+    question: requireText(input?.question, "question"),
+    answers: normalizeAnswers(input?.answers)
+  };
+}
+
+// --- Persistence helpers ---
+
+export function invalidateSalesQACaches() {
+  salesQAService.clearAllCache();
+  invalidateSalesQAVectorIndex();
+  clearPhraseHintsCache();
+}
+
+// Save a category, turning mongoose validation/version errors into HTTP errors
+// (embeds its questions and clears the caches)
+export async function saveSalesQACategory(doc) {
+  try {
+    await doc.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      throw httpError(Object.values(error.errors).map(e => e.message).join("; "), 400);
+    }
+    if (error.name === "VersionError") {
+      throw httpError("The category was changed by someone else; reload and try again", 409);
+    }
+    throw error;
+  }
+  await embedSalesQAQuestions(doc.questions);
+  invalidateSalesQACaches();
+  return doc;
+}
+
+async function loadCategory(categoryId) {
+  ensureDatabase();
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw httpError("Category not found", 404);
+  }
+  const doc = await SalesQA.findById(categoryId);
+  if (!doc) {
+    throw httpError("Category not found", 404);
+  }
+  return doc;
+}
+
+// Revision for a question edit that was just saved (question is null after a delete)
+function recordQuestionRevision(doc, action, before, question, changedBy, rolledBackTo = undefined) {
+  const after = snapshotQuestion(question);
+  return recordSalesQARevision({
+    categoryId: doc._id,
+    questionId: (after || before)._id,
+    scope: "question",
+    action,
+    category: doc.category,
+    question: (after || before).question,
+    before,
+    after,
+    changedBy,
+    rolledBackTo
+  });
+}
+
+// Revision for a category-wide change (before/after are category snapshots)
+export function recordCategoryRevision(categoryId, action, before, after, changedBy, rolledBackTo = undefined) {
+  return recordSalesQARevision({
+    categoryId,
+    scope: "category",
+    action,
+    category: (after || before).category,
+    before,
+    after,
+    changedBy,
+    rolledBackTo
+  });
+}
+
+function findQuestion(doc, questionId) {
+  const question = mongoose.isValidObjectId(questionId) ? doc.questions.id(questionId) : null;
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+  return question;
+}
+
+async function ensureUniqueCategoryName(name, exceptId = null) {
+  const existing = await SalesQA.findOne({
+    category: { $regex: `^${salesQAService.escapeRegex(name)}$`, $options: "i" },
+    ...(exceptId ? { _id: { $ne: exceptId } } : {})
+  }, { _id: 1 }).lean();
+  if (existing) {
+    throw httpError(`Category "${name}" already exists`, 409);
+  }
+}
+
+function ensureUniqueQuestion(doc, text, exceptId = null) {
+  const duplicate = doc.questions.find(q => sameText(q.question, text) && String(q._id) !== String(exceptId));
+  if (duplicate) {
+    throw httpError(`Question "${text}" already exists in this category`, 409);
+  }
+}
+
+// --- Categories ---
+
+export async function listCategories() {
+  ensureDatabase();
+  return SalesQA.find({}).sort({ category: 1 }).lean();
+}
+
+export async function getCategory(categoryId) {
+  return (await loadCategory(categoryId)).toObject();
+}
+
+/**
+ * Create a category, optionally with questions
+ * @param {Object} input - { category, description, questions: [{ question, answers }] }
+ */
+export async function createCategory(input, updatedBy = null) {
+  ensureDatabase();
+  const category = requireText(input?.category, "category");
+  const description = requireText(input?.description, "description");
+  const questions = (input?.questions || []).map(normalizeQuestionInput);
+  await ensureUniqueCategoryName(category);
+
+  const doc = new SalesQA({ category, description, updatedBy, questions: [] });
+  for (const question of questions) {
+    ensureUniqueQuestion(doc, question.question);
+    doc.questions.push({ ...question, status: "draft", updatedBy, updatedAt: new Date() });
+  }
+  await saveSalesQACategory(doc);
+  await recordCategoryRevision(doc._id, "create", null, snapshotCategory(doc), updatedBy);
+  return doc.toObject();
+}
+
+// Update name and/or description: { category, description }
+export async function updateCategory(categoryId, input, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  if (input?.category === undefined && input?.description === undefined) {
+    throw httpError("Provide category and/or description", 400);
+  }
+  const before = snapshotCategory(doc);
+  if (input.category !== undefined) {
+    const category = requireText(input.category, "category");
+    await ensureUniqueCategoryName(category, doc._id);
+    doc.category = category;
+  }
+  if (input.description !== undefined) {
+    doc.description = requireText(input.description, "description");
+  }
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  await recordCategoryRevision(doc._id, "update", before, snapshotCategory(doc), updatedBy);
+  return doc.toObject();
+}
+
+export async function deleteCategory(categoryId, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  await doc.deleteOne();
+  invalidateSalesQACaches();
+  await recordCategoryRevision(doc._id, "delete", snapshotCategory(doc), null, updatedBy);
+  return { deleted: String(doc._id), questionCount: doc.questions.length };
+}
+
+// --- Questions ---
+
+// Add a question as a draft: { question, answers }
+export async function addQuestion(categoryId, input, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const question = normalizeQuestionInput(input);
+  ensureUniqueQuestion(doc, question.question);
+  doc.questions.push({ ...question, status: "draft", updatedBy, updatedAt: new Date() });
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  const added = doc.questions[doc.questions.length - 1];
+  await recordQuestionRevision(doc, "create", null, added, updatedBy);
+  return added.toObject();
+}
+
+// Update question text and/or replace all answers: { question, answers }
+// (published questions get a pending change instead, see editableContent)
+export async function updateQuestion(categoryId, questionId, input, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const question = findQuestion(doc, questionId);
+  if (input?.question === undefined && input?.answers === undefined) {
+    throw httpError("Provide question and/or answers", 400);
+  }
+  const before = snapshotQuestion(question);
+  const content = editableContent(question);
+  if (input.question !== undefined) {
+    const text = requireText(input.question, "question");
+    ensureUniqueQuestion(doc, text, question._id);
+    content.question = text;
+  }
+  if (input.answers !== undefined) {
+    content.answers = normalizeAnswers(input.answers);
+  }
+  markEdited(question, content, updatedBy);
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  await recordQuestionRevision(doc, "update", before, question, updatedBy);
+  return question.toObject();
+}
+
+export async function deleteQuestion(categoryId, questionId, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const question = findQuestion(doc, questionId);
+  const before = snapshotQuestion(question);
+  question.deleteOne();
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  await recordQuestionRevision(doc, "delete", before, null, updatedBy);
+  return { deleted: String(questionId) };
+}
+
+// --- Answers ---
+
+// Create or replace the answer for one option
+export async function setAnswer(categoryId, questionId, option, text, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const question = findQuestion(doc, questionId);
+  const [answer] = normalizeAnswers([{ option, text }]);
+  const before = snapshotQuestion(question);
+  const content = editableContent(question);
+
+  const existing = content.answers.find(a => a.option === answer.option);
+  if (existing) {
+    existing.text = answer.text;
+  } else {
+    content.answers.push(answer);
+    content.answers.sort((a, b) => a.option.localeCompare(b.option));
+  }
+  markEdited(question, content, updatedBy);
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  await recordQuestionRevision(doc, "update", before, question, updatedBy);
+  return question.toObject();
+}
+
+export async function deleteAnswer(categoryId, questionId, option, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const question = findQuestion(doc, questionId);
+  const normalizedOption = String(option || "").toUpperCase();
+  const before = snapshotQuestion(question);
+  const content = editableContent(question);
+  if (!content.answers.some(a => a.option === normalizedOption)) {
+    throw httpError("Answer not found", 404);
+  }
+  if (content.answers.length === 1) {
+    throw httpError("A question needs at least one answer; delete the question instead", 409);
+  }
+  content.answers = content.answers.filter(a => a.option !== normalizedOption);
+  markEdited(question, content, updatedBy);
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+  await recordQuestionRevision(doc, "update", before, question, updatedBy);
+  return question.toObject();
+}
+
+// --- Review workflow ---
+
+export const QUESTION_WORKFLOW_ACTIONS = ["submit", "approve", "reject", "archive", "unarchive", "discard"];
+
+// Questions without a status predate the workflow and count as published
+const statusOf = (question) => question.status || "published";
+
+// Content an edit applies to: drafts are edited in place, published questions through their
+// pending change (created from the published content), so live calls keep the reviewed answers
+function editableContent(question) {
+  const status = statusOf(question);
+  if (status === "archived") {
+    throw httpError("Archived questions can't be edited; unarchive the question first", 409);
+  }
+  if (status !== "published") {
+    return question;
+  }
+  if (!question.pendingChange) {
+    question.pendingChange = {
+      question: question.question,
+      answers: question.answers.map(answer => ({ option: answer.option, text: answer.text })),
+      status: "draft"
+    };
+  }
+  return question.pendingChange;
+}
+
+// Editing content that is in review sends it back to draft
+function markEdited(question, content, updatedBy) {
+  if (content.status === "in_review") {
+    content.status = "draft";
+  }
+  content.updatedBy = updatedBy;
+  content.updatedAt = new Date();
+  if (content !== question) {
+    question.markModified("pendingChange");
+  }
+}
+
+/**
+ * Move a question through the review workflow (recorded as a revision with the step as action).
+ * The reviewed content is the question's pending change if it has one, else the question itself.
+ *   submit    - draft -> in_review
+ *   approve   - in_review -> published; an approved pending change replaces the published content
+ *   reject    - in_review -> draft, with the reviewer's comment (required)
+ *   archive   - -> archived (drops a pending change); archived questions are never matched
+ *   unarchive - archived -> draft
+ *   discard   - drop the pending change of a published question
+ * Only content admins may approve, reject or archive (the routes enforce that), and not approve their own changes.
+ * @param {Object} options - { comment }
+ * @returns {Promise<Object>} - The updated question
+ */
+export async function transitionQuestion(categoryId, questionId, action, userId = null, { comment } = {}) {
+  if (!QUESTION_WORKFLOW_ACTIONS.includes(action)) {
+    throw httpError(`action must be one of: ${QUESTION_WORKFLOW_ACTIONS.join(", ")}`, 400);
+  }
+  const reviewComment = typeof comment === "string" && comment.trim() ? comment.trim() : undefined;
+  if (action === "reject" && !reviewComment) {
+    throw httpError("comment is required when sending a question back", 400);
+  }
+
+  const doc = await loadCategory(categoryId);
+  const question = findQuestion(doc, questionId);
+  const before = snapshotQuestion(question);
+  const pending = question.pendingChange;
+  const reviewed = pending || question;
+  const reviewedStatus = pending ? pending.status : statusOf(question);
+  const now = new Date();
+
+  switch (action) {
+    case "submit":
+      if (reviewedStatus !== "draft") {
+        throw httpError(`Only drafts can be submitted for review (status: ${reviewedStatus})`, 409);
+      }
+      reviewed.status = "in_review";
+      reviewed.submittedBy = userId;
+      reviewed.submittedAt = now;
+      reviewed.reviewComment = undefined;
+      break;
+    case "approve":
+      if (reviewedStatus !== "in_review") {
+        throw httpError(`Only questions in review can be approved (status: ${reviewedStatus})`, 409);
+      }
+      if (userId && (userId === reviewed.submittedBy || userId === reviewed.updatedBy)) {
+        throw httpError("Changes must be approved by someone other than their author", 403);
+      }
+      if (pending) {
+        ensureUniqueQuestion(doc, pending.question, question._id);
+        question.question = pending.question;
+        question.answers = pending.answers.map(answer => ({ option: answer.option, text: answer.text }));
+        question.updatedBy = pending.updatedBy;
+        question.updatedAt = now;
+        question.submittedBy = pending.submittedBy;
+        question.submittedAt = pending.submittedAt;
+        question.pendingChange = null;
+      }
+      question.status = "published";
+      question.reviewedBy = userId;
+      question.reviewedAt = now;
+      question.reviewComment = reviewComment;
+      question.publishedAt = now;
+      break;
+    case "reject":
+      if (reviewedStatus !== "in_review") {
+        throw httpError(`Only questions in review can be sent back (status: ${reviewedStatus})`, 409);
+      }
+      reviewed.status = "draft";
+      reviewed.reviewComment = reviewComment;
+      question.reviewedBy = userId;
+      question.reviewedAt = now;
+      break;
+    case "archive":
+      if (statusOf(question) === "archived") {
+        throw httpError("Question is already archived", 409);
+      }
+      question.status = "archived";
+      question.pendingChange = null;
+      break;
+    case "unarchive":
+      if (statusOf(question) !== "archived") {
+        throw httpError("Only archived questions can be unarchived", 409);
+      }
+      question.status = "draft";
+      break;
+    case "discard":
+      if (!pending) {
+        throw httpError("Question has no unpublished changes", 404);
+      }
+      question.pendingChange = null;
+      break;
+  }
+  if (pending && question.pendingChange) {
+    question.markModified("pendingChange");
+  }
+  doc.updatedBy = userId;
+  await saveSalesQACategory(doc);
+  await recordQuestionRevision(doc, action, before, question, userId);
+  return question.toObject();
+}
+
+/**
+ * Submissions waiting for a content admin, oldest first: draft questions in review and
+ * pending changes of published questions in review (with the published content to compare).
+ * @returns {Promise<Array>} - [{ categoryId, category, questionId, status, question, answers, published, submittedBy, submittedAt }]
+ */
+export async function listReviewQueue() {
+  ensureDatabase();
+  const docs = await SalesQA.find({
+    $or: [{ "questions.status": "in_review" }, { "questions.pendingChange.status": "in_review" }]
+  }).lean();
+
+  const queue = [];
+  for (const doc of docs) {
+    for (const question of doc.questions || []) {
+      const pending = question.pendingChange?.status === "in_review" ? question.pendingChange : null;
+      if (!pending && question.status !== "in_review") continue;
+      const reviewed = pending || question;
+      queue.push({
+        categoryId: doc._id,
+        category: doc.category,
+        questionId: question._id,
+        status: statusOf(question),
+        question: reviewed.question,
+        answers: reviewed.answers,
+        published: pending ? { question: question.question, answers: question.answers } : null,
+        submittedBy: reviewed.submittedBy || null,
+        submittedAt: reviewed.submittedAt || null
+      });
+    }
+  }
+  return queue.sort((a, b) => new Date(a.submittedAt || 0) - new Date(b.submittedAt || 0));
+}
+
+// --- Rollback ---
+
+async function loadRevision(categoryId, revisionId) {
+  const revision = await getSalesQARevision(revisionId);
+  if (!revision || String(revision.categoryId) !== String(categoryId)) {
+    throw httpError("Revision not found", 404);
+  }
+  return revision;
+}
+
+// Content and review state of a question snapshot (snapshots from before the review workflow have no status)
+function questionStateFields(snapshot) {
+  return {
+    question: snapshot.question,
+    answers: snapshot.answers,
+    status: snapshot.status || undefined,
+    pendingChange: snapshot.pendingChange || null
+  };
+}
+
+// Write a category snapshot onto a document; unchanged questions keep their edit and review metadata
+function applyCategorySnapshot(doc, snapshot, updatedBy) {
+  const now = new Date();
+  const current = new Map(doc.questions.map(question => [String(question._id), question]));
+  doc.category = snapshot.category;
+  doc.description = snapshot.description;
+  doc.questions = snapshot.questions.map(question => {
+    const existing = current.get(question._id);
+    const unchanged = existing && JSON.stringify(snapshotQuestion(existing)) === JSON.stringify(question);
+    if (unchanged) {
+      return existing.toObject();
+    }
+    return {
+      ...existing?.toObject(),
+      _id: question._id,
+      ...questionStateFields(question),
+      updatedBy,
+      updatedAt: now
+    };
+  });
+  doc.updatedBy = updatedBy;
+}
+
+// A change after the revision was saved without its revision (see recordSalesQARevision)
+function incompleteHistoryError() {
+  return httpError("A change since this revision is missing from the history, so the category can't be rolled back to it; roll back to a later revision or edit it directly", 409);
+}
+
+/**
+ * Roll a category back to its state right after a revision, undoing every later change
+ * (also restores a deleted category). Refuses (409) when the history since the revision has a gap.
+ * @returns {Promise<Object>} - { category (null if it didn't exist at that revision), rolledBackTo, undoneRevisions }
+ */
+export async function rollbackCategory(categoryId, revisionId, updatedBy = null) {
+  ensureDatabase();
+  if (!mongoose.isValidObjectId(categoryId)) {
+    throw httpError("Category not found", 404);
+  }
+  const revision = await loadRevision(categoryId, revisionId);
+  const newer = await listRevisionsSince(categoryId, revision._id);
+  const doc = await SalesQA.findById(categoryId);
+
+  let state = snapshotCategory(doc);
+  for (const later of newer) {
+    if (!matchesRevision(state, later)) {
+      throw incompleteHistoryError();
+    }
+    state = undoRevision(state, later);
+  }
+  if (!matchesRevision(state, revision)) {
+    throw incompleteHistoryError();
+  }
+
+  const before = snapshotCategory(doc);
+  if (!state) {
+    if (doc) {
+      await doc.deleteOne();
+      invalidateSalesQACaches();
+      await recordCategoryRevision(doc._id, "rollback", before, null, updatedBy, revision._id);
+    }
+    return { category: null, rolledBackTo: revision._id, undoneRevisions: newer.length };
+  }
+
+  await ensureUniqueCategoryName(state.category, categoryId);
+  const target = doc || new SalesQA({ _id: categoryId });
+  applyCategorySnapshot(target, state, updatedBy);
+  await saveSalesQACategory(target);
+  await recordCategoryRevision(target._id, "rollback", before, snapshotCategory(target), updatedBy, revision._id);
+  return { category: target.toObject(), rolledBackTo: revision._id, undoneRevisions: newer.length };
+}
+
+/**
+ * Roll one question back to its state right after a revision (restores a deleted question;
+ * rolling back to a revision that deleted it deletes it again).
+ * @returns {Promise<Object>} - { question (null when deleted), rolledBackTo }
+ */
+export async function rollbackQuestion(categoryId, questionId, revisionId, updatedBy = null) {
+  const doc = await loadCategory(categoryId);
+  const revision = await loadRevision(categoryId, revisionId);
+  if (revision.scope === "question" && String(revision.questionId) !== String(questionId)) {
+    throw httpError("Revision not found", 404);
+  }
+
+  const target = questionStateAfter(revision, questionId);
+  const current = mongoose.isValidObjectId(questionId) ? doc.questions.id(questionId) : null;
+  if (!target && !current) {
+    throw httpError("Question did not exist at that revision", 404);
+  }
+
+  const before = snapshotQuestion(current);
+  if (!target) {
+    current.deleteOne();
+  } else {
+    ensureUniqueQuestion(doc, target.question, questionId);
+    if (current) {
+      current.set(questionStateFields(target));
+      current.updatedBy = updatedBy;
+      current.updatedAt = new Date();
+    } else {
+      doc.questions.push({ _id: target._id, ...questionStateFields(target), updatedBy, updatedAt: new Date() });
+    }
+  }
+  doc.updatedBy = updatedBy;
+  await saveSalesQACategory(doc);
+
+  const restored = target ? doc.questions.id(questionId) : null;
+  await recordQuestionRevision(doc, "rollback", before, restored, updatedBy, revision._id);
+  return { question: restored ? restored.toObject() : null, rolledBackTo: revision._id };
+}
+
+export default {
+  ANSWER_OPTIONS,
+  normalizeAnswers,
+  normalizeQuestionInput,
+  invalidateSalesQACaches,
+  saveSalesQACategory,
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  addQuestion,
+  updateQuestion,
+  deleteQuestion,
+  setAnswer,
+  deleteAnswer,
+  recordCategoryRevision,
+  QUESTION_WORKFLOW_ACTIONS,
+  transitionQuestion,
+  listReviewQueue,
+  rollbackCategory,
+  rollbackQuestion
+};
@@ -0,0 +1,207 @@
+import crypto from "crypto";
+import SalesQA from "../models/SalesQA.js";
+import SalesQAEmbedding from "../models/SalesQAEmbedding.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import { getEmbeddingProvider, embedTexts, normalizeVector } from "./embeddingService.js";
+
+/**
+ * Embeddings of sales Q&A questions and the in-memory vector index semantic matching runs on.
+ * Vectors are computed when questions are written (saveSalesQACategory in salesQAAdminService,
+ * which imports use too) and stored in SalesQAEmbedding. The index loads them once and is
+ * rebuilt after the next edit on this instance, or once it is VECTOR_INDEX_TTL_MS old (edits on
+ * other instances); questions without a stored vector (e.g. written before
+ * embeddings existed) are embedded while it is built - src/scripts/backfillSalesQAEmbeddings.js
+ * does that up front.
+ */
+
+// Embedded spoken queries kept in memory (the same questions come up on many calls)
+const QUERY_CACHE_MAX_SIZE = 200;
+// Same as the SalesQAService matcher cache: edits made on other instances show up within this time
+const VECTOR_INDEX_TTL_MS = 5 * 60 * 1000;
+
+// Text as embedded: whitespace and case don't change what a question means
+export function embeddingText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+export function embeddingKey(provider, text) {
+  return crypto.createHash("sha256")
+    .update(`${provider.name}\u0000${provider.model}\u0000${embeddingText(text)}`)
+    .digest("hex");
+}
+
+// Question texts that can be matched: live content plus drafts and pending edits (for previews)
+export function matchableQuestionTexts(questions) {
+  const texts = [];
+  for (const question of questions || []) {
+    if (question.status === "archived") continue;
+    texts.push(question.question);
+    if (question.pendingChange?.question) texts.push(question.pendingChange.question);
+  }
+  return texts.filter(Boolean);
+}
+
+/**
+ * Load the stored vectors of texts, embedding and storing the missing ones
+ * @returns {Promise<Object>} - { vectors: Map(key -> Float32Array), embedded: number of new vectors }
+ */
+export async function ensureEmbeddings(texts, provider = getEmbeddingProvider()) {
+  const textsByKey = new Map(texts.map(text => [embeddingKey(provider, text), text]));
+  const vectors = new Map();
+  if (textsByKey.size === 0) return { vectors, embedded: 0 };
+
+  const stored = await SalesQAEmbedding.find({ key: { $in: [...textsByKey.keys()] } }, { key: 1, vector: 1 }).lean();
+  for (const entry of stored) {
+    vectors.set(entry.key, normalizeVector(entry.vector));
+  }
+
+  const missing = [...textsByKey.keys()].filter(key => !vectors.has(key));
+  if (missing.length > 0) {
+    const computed = await embedTexts(missing.map(key => textsByKey.get(key)), provider);
+    const entries = missing.map((key, index) => {
+      vectors.set(key, computed[index]);
+      return {
+        key,
+        provider: provider.name,
+        model: provider.model,
+        dimensions: computed[index].length,
+        text: embeddingText(textsByKey.get(key)),
+        vector: Array.from(computed[index])
+      };
+    });
+    try {
+      await SalesQAEmbedding.insertMany(entries, { ordered: false });
+    } catch (error) {
+      // Duplicate keys: a concurrent edit or index build stored the same text first
+      const duplicatesOnly = error.code === 11000 || (error.writeErrors || []).every(writeError => writeError.code === 11000);
+      if (!duplicatesOnly) throw error;
+    }
+  }
+  return { vectors, embedded: missing.length };
+}
+
+/**
+ * Write-time hook: embed the questions of a saved category.
+ * Failures are logged, not thrown - the edit itself is saved and matching falls back to lexical.
+ * @returns {Promise<number>} - Number of new vectors
+ */
+export async function embedSalesQAQuestions(questions) {
+  try {
+    const { embedded } = await ensureEmbeddings(matchableQuestionTexts(questions));
+    return embedded;
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to embed sales Q&A questions:', error.message);
+    return 0;
+  }
+}
+
+// --- Vector index ---
+
+let vectorIndex = null;
+let vectorIndexBuild = null;
+// Bumped on every invalidation so a build that started before an edit isn't kept
+let indexGeneration = 0;
+
+export function invalidateSalesQAVectorIndex() {
+  vectorIndex = null;
+  vectorIndexBuild = null;
+  indexGeneration++;
+}
+
+async function buildVectorIndex(provider) {
+  const categories = await SalesQA.find({}, { category: 1, description: 1, questions: 1 }).lean();
+  const texts = categories.flatMap(category => matchableQuestionTexts(category.questions));
+  const { vectors, embedded } = await ensureEmbeddings(texts, provider);
+  if (embedded > 0) {
+    console.log(`🔄 BACKEND: Embedded ${embedded} sales Q&A questions for the vector index`);
+  }
+
+  // Looked up by normalized text on every query, which is cheaper than hashing
+  const vectorsByText = new Map();
+  for (const text of texts) {
+    vectorsByText.set(embeddingText(text), vectors.get(embeddingKey(provider, text)));
+  }
+  return { provider, categories, vectors: vectorsByText, size: vectorsByText.size, builtAt: new Date() };
+}
+
+/**
+ * The vector index: all categories (lean, with their questions) and a unit vector per
+ * matchable question text. Built on first use, after edits and when it expires; null without a database.
+ * @returns {Promise<Object|null>} - { provider, categories, vectors: Map(text -> Float32Array), size, builtAt }
+ */
+export async function getSalesQAVectorIndex() {
+  if (!isDatabaseConnected()) return null;
+  const provider = getEmbeddingProvider();
+  if (vectorIndex && vectorIndex.provider === provider && Date.now() - vectorIndex.builtAt < VECTOR_INDEX_TTL_MS) {
+    return vectorIndex;
+  }
+
+  if (!vectorIndexBuild) {
+    const generation = indexGeneration;
+    vectorIndexBuild = buildVectorIndex(provider).then(index => {
+      if (generation === indexGeneration) vectorIndex = index;
+      return index;
+    }).finally(() => {
+      if (generation === indexGeneration) vectorIndexBuild = null;
+    });
+  }
+  return vectorIndexBuild;
+}
+
+// Vector of a question text in the index (null if it has none)
+export function getIndexedVector(index, text) {
+  return index?.vectors.get(embeddingText(text)) || null;
+}
+
+const queryVectorCache = new Map();
+
+// Embed a spoken query (cached)
+export async function embedQuery(query, provider = getEmbeddingProvider()) {
+  const cacheKey = `${provider.name}:${provider.model}:${embeddingText(query)}`;
+  if (queryVectorCache.has(cacheKey)) {
+    return queryVectorCache.get(cacheKey);
+  }
+  const [vector] = await embedTexts([query], provider);
+  if (queryVectorCache.size >= QUERY_CACHE_MAX_SIZE) {
+    queryVectorCache.delete(queryVectorCache.keys().next().value);
+  }
+  queryVectorCache.set(cacheKey, vector);
+  return vector;
+}
+
+/**
+ * Embed every matchable question for a provider (see the backfill script)
+ * @param {Object} options - { provider (name, default: the configured one),
+ *   prune: also delete this provider's vectors of texts no longer in the knowledge base }
+ * @returns {Promise<Object>} - { provider, model, texts, embedded, pruned }
+ */
+export async function backfillSalesQAEmbeddings({ provider: providerName, prune = false } = {}) {
+  const provider = getEmbeddingProvider(providerName);
+  const categories = await SalesQA.find({}, { questions: 1 }).lean();
+  const { vectors, embedded } = await ensureEmbeddings(categories.flatMap(category => matchableQuestionTexts(category.questions)), provider);
+
+  let pruned = 0;
+  if (prune) {
+    const result = await SalesQAEmbedding.deleteMany({
+      provider: provider.name,
+      model: provider.model,
+      key: { $nin: [...vectors.keys()] }
+    });
+    pruned = result.deletedCount || 0;
+  }
+  invalidateSalesQAVectorIndex();
+  return { provider: provider.name, model: provider.model, texts: vectors.size, embedded, pruned };
+}
+
+export default {
+  embeddingText,
+  embeddingKey,
+  matchableQuestionTexts,
+  ensureEmbeddings,
+  embedSalesQAQuestions,
+  invalidateSalesQAVectorIndex,
+  getSalesQAVectorIndex,
+  getIndexedVector,
+  embedQuery,
+  backfillSalesQAEmbeddings
+};
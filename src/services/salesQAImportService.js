@@ -0,0 +1,643 @@
+import SalesQA, { QUESTION_STATUSES } from "../models/SalesQA.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import {
+  ANSWER_OPTIONS,
+  normalizeQuestionInput,
+  invalidateSalesQACaches,
+  saveSalesQACategory,
+  recordCategoryRevision
+} from "./salesQAAdminService.js";
+import { snapshotCategory } from "./salesQARevisionService.js";
+
+/**
+ * Sales Q&A import/export.
+ * Imports are merged by category + question (case-insensitive) instead of replacing the
+ * collection: new questions are added, questions with different answers are updated and
+ * questions missing from the import are only reported unless `prune` is set. Every import
+ * computes the diff first, so a dry run shows exactly what would change.
+ * Imports go through the review workflow by default: new questions are drafts and changes to
+ * published questions become their pending change. Publishing imports (status "published",
+ * content admins only - the route enforces that) add published questions and overwrite live content.
+ * Changes that take effect without review in any mode - pruning, archiving published questions
+ * and category descriptions - need `allowLiveChanges` (content admins, see liveImportChanges).
+ *
+ * Questions may carry their review status and the unpublished edit of a published question.
+ * Publishing imports restore both exactly (a restored edit goes back to draft); imports under
+ * review only apply "archived" and otherwise ignore them. Files without statuses (e.g. the
+ * original salesQA.json) leave the stored ones alone.
+ *
+ * Formats (export produces the same, so files round-trip through spreadsheets):
+ * - JSON: [{ category, description, questions: [{ question, answers: [{ option, text }],
+ *   status?, pendingChange?: { question, answers } }] }] (the salesQA.json layout)
+ * - CSV: one row per question with the columns category, description, question,
+ *   answer_a, answer_b, answer_c, status, pending_question, pending_answer_a, pending_answer_b,
+ *   pending_answer_c ("," or ";" separated, UTF-8). Cells that a spreadsheet would run as a
+ *   formula (starting with =, +, - or @) are exported with a leading ' that imports strip again.
+ */
+
+export const IMPORT_FORMATS = ["json", "csv"];
+// Import modes: "draft" (default, reviewed like edits) or "published" (content admins)
+export const IMPORT_STATUSES = ["draft", "published"];
+const CSV_COLUMNS = [
+  "category", "description", "question", "answer_a", "answer_b", "answer_c",
+  "status", "pending_question", "pending_answer_a", "pending_answer_b", "pending_answer_c"
+];
+
+function httpError(message, statusCode, details = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function ensureDatabase() {
+  if (!isDatabaseConnected()) {
+    throw httpError("Sales Q&A import/export requires a database connection", 503);
+  }
+}
+
+const keyOf = (text) => String(text).trim().toLowerCase().replace(/\s+/g, " ");
+
+// --- CSV ---
+
+// RFC 4180 rows: quoted fields may contain the delimiter, quotes ("") and line breaks
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+/**
+ * Parse the CSV format into the JSON layout (not validated yet).
+ * Rows of the same category are grouped; the first non-empty description wins.
+ * @returns {Array} - [{ category, description, questions: [{ question, answers, row }] }]
+ */
+export function parseSalesQACsv(text) {
+  const content = String(text || "").replace(/^﻿/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  // Spreadsheets in many locales export with ";"
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const [header, ...rows] = parseCsvRows(content, delimiter);
+  if (!header) {
+    throw httpError("CSV is empty", 400);
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_"));
+  const missing = ["category", "question"].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw httpError(`CSV is missing the column(s): ${missing.join(", ")} (expected ${CSV_COLUMNS.join(", ")})`, 400);
+  }
+
+  const categories = new Map();
+  rows.forEach((values, index) => {
+    const record = Object.fromEntries(columns.map((column, i) => [column, unescapeCsvFormula((values[i] || "").trim())]));
+    const key = keyOf(record.category);
+    if (!categories.has(key)) {
+      categories.set(key, { category: record.category, description: "", questions: [] });
+    }
+    const category = categories.get(key);
+    if (!category.description && record.description) category.description = record.description;
+
+    const answersFrom = (prefix) => ANSWER_OPTIONS
+      .filter(option => record[`${prefix}answer_${option.toLowerCase()}`])
+      .map(option => ({ option, text: record[`${prefix}answer_${option.toLowerCase()}`] }));
+    category.questions.push({
+      question: record.question,
+      answers: answersFrom(""),
+      ...(record.status ? { status: record.status.toLowerCase() } : {}),
+      ...(record.pending_question ? { pendingChange: { question: record.pending_question, answers: answersFrom("pending_") } } : {}),
+      // Header is row 1
+      row: index + 2
+    });
+  });
+  return [...categories.values()];
+}
+
+// Spreadsheets run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvFormula = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+const unescapeCsvFormula = (value) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+const escapeCsvField = (value) => (/[",;\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// CSV with a BOM so spreadsheet apps read it as UTF-8
+export function toSalesQACsv(categories) {
+  const lines = [CSV_COLUMNS.join(",")];
+  const byOption = (answers) => Object.fromEntries((answers || []).map(answer => [answer.option, answer.text]));
+  for (const category of categories) {
+    for (const question of category.questions) {
+      const answers = byOption(question.answers);
+      const pending = question.pendingChange || null;
+      const pendingAnswers = byOption(pending?.answers);
+      lines.push([
+        category.category,
+        category.description,
+        question.question,
+        ...ANSWER_OPTIONS.map(option => answers[option] || ""),
+        question.status || "",
+        pending?.question || "",
+        ...ANSWER_OPTIONS.map(option => pendingAnswers[option] || "")
+      ].map(value => escapeCsvField(escapeCsvFormula(String(value || "")))).join(","));
+    }
+  }
+  return "﻿" + lines.join("\r\n") + "\r\n";
+}
+
+// --- Validation ---
+
+// Question content plus the optional review state (throws 400)
+function normalizeImportedQuestion(rawQuestion) {
+  const question = normalizeQuestionInput(rawQuestion);
+  if (rawQuestion.status !== undefined && rawQuestion.status !== null && rawQuestion.status !== "") {
+    if (!QUESTION_STATUSES.includes(rawQuestion.status)) {
+      throw httpError(`status must be one of: ${QUESTION_STATUSES.join(", ")}`, 400);
+    }
+    question.status = rawQuestion.status;
+  }
+  if (rawQuestion.pendingChange) {
+    if (question.status !== "published") {
+      throw httpError("Only published questions can have a pending change", 400);
+    }
+    question.pendingChange = normalizeQuestionInput(rawQuestion.pendingChange);
+  }
+  return question;
+}
+
+/**
+ * Validate parsed import data (JSON layout, as parsed from either format).
+ * Repeated questions within a category are merged (the last one wins) and reported as warnings.
+ * @returns {Object} - { categories, warnings }; throws 400 with `details` listing every problem
+ */
+export function normalizeImportData(data) {
+  const input = Array.isArray(data) ? data : data?.categories;
+  if (!Array.isArray(input)) {
+    throw httpError("Import must be an array of categories (or { categories: [...] })", 400);
+  }
+
+  const problems = [];
+  const warnings = [];
+  const categories = new Map();
+
+  input.forEach((rawCategory, categoryIndex) => {
+    const where = `categories[${categoryIndex}]`;
+    const name = typeof rawCategory?.category === "string" ? rawCategory.category.trim() : "";
+    if (!name) {
+      problems.push({ at: where, error: "category must be a non-empty string" });
+      return;
+    }
+    const key = keyOf(name);
+    if (!categories.has(key)) {
+      categories.set(key, { category: name, description: "", questions: new Map() });
+    }
+    const category = categories.get(key);
+    const description = typeof rawCategory.description === "string" ? rawCategory.description.trim() : "";
+    if (description) category.description = description;
+
+    (Array.isArray(rawCategory.questions) ? rawCategory.questions : []).forEach((rawQuestion, questionIndex) => {
+      const at = rawQuestion?.row ? `row ${rawQuestion.row}` : `${where}.questions[${questionIndex}]`;
+      try {
+        const question = normalizeImportedQuestion(rawQuestion);
+        const questionKey = keyOf(question.question);
+        if (category.questions.has(questionKey)) {
+          warnings.push({ at, warning: `Duplicate question "${question.question}" in "${name}"; the last one is used` });
+        }
+        category.questions.set(questionKey, question);
+      } catch (error) {
+        problems.push({ at, error: error.message });
+      }
+    });
+  });
+
+  for (const category of categories.values()) {
+    if (!category.description) {
+      problems.push({ at: `category "${category.category}"`, error: "description must be a non-empty string" });
+    }
+  }
+  if (problems.length > 0) {
+    throw httpError(`Import has ${problems.length} invalid entr${problems.length === 1 ? "y" : "ies"}`, 400, problems);
+  }
+
+  return {
+    categories: [...categories.values()].map(category => ({ ...category, questions: [...category.questions.values()] })),
+    warnings
+  };
+}
+
+/**
+ * Parse an import file
+ * @param {string|Object} content - File text, or already parsed JSON
+ * @param {string} format - "json" | "csv"
+ * @returns {Object} - { categories, warnings } (validated)
+ */
+export function parseSalesQAImport(content, format = "json") {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw httpError(`format must be one of: ${IMPORT_FORMATS.join(", ")}`, 400);
+  }
+  if (format === "csv") {
+    return normalizeImportData(parseSalesQACsv(content));
+  }
+  if (typeof content !== "string") {
+    return normalizeImportData(content);
+  }
+  try {
+    return normalizeImportData(JSON.parse(content.replace(/^﻿/, "")));
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw httpError(`Invalid JSON: ${error.message}`, 400);
+  }
+}
+
+// --- Diff ---
+
+const answersByOption = (answers) => Object.fromEntries((answers || []).map(answer => [answer.option, answer.text]));
+
+const sameContent = (a, b) => (!a || !b)
+  ? !a && !b
+  : a.question === b.question && Object.keys(diffAnswers(a.answers, b.answers)).length === 0;
+
+const contentOf = (question) => (question ? { question: question.question, answers: question.answers } : null);
+
+// Under review, an archived row only archives its question (archived questions aren't edited)
+const importsContent = (question, { publish }) => publish || question.status !== "archived";
+
+/**
+ * Status and pending change an import sets on a stored question (pure): a publishing import
+ * restores the question's state when the file has one, any import archives.
+ * @returns {Object} - { status?: { from, to }, pendingChange?: { from, to } } (content snapshots)
+ */
+function importedStateChanges(stored, question, { publish }) {
+  const changes = {};
+  const storedStatus = stored.status || "published";
+  if (publish && question.status) {
+    if (storedStatus !== question.status) {
+      changes.status = { from: storedStatus, to: question.status };
+    }
+    const pending = question.pendingChange || null;
+    if (!sameContent(stored.pendingChange, pending)) {
+      changes.pendingChange = { from: contentOf(stored.pendingChange), to: contentOf(pending) };
+    }
+  } else if (question.status === "archived" && storedStatus !== "archived") {
+    changes.status = { from: storedStatus, to: "archived" };
+  }
+  return changes;
+}
+
+function diffAnswers(currentAnswers, incomingAnswers) {
+  const current = answersByOption(currentAnswers);
+  const incoming = answersByOption(incomingAnswers);
+  const changes = {};
+  for (const option of ANSWER_OPTIONS) {
+    if ((current[option] || null) !== (incoming[option] || null)) {
+      changes[option] = { from: current[option] || null, to: incoming[option] || null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diff the stored knowledge base against an import (pure).
+ * @param {Array} current - Stored categories (JSON layout)
+ * @param {Array} incoming - Validated import categories
+ * @param {Object} options - { publish: whether the import publishes (restores statuses) }
+ * @returns {Object} - {
+ *   categories: { added: [name], changed: [{ category, description: { from, to } }], removed: [name] },
+ *   questions: { added: [{ category, question }], changed: [{ category, question, changes }],
+ *     removed: [{ category, question }], unchanged: number }
+ * }
+ *   changes: { question?: { from, to }, answers?: { [option]: { from, to } }, status?: { from, to },
+ *     pendingChange?: { from, to } }
+ */
+export function diffSalesQA(current, incoming, { publish = false } = {}) {
+  const diff = {
+    categories: { added: [], changed: [], removed: [] },
+    questions: { added: [], changed: [], removed: [], unchanged: 0 }
+  };
+  const currentByKey = new Map((current || []).map(category => [keyOf(category.category), category]));
+  const incomingKeys = new Set(incoming.map(category => keyOf(category.category)));
+
+  for (const category of incoming) {
+    const existing = currentByKey.get(keyOf(category.category));
+    if (!existing) {
+      diff.categories.added.push(category.category);
+      for (const question of category.questions) {
+        diff.questions.added.push({ category: category.category, question: question.question });
+      }
+      continue;
+    }
+    if (existing.description !== category.description) {
+      diff.categories.changed.push({ category: existing.category, description: { from: existing.description, to: category.description } });
+    }
+
+    const existingQuestions = new Map();
+    for (const question of existing.questions || []) {
+      // Older data may hold repeated questions; the first one is the one that gets updated
+      if (!existingQuestions.has(keyOf(question.question))) existingQuestions.set(keyOf(question.question), question);
+    }
+    const incomingQuestionKeys = new Set(category.questions.map(question => keyOf(question.question)));
+
+    for (const question of category.questions) {
+      const stored = existingQuestions.get(keyOf(question.question));
+      if (!stored) {
+        diff.questions.added.push({ category: existing.category, question: question.question });
+        continue;
+      }
+      const changes = {};
+      if (importsContent(question, { publish })) {
+        if (stored.question !== question.question) changes.question = { from: stored.question, to: question.question };
+        const answerChanges = diffAnswers(stored.answers, question.answers);
+        if (Object.keys(answerChanges).length > 0) changes.answers = answerChanges;
+      }
+      Object.assign(changes, importedStateChanges(stored, question, { publish }));
+
+      if (Object.keys(changes).length > 0) {
+        diff.questions.changed.push({ category: existing.category, question: question.question, changes });
+      } else {
+        diff.questions.unchanged++;
+      }
+    }
+    for (const [key, question] of existingQuestions) {
+      if (!incomingQuestionKeys.has(key)) {
+        diff.questions.removed.push({ category: existing.category, question: question.question });
+      }
+    }
+  }
+
+  for (const [key, category] of currentByKey) {
+    if (incomingKeys.has(key)) continue;
+    diff.categories.removed.push(category.category);
+    for (const question of category.questions || []) {
+      diff.questions.removed.push({ category: category.category, question: question.question });
+    }
+  }
+  return diff;
+}
+
+// Counts for logs and API summaries
+export function summarizeDiff(diff) {
+  return {
+    categoriesAdded: diff.categories.added.length,
+    categoriesChanged: diff.categories.changed.length,
+    categoriesRemoved: diff.categories.removed.length,
+    questionsAdded: diff.questions.added.length,
+    questionsChanged: diff.questions.changed.length,
+    questionsRemoved: diff.questions.removed.length,
+    questionsUnchanged: diff.questions.unchanged
+  };
+}
+
+/**
+ * Changes of an import diff that take effect on live calls without review: pruned questions and
+ * categories, published questions that get archived and changed category descriptions.
+ * (New categories only hold unpublished questions unless the import publishes.)
+ * @returns {Array<string>} - One description per change
+ */
+export function liveImportChanges(diff, { prune = false } = {}) {
+  const changes = [];
+  if (prune) {
+    for (const category of diff.categories.removed) {
+      changes.push(`Delete category "${category}"`);
+    }
+    const removedCategories = new Set(diff.categories.removed);
+    for (const { category, question } of diff.questions.removed) {
+      if (!removedCategories.has(category)) changes.push(`Delete "${question}" in "${category}"`);
+    }
+  }
+  for (const { category, question, changes: questionChanges } of diff.questions.changed) {
+    if (questionChanges.status?.from === "published" && questionChanges.status.to === "archived") {
+      changes.push(`Archive published question "${question}" in "${category}"`);
+    }
+  }
+  for (const { category } of diff.categories.changed) {
+    changes.push(`Change the description of "${category}"`);
+  }
+  return changes;
+}
+
+// --- Import / export ---
+
+const importedPendingChange = (content, { updatedBy, now }) => (content
+  ? { question: content.question, answers: content.answers, status: "draft", updatedBy, updatedAt: now }
+  : null);
+
+// Write imported content onto a stored question: live content for publishing imports and
+// unpublished questions, the pending change for published ones (so it needs approval)
+function applyImportedContent(stored, question, { publish, updatedBy, now }) {
+  const status = stored.status || "published";
+  if (publish || status !== "published") {
+    stored.question = question.question;
+    stored.answers = question.answers;
+    stored.updatedBy = updatedBy;
+    stored.updatedAt = now;
+    if (stored.status === "in_review") {
+      stored.status = "draft";
+    }
+    return;
+  }
+  stored.pendingChange = importedPendingChange(question, { updatedBy, now });
+}
+
+// Write an imported question onto a stored one (see importedStateChanges for the review state)
+// @returns {boolean} - Whether anything changed
+function applyImportedQuestion(stored, question, { publish, updatedBy, now }) {
+  const stateChanges = importedStateChanges(stored, question, { publish });
+  const contentChanged = importsContent(question, { publish }) && !sameContent(stored, question);
+  if (!contentChanged && Object.keys(stateChanges).length === 0) {
+    return false;
+  }
+
+  if (contentChanged && publish && question.status) {
+    // The status comes from the file: write the content as is
+    stored.question = question.question;
+    stored.answers = question.answers;
+    stored.updatedBy = updatedBy;
+    stored.updatedAt = now;
+  } else if (contentChanged) {
+    applyImportedContent(stored, question, { publish, updatedBy, now });
+  }
+
+  if (stateChanges.status) {
+    stored.status = stateChanges.status.to;
+    if (stored.status === "published") stored.publishedAt = now;
+    if (stored.status === "archived") stored.pendingChange = null;
+  }
+  if (stateChanges.pendingChange) {
+    stored.pendingChange = importedPendingChange(stateChanges.pendingChange.to, { updatedBy, now });
+  }
+  return true;
+}
+
+// A question added by an import
+function newImportedQuestion(question, { publish, updatedBy, now }) {
+  const status = publish
+    ? question.status || "published"
+    : question.status === "archived" ? "archived" : "draft";
+  return {
+    question: question.question,
+    answers: question.answers,
+    status,
+    pendingChange: publish && status === "published" ? importedPendingChange(question.pendingChange, { updatedBy, now }) : null,
+    updatedBy,
+    updatedAt: now,
+    ...(status === "published" ? { publishedAt: now } : {})
+  };
+}
+
+/**
+ * Merge an import into the knowledge base.
+ * @param {Object} parsed - { categories, warnings } from parseSalesQAImport
+ * @param {Object} options - { dryRun, prune (delete questions/categories missing from the import),
+ *   status ("draft": new questions are drafts, changes to published ones pending changes;
+ *   "published": new questions are published, live content is overwritten and question
+ *   statuses in the file are restored), allowLiveChanges (apply changes that bypass review, see
+ *   liveImportChanges; refused with a 403 otherwise), updatedBy }
+ * @returns {Promise<Object>} - { dryRun, pruned, diff, summary, warnings }
+ */
+export async function importSalesQA({ categories, warnings = [] }, { dryRun = false, prune = false, status = "draft", allowLiveChanges = false, updatedBy = null } = {}) {
+  ensureDatabase();
+  if (!IMPORT_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${IMPORT_STATUSES.join(", ")}`, 400);
+  }
+  const publish = status === "published";
+  const docs = await SalesQA.find({});
+  const diff = diffSalesQA(docs.map(doc => doc.toObject()), categories, { publish });
+  const result = { dryRun, pruned: prune, diff, summary: summarizeDiff(diff), warnings };
+  if (dryRun) {
+    return result;
+  }
+  const liveChanges = liveImportChanges(diff, { prune });
+  if (liveChanges.length > 0 && !allowLiveChanges) {
+    throw httpError("Only content admins can import changes that take effect without review", 403, liveChanges);
+  }
+
+  const docsByKey = new Map(docs.map(doc => [keyOf(doc.category), doc]));
+  const now = new Date();
+
+  for (const category of categories) {
+    const doc = docsByKey.get(keyOf(category.category)) || new SalesQA({ category: category.category, description: category.description, questions: [] });
+    const before = doc.isNew ? null : snapshotCategory(doc);
+    let modified = doc.isNew;
+    if (doc.description !== category.description) {
+      doc.description = category.description;
+      modified = true;
+    }
+
+    const incomingKeys = new Set();
+    for (const question of category.questions) {
+      const key = keyOf(question.question);
+      incomingKeys.add(key);
+      const stored = doc.questions.find(q => keyOf(q.question) === key);
+      if (!stored) {
+        doc.questions.push(newImportedQuestion(question, { publish, updatedBy, now }));
+        modified = true;
+      } else if (applyImportedQuestion(stored, question, { publish, updatedBy, now })) {
+        modified = true;
+      }
+    }
+    if (prune) {
+      const kept = doc.questions.filter(q => incomingKeys.has(keyOf(q.question)));
+      if (kept.length !== doc.questions.length) {
+        doc.questions = kept;
+        modified = true;
+      }
+    }
+
+    if (modified) {
+      doc.updatedBy = updatedBy;
+      await saveSalesQACategory(doc);
+      await recordCategoryRevision(doc._id, "import", before, snapshotCategory(doc), updatedBy);
+    }
+  }
+
+  if (prune && diff.categories.removed.length > 0) {
+    const incomingKeys = new Set(categories.map(category => keyOf(category.category)));
+    const removed = docs.filter(doc => !incomingKeys.has(keyOf(doc.category)));
+    await SalesQA.deleteMany({ _id: { $in: removed.map(doc => doc._id) } });
+    for (const doc of removed) {
+      await recordCategoryRevision(doc._id, "import", snapshotCategory(doc), null, updatedBy);
+    }
+  }
+  invalidateSalesQACaches();
+  return result;
+}
+
+/**
+ * Export the knowledge base, including review statuses and unpublished edits
+ * @param {string} format - "json" | "csv"
+ * @returns {Promise<Object>} - { content, contentType, filename, categoryCount, questionCount }
+ */
+export async function exportSalesQA(format = "json") {
+  ensureDatabase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw httpError(`format must be one of: ${IMPORT_FORMATS.join(", ")}`, 400);
+  }
+
+  const stored = await SalesQA.find({}).sort({ category: 1 }).lean();
+  const exportedAnswers = (answers) => (answers || []).map(answer => ({ option: answer.option, text: answer.text }));
+  const categories = stored.map(category => ({
+    category: category.category,
+    description: category.description,
+    questions: (category.questions || []).map(question => ({
+      question: question.question,
+      answers: exportedAnswers(question.answers),
+      status: question.status || "published",
+      ...(question.pendingChange
+        ? { pendingChange: { question: question.pendingChange.question, answers: exportedAnswers(question.pendingChange.answers) } }
+        : {})
+    }))
+  }));
+
+  return {
+    content: format === "csv" ? toSalesQACsv(categories) : JSON.stringify(categories, null, 4),
+    contentType: format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8",
+    filename: `salesQA.${format}`,
+    categoryCount: categories.length,
+    questionCount: categories.reduce((total, category) => total + category.questions.length, 0)
+  };
+}
+
+export default {
+  IMPORT_FORMATS,
+  IMPORT_STATUSES,
+  parseSalesQACsv,
+  toSalesQACsv,
+  normalizeImportData,
+  parseSalesQAImport,
+  diffSalesQA,
+  summarizeDiff,
+  liveImportChanges,
+  importSalesQA,
+  exportSalesQA
+};
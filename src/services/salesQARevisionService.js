@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+import SalesQARevision from "../models/SalesQARevision.js";
+
+/**
+ * Sales Q&A revision history.
+ * Every edit through the admin API, import or rollback stores a SalesQARevision with
+ * snapshots of the affected question or category before and after the change.
+ * Rolling back works on snapshots (see undoRevision); the writes themselves live in
+ * salesQAAdminService.
+ */
+
+const MAX_HISTORY = 200;
+
+// --- Snapshots ---
+
+const snapshotAnswers = (answers) => (answers || []).map(answer => ({ option: answer.option, text: answer.text }));
+
+// Content and review status of a question, including an unpublished edit (see SalesQA pendingChange)
+export function snapshotQuestion(question) {
+  if (!question) return null;
+  const pending = question.pendingChange;
+  return {
+    _id: String(question._id),
+    question: question.question,
+    answers: snapshotAnswers(question.answers),
+    status: question.status || null,
+    pendingChange: pending
+      ? { question: pending.question, answers: snapshotAnswers(pending.answers), status: pending.status }
+      : null
+  };
+}
+
+export function snapshotCategory(doc) {
+  if (!doc) return null;
+  return {
+    category: doc.category,
+    description: doc.description,
+    questions: (doc.questions || []).map(snapshotQuestion)
+  };
+}
+
+const clone = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+/**
+ * State of a category just before a revision, given its state just after it (pure).
+ * Walking newer revisions backwards with this reconstructs any earlier state.
+ * @param {Object|null} state - Category snapshot (null: category doesn't exist)
+ * @param {Object} revision - SalesQARevision
+ * @returns {Object|null} - Category snapshot
+ */
+export function undoRevision(state, revision) {
+  if (revision.scope === "category") {
+    return clone(revision.before);
+  }
+  if (!state) return state;
+
+  const questionId = String(revision.questionId);
+  const questions = [...state.questions];
+  const index = questions.findIndex(question => question._id === questionId);
+  if (revision.before) {
+    if (index >= 0) {
+      questions[index] = clone(revision.before);
+    } else {
+      questions.push(clone(revision.before));
+    }
+  } else if (index >= 0) {
+    questions.splice(index, 1);
+  }
+  return { ...state, questions };
+}
+
+// Two question snapshots hold the same content and review state
+// (snapshots from before the review workflow have no status; only their content is compared)
+function sameQuestionState(a, b) {
+  if (!a || !b) return !a && !b;
+  const fields = "status" in a && "status" in b
+    ? ["question", "answers", "status", "pendingChange"]
+    : ["question", "answers"];
+  return fields.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+function sameCategoryState(a, b) {
+  if (!a || !b) return !a && !b;
+  if (a.category !== b.category || a.description !== b.description || a.questions.length !== b.questions.length) {
+    return false;
+  }
+  const questions = new Map(b.questions.map(question => [question._id, question]));
+  return a.questions.every(question => sameQuestionState(question, questions.get(question._id) || null));
+}
+
+/**
+ * Whether a category state is what a revision left behind (pure). Walking back from the
+ * current state, every revision must match: a mismatch means a change in between has no
+ * revision, and undoing past it would not restore the state it claims to.
+ * @param {Object|null} state - Category snapshot
+ * @param {Object} revision - SalesQARevision
+ */
+export function matchesRevision(state, revision) {
+  if (revision.scope === "category") {
+    return sameCategoryState(state, revision.after);
+  }
+  const question = (state?.questions || []).find(q => q._id === String(revision.questionId)) || null;
+  return sameQuestionState(question, revision.after);
+}
+
+// State of one question right after a revision (null: it didn't exist)
+export function questionStateAfter(revision, questionId) {
+  if (revision.scope === "question") {
+    return clone(revision.after);
+  }
+  const question = (revision.after?.questions || []).find(q => q._id === String(questionId));
+  return clone(question || null);
+}
+
+// --- Storage ---
+
+/**
+ * Store a revision. Failures are logged, not thrown - the edit itself already happened;
+ * category rollbacks notice the missing revision (see matchesRevision) and refuse to cross it.
+ * @param {Object} revision - { categoryId, questionId?, scope, action, category, question?, before, after, changedBy, rolledBackTo? }
+ */
+export async function recordSalesQARevision(revision) {
+  try {
+    return await SalesQARevision.create(revision);
+  } catch (error) {
+    console.error('🔄 BACKEND: Failed to record sales Q&A revision:', error.message);
+    return null;
+  }
+}
+
+export async function getSalesQARevision(revisionId) {
+  if (!mongoose.isValidObjectId(revisionId)) return null;
+  return SalesQARevision.findById(revisionId).lean();
+}
+
+// Revisions of a category (question and category scoped), newest first
+export async function listCategoryRevisions(categoryId, { limit = 50 } = {}) {
+  return SalesQARevision.find({ categoryId }).sort({ _id: -1 }).limit(Math.min(limit, MAX_HISTORY)).lean();
+}
+
+// Every revision of a category after the given one, newest first (for rollbacks)
+export async function listRevisionsSince(categoryId, revisionId) {
+  return SalesQARevision.find({ categoryId, _id: { $gt: revisionId } }).sort({ _id: -1 }).lean();
+}
+
+/**
+ * History of one question, newest first: its own revisions plus category-wide revisions
+ * (imports, category rollbacks) that changed it.
+ * @returns {Promise<Array>} - [{ _id, action, scope, changedBy, createdAt, before, after, rolledBackTo }]
+ *   with before/after as question snapshots
+ */
+export async function listQuestionRevisions(categoryId, questionId, { limit = 50 } = {}) {
+  const revisions = await SalesQARevision.find({
+    categoryId,
+    $or: [{ questionId }, { scope: "category" }]
+  }).sort({ _id: -1 }).limit(MAX_HISTORY).lean();
+
+  const history = [];
+  for (const revision of revisions) {
+    const id = String(questionId);
+    const before = revision.scope === "question"
+      ? revision.before
+      : (revision.before?.questions || []).find(q => q._id === id) || null;
+    const after = questionStateAfter(revision, id);
+    if (revision.scope === "category" && JSON.stringify(before) === JSON.stringify(after)) continue;
+
+    history.push({
+      _id: revision._id,
+      action: revision.action,
+      scope: revision.scope,
+      changedBy: revision.changedBy,
+      createdAt: revision.createdAt,
+      rolledBackTo: revision.rolledBackTo || null,
+      before,
+      after
+    });
+    if (history.length >= limit) break;
+  }
+  return history;
+}
+
+export default {
+  snapshotQuestion,
+  snapshotCategory,
+  undoRevision,
+  matchesRevision,
+  questionStateAfter,
+  recordSalesQARevision,
+  getSalesQARevision,
+  listCategoryRevisions,
+  listRevisionsSince,
+  listQuestionRevisions
+};
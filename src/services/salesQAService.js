@@ -1,4 +1,15 @@
-import SalesQA from '../models/SalesQA.js';
+import SalesQA, { LIVE_STATUS_CONDITION, PREVIEW_STATUS_CONDITION } from '../models/SalesQA.js';
+import { cosineSimilarity } from './embeddingService.js';
+import { getSalesQAVectorIndex, getIndexedVector, embedQuery } from './salesQAEmbeddingService.js';
+
+// Hybrid matching: share of the embedding (semantic) score in the combined score, the rest is lexical
+const SEMANTIC_WEIGHT = parseFloat(process.env.SALESQA_SEMANTIC_WEIGHT || '0.7');
+// Combined score a semantic candidate needs (lexical matches already passed their own thresholds)
+const HYBRID_MIN_SCORE = parseFloat(process.env.SALESQA_HYBRID_MIN_SCORE || '0.5');
+// Semantic candidates compared with the lexical match
+const SEMANTIC_CANDIDATES = 5;
+// Embedding the query must not hold up the reply - lexical matching answers alone after this
+const SEMANTIC_SEARCH_TIMEOUT_MS = parseInt(process.env.SALESQA_SEMANTIC_TIMEOUT_MS || '700', 10);
 
 class SalesQAService {
   constructor() {
@@ -72,22 +83,58 @@ class SalesQAService {
     this.cache.clear();
   }
 
+  /**
+   * Questions that can be matched, as { question, answers, status, preview }.
+   * Live calls only see published questions (no status = published). In preview, authors also
+   * see drafts and submissions, and a published question's pending edit replaces its content.
+   */
+  visibleQuestions(questions, preview = false) {
+    const visible = [];
+    for (const question of questions || []) {
+      const status = question.status || 'published';
+      if (status === 'published' && preview && question.pendingChange) {
+        const pending = question.pendingChange;
+        visible.push({ question: pending.question, answers: pending.answers, status: pending.status, preview: true });
+      } else if (status === 'published') {
+        visible.push({ question: question.question, answers: question.answers, status, preview: false });
+      } else if (preview && status !== 'archived') {
+        visible.push({ question: question.question, answers: question.answers, status, preview: true });
+      }
+    }
+    return visible;
+  }
+
+  /**
+   * Filter on question text; previews also search the text of pending edits
+   */
+  questionTextFilter(condition, preview = false) {
+    if (!preview) {
+      return { "questions.question": condition };
+    }
+    return { $or: [{ "questions.question": condition }, { "questions.pendingChange.question": condition }] };
+  }
+
   /**
    * Search for matching questions in MongoDB - OPTIMIZED
+   * Exact matches win outright; otherwise the lexical match (partial / text search) and the
+   * nearest questions by embedding are combined into a hybrid score (see hybridMatch).
    * @param {string} query - The user's spoken query
-   * @returns {Object|null} - Matching question with all 3 answers or null
+   * @param {Object} options - { preview: also match unpublished questions and edits (not cached) }
+   * @returns {Object|null} - Matching question with all 3 answers or null; `similarity` is the
+   *   hybrid score, with `lexicalSimilarity`, `semanticSimilarity` and `matchedBy` alongside
    */
-  async findMatchingQuestion(query) {
+  async findMatchingQuestion(query, options = {}) {
     try {
       if (!query || typeof query !== 'string') {
         return null;
       }
+      const preview = options.preview === true;
 
       // Clean and normalize the query
       const cleanQuery = this.normalizeQuery(query);
       
       // Check cache first
-      const cachedResult = this.getCachedResult(cleanQuery);
+      const cachedResult = preview ? null : this.getCachedResult(cleanQuery);
       if (cachedResult) {
         // Only use cached result if similarity is very high (exact or near-exact match)
         if (cachedResult.similarity && cachedResult.similarity >= 0.7) {
@@ -103,29 +150,23 @@ class SalesQAService {
       }
       
       // Try exact match first (fastest)
-      let match = await this.exactMatch(cleanQuery);
+      let match = await this.exactMatch(cleanQuery, preview);
       if (match) {
-        this.setCachedResult(cleanQuery, match);
+        if (!preview) this.setCachedResult(cleanQuery, match);
         return match;
       }
 
-      // Try partial match (fast)
-      match = await this.partialMatch(cleanQuery);
+      // Lexical and semantic matching run side by side
+      const [lexicalMatch, semanticCandidates] = await Promise.all([
+        this.lexicalMatch(cleanQuery, preview),
+        this.semanticCandidatesWithTimeout(cleanQuery, preview)
+      ]);
+      match = this.hybridMatch(cleanQuery, lexicalMatch, semanticCandidates);
       if (match) {
-        this.setCachedResult(cleanQuery, match);
+        if (!preview) this.setCachedResult(cleanQuery, match);
         return match;
       }
 
-      // Skip expensive searches for 2-3 sec response time
-      // Only try text search for longer, more specific queries
-      if (cleanQuery.length > 20) {
-        match = await this.textSearch(cleanQuery);
-        if (match) {
-          this.setCachedResult(cleanQuery, match);
-          return match;
-        }
-      }
-
       // Skip fuzzy and fallback for speed
       // Return null to trigger GPT faster
 
@@ -135,10 +176,125 @@ class SalesQAService {
     }
   }
 
+  /**
+   * Lexical match: partial match, then text search for longer queries
+   */
+  async lexicalMatch(query, preview = false) {
+    const match = await this.partialMatch(query, preview);
+    if (match) {
+      return match;
+    }
+
+    // Skip expensive searches for 2-3 sec response time
+    // Only try text search for longer, more specific queries
+    if (query.length > 20) {
+      return await this.textSearch(query, preview);
+    }
+    return null;
+  }
+
+  /**
+   * Questions closest to the query by embedding, best first, as match objects with
+   * `semanticSimilarity` (cosine). Empty without a database or when embedding fails.
+   */
+  async semanticCandidates(query, preview = false) {
+    const index = await getSalesQAVectorIndex();
+    if (!index || index.size === 0) {
+      return [];
+    }
+    const queryVector = await embedQuery(query, index.provider);
+
+    const candidates = [];
+    for (const category of index.categories) {
+      for (const question of this.visibleQuestions(category.questions, preview)) {
+        const vector = getIndexedVector(index, question.question);
+        if (!vector) continue;
+        candidates.push({
+          question: question.question,
+          answers: question.answers,
+          category: category.category,
+          description: category.description,
+          status: question.status,
+          preview: question.preview,
+          semanticSimilarity: cosineSimilarity(queryVector, vector),
+          minSemanticSimilarity: index.provider.minSimilarity
+        });
+      }
+    }
+    return candidates.sort((a, b) => b.semanticSimilarity - a.semanticSimilarity);
+  }
+
+  /**
+   * semanticCandidates bounded by SEMANTIC_SEARCH_TIMEOUT_MS; errors and timeouts give no candidates
+   */
+  async semanticCandidatesWithTimeout(query, preview = false) {
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve([]), SEMANTIC_SEARCH_TIMEOUT_MS);
+    });
+    const search = this.semanticCandidates(query, preview).catch(error => {
+      console.error('🔄 BACKEND: Semantic sales Q&A search failed:', error.message);
+      return [];
+    });
+    try {
+      return await Promise.race([search, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Pick the best of the lexical match and the top semantic candidates by hybrid score:
+   *   SEMANTIC_WEIGHT * cosine + (1 - SEMANTIC_WEIGHT) * lexical similarity
+   * The lexical match stays acceptable on its own; a semantic candidate needs HYBRID_MIN_SCORE
+   * and a cosine of at least its provider's minSimilarity. Without semantic candidates
+   * (no index, provider down) this returns the lexical match unchanged.
+   */
+  hybridMatch(query, lexicalMatch, semanticCandidates = []) {
+    if (semanticCandidates.length === 0) {
+      return lexicalMatch;
+    }
+    const lexicalScore = (questionText) => Math.max(
+      this.calculateSimilarity(query, questionText),
+      this.calculateSimilarity(this.normalizeQuery(query), this.normalizeQuery(questionText))
+    );
+    const sameQuestion = (a, b) => a.category === b.category && a.question === b.question;
+    // Without a vector (not embedded yet) the lexical similarity stands alone
+    const scored = (match, lexicalSimilarity, semanticSimilarity, matchedBy) => {
+      const { minSemanticSimilarity, ...rest } = match;
+      return {
+        ...rest,
+        similarity: semanticSimilarity === null
+          ? lexicalSimilarity
+          : SEMANTIC_WEIGHT * semanticSimilarity + (1 - SEMANTIC_WEIGHT) * lexicalSimilarity,
+        lexicalSimilarity,
+        semanticSimilarity,
+        matchedBy
+      };
+    };
+
+    let best = null;
+    if (lexicalMatch) {
+      const semantic = semanticCandidates.find(candidate => sameQuestion(candidate, lexicalMatch));
+      const lexicalSimilarity = lexicalMatch.similarity ?? lexicalScore(lexicalMatch.question);
+      best = scored(lexicalMatch, lexicalSimilarity, semantic ? semantic.semanticSimilarity : null, semantic ? 'hybrid' : 'lexical');
+    }
+
+    for (const candidate of semanticCandidates.slice(0, SEMANTIC_CANDIDATES)) {
+      if (candidate.semanticSimilarity < candidate.minSemanticSimilarity) break;
+      if (lexicalMatch && sameQuestion(candidate, lexicalMatch)) continue;
+      const match = scored(candidate, lexicalScore(candidate.question), candidate.semanticSimilarity, 'semantic');
+      if (match.similarity >= HYBRID_MIN_SCORE && (!best || match.similarity > best.similarity)) {
+        best = match;
+      }
+    }
+    return best;
+  }
+
   /**
    * Exact match search - IMPROVED
    */
-  async exactMatch(query) {
+  async exactMatch(query, preview = false) {
     // Try exact match with normalized query
     const normalizedQuery = this.normalizeQuery(query);
     
@@ -190,22 +346,32 @@ class SalesQAService {
       return new RegExp(`^${this.escapeRegex(flexibleVariation)}$`, 'i');
     });
     
+    // $elemMatch so the positional projection returns a question that is visible
+    const textConditions = flexiblePatterns.flatMap(pattern => preview
+      ? [{ question: { $regex: pattern } }, { "pendingChange.question": { $regex: pattern } }]
+      : [{ question: { $regex: pattern } }]);
     const result = await SalesQA.findOne({
-      $or: flexiblePatterns.map(pattern => ({
-        "questions.question": { $regex: pattern }
-      }))
+      questions: {
+        $elemMatch: {
+          $or: textConditions,
+          status: preview ? PREVIEW_STATUS_CONDITION : LIVE_STATUS_CONDITION
+        }
+      }
     }, {
       "questions.$": 1,
       category: 1,
       description: 1
     });
 
-    if (result && result.questions && result.questions.length > 0) {
+    const [question] = result ? this.visibleQuestions(result.questions, preview) : [];
+    if (question) {
       return {
-        question: result.questions[0].question,
-        answers: result.questions[0].answers,
+        question: question.question,
+        answers: question.answers,
         category: result.category,
-        description: result.description
+        description: result.description,
+        status: question.status,
+        preview: question.preview
       };
     }
     return null;
@@ -214,7 +380,7 @@ class SalesQAService {
   /**
    * Partial match search - looks for questions containing key words with fuzzy matching - OPTIMIZED
    */
-  async partialMatch(query) {
+  async partialMatch(query, preview = false) {
     const words = query.split(' ').filter(word => word.length > 2);
     if (words.length === 0) return null;
 
@@ -240,9 +406,7 @@ class SalesQAService {
     let bestScore = 0;
 
     for (const pattern of searchPatterns) {
-      const results = await SalesQA.find({
-        "questions.question": { $regex: new RegExp(pattern, 'i') }
-      }, {
+      const results = await SalesQA.find(this.questionTextFilter({ $regex: new RegExp(pattern, 'i') }, preview), {
         "questions": 1,
         category: 1,
         description: 1
@@ -251,7 +415,7 @@ class SalesQAService {
       if (results && results.length > 0) {
         // Find the best matching question from all results
         for (const result of results) {
-          for (const question of result.questions) {
+          for (const question of this.visibleQuestions(result.questions, preview)) {
         const similarity = this.calculateSimilarity(query, question.question);
         // Strict thresholds for exact matching
         let threshold = result.category === 'Basic Sales Questions' ? 0.2 : 0.6; // Higher threshold for exact matches
@@ -273,7 +437,9 @@ class SalesQAService {
             answers: question.answers,
             category: result.category,
             description: result.description,
-            similarity: similarity
+            similarity: similarity,
+            status: question.status,
+            preview: question.preview
           };
 
           // Early exit if we find a very good match
@@ -297,7 +463,7 @@ class SalesQAService {
   /**
    * MongoDB text search with improved flexibility - OPTIMIZED
    */
-  async textSearch(query) {
+  async textSearch(query, preview = false) {
     try {
       // Create fewer, more targeted search variations for better performance
       const searchVariations = [
@@ -327,7 +493,7 @@ class SalesQAService {
           if (results && results.length > 0) {
             // Find the best matching question from all results
             for (const result of results) {
-              for (const question of result.questions) {
+              for (const question of this.visibleQuestions(result.questions, preview)) {
                 const questionText = question.question.toLowerCase();
                 const score = this.calculateSimilarity(query, questionText);
                 
@@ -349,7 +515,9 @@ class SalesQAService {
                     answers: question.answers,
                     category: result.category,
                     description: result.description,
-                    similarity: score
+                    similarity: score,
+                    status: question.status,
+                    preview: question.preview
                   };
 
                   // Early exit if we find a very good match
@@ -362,9 +530,7 @@ class SalesQAService {
           }
         } catch (searchError) {
           // If text search fails, try regex search as fallback
-          const regexResults = await SalesQA.find({
-            "questions.question": { $regex: new RegExp(this.escapeRegex(searchQuery), 'i') }
-          }, {
+          const regexResults = await SalesQA.find(this.questionTextFilter({ $regex: new RegExp(this.escapeRegex(searchQuery), 'i') }, preview), {
             "questions": 1,
             category: 1,
             description: 1
@@ -372,7 +538,7 @@ class SalesQAService {
 
           if (regexResults && regexResults.length > 0) {
             for (const result of regexResults) {
-              for (const question of result.questions) {
+              for (const question of this.visibleQuestions(result.questions, preview)) {
                 const questionText = question.question.toLowerCase();
                 const score = this.calculateSimilarity(query, questionText);
                 if (score > bestScore && score > 0.15) {
@@ -382,7 +548,9 @@ class SalesQAService {
                     answers: question.answers,
                     category: result.category,
                     description: result.description,
-                    similarity: score
+                    similarity: score,
+                    status: question.status,
+                    preview: question.preview
                   };
 
                   // Early exit if we find a good match
@@ -431,6 +599,7 @@ class SalesQAService {
       // Use aggregation pipeline for better performance
       const pipeline = [
         { $unwind: "$questions" },
+        { $match: { "questions.status": LIVE_STATUS_CONDITION } },
         { 
           $project: {
             question: "$questions.question",
@@ -504,6 +673,7 @@ class SalesQAService {
       // Use aggregation pipeline with limit for better performance
       const pipeline = [
         { $unwind: "$questions" },
+        { $match: { "questions.status": LIVE_STATUS_CONDITION } },
         { 
           $project: {
             question: "$questions.question",
@@ -803,9 +973,10 @@ class SalesQAService {
   /**
    * Find matching questions for multiple queries
    * @param {Array<string>} queries - Array of user questions
+   * @param {Object} options - { preview } (see findMatchingQuestion)
    * @returns {Array<Object>} - Array of matching questions with answers
    */
-  async findMultipleMatchingQuestions(queries) {
+  async findMultipleMatchingQuestions(queries, options = {}) {
     try {
       if (!Array.isArray(queries) || queries.length === 0) {
         return [];
@@ -815,7 +986,7 @@ class SalesQAService {
 
       for (const query of queries) {
         if (query && typeof query === 'string' && query.trim().length > 0) {
-          const match = await this.findMatchingQuestion(query.trim());
+          const match = await this.findMatchingQuestion(query.trim(), options);
           if (match) {
             matches.push({
               originalQuery: query.trim(),
@@ -823,7 +994,10 @@ class SalesQAService {
               answers: match.answers,
               category: match.category,
               description: match.description,
-              similarity: match.similarity || 0
+              similarity: match.similarity || 0,
+              status: match.status || 'published',
+              preview: match.preview === true,
+              matchedBy: match.matchedBy || (match.similarity === undefined ? 'exact' : 'lexical')
             });
           } else {
           }
@@ -850,6 +1024,7 @@ class SalesQAService {
       // Get sample questions from database for context
       const pipeline = [
         { $unwind: "$questions" },
+        { $match: { "questions.status": LIVE_STATUS_CONDITION } },
         { 
           $project: {
             question: "$questions.question",
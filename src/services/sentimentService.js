@@ -1,77 +1,144 @@
-import language from '@google-cloud/language';
-
-// Initialize the Natural Language client
-const languageClient = new language.LanguageServiceClient();
+import { createGoogleSentimentProvider } from "./googleSentimentProvider.js";
+import { createLexiconSentimentProvider } from "./lexiconSentimentProvider.js";
+import { getOrgSettings } from "./orgSettingsService.js";
 
 /**
- * Analyze sentiment of text using Google Cloud Natural Language API
- * Returns traffic light system based on sentiment:
- * - Green: positive sentiment (score > 0.1)
- * - Yellow: neutral/small talk (-0.1 <= score <= 0.1)
- * - Red: negative/objection sentiment (score < -0.1)
- * 
- * @param {string} text - The text to analyze
- * @returns {Object} Sentiment data with score, magnitude, color, and sentiment label
+ * Sentiment analysis with pluggable providers, selected per organization
+ * (OrgSettings.sentiment.provider). When the provider fails, the local lexicon
+ * provider answers instead, so a Google outage no longer turns every turn yellow.
+ *
+ * Provider interface:
+ * - name
+ * - analyze(text, { language }) -> { score: -1..1, magnitude: >= 0 } (async)
+ *
+ * Scores are mapped to a traffic light with per-org thresholds:
+ * - Green: positive sentiment (score > positiveThreshold)
+ * - Yellow: neutral/small talk (in between)
+ * - Red: negative/objection sentiment (score < negativeThreshold)
  */
-export async function analyzeSentiment(text) {
-  try {
 
-    if (!text || text.trim().length === 0) {
-      return {
-        score: 0,
-        magnitude: 0,
-        color: 'yellow',
-        sentiment: 'neutral',
-        error: 'Empty text'
-      };
-    }
+export const SENTIMENT_PROVIDERS = ["google", "lexicon"];
+const FALLBACK_PROVIDER = "lexicon";
 
-    // Prepare document for analysis
-    const document = {
-      content: text,
-      type: 'PLAIN_TEXT',
-    };
+export const DEFAULT_SENTIMENT_THRESHOLDS = {
+  positiveThreshold: parseFloat(process.env.SENTIMENT_POSITIVE_THRESHOLD || "0.1"),
+  negativeThreshold: parseFloat(process.env.SENTIMENT_NEGATIVE_THRESHOLD || "-0.1")
+};
 
-    // Analyze sentiment
-    const [result] = await languageClient.analyzeSentiment({ document });
-    const sentiment = result.documentSentiment;
+const providerFactories = {
+  google: () => createGoogleSentimentProvider(),
+  lexicon: () => createLexiconSentimentProvider()
+};
 
-    // Determine color and sentiment based on score
-    let color = 'yellow'; // default
-    let sentimentLabel = 'neutral';
+// Without an org setting, use Google when credentials are configured and the lexicon otherwise
+export function getDefaultSentimentProviderName() {
+  if (process.env.SENTIMENT_PROVIDER) return process.env.SENTIMENT_PROVIDER;
+  return process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_SERVICE_ACCOUNT_BASE64 ? "google" : "lexicon";
+}
 
-    if (sentiment.score > 0.1) {
-      color = 'green';
-      sentimentLabel = 'positive';
-    } else if (sentiment.score < -0.1) {
-      color = 'red';
-      sentimentLabel = 'negative';
-    } else {
-      color = 'yellow';
-      sentimentLabel = 'neutral';
-    }
+export function registerSentimentProvider(name, factory) {
+  providerFactories[name] = factory;
+  if (!SENTIMENT_PROVIDERS.includes(name)) SENTIMENT_PROVIDERS.push(name);
+}
 
-    return {
-      score: sentiment.score,
-      magnitude: sentiment.magnitude,
-      color,
-      sentiment: sentimentLabel
-    };
+function getProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown sentiment provider: ${name}`);
+  }
+  return factory();
+}
 
-  } catch (error) {
-    
-    // Return neutral sentiment on error
+/**
+ * Sentiment settings of an organization with defaults filled in
+ * @returns {Promise<Object>} - { provider, positiveThreshold, negativeThreshold, isDefault }
+ */
+export async function getSentimentSettings(organizationId = "default") {
+  const settings = await getOrgSettings(organizationId);
+  const stored = settings.sentiment || {};
+  return {
+    provider: stored.provider || getDefaultSentimentProviderName(),
+    positiveThreshold: typeof stored.positiveThreshold === "number" ? stored.positiveThreshold : DEFAULT_SENTIMENT_THRESHOLDS.positiveThreshold,
+    negativeThreshold: typeof stored.negativeThreshold === "number" ? stored.negativeThreshold : DEFAULT_SENTIMENT_THRESHOLDS.negativeThreshold,
+    isDefault: !stored.provider && typeof stored.positiveThreshold !== "number" && typeof stored.negativeThreshold !== "number"
+  };
+}
+
+/**
+ * Map a score to the traffic light
+ * @returns {Object} - { color: "green" | "yellow" | "red", sentiment: "positive" | "neutral" | "negative" }
+ */
+export function classifySentiment(score, { positiveThreshold, negativeThreshold } = DEFAULT_SENTIMENT_THRESHOLDS) {
+  if (score > positiveThreshold) {
+    return { color: 'green', sentiment: 'positive' };
+  }
+  if (score < negativeThreshold) {
+    return { color: 'red', sentiment: 'negative' };
+  }
+  return { color: 'yellow', sentiment: 'neutral' };
+}
+
+/**
+ * Analyze sentiment of text with the organization's provider.
+ *
+ * @param {string} text - The text to analyze
+ * @param {Object} options - { organizationId, language } - language helps the lexicon provider
+ *   pick its word list ("de-DE"); without it all lists are used
+ * @returns {Object} Sentiment data with score, magnitude, color, sentiment label and provider;
+ *   `fallback` is set when the configured provider failed and the lexicon answered instead
+ */
+export async function analyzeSentiment(text, { organizationId = "default", language = null } = {}) {
+  if (!text || text.trim().length === 0) {
     return {
       score: 0,
       magnitude: 0,
       color: 'yellow',
       sentiment: 'neutral',
-      error: error.message || 'Sentiment analysis failed'
+      error: 'Empty text'
     };
   }
+
+  let settings;
+  try {
+    settings = await getSentimentSettings(organizationId);
+  } catch (error) {
+    settings = { provider: getDefaultSentimentProviderName(), ...DEFAULT_SENTIMENT_THRESHOLDS };
+  }
+
+  const providerNames = [settings.provider];
+  if (settings.provider !== FALLBACK_PROVIDER) providerNames.push(FALLBACK_PROVIDER);
+
+  let lastError = null;
+  for (const name of providerNames) {
+    try {
+      const { score, magnitude } = await getProvider(name).analyze(text, { language });
+      const result = { score, magnitude, ...classifySentiment(score, settings), provider: name };
+      if (name !== settings.provider) {
+        result.fallback = { from: settings.provider, reason: lastError.message || 'Sentiment analysis failed' };
+      }
+      return result;
+    } catch (error) {
+      console.error(`🔄 BACKEND: Sentiment provider ${name} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  // Return neutral sentiment when every provider failed
+  return {
+    score: 0,
+    magnitude: 0,
+    color: 'yellow',
+    sentiment: 'neutral',
+    error: lastError.message || 'Sentiment analysis failed'
+  };
 }
 
 export default {
+  SENTIMENT_PROVIDERS,
+  DEFAULT_SENTIMENT_THRESHOLDS,
+  getDefaultSentimentProviderName,
+  registerSentimentProvider,
+  getSentimentSettings,
+  classifySentiment,
   analyzeSentiment
 };
-
@@ -0,0 +1,138 @@
+/**
+ * Sentiment timeline of a call session.
+ * Every customer turn stores its analyzeSentiment result (turn.sentimentData); this turns
+ * them into a timeline with a rolling average, detects the trend over the last few turns
+ * and decides when the rep should be alerted mid-call.
+ */
+
+// Customer turns per rolling window
+export const SENTIMENT_WINDOW_SIZE = parseInt(process.env.SENTIMENT_WINDOW_SIZE || "3", 10);
+// Average score change between two windows that counts as a trend / a sharp drop
+const SENTIMENT_TREND_DELTA = 0.2;
+export const SENTIMENT_SHARP_DROP_DELTA = parseFloat(process.env.SENTIMENT_SHARP_DROP_DELTA || "0.5");
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (points) => points.reduce((sum, point) => sum + point.score, 0) / points.length;
+
+// Timeline point for a stored turn (null for rep turns and turns without a usable sentiment)
+export function toSentimentPoint(turn) {
+  const sentiment = turn && turn.sentimentData;
+  if (!turn || turn.speaker === "rep" || !sentiment || typeof sentiment.score !== "number" || sentiment.error) {
+    return null;
+  }
+  return {
+    turnIndex: turn.index ?? null,
+    score: sentiment.score,
+    magnitude: sentiment.magnitude ?? null,
+    color: sentiment.color,
+    sentiment: sentiment.sentiment || null,
+    at: turn.createdAt || null
+  };
+}
+
+/**
+ * Trend over the most recent customer turns.
+ * The last `windowSize` points are compared with the window before them; with fewer points
+ * the first and last score of the recent window are compared instead.
+ * @param {Array} points - Timeline points, oldest first
+ * @returns {Object} - { trend, delta, from, to, turns, message }
+ *   trend: "dropping_sharply" | "declining" | "improving" | "stable" | "unknown"
+ */
+export function detectSentimentTrend(points, { windowSize = SENTIMENT_WINDOW_SIZE, sharpDropDelta = SENTIMENT_SHARP_DROP_DELTA } = {}) {
+  if (!points || points.length < 2) {
+    return { trend: "unknown", delta: null, from: null, to: null, turns: points ? points.length : 0, message: null };
+  }
+
+  const recent = points.slice(-windowSize);
+  const previous = points.slice(-2 * windowSize, -windowSize);
+  const from = previous.length > 0 ? mean(previous) : recent[0].score;
+  const to = previous.length > 0 ? mean(recent) : recent[recent.length - 1].score;
+  const delta = to - from;
+
+  let trend = "stable";
+  if (delta <= -sharpDropDelta) {
+    trend = "dropping_sharply";
+  } else if (delta <= -SENTIMENT_TREND_DELTA) {
+    trend = "declining";
+  } else if (delta >= SENTIMENT_TREND_DELTA) {
+    trend = "improving";
+  }
+
+  const turns = recent.length;
+  const messages = {
+    dropping_sharply: `Sentiment dropped sharply in the last ${turns} turns`,
+    declining: `Sentiment is declining over the last ${turns} turns`,
+    improving: `Sentiment is improving over the last ${turns} turns`,
+    stable: null
+  };
+  return { trend, delta: round(delta), from: round(from), to: round(to), turns, message: messages[trend] };
+}
+
+/**
+ * Alert for the newest point: the customer turned red, or sentiment started dropping sharply.
+ * @param {Array} previousPoints - Earlier points of the call, oldest first
+ * @param {Object} point - The new point
+ * @returns {Object|null} - { reasons: ["turned_red" | "sharp_drop"], turnIndex, score, color, trend, message }
+ */
+export function detectSentimentAlert(previousPoints, point, options = {}) {
+  if (!point) return null;
+
+  const last = previousPoints && previousPoints.length > 0 ? previousPoints[previousPoints.length - 1] : null;
+  const trend = detectSentimentTrend([...(previousPoints || []), point], options);
+  const reasons = [];
+  if (point.color === "red" && (!last || last.color !== "red")) reasons.push("turned_red");
+  // Only when the drop starts, not on every turn while it lasts
+  if (trend.trend === "dropping_sharply" && detectSentimentTrend(previousPoints, options).trend !== "dropping_sharply") {
+    reasons.push("sharp_drop");
+  }
+  if (reasons.length === 0) return null;
+
+  return {
+    reasons,
+    turnIndex: point.turnIndex,
+    score: point.score,
+    color: point.color,
+    trend: trend.trend,
+    message: reasons.includes("turned_red") ? "Customer sentiment turned negative" : trend.message
+  };
+}
+
+/**
+ * Full timeline of stored turns.
+ * @param {Array} turns - Stored session turns
+ * @returns {Object} - { points: [{ ...point, rollingAverage }], current, average, trend, alerts, missingTurns }
+ */
+export function buildSentimentTimeline(turns, options = {}) {
+  const windowSize = options.windowSize || SENTIMENT_WINDOW_SIZE;
+  const customerTurns = (turns || []).filter(turn => turn.speaker !== "rep");
+
+  const points = [];
+  const alerts = [];
+  for (const turn of customerTurns) {
+    const point = toSentimentPoint(turn);
+    if (!point) continue;
+    const alert = detectSentimentAlert(points, point, options);
+    if (alert) alerts.push(alert);
+    const window = [...points.slice(-(windowSize - 1)), point];
+    points.push({ ...point, rollingAverage: round(mean(window)) });
+  }
+
+  return {
+    points,
+    current: points.length > 0 ? points[points.length - 1] : null,
+    average: points.length > 0 ? round(mean(points)) : null,
+    trend: detectSentimentTrend(points, options),
+    alerts,
+    // Customer turns whose sentiment is still pending or failed
+    missingTurns: customerTurns.length - points.length
+  };
+}
+
+export default {
+  SENTIMENT_WINDOW_SIZE,
+  SENTIMENT_SHARP_DROP_DELTA,
+  toSentimentPoint,
+  detectSentimentTrend,
+  detectSentimentAlert,
+  buildSentimentTimeline
+};
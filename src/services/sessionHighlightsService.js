@@ -0,0 +1,174 @@
+import OpenAI from "openai";
+import CallSession from "../models/CallSession.js";
+import { isDatabaseConnected } from "../mongo/connection.js";
+import { findQuoteInTurns } from "./callSummaryService.js";
+import { HIGHLIGHT_FIELDS, MIN_HIGHLIGHT_CONFIDENCE } from "./keyHighlightsService.js";
+
+/**
+ * Running key highlights of a call session.
+ * Each customer turn is compared against the session's current highlights and turned into
+ * operations: add (new fact), refine (updated or more detailed fact) or retract (the customer
+ * withdrew it). Operations need a quote from the turn, like per-turn highlights. The applied
+ * operations are returned as a diff so the UI can animate what changed.
+ */
+
+// Initialize OpenAI client
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const OPERATIONS = ["add", "refine", "retract"];
+// Concurrent turns of the same session retry on a version conflict
+const MAX_SAVE_ATTEMPTS = 3;
+
+export function emptyHighlightsState() {
+  return { fields: {}, version: 0, updatedAt: null };
+}
+
+// Current values only ({ budget: "50k", ... }), the same shape as per-turn key highlights
+export function toFlatState(state) {
+  return Object.fromEntries(Object.entries(state?.fields || {}).map(([field, entry]) => [field, entry.value]));
+}
+
+/**
+ * Ask the model how the customer's latest turn changes the session highlights.
+ * @param {Object} state - Current highlights state
+ * @param {string} utterance - What the customer just said
+ * @param {Object} options - { sourceTexts } customer words (original + translation) quotes must come from
+ * @returns {Promise<Array>} - Verified operations [{ op, field, value, quote, confidence }]
+ */
+export async function computeHighlightOperations(state, utterance, { sourceTexts = null } = {}) {
+  const current = toFlatState(state);
+
+  const prompt = `You keep the running key highlights of a sales call up to date.
+
+Current highlights (JSON, missing fields are unknown):
+${JSON.stringify(current)}
+
+The customer just said: "${utterance}"
+
+Return ONLY a JSON object: { "operations": [{ "op": "add" | "refine" | "retract", "field": "budget" | "timeline" | "objections" | "importantInfo", "value": "complete new value" or null, "quote": "exact customer words", "confidence": 0.0-1.0 }] }
+
+Rules:
+- add: a new fact for a field that is currently missing
+- refine: the customer changed or added detail to an existing field; "value" is the complete new value (for objections and importantInfo keep earlier points that still hold)
+- retract: the customer withdrew or contradicted an existing fact without giving a replacement ("value" is null)
+- "quote" must be copied word for word from what the customer just said
+- Only use what the customer explicitly said; return { "operations": [] } when nothing changed`;
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    messages: [
+      { role: "system", content: "You maintain structured notes of a sales call. Return valid JSON." },
+      { role: "user", content: prompt }
+    ],
+    response_format: { type: "json_object" },
+    max_tokens: 400,
+    temperature: 0.1,
+  });
+
+  let rawData;
+  try {
+    rawData = JSON.parse(completion.choices[0].message.content);
+  } catch (parseError) {
+    return [];
+  }
+
+  const sourceTurns = (sourceTexts || [utterance]).filter(Boolean).map(text => ({ index: null, transcript: text }));
+  const operations = [];
+  for (const raw of Array.isArray(rawData?.operations) ? rawData.operations : []) {
+    if (!raw || !OPERATIONS.includes(raw.op) || !HIGHLIGHT_FIELDS.includes(raw.field)) continue;
+    const value = typeof raw.value === "string" && raw.value.trim() ? raw.value.trim() : null;
+    if (raw.op !== "retract" && !value) continue;
+
+    const confidence = typeof raw.confidence === "number" ? Math.min(1, Math.max(0, raw.confidence)) : null;
+    const evidence = typeof raw.quote === "string" ? findQuoteInTurns(raw.quote, sourceTurns) : null;
+    if (!evidence || (confidence !== null && confidence < MIN_HIGHLIGHT_CONFIDENCE)) continue;
+
+    operations.push({ op: raw.op, field: raw.field, value, quote: evidence.quote, confidence });
+  }
+  return operations;
+}
+
+/**
+ * Apply operations to a highlights state (pure).
+ * add on an existing field counts as refine, refine on a missing field as add; no-ops are skipped.
+ * @returns {Object} - { state, diff: { added: [], refined: [{ field, from, to }], retracted: [], version } }
+ */
+export function applyHighlightOperations(state, operations, { turnIndex = null, now = new Date() } = {}) {
+  const fields = { ...(state?.fields || {}) };
+  const diff = { added: [], refined: [], retracted: [] };
+
+  for (const operation of operations || []) {
+    const existing = fields[operation.field];
+    const evidence = { quote: operation.quote, turnIndex, confidence: operation.confidence };
+
+    if (operation.op === "retract") {
+      if (!existing) continue;
+      delete fields[operation.field];
+      diff.retracted.push({ field: operation.field, value: existing.value, evidence });
+      continue;
+    }
+
+    if (existing && existing.value.toLowerCase() === operation.value.toLowerCase()) continue;
+    fields[operation.field] = { value: operation.value, evidence, updatedAt: now };
+    if (existing) {
+      diff.refined.push({ field: operation.field, from: existing.value, to: operation.value, evidence });
+    } else {
+      diff.added.push({ field: operation.field, value: operation.value, evidence });
+    }
+  }
+
+  const changed = diff.added.length + diff.refined.length + diff.retracted.length > 0;
+  const version = (state?.version || 0) + (changed ? 1 : 0);
+  return {
+    state: changed ? { fields, version, updatedAt: now } : (state || emptyHighlightsState()),
+    diff: { ...diff, version }
+  };
+}
+
+export function isEmptyDiff(diff) {
+  return !diff || diff.added.length + diff.refined.length + diff.retracted.length === 0;
+}
+
+/**
+ * Apply operations to a stored session's highlights (optimistic concurrency on the version).
+ * @returns {Promise<Object>} - { state, diff }
+ */
+export async function applySessionHighlightOperations(sessionId, operations, { turnIndex = null } = {}) {
+  if (!isDatabaseConnected()) {
+    const error = new Error("Call sessions require a database connection");
+    error.statusCode = 503;
+    throw error;
+  }
+
+  for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+    const session = await CallSession.findById(sessionId, { highlightsState: 1 }).lean();
+    if (!session) {
+      throw new Error("Call session not found");
+    }
+    const current = session.highlightsState || emptyHighlightsState();
+    const result = applyHighlightOperations(current, operations, { turnIndex });
+    if (isEmptyDiff(result.diff)) return result;
+
+    const versionFilter = current.version ? { "highlightsState.version": current.version } : { "highlightsState.version": { $in: [null, 0] } };
+    const updated = await CallSession.updateOne(
+      { _id: sessionId, ...versionFilter },
+      { $set: { highlightsState: result.state } }
+    );
+    if (updated.modifiedCount > 0) return result;
+  }
+
+  const error = new Error("Session highlights changed concurrently; try again");
+  error.statusCode = 409;
+  throw error;
+}
+
+export default {
+  emptyHighlightsState,
+  toFlatState,
+  computeHighlightOperations,
+  applyHighlightOperations,
+  isEmptyDiff,
+  applySessionHighlightOperations
+};
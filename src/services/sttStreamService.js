@@ -0,0 +1,310 @@
+/**
+ * Streaming STT helpers for the `/ws/voice/stt` socket.
+ *
+ * Rotating streamingRecognize wrapper for long calls: Google closes a
+ * streaming request after ~5 minutes of audio, so we open a fresh stream
+ * before that limit and replay the audio that has not produced a final
+ * result yet. All offsets are kept on one call-wide timeline so final
+ * transcripts from consecutive streams are stitched without duplicates.
+ */
+
+// Rotate at the next final result after this much stream time (clean cut between utterances)
+const STREAM_SOFT_LIMIT_MS = parseInt(process.env.STT_STREAM_SOFT_LIMIT_MS || "240000", 10);
+// Rotate unconditionally after this much stream time (Google's hard limit is ~305s)
+const STREAM_HARD_LIMIT_MS = parseInt(process.env.STT_STREAM_HARD_LIMIT_MS || "290000", 10);
+// How much recent audio is kept for replay into the next stream
+const AUDIO_BRIDGE_MAX_MS = parseInt(process.env.STT_AUDIO_BRIDGE_MS || "10000", 10);
+// Finals ending within this window of the last emitted final are treated as duplicates
+const DUPLICATE_TOLERANCE_MS = 200;
+
+// Container formats only carry their header in the first chunk; it must lead every new stream
+const CONTAINER_ENCODINGS = ["WEBM_OPUS", "OGG_OPUS"];
+
+// gRPC status code returned when a stream exceeds its maximum duration
+const GRPC_OUT_OF_RANGE = 11;
+
+// Words below this confidence are flagged for the rep to double-check
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.STT_LOW_CONFIDENCE_THRESHOLD || "0.7");
+// Stricter threshold for tokens that end up in CRM contact fields (emails, phone digits)
+const CONTACT_CONFIDENCE_THRESHOLD = 0.85;
+
+// --- Helper to convert a protobuf Duration ({ seconds, nanos }) to milliseconds ---
+export function durationToMs(duration) {
+  if (!duration) return 0;
+  const seconds = Number(duration.seconds || 0);
+  const nanos = Number(duration.nanos || 0);
+  return seconds * 1000 + Math.round(nanos / 1e6);
+}
+
+// --- Word-level details ---
+
+// With diarization the final result's word list covers the whole stream so far;
+// only the trailing words belong to this utterance
+function getUtteranceWords(result) {
+  const alt = (result && result.alternatives && result.alternatives[0]) || {};
+  const words = alt.words || [];
+  const utteranceWordCount = (alt.transcript || "").trim().split(/\s+/).filter(Boolean).length;
+  return utteranceWordCount > 0 ? words.slice(-utteranceWordCount) : [];
+}
+
+function isContactToken(word) {
+  return /\d|@/.test(word) || /\.(com|net|org|de|io|co)\b/i.test(word);
+}
+
+/**
+ * Per-word timing/confidence for a result, on the call-wide timeline.
+ * @param {Object} result - Google StreamingRecognitionResult
+ * @param {number} offsetMs - Call-timeline offset of the stream the result came from
+ * @returns {Array<{ word, startMs, endMs, confidence, speakerTag? }>}
+ */
+export function getWordDetails(result, offsetMs = 0) {
+  return getUtteranceWords(result).map(w => ({
+    word: w.word,
+    startMs: offsetMs + durationToMs(w.startTime),
+    endMs: offsetMs + durationToMs(w.endTime),
+    confidence: typeof w.confidence === "number" ? w.confidence : null,
+    ...(w.speakerTag ? { speakerTag: w.speakerTag } : {})
+  }));
+}
+
+/**
+ * Group consecutive low-confidence words into spans the UI can highlight.
+ * Google only scores words on final results, so interim words (confidence 0) are skipped.
+ * @param {Array} words - Output of getWordDetails
+ * @param {number} threshold - Confidence cut-off for ordinary words
+ * @returns {Array<{ startIndex, endIndex, text, startMs, endMs, minConfidence, kind }>}
+ *   kind: "email" | "phone" | "text" - contact spans feed extractCustomerInfoFromTranscript
+ */
+export function findLowConfidenceSpans(words, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  const spans = [];
+  let current = null;
+
+  words.forEach((w, index) => {
+    const limit = isContactToken(w.word) ? Math.max(threshold, CONTACT_CONFIDENCE_THRESHOLD) : threshold;
+    const isLow = w.confidence !== null && w.confidence > 0 && w.confidence < limit;
+
+    if (isLow) {
+      if (!current) {
+        current = { startIndex: index, words: [] };
+        spans.push(current);
+      }
+      current.words.push(w);
+      current.endIndex = index;
+    } else {
+      current = null;
+    }
+  });
+
+  return spans.map(({ startIndex, endIndex, words: spanWords }) => {
+    const text = spanWords.map(w => w.word).join(" ");
+    let kind = "text";
+    if (/@|\bat\b.*\bdot\b|\.(com|net|org|de|io|co)\b/i.test(text)) {
+      kind = "email";
+    } else if ((text.match(/\d/g) || []).length >= 3) {
+      kind = "phone";
+    }
+    return {
+      startIndex,
+      endIndex,
+      text,
+      startMs: spanWords[0].startMs,
+      endMs: spanWords[spanWords.length - 1].endMs,
+      minConfidence: Math.min(...spanWords.map(w => w.confidence)),
+      kind
+    };
+  });
+}
+
+// --- Speaker separation (rep vs customer) ---
+
+/**
+ * Build the speaker-separation part of the recognition config.
+ * - Diarization: one mixed channel, Google tags each word with a speakerTag
+ * - Two-channel: rep and customer are recorded on separate channels (channelTag)
+ * @param {Object} options - { diarization, channels, repSpeakerTag, repChannel }
+ * @returns {{ config: Object, speakerOptions: Object|null }}
+ */
+export function buildSpeakerConfig({ diarization = false, channels = 1, repSpeakerTag = 1, repChannel = 1 } = {}) {
+  if (channels === 2) {
+    return {
+      config: { audioChannelCount: 2, enableSeparateRecognitionPerChannel: true },
+      speakerOptions: { mode: "channel", repChannel }
+    };
+  }
+  if (diarization) {
+    return {
+      config: { diarizationConfig: { enableSpeakerDiarization: true, minSpeakerCount: 2, maxSpeakerCount: 2 } },
+      speakerOptions: { mode: "diarization", repSpeakerTag }
+    };
+  }
+  return { config: {}, speakerOptions: null };
+}
+
+/**
+ * Resolve who spoke a recognition result.
+ * @returns {"rep"|"customer"|null} - null when unknown (e.g. interim diarization results)
+ */
+export function resolveSpeaker(result, speakerOptions) {
+  if (!speakerOptions || !result) return null;
+
+  if (speakerOptions.mode === "channel") {
+    if (!result.channelTag) return null;
+    return result.channelTag === speakerOptions.repChannel ? "rep" : "customer";
+  }
+
+  // Diarization tags only arrive on final results
+  const tags = getUtteranceWords(result).map(w => w.speakerTag).filter(Boolean);
+  if (tags.length === 0) return null;
+
+  // Majority vote across the utterance's words
+  const counts = {};
+  for (const tag of tags) counts[tag] = (counts[tag] || 0) + 1;
+  const [topTag] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return Number(topTag) === speakerOptions.repSpeakerTag ? "rep" : "customer";
+}
+
+// OUT_OF_RANGE is also used for "Audio Timeout" on idle streams - only the duration limit rotates
+function isDurationLimitError(err) {
+  return !!err && err.code === GRPC_OUT_OF_RANGE && /stream duration/i.test(err.message || "");
+}
+
+/**
+ * Create a recognize stream that rotates transparently.
+ * @param {Object} options
+ * @param {Object} options.speechClient - Google SpeechClient
+ * @param {Object} options.request - streamingRecognize request (config, interimResults, ...)
+ * @param {Function} options.onResult - (result, { isFinal, resultEndMs, streamOffsetMs }) for every
+ *   non-duplicate result; both offsets are on the call-wide timeline
+ * @param {Function} options.onError - (err) for errors that end recognition
+ * @param {Function} options.onRotated - ({ streamIndex, reason, replayedMs }) after each rotation
+ * @returns {{ write: Function, end: Function }}
+ */
+export function createRotatingRecognizeStream({ speechClient, request, onResult, onError, onRotated }) {
+  const callStartTime = Date.now();
+  const isContainer = CONTAINER_ENCODINGS.includes((request.config?.encoding || "").toUpperCase());
+
+  let headerChunk = null;
+  let audioBuffer = []; // [{ chunk, receivedAtMs }] on the call timeline
+  let lastFinalEndMs = 0;
+  let lastFinalStreamIndex = 0;
+  let streamIndex = 0;
+  let ended = false; // Half-closed: no more audio or rotations, pending results still flow
+
+  // Current stream state
+  let stream = null;
+  let streamOffsetMs = 0; // Call-timeline position of the current stream's audio start
+  let streamStartedAt = 0;
+  let hardLimitTimer = null;
+
+  const now = () => Date.now() - callStartTime;
+
+  const openStream = (offsetMs) => {
+    streamOffsetMs = offsetMs;
+    streamStartedAt = Date.now();
+
+    const current = speechClient
+      .streamingRecognize(request)
+      .on("error", (err) => {
+        if (current !== stream) return; // Retired stream - ignore
+        if (isDurationLimitError(err)) {
+          rotate("duration_limit");
+        } else {
+          onError(err);
+        }
+      })
+      .on("data", (data) => {
+        if (current !== stream) return;
+        handleData(data);
+      });
+
+    clearTimeout(hardLimitTimer);
+    hardLimitTimer = setTimeout(() => rotate("hard_limit"), STREAM_HARD_LIMIT_MS);
+    stream = current;
+  };
+
+  const handleData = (data) => {
+    const results = data.results || [];
+    if (results.length === 0) return;
+
+    const result = results[0];
+    const isFinal = !!result.isFinal;
+    const resultEndMs = streamOffsetMs + durationToMs(result.resultEndTime);
+
+    if (isFinal) {
+      // Replayed audio may be finalized twice across a rotation - drop the repeat
+      // (a single stream never repeats a final, so only compare across streams)
+      if (streamIndex !== lastFinalStreamIndex && resultEndMs <= lastFinalEndMs + DUPLICATE_TOLERANCE_MS) return;
+      lastFinalEndMs = resultEndMs;
+      lastFinalStreamIndex = streamIndex;
+    }
+
+    onResult(result, { isFinal, resultEndMs, streamOffsetMs });
+
+    // Prefer rotating right after a final result once past the soft limit
+    if (isFinal && Date.now() - streamStartedAt >= STREAM_SOFT_LIMIT_MS) {
+      rotate("soft_limit");
+    }
+  };
+
+  const rotate = (reason) => {
+    if (ended) return;
+    const retired = stream;
+
+    // Replay everything not yet covered by a final result
+    const pending = audioBuffer.filter(entry => entry.receivedAtMs >= lastFinalEndMs);
+    const offsetMs = pending.length > 0 ? pending[0].receivedAtMs : now();
+
+    streamIndex += 1;
+    openStream(offsetMs);
+
+    if (isContainer && headerChunk && (pending.length === 0 || pending[0].chunk !== headerChunk)) {
+      stream.write(headerChunk);
+    }
+    for (const entry of pending) {
+      stream.write(entry.chunk);
+    }
+
+    try {
+      retired.end();
+    } catch (_) {}
+
+    onRotated({ streamIndex, reason, replayedMs: now() - offsetMs });
+  };
+
+  openStream(0);
+
+  return {
+    write(chunk) {
+      if (ended) return;
+      const receivedAtMs = now();
+      if (!headerChunk) headerChunk = chunk;
+
+      audioBuffer.push({ chunk, receivedAtMs });
+      const cutoff = receivedAtMs - AUDIO_BRIDGE_MAX_MS;
+      while (audioBuffer.length > 0 && audioBuffer[0].receivedAtMs < cutoff) {
+        audioBuffer.shift();
+      }
+
+      stream.write(chunk);
+    },
+
+    end() {
+      if (ended) return;
+      ended = true;
+      clearTimeout(hardLimitTimer);
+      audioBuffer = [];
+      try {
+        stream.end();
+      } catch (_) {}
+    }
+  };
+}
+
+export default {
+  durationToMs,
+  getWordDetails,
+  findLowConfidenceSpans,
+  buildSpeakerConfig,
+  resolveSpeaker,
+  createRotatingRecognizeStream
+};
@@ -0,0 +1,57 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import CallSession from "../models/CallSession.js";
+import { appendTurn, getConversationHistory } from "../services/callSessionService.js";
+
+describe("appendTurn", () => {
+  const original = { findOneAndUpdate: CallSession.findOneAndUpdate, updateOne: CallSession.updateOne };
+  const sessionId = new mongoose.Types.ObjectId();
+  let updates;
+  let turnCount;
+
+  before(() => {
+    // Shadows the connection's readyState getter; deleting it in after() restores the real one
+    Object.defineProperty(mongoose.connection, "readyState", { configurable: true, get: () => 1 });
+    CallSession.findOneAndUpdate = async () => ({ turnCount: ++turnCount });
+    CallSession.updateOne = async (filter, update, options) => {
+      updates.push({ filter, update, options });
+      return { modifiedCount: 1 };
+    };
+  });
+
+  after(() => {
+    delete mongoose.connection.readyState;
+    CallSession.findOneAndUpdate = original.findOneAndUpdate;
+    CallSession.updateOne = original.updateOne;
+  });
+
+  it("reserves an index and pushes the turn sorted by index, with validation", async () => {
+    updates = [];
+    turnCount = 4;
+    const index = await appendTurn(sessionId, { speaker: "customer", transcript: "How much?", source: "database" });
+    assert.equal(index, 4);
+    assert.deepEqual(updates[0].update, {
+      $push: { turns: { $each: [{ speaker: "customer", transcript: "How much?", source: "database", index: 4 }], $sort: { index: 1 } } }
+    });
+    assert.deepEqual(updates[0].options, { runValidators: true });
+  });
+
+  it("rejects turns the schema doesn't accept", async () => {
+    const turn = { index: 0, speaker: "customer", transcript: "How much?" };
+    await assert.rejects(CallSession.validate({ turns: [turn] }, ["turns"]), { name: "ValidationError" });
+    await CallSession.validate({ turns: [{ ...turn, speaker: "rep" }] }, ["turns"]);
+  });
+});
+
+describe("getConversationHistory", () => {
+  it("uses the latest customer turns", () => {
+    const turns = [
+      { speaker: "customer", transcript: "Hi", responseText: "Hello" },
+      { speaker: "rep", transcript: "What do you need?" },
+      { speaker: "customer", transcript: "Pricing", responseText: "From $30" }
+    ];
+    assert.deepEqual(getConversationHistory({ turns }, 1), [{ userInput: "Pricing", predatorResponse: "From $30" }]);
+    assert.deepEqual(getConversationHistory(null), []);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isCrmProviderAvailable,
+  getAvailableCrmProviders,
+  getDefaultCrmProviderName,
+  getCrmProvider
+} from "../services/crmProviderService.js";
+
+describe("CRM provider selection", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.CRM_PROVIDER;
+    process.env.HUBSPOT_TOKEN = "pat-test";
+    process.env.HUBSPOT_ORGANIZATIONS = "org-a, default";
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("only offers HubSpot to the organizations that own the portal", () => {
+    assert.equal(isCrmProviderAvailable("hubspot", "org-a"), true);
+    assert.equal(isCrmProviderAvailable("hubspot", "default"), true);
+    assert.equal(isCrmProviderAvailable("hubspot", "org-b"), false);
+    assert.equal(isCrmProviderAvailable("local", "org-b"), true);
+    assert.deepEqual(getAvailableCrmProviders("org-b"), ["local"]);
+  });
+
+  it("defaults other organizations to the local CRM", () => {
+    assert.equal(getDefaultCrmProviderName("org-a"), "hubspot");
+    assert.equal(getDefaultCrmProviderName("org-b"), "local");
+    process.env.CRM_PROVIDER = "hubspot";
+    assert.equal(getDefaultCrmProviderName("org-b"), "local");
+    delete process.env.HUBSPOT_ORGANIZATIONS;
+    assert.equal(getDefaultCrmProviderName("default"), "local");
+  });
+
+  it("never hands the shared portal to another organization", async () => {
+    assert.equal((await getCrmProvider("org-a")).name, "hubspot");
+    assert.equal((await getCrmProvider("org-b")).name, "local");
+  });
+});
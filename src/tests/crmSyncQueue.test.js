@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getErrorStatus, isRetryableError, getBackoffMs } from "../services/crmSyncQueue.js";
+
+// HubSpot client errors: ApiException with the HTTP status in `code`
+function hubspotError(code, headers = {}) {
+  const error = new Error(`HTTP-Code: ${code}`);
+  error.code = code;
+  error.body = { message: "error" };
+  error.headers = headers;
+  return error;
+}
+
+function withCode(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+describe("getErrorStatus", () => {
+  it("reads the status from the places CRM clients put it", () => {
+    assert.equal(getErrorStatus(Object.assign(new Error("x"), { statusCode: 404 })), 404);
+    assert.equal(getErrorStatus(Object.assign(new Error("x"), { response: { status: 503 } })), 503);
+    assert.equal(getErrorStatus(Object.assign(new Error("x"), { details: { statusCode: 409 } })), 409);
+    assert.equal(getErrorStatus(hubspotError(429)), 429);
+    assert.equal(getErrorStatus(Object.assign(new Error("wrapped"), { originalError: hubspotError(502) })), 502);
+  });
+
+  it("does not treat other numeric codes as HTTP statuses", () => {
+    assert.equal(getErrorStatus(withCode("E11000 duplicate key", 11000)), null);
+    assert.equal(getErrorStatus(withCode("looks like a status", 500)), null);
+    assert.equal(getErrorStatus(new Error("plain")), null);
+  });
+});
+
+describe("isRetryableError", () => {
+  it("retries rate limits, server errors and network failures", () => {
+    assert.equal(isRetryableError(hubspotError(429)), true);
+    assert.equal(isRetryableError(hubspotError(500)), true);
+    assert.equal(isRetryableError(withCode("connect ECONNREFUSED", "ECONNREFUSED")), true);
+    assert.equal(isRetryableError(new Error("socket hang up")), true);
+    assert.equal(isRetryableError(Object.assign(new Error("wrapped"), { originalError: withCode("timeout", "ETIMEDOUT") })), true);
+  });
+
+  it("does not retry client errors or database errors", () => {
+    assert.equal(isRetryableError(hubspotError(400)), false);
+    assert.equal(isRetryableError(Object.assign(new Error("Deals are not supported"), { statusCode: 422 })), false);
+    assert.equal(isRetryableError(withCode("E11000 duplicate key", 11000)), false);
+  });
+});
+
+describe("getBackoffMs", () => {
+  // CRM_SYNC_BASE_BACKOFF_MS defaults to 5s; jitter is +-25%
+  it("doubles with every attempt", () => {
+    for (const [attempts, base] of [[1, 5000], [2, 10000], [4, 40000]]) {
+      const delay = getBackoffMs(attempts);
+      assert.ok(delay >= base * 0.75 && delay <= base * 1.25, `attempt ${attempts}: ${delay}`);
+    }
+  });
+
+  it("caps the delay at an hour", () => {
+    assert.ok(getBackoffMs(30) <= 60 * 60 * 1000 * 1.25);
+    assert.ok(getBackoffMs(30) >= 60 * 60 * 1000 * 0.75);
+  });
+
+  it("honours Retry-After", () => {
+    assert.equal(getBackoffMs(1, hubspotError(429, { "retry-after": "12" })), 12000);
+    assert.equal(getBackoffMs(1, Object.assign(new Error("wrapped"), { originalError: hubspotError(429, { "Retry-After": "3" }) })), 3000);
+    assert.equal(getBackoffMs(1, hubspotError(429, { "retry-after": "999999" })), 60 * 60 * 1000);
+  });
+});
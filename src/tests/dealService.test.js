@@ -0,0 +1,156 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import DealProposal from "../models/DealProposal.js";
+import { parseBudgetAmount, parseCloseDate, detectBuyingSignals, rejectDealProposal, settleDealWrite } from "../services/dealService.js";
+
+describe("parseBudgetAmount", () => {
+  const cases = [
+    ["$50k", { amount: 50000, currency: "USD" }],
+    ["around 1.5 million euros", { amount: 1500000, currency: "EUR" }],
+    ["between 40 and 60 thousand", { amount: 60000, currency: null }],
+    ["40 to 60k", { amount: 60000, currency: null }],
+    ["£120,000 for the rollout", { amount: 120000, currency: "GBP" }],
+    ["50.000 EUR", { amount: 50000, currency: "EUR" }],
+    ["2,500 dollars", { amount: 2500, currency: "USD" }]
+  ];
+  for (const [text, expected] of cases) {
+    it(`parses "${text}"`, () => {
+      assert.deepEqual(parseBudgetAmount(text), expected);
+    });
+  }
+
+  it("ignores bare years", () => {
+    assert.deepEqual(parseBudgetAmount("budget approved for 2027, about 80k"), { amount: 80000, currency: null });
+    assert.deepEqual(parseBudgetAmount("budget of 50,000 for 2026"), { amount: 50000, currency: null });
+    assert.equal(parseBudgetAmount("planned for 2027"), null);
+    assert.deepEqual(parseBudgetAmount("$2026"), { amount: 2026, currency: "USD" });
+  });
+
+  it("multiplies per-seat prices by the seat count and annualizes monthly prices", () => {
+    assert.deepEqual(parseBudgetAmount("10 users at $30 per month"), { amount: 3600, currency: "USD" });
+    assert.deepEqual(parseBudgetAmount("$30 per user per month for 25 seats"), { amount: 9000, currency: "USD" });
+    assert.deepEqual(parseBudgetAmount("€20/seat, 40 seats"), { amount: 800, currency: "EUR" });
+    assert.deepEqual(parseBudgetAmount("$2,000 per month"), { amount: 24000, currency: "USD" });
+  });
+
+  it("returns null without an amount", () => {
+    assert.equal(parseBudgetAmount("$30 per user"), null);
+    assert.equal(parseBudgetAmount("we have 150 users"), null);
+    assert.equal(parseBudgetAmount("3 months"), null);
+    assert.equal(parseBudgetAmount("no budget yet"), null);
+    assert.equal(parseBudgetAmount(null), null);
+  });
+});
+
+describe("parseCloseDate", () => {
+  // Wednesday, 2026-05-13
+  const now = new Date("2026-05-13T10:00:00Z");
+  const cases = [
+    ["2027-01-15", "2027-01-15"],
+    ["asap", "2026-05-27"],
+    ["in 3 months", "2026-08-13"],
+    ["within two weeks", "2026-05-27"],
+    ["next quarter", "2026-09-30"],
+    ["Q1", "2027-03-31"],
+    ["Q3 2027", "2027-09-30"],
+    ["by the end of the year", "2026-12-31"],
+    ["this quarter", "2026-06-30"],
+    ["next month", "2026-06-30"],
+    ["by April", "2027-04-30"],
+    ["March 2027", "2027-03-31"],
+    ["may 20", "2026-05-20"],
+    ["by the 2nd of May", "2027-05-02"],
+    ["in June 2026", "2026-06-30"]
+  ];
+  for (const [text, expected] of cases) {
+    it(`parses "${text}"`, () => {
+      assert.equal(parseCloseDate(text, now), expected);
+    });
+  }
+
+  it("returns null for unrelated text", () => {
+    assert.equal(parseCloseDate("we'll see", now), null);
+    assert.equal(parseCloseDate("", now), null);
+  });
+
+  it("only reads may and march as months next to a day or year", () => {
+    assert.equal(parseCloseDate("we may need it soon", now), null);
+    assert.equal(parseCloseDate("by march", now), null);
+    assert.equal(parseCloseDate("we may sign in June", now), "2026-06-30");
+    assert.equal(parseCloseDate("31 June", now), null);
+  });
+});
+
+describe("detectBuyingSignals", () => {
+  it("takes the latest customer mention of each signal", () => {
+    const signals = detectBuyingSignals({
+      turns: [
+        { index: 0, speaker: "customer", keyHighlights: { budget: "around 40k" }, transcript: "We have around 40k" },
+        { index: 1, speaker: "rep", keyHighlights: { budget: "$100k" }, transcript: "Send us the contract" },
+        { index: 2, speaker: "customer", keyHighlights: { budget: "maybe 50k", timeline: "Q3" }, transcript: "Let's move forward" }
+      ],
+      summary: { budget: "ignored", timeline: "ignored" }
+    });
+    assert.deepEqual(signals, [
+      { type: "budget", text: "maybe 50k", turnIndex: 2 },
+      { type: "timeline", text: "Q3", turnIndex: 2 },
+      { type: "purchaseIntent", text: "Let's move forward", turnIndex: 2 }
+    ]);
+  });
+
+  it("falls back to the call summary", () => {
+    assert.deepEqual(detectBuyingSignals({ turns: [], summary: { budget: "50k" } }), [{ type: "budget", text: "50k" }]);
+  });
+});
+
+describe("deal proposal updates", () => {
+  const original = { findOneAndUpdate: DealProposal.findOneAndUpdate, findById: DealProposal.findById };
+  const proposalId = new mongoose.Types.ObjectId();
+  let calls;
+  let claimed;
+
+  before(() => {
+    // Shadows the connection's readyState getter; deleting it in after() restores the real one
+    Object.defineProperty(mongoose.connection, "readyState", { configurable: true, get: () => 1 });
+    DealProposal.findOneAndUpdate = async (filter, update) => {
+      calls.push({ filter, update });
+      return claimed;
+    };
+    DealProposal.findById = async () => ({ status: "approving" });
+  });
+
+  after(() => {
+    delete mongoose.connection.readyState;
+    DealProposal.findOneAndUpdate = original.findOneAndUpdate;
+    DealProposal.findById = original.findById;
+  });
+
+  it("rejects only pending proposals, atomically", async () => {
+    calls = [];
+    claimed = { status: "rejected" };
+    assert.equal(await rejectDealProposal({ _id: proposalId, status: "pending" }, { uid: "rep-1" }), claimed);
+    assert.deepEqual(calls[0].filter, { _id: proposalId, status: "pending" });
+    assert.equal(calls[0].update.$set.reviewedBy, "rep-1");
+
+    claimed = null;
+    await assert.rejects(rejectDealProposal({ _id: proposalId, status: "pending" }, { uid: "rep-1" }), {
+      statusCode: 409,
+      message: "Proposal is already approving"
+    });
+  });
+
+  it("settles queued proposals when their deal write finishes", async () => {
+    calls = [];
+    claimed = {};
+    const job = { payload: { proposalId: String(proposalId) } };
+    await settleDealWrite(job, { status: "succeeded", result: { dealId: "deal-1" } });
+    await settleDealWrite(job, { status: "dead_lettered", error: "HTTP-Code: 400" });
+    assert.deepEqual(calls.map(call => call.filter.status), [{ $in: ["queued", "failed"] }, "queued"]);
+    assert.deepEqual(calls[0].update.$set, { status: "approved", hubspotDealId: "deal-1" });
+    assert.deepEqual(calls[1].update, { $set: { status: "failed", error: "HTTP-Code: 400" }, $inc: { approvalAttempts: 1 } });
+
+    assert.equal(await settleDealWrite({ payload: {} }, { status: "succeeded" }), null);
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { scoreTextWithLexicon } from "../services/lexiconSentimentProvider.js";
+
+describe("scoreTextWithLexicon", () => {
+  it("scores positive and negative sentences", () => {
+    const positive = scoreTextWithLexicon("This is great, really helpful for our team");
+    const negative = scoreTextWithLexicon("Honestly that's too expensive and the setup looks complicated");
+    assert.ok(positive.score > 0.3);
+    assert.ok(negative.score < -0.3);
+    assert.equal(positive.matchedWords, 2);
+  });
+
+  it("is neutral without sentiment words", () => {
+    assert.deepEqual(scoreTextWithLexicon("We have twenty sales reps in Berlin"), { score: 0, magnitude: 0, matchedWords: 0 });
+    assert.deepEqual(scoreTextWithLexicon(""), { score: 0, magnitude: 0, matchedWords: 0 });
+  });
+
+  it("flips negated praise and softens negated criticism", () => {
+    const good = scoreTextWithLexicon("that is good").score;
+    const notGood = scoreTextWithLexicon("that is not good").score;
+    const notBad = scoreTextWithLexicon("that is not bad").score;
+    assert.ok(notGood < 0);
+    assert.ok(notBad > 0);
+    assert.ok(notBad < good);
+  });
+
+  it("only lets a negation reach the next few words", () => {
+    assert.ok(scoreTextWithLexicon("not sure about the rollout plan but it looks good").score > 0);
+    assert.ok(scoreTextWithLexicon("I don't think that's good").score < 0);
+  });
+
+  it("strengthens words after an intensifier", () => {
+    assert.ok(scoreTextWithLexicon("very expensive").score < scoreTextWithLexicon("expensive").score);
+    assert.ok(scoreTextWithLexicon("very expensive").magnitude > scoreTextWithLexicon("expensive").magnitude);
+  });
+
+  it("uses the word list of the given language", () => {
+    assert.equal(scoreTextWithLexicon("Das ist sehr gut, aber leider zu teuer", { language: "de-DE" }).matchedWords, 3);
+    assert.equal(scoreTextWithLexicon("Das ist gut", { language: "en-US" }).matchedWords, 0);
+    assert.ok(scoreTextWithLexicon("Das ist nicht gut").score < 0);
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import SalesQA from "../models/SalesQA.js";
+import SalesQARevision from "../models/SalesQARevision.js";
+import SalesQAEmbedding from "../models/SalesQAEmbedding.js";
+import salesQAService from "../services/salesQAService.js";
+import {
+  normalizeAnswers,
+  normalizeQuestionInput,
+  createCategory,
+  updateCategory,
+  addQuestion,
+  updateQuestion,
+  deleteAnswer
+} from "../services/salesQAAdminService.js";
+
+process.env.EMBEDDING_PROVIDER = "local";
+
+// Rejects with an HTTP error of the given status
+async function assertStatus(promise, statusCode) {
+  await assert.rejects(promise, error => {
+    assert.equal(error.statusCode, statusCode, error.message);
+    return true;
+  });
+}
+
+describe("normalizeAnswers", () => {
+  it("accepts a list or an option map and sorts by option", () => {
+    const expected = [{ option: "A", text: "Yes" }, { option: "B", text: "No" }];
+    assert.deepEqual(normalizeAnswers([{ option: "b", text: " No " }, { option: "A", text: "Yes" }]), expected);
+    assert.deepEqual(normalizeAnswers({ B: "No", A: "Yes" }), expected);
+  });
+
+  it("rejects unknown and duplicate options, blank texts and empty lists", () => {
+    assert.throws(() => normalizeAnswers({ D: "Maybe" }), { statusCode: 400 });
+    assert.throws(() => normalizeAnswers([{ option: "A", text: "Yes" }, { option: "a", text: "No" }]), { statusCode: 400 });
+    assert.throws(() => normalizeAnswers({ A: "   " }), { statusCode: 400 });
+    assert.throws(() => normalizeAnswers([]), { statusCode: 400 });
+    assert.throws(() => normalizeAnswers(null), { statusCode: 400 });
+  });
+});
+
+describe("normalizeQuestionInput", () => {
+  it("trims the question and requires one", () => {
+    assert.deepEqual(normalizeQuestionInput({ question: "  How much? ", answers: { A: "From $30" } }), {
+      question: "How much?",
+      answers: [{ option: "A", text: "From $30" }]
+    });
+    assert.throws(() => normalizeQuestionInput({ question: "", answers: { A: "Yes" } }), { statusCode: 400 });
+    assert.throws(() => normalizeQuestionInput({ question: 42, answers: { A: "Yes" } }), { statusCode: 400 });
+  });
+});
+
+describe("sales Q&A admin CRUD", () => {
+  const originals = {
+    findById: SalesQA.findById,
+    findOne: SalesQA.findOne,
+    save: SalesQA.prototype.save,
+    createRevision: SalesQARevision.create,
+    embeddingFind: SalesQAEmbedding.find,
+    insertMany: SalesQAEmbedding.insertMany,
+    clearAllCache: salesQAService.clearAllCache
+  };
+
+  // Saved categories by id, as plain objects
+  let saved;
+  let revisions;
+  let cacheClears;
+
+  const storedCategory = (id) => saved.get(String(id));
+
+  before(() => {
+    // Shadows the connection's readyState getter; deleting it in after() restores the real one
+    Object.defineProperty(mongoose.connection, "readyState", { configurable: true, get: () => 1 });
+    SalesQA.findById = async (id) => {
+      const stored = storedCategory(id);
+      return stored ? SalesQA.hydrate(JSON.parse(JSON.stringify(stored))) : null;
+    };
+    SalesQA.findOne = (filter) => ({
+      lean: async () => [...saved.values()].find(category =>
+        new RegExp(filter.category.$regex, filter.category.$options).test(category.category)
+        && String(category._id) !== String(filter._id?.$ne)) || null
+    });
+    SalesQA.prototype.save = async function () {
+      await this.validate();
+      saved.set(String(this._id), this.toObject());
+      return this;
+    };
+    SalesQARevision.create = async (revision) => {
+      revisions.push(revision);
+      return revision;
+    };
+    SalesQAEmbedding.find = () => ({ lean: async () => [] });
+    SalesQAEmbedding.insertMany = async () => {};
+    salesQAService.clearAllCache = () => {
+      cacheClears++;
+    };
+  });
+
+  after(() => {
+    delete mongoose.connection.readyState;
+    SalesQA.findById = originals.findById;
+    SalesQA.findOne = originals.findOne;
+    SalesQA.prototype.save = originals.save;
+    SalesQARevision.create = originals.createRevision;
+    SalesQAEmbedding.find = originals.embeddingFind;
+    SalesQAEmbedding.insertMany = originals.insertMany;
+    salesQAService.clearAllCache = originals.clearAllCache;
+  });
+
+  beforeEach(() => {
+    saved = new Map();
+    revisions = [];
+    cacheClears = 0;
+  });
+
+  const pricing = () => createCategory({
+    category: "Pricing",
+    description: "Price questions",
+    questions: [{ question: "How much?", answers: { A: "From $30", B: "Depends on seats" } }]
+  }, "admin-1");
+
+  describe("createCategory", () => {
+    it("saves new questions as drafts, tracks the editor and records a revision", async () => {
+      const category = await pricing();
+      assert.equal(category.updatedBy, "admin-1");
+      assert.equal(category.questions[0].status, "draft");
+      assert.equal(category.questions[0].updatedBy, "admin-1");
+      assert.ok(storedCategory(category._id));
+      assert.equal(cacheClears, 1);
+      assert.deepEqual(revisions.map(r => [r.scope, r.action, r.changedBy]), [["category", "create", "admin-1"]]);
+    });
+
+    it("requires a name and description", async () => {
+      await assertStatus(createCategory({ category: "Pricing" }), 400);
+      await assertStatus(createCategory({ description: "Price questions" }), 400);
+      assert.equal(saved.size, 0);
+    });
+
+    it("rejects duplicate category names and questions", async () => {
+      await pricing();
+      await assertStatus(createCategory({ category: " pricing ", description: "Again" }), 409);
+      await assertStatus(createCategory({
+        category: "Trial",
+        description: "Trial questions",
+        questions: [{ question: "How long?", answers: { A: "14 days" } }, { question: "how long?", answers: { A: "30 days" } }]
+      }), 409);
+      assert.equal(saved.size, 1);
+    });
+
+    it("turns schema validation errors into 400s", async () => {
+      await assertStatus(createCategory({ category: "x".repeat(201), description: "Too long" }), 400);
+    });
+  });
+
+  describe("updateCategory", () => {
+    it("renames a category unless the name is taken", async () => {
+      const category = await pricing();
+      const trial = await createCategory({ category: "Trial", description: "Trial questions" });
+      await assertStatus(updateCategory(trial._id, { category: "PRICING" }), 409);
+      await assertStatus(updateCategory(trial._id, {}), 400);
+
+      const renamed = await updateCategory(category._id, { category: "Pricing & billing" }, "admin-2");
+      assert.equal(renamed.category, "Pricing & billing");
+      assert.equal(renamed.updatedBy, "admin-2");
+      assert.equal(revisions.at(-1).action, "update");
+    });
+  });
+
+  describe("updateQuestion", () => {
+    it("edits drafts in place", async () => {
+      const category = await pricing();
+      const questionId = category.questions[0]._id;
+      const updated = await updateQuestion(category._id, questionId, { answers: { A: "From $35" } }, "admin-2");
+      assert.deepEqual(updated.answers.map(a => [a.option, a.text]), [["A", "From $35"]]);
+      assert.equal(updated.updatedBy, "admin-2");
+      assert.equal(updated.pendingChange, null);
+      assert.deepEqual(revisions.at(-1).before.answers.map(a => a.text), ["From $30", "Depends on seats"]);
+    });
+
+    it("keeps a published question live and stores the edit as its pending change", async () => {
+      const category = await pricing();
+      const questionId = category.questions[0]._id;
+      storedCategory(category._id).questions[0].status = "published";
+
+      const updated = await updateQuestion(category._id, questionId, { question: "What does it cost?" }, "admin-2");
+      assert.equal(updated.question, "How much?");
+      assert.equal(updated.status, "published");
+      assert.equal(updated.pendingChange.question, "What does it cost?");
+      assert.equal(updated.pendingChange.status, "draft");
+      assert.equal(updated.pendingChange.updatedBy, "admin-2");
+    });
+
+    it("validates the input and the ids", async () => {
+      const category = await pricing();
+      const questionId = category.questions[0]._id;
+      const other = await addQuestion(category._id, { question: "Any discounts?", answers: { A: "For 50+ seats" } });
+
+      await assertStatus(updateQuestion(category._id, questionId, {}), 400);
+      await assertStatus(updateQuestion(category._id, questionId, { answers: { E: "?" } }), 400);
+      await assertStatus(updateQuestion(category._id, other._id, { question: "HOW MUCH?" }), 409);
+      await assertStatus(updateQuestion("not-an-id", questionId, { question: "Price?" }), 404);
+      await assertStatus(updateQuestion(new mongoose.Types.ObjectId(), questionId, { question: "Price?" }), 404);
+      await assertStatus(updateQuestion(category._id, new mongoose.Types.ObjectId(), { question: "Price?" }), 404);
+    });
+  });
+
+  describe("deleteAnswer", () => {
+    it("keeps at least one answer", async () => {
+      const category = await pricing();
+      const questionId = category.questions[0]._id;
+      const updated = await deleteAnswer(category._id, questionId, "b");
+      assert.deepEqual(updated.answers.map(a => a.option), ["A"]);
+      await assertStatus(deleteAnswer(category._id, questionId, "A"), 409);
+      await assertStatus(deleteAnswer(category._id, questionId, "C"), 404);
+    });
+  });
+});
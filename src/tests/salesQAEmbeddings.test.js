@@ -0,0 +1,206 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import SalesQA from "../models/SalesQA.js";
+import SalesQAEmbedding from "../models/SalesQAEmbedding.js";
+import { embedTextLocally, stemWord, createLocalEmbeddingProvider } from "../services/localEmbeddingProvider.js";
+import { cosineSimilarity } from "../services/embeddingService.js";
+import {
+  ensureEmbeddings,
+  getSalesQAVectorIndex,
+  getIndexedVector,
+  invalidateSalesQAVectorIndex
+} from "../services/salesQAEmbeddingService.js";
+import salesQAService from "../services/salesQAService.js";
+
+process.env.EMBEDDING_PROVIDER = "local";
+
+const similarity = (a, b) => cosineSimilarity(embedTextLocally(a), embedTextLocally(b));
+
+describe("local embeddings", () => {
+  it("embeds deterministically into unit-length vectors", () => {
+    const vector = embedTextLocally("Who are your competitors?");
+    assert.equal(vector.length, 512);
+    assert.deepEqual(vector, embedTextLocally("Who are your competitors?"));
+    assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+    assert.ok(Math.abs(similarity("Who are your competitors?", "who are your COMPETITORS") - 1) < 1e-9);
+  });
+
+  it("gives text without content words a zero vector that matches nothing", () => {
+    const empty = embedTextLocally("what is it?");
+    assert.ok(empty.every(value => value === 0));
+    assert.equal(cosineSimilarity(empty, embedTextLocally("Who are your competitors?")), 0);
+  });
+
+  it("relates inflections of a word", () => {
+    const inflected = similarity("Who are your competitors?", "What about competitor pricing?");
+    assert.ok(inflected >= 0.5, `competitors / competitor: ${inflected}`);
+    assert.ok(similarity("Wie hoch sind die Preise?", "Was kostet der Preis?") > 0.2);
+  });
+
+  it("keeps unrelated questions apart", () => {
+    const provider = createLocalEmbeddingProvider();
+    for (const [a, b] of [
+      ["Who are your competitors?", "How long is the trial?"],
+      ["Who are your competitors?", "Do you integrate with Salesforce?"],
+      ["Can I cancel anytime?", "Is my data secure?"]
+    ]) {
+      assert.ok(similarity(a, b) < provider.minSimilarity / 2, `${a} / ${b}: ${similarity(a, b)}`);
+    }
+  });
+
+  it("stems inflection endings", () => {
+    assert.equal(stemWord("competitors"), "competitor");
+    assert.equal(stemWord("discounts"), stemWord("discount"));
+    assert.equal(stemWord("preise"), stemWord("preis"));
+    assert.equal(stemWord("companies"), "company");
+    assert.equal(stemWord("news"), "news");
+  });
+});
+
+describe("hybridMatch", () => {
+  const answers = [{ option: "A", text: "Yes" }];
+  const candidate = (question, semanticSimilarity, category = "Pricing") =>
+    ({ question, answers, category, description: "", semanticSimilarity, minSemanticSimilarity: 0.6 });
+
+  it("returns the lexical match unchanged without semantic candidates", () => {
+    const lexical = { question: "Do you offer discounts?", answers, category: "Pricing", similarity: 0.8 };
+    assert.equal(salesQAService.hybridMatch("any discounts", lexical, []), lexical);
+    assert.equal(salesQAService.hybridMatch("any discounts", null, []), null);
+  });
+
+  it("combines lexical and semantic similarity for the lexical match", () => {
+    const lexical = { question: "Do you offer discounts?", answers, category: "Pricing", similarity: 0.6 };
+    const match = salesQAService.hybridMatch("any discounts", lexical, [candidate("Do you offer discounts?", 0.9)]);
+    assert.equal(match.matchedBy, "hybrid");
+    assert.equal(match.lexicalSimilarity, 0.6);
+    assert.equal(match.semanticSimilarity, 0.9);
+    assert.ok(Math.abs(match.similarity - (0.7 * 0.9 + 0.3 * 0.6)) < 1e-9);
+    assert.equal(match.minSemanticSimilarity, undefined);
+  });
+
+  it("prefers a close semantic candidate over a weak lexical match", () => {
+    const lexical = { question: "How long is the trial?", answers, category: "Trial", similarity: 0.3 };
+    const match = salesQAService.hybridMatch("who do we compete against", lexical, [
+      candidate("Who are your competitors?", 0.95, "Competition"),
+      candidate("How long is the trial?", 0.1, "Trial")
+    ]);
+    assert.equal(match.question, "Who are your competitors?");
+    assert.equal(match.matchedBy, "semantic");
+  });
+
+  it("ignores candidates below the provider's minimum similarity", () => {
+    const lexical = { question: "How long is the trial?", answers, category: "Trial", similarity: 0.3 };
+    const match = salesQAService.hybridMatch("who do we compete against", lexical, [candidate("Who are your competitors?", 0.55)]);
+    assert.equal(match.question, "How long is the trial?");
+    assert.equal(match.matchedBy, "lexical");
+    assert.equal(salesQAService.hybridMatch("who do we compete against", null, [candidate("Who are your competitors?", 0.55)]), null);
+  });
+});
+
+describe("sales Q&A vector index (local provider)", () => {
+  const originals = { find: SalesQA.find, embeddingFind: SalesQAEmbedding.find, insertMany: SalesQAEmbedding.insertMany };
+
+  let categories;
+  let stored;
+  let categoryLoads;
+
+  before(() => {
+    // Shadows the connection's readyState getter; deleting it in after() restores the real one
+    Object.defineProperty(mongoose.connection, "readyState", { configurable: true, get: () => 1 });
+    SalesQA.find = () => {
+      categoryLoads++;
+      const snapshot = structuredClone(categories);
+      return { lean: async () => snapshot };
+    };
+    SalesQAEmbedding.find = (filter) => ({ lean: async () => stored.filter(entry => filter.key.$in.includes(entry.key)) });
+    SalesQAEmbedding.insertMany = async (entries) => {
+      stored.push(...entries);
+    };
+  });
+
+  after(() => {
+    delete mongoose.connection.readyState;
+    SalesQA.find = originals.find;
+    SalesQAEmbedding.find = originals.embeddingFind;
+    SalesQAEmbedding.insertMany = originals.insertMany;
+    invalidateSalesQAVectorIndex();
+  });
+
+  beforeEach(() => {
+    invalidateSalesQAVectorIndex();
+    stored = [];
+    categoryLoads = 0;
+    categories = [{
+      _id: "c1",
+      category: "Competition",
+      description: "Competitors",
+      questions: [
+        { question: "Who are your competitors?", answers: [{ option: "A", text: "Live answer" }], status: "published" },
+        { question: "How long is the free trial?", answers: [{ option: "A", text: "14 days" }], status: "draft" }
+      ]
+    }];
+  });
+
+  it("stores missing vectors and reuses stored ones", async () => {
+    const texts = ["Who are your competitors?", "How long is the free trial?"];
+    const first = await ensureEmbeddings(texts);
+    assert.equal(first.embedded, 2);
+    assert.equal(stored.length, 2);
+    assert.deepEqual(stored.map(entry => [entry.provider, entry.model]), [["local", "hashing-v2"], ["local", "hashing-v2"]]);
+
+    const second = await ensureEmbeddings(texts);
+    assert.equal(second.embedded, 0);
+    assert.equal(second.vectors.size, 2);
+  });
+
+  it("builds the index once and serves semantic candidates from it", async () => {
+    const index = await getSalesQAVectorIndex();
+    assert.equal(index.size, 2);
+    assert.ok(getIndexedVector(index, "  who are your COMPETITORS? "));
+    assert.equal(await getSalesQAVectorIndex(), index);
+    assert.equal(categoryLoads, 1);
+
+    const [best] = await salesQAService.semanticCandidates("What about competitor pricing?");
+    assert.equal(best.question, "Who are your competitors?");
+    // Drafts are only matched in previews
+    assert.deepEqual((await salesQAService.semanticCandidates("free trial length")).map(c => c.question), ["Who are your competitors?"]);
+    assert.equal((await salesQAService.semanticCandidates("free trial length", true))[0].question, "How long is the free trial?");
+  });
+
+  it("rebuilds after invalidation so edits are matched", async () => {
+    const index = await getSalesQAVectorIndex();
+    categories[0].questions.push({ question: "Which CRM systems do you integrate with?", answers: [{ option: "A", text: "HubSpot" }], status: "published" });
+
+    assert.equal(await getSalesQAVectorIndex(), index);
+    invalidateSalesQAVectorIndex();
+    const rebuilt = await getSalesQAVectorIndex();
+    assert.notEqual(rebuilt, index);
+    assert.equal(rebuilt.size, 3);
+    assert.equal((await salesQAService.semanticCandidates("CRM integrations"))[0].question, "Which CRM systems do you integrate with?");
+  });
+
+  it("rebuilds an expired index so edits on other instances are matched", async () => {
+    const index = await getSalesQAVectorIndex();
+    categories[0].questions[0].status = "archived";
+    assert.equal(await getSalesQAVectorIndex(), index);
+
+    index.builtAt = new Date(Date.now() - 6 * 60 * 1000);
+    const rebuilt = await getSalesQAVectorIndex();
+    assert.notEqual(rebuilt, index);
+    assert.equal(categoryLoads, 2);
+    assert.deepEqual(await salesQAService.semanticCandidates("What about competitor pricing?"), []);
+  });
+
+  it("drops a build that started before an invalidation", async () => {
+    const staleBuild = getSalesQAVectorIndex();
+    categories[0].questions[0].question = "Who do you compete with?";
+    invalidateSalesQAVectorIndex();
+
+    const stale = await staleBuild;
+    const fresh = await getSalesQAVectorIndex();
+    assert.notEqual(fresh, stale);
+    assert.ok(getIndexedVector(fresh, "Who do you compete with?"));
+    assert.equal(await getSalesQAVectorIndex(), fresh);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSalesQACsv,
+  toSalesQACsv,
+  parseSalesQAImport,
+  normalizeImportData,
+  diffSalesQA,
+  summarizeDiff,
+  liveImportChanges
+} from "../services/salesQAImportService.js";
+
+const answers = (...texts) => texts.map((text, index) => ({ option: "ABC"[index], text }));
+
+const pricing = (questions) => ({ category: "Pricing", description: "Price questions", questions });
+
+describe("parseSalesQACsv / toSalesQACsv", () => {
+  it("round-trips categories, answers, statuses and pending changes", () => {
+    const categories = [
+      pricing([
+        {
+          question: "How much is it?",
+          answers: answers("From $30, per seat", "It depends; \"enterprise\" is custom"),
+          status: "published",
+          pendingChange: { question: "How much does it cost?", answers: answers("From $35 per seat") }
+        },
+        { question: "Any discounts?", answers: answers("Yes", "Annual plans", "Nonprofits"), status: "draft" }
+      ]),
+      { category: "Security", description: "Line one\nline two", questions: [{ question: "SSO?", answers: answers("Yes"), status: "published" }] }
+    ];
+
+    const parsed = normalizeImportData(parseSalesQACsv(toSalesQACsv(categories))).categories;
+    assert.deepEqual(parsed, categories);
+  });
+
+  it("prefixes cells that spreadsheets would run as formulas and strips the prefix on import", () => {
+    const csv = toSalesQACsv([{
+      category: "=HYPERLINK(\"http://evil\")",
+      description: "+1",
+      questions: [{ question: "-2 seats?", answers: answers("@SUM(A1)", "\tTab"), status: "published" }]
+    }]);
+    const row = csv.split("\r\n")[1];
+    assert.ok(row.startsWith("\"'=HYPERLINK("));
+    assert.ok(row.includes(",'+1,'-2 seats?,'@SUM(A1),"));
+
+    const [category] = parseSalesQACsv(csv);
+    assert.equal(category.category, "=HYPERLINK(\"http://evil\")");
+    assert.equal(category.description, "+1");
+    assert.equal(category.questions[0].question, "-2 seats?");
+    assert.equal(category.questions[0].answers[0].text, "@SUM(A1)");
+  });
+
+  it("keeps an apostrophe that doesn't escape a formula", () => {
+    const [category] = parseSalesQACsv("category,description,question,answer_a\nPricing,Prices,'Is it free?,'Tis not\n");
+    assert.equal(category.questions[0].question, "'Is it free?");
+    assert.equal(category.questions[0].answers[0].text, "'Tis not");
+  });
+
+  it("reads semicolon-separated files with quoted line breaks and groups rows by category", () => {
+    const csv = "﻿Category;Description;Question;Answer A;Answer B\r\n" +
+      "Pricing;Prices;\"How much;\nreally?\";Cheap;\r\n" +
+      "pricing;;Discounts?;No;Maybe\r\n";
+    const categories = parseSalesQACsv(csv);
+    assert.equal(categories.length, 1);
+    assert.equal(categories[0].description, "Prices");
+    assert.deepEqual(categories[0].questions.map(question => question.question), ["How much;\nreally?", "Discounts?"]);
+    assert.deepEqual(categories[0].questions[1].answers, answers("No", "Maybe"));
+    assert.equal(categories[0].questions[1].row, 3);
+  });
+
+  it("rejects files without the required columns", () => {
+    assert.throws(() => parseSalesQACsv("category,answer_a\nPricing,Yes\n"), { statusCode: 400, message: /question/ });
+  });
+});
+
+describe("normalizeImportData", () => {
+  it("reports every invalid entry with its location", () => {
+    assert.throws(
+      () => parseSalesQAImport("category,description,question,answer_a,status\nPricing,,How much?,,live\n", "csv"),
+      (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.deepEqual(error.details.map(problem => problem.at), ["row 2", "category \"Pricing\""]);
+        return true;
+      }
+    );
+  });
+
+  it("merges repeated questions (the last one wins) with a warning", () => {
+    const { categories, warnings } = normalizeImportData([pricing([
+      { question: "How much?", answers: answers("A lot") },
+      { question: "how  much?", answers: answers("Not much") }
+    ])]);
+    assert.deepEqual(categories[0].questions, [{ question: "how  much?", answers: answers("Not much") }]);
+    assert.equal(warnings.length, 1);
+  });
+
+  it("only accepts pending changes on published questions", () => {
+    assert.throws(() => normalizeImportData([pricing([{
+      question: "How much?",
+      answers: answers("A lot"),
+      status: "draft",
+      pendingChange: { question: "How much now?", answers: answers("Less") }
+    }])]), { statusCode: 400 });
+  });
+});
+
+describe("diffSalesQA", () => {
+  const stored = [
+    pricing([
+      { question: "How much?", answers: answers("A lot"), status: "published" },
+      { question: "Discounts?", answers: answers("No"), status: "published" },
+      { question: "Trial?", answers: answers("14 days"), status: "draft" }
+    ]),
+    { category: "Security", description: "Security questions", questions: [{ question: "SSO?", answers: answers("Yes") }] }
+  ];
+
+  it("reports added, changed, removed and unchanged categories and questions", () => {
+    const incoming = [
+      { ...pricing([
+        { question: "how much?", answers: answers("A lot", "Less for annual plans") },
+        { question: "Discounts?", answers: answers("No") },
+        { question: "Invoices?", answers: answers("Yes") }
+      ]), description: "Pricing and billing" },
+      { category: "Onboarding", description: "Getting started", questions: [{ question: "Training?", answers: answers("Yes") }] }
+    ];
+
+    const diff = diffSalesQA(stored, incoming);
+    assert.deepEqual(diff.categories, {
+      added: ["Onboarding"],
+      changed: [{ category: "Pricing", description: { from: "Price questions", to: "Pricing and billing" } }],
+      removed: ["Security"]
+    });
+    assert.deepEqual(diff.questions.added, [
+      { category: "Pricing", question: "Invoices?" },
+      { category: "Onboarding", question: "Training?" }
+    ]);
+    assert.deepEqual(diff.questions.changed, [{
+      category: "Pricing",
+      question: "how much?",
+      changes: {
+        question: { from: "How much?", to: "how much?" },
+        answers: { B: { from: null, to: "Less for annual plans" } }
+      }
+    }]);
+    assert.deepEqual(diff.questions.removed, [
+      { category: "Pricing", question: "Trial?" },
+      { category: "Security", question: "SSO?" }
+    ]);
+    assert.equal(diff.questions.unchanged, 1);
+    assert.deepEqual(summarizeDiff(diff), {
+      categoriesAdded: 1,
+      categoriesChanged: 1,
+      categoriesRemoved: 1,
+      questionsAdded: 2,
+      questionsChanged: 1,
+      questionsRemoved: 2,
+      questionsUnchanged: 1
+    });
+  });
+
+  it("only reports status changes that the import applies", () => {
+    const incoming = [pricing([
+      { question: "How much?", answers: answers("A lot"), status: "draft" },
+      { question: "Discounts?", answers: answers("Yes"), status: "archived" },
+      { question: "Trial?", answers: answers("14 days"), status: "published", pendingChange: { question: "Trial?", answers: answers("30 days") } }
+    ])];
+
+    const underReview = diffSalesQA(stored, incoming);
+    assert.deepEqual(underReview.questions.changed, [
+      { category: "Pricing", question: "Discounts?", changes: { status: { from: "published", to: "archived" } } }
+    ]);
+
+    const published = diffSalesQA(stored, incoming, { publish: true });
+    assert.deepEqual(published.questions.changed.map(change => change.changes), [
+      { status: { from: "published", to: "draft" } },
+      { answers: { A: { from: "No", to: "Yes" } }, status: { from: "published", to: "archived" } },
+      {
+        status: { from: "draft", to: "published" },
+        pendingChange: { from: null, to: { question: "Trial?", answers: answers("30 days") } }
+      }
+    ]);
+  });
+
+  it("lists the changes that bypass review", () => {
+    const incoming = [{ ...pricing([
+      { question: "How much?", answers: answers("Less") },
+      { question: "Discounts?", answers: answers("No"), status: "archived" },
+      { question: "Trial?", answers: answers("14 days"), status: "archived" }
+    ]), description: "Pricing and billing" }];
+    const diff = diffSalesQA(stored, incoming);
+
+    assert.deepEqual(liveImportChanges(diff), [
+      'Archive published question "Discounts?" in "Pricing"',
+      'Change the description of "Pricing"'
+    ]);
+    assert.deepEqual(liveImportChanges(diff, { prune: true }).slice(0, 1), ['Delete category "Security"']);
+    assert.deepEqual(liveImportChanges(diffSalesQA(stored, [pricing([{ question: "Invoices?", answers: answers("Yes") }])])), []);
+  });
+});
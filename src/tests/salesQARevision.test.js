@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  snapshotQuestion,
+  snapshotCategory,
+  undoRevision,
+  matchesRevision,
+  questionStateAfter
+} from "../services/salesQARevisionService.js";
+
+const question = (id, text, answer = "Yes", status = "published") => ({
+  _id: id,
+  question: text,
+  answers: [{ option: "A", text: answer }],
+  status,
+  pendingChange: null
+});
+
+const category = (questions, name = "Pricing") => ({ category: name, description: "Price questions", questions });
+
+// Revisions of one category, oldest first, as salesQAAdminService records them
+const created = { _id: "r1", scope: "category", action: "create", before: null, after: category([question("q1", "How much?")]) };
+const edited = {
+  _id: "r2",
+  scope: "question",
+  action: "update",
+  questionId: "q1",
+  before: question("q1", "How much?"),
+  after: question("q1", "How much?", "From $30")
+};
+const added = { _id: "r3", scope: "question", action: "create", questionId: "q2", before: null, after: question("q2", "Discounts?", "No", "draft") };
+const renamed = {
+  _id: "r4",
+  scope: "category",
+  action: "update",
+  before: category([question("q1", "How much?", "From $30"), question("q2", "Discounts?", "No", "draft")]),
+  after: category([question("q1", "How much?", "From $30"), question("q2", "Discounts?", "No", "draft")], "Pricing & billing")
+};
+const current = renamed.after;
+
+describe("snapshots", () => {
+  it("keep content and review state, not edit metadata", () => {
+    const snapshot = snapshotQuestion({
+      _id: { toString: () => "q1" },
+      question: "How much?",
+      answers: [{ option: "A", text: "From $30", _id: "a1" }],
+      status: "published",
+      updatedBy: "rep-1",
+      pendingChange: { question: "How much now?", answers: [{ option: "A", text: "From $35" }], status: "in_review", submittedBy: "rep-1" }
+    });
+    assert.deepEqual(snapshot, {
+      _id: "q1",
+      question: "How much?",
+      answers: [{ option: "A", text: "From $30" }],
+      status: "published",
+      pendingChange: { question: "How much now?", answers: [{ option: "A", text: "From $35" }], status: "in_review" }
+    });
+    assert.equal(snapshotCategory(null), null);
+  });
+});
+
+describe("undoRevision", () => {
+  it("walks back through question and category revisions", () => {
+    let state = current;
+    state = undoRevision(state, renamed);
+    assert.equal(state.category, "Pricing");
+
+    state = undoRevision(state, added);
+    assert.deepEqual(state.questions.map(q => q._id), ["q1"]);
+
+    state = undoRevision(state, edited);
+    assert.deepEqual(state, created.after);
+
+    assert.equal(undoRevision(state, created), null);
+  });
+
+  it("restores a deleted question", () => {
+    const deleted = { scope: "question", action: "delete", questionId: "q2", before: question("q2", "Discounts?"), after: null };
+    const state = undoRevision(category([question("q1", "How much?")]), deleted);
+    assert.deepEqual(state.questions.map(q => q._id), ["q1", "q2"]);
+  });
+
+  it("does not modify the state it is given", () => {
+    const state = category([question("q1", "How much?", "From $30")]);
+    undoRevision(state, edited);
+    assert.equal(state.questions[0].answers[0].text, "From $30");
+  });
+});
+
+describe("matchesRevision", () => {
+  it("accepts a complete history", () => {
+    let state = current;
+    for (const revision of [renamed, added, edited, created]) {
+      assert.ok(matchesRevision(state, revision), `revision ${revision._id}`);
+      state = undoRevision(state, revision);
+    }
+  });
+
+  it("detects a change that has no revision", () => {
+    const unrecorded = category([question("q1", "How much?", "From $25"), question("q2", "Discounts?", "No", "draft")], "Pricing & billing");
+    assert.equal(matchesRevision(unrecorded, renamed), false);
+
+    const afterRename = undoRevision(current, renamed);
+    const unrecordedStatus = { ...afterRename, questions: [afterRename.questions[0], { ...afterRename.questions[1], status: "in_review" }] };
+    assert.equal(matchesRevision(unrecordedStatus, added), false);
+  });
+
+  it("compares only content with snapshots from before the review workflow", () => {
+    const legacy = { scope: "question", questionId: "q1", after: { _id: "q1", question: "How much?", answers: [{ option: "A", text: "Yes" }] } };
+    assert.ok(matchesRevision(category([question("q1", "How much?")]), legacy));
+  });
+});
+
+describe("questionStateAfter", () => {
+  it("reads a question from question and category revisions", () => {
+    assert.deepEqual(questionStateAfter(edited, "q1"), edited.after);
+    assert.deepEqual(questionStateAfter(renamed, "q2"), question("q2", "Discounts?", "No", "draft"));
+    assert.equal(questionStateAfter(created, "q2"), null);
+  });
+});